@@ -6,43 +6,84 @@ require('dotenv').config();
 const osmService = require('./src/services/osmService');
 const GraphService = require('./src/services/graphService');
 const routeController = require('./src/controllers/routeController');
+const geocodingService = require('./src/services/geocodingService');
+const geocodeController = require('./src/controllers/geocodeController');
+const { errorHandler, notFoundHandler } = require('./src/middleware/errorHandler');
+const { requireApiKey, rateLimit } = require('./src/middleware/accessControl');
+const RateLimiter = require('./src/utils/rateLimiter');
 
 const app = express();
 const PORT = process.env.PORT || 3001;
 
+// Behind a proxy (TRUST_PROXY=1 for one hop) the client IP comes from X-Forwarded-For
+if (process.env.TRUST_PROXY) {
+  const hops = Number(process.env.TRUST_PROXY);
+  app.set('trust proxy', Number.isInteger(hops) ? hops : process.env.TRUST_PROXY);
+}
+
 // Middleware
 app.use(cors());
+
+// Optional API keys (comma-separated API_KEYS) for server-to-server clients and a
+// request budget per client IP
+const apiKeys = (process.env.API_KEYS || '').split(',').map(key => key.trim()).filter(Boolean);
+app.use('/api', requireApiKey(apiKeys));
+app.use('/api', rateLimit(new RateLimiter({
+  max: parseInt(process.env.RATE_LIMIT_MAX_REQUESTS),
+  windowMs: parseInt(process.env.RATE_LIMIT_WINDOW)
+})));
+
 app.use(express.json());
 
 
 
 // REAL ROUTING ENDPOINT - Use this for actual pathfinding
-app.post('/api/route', (req, res) => routeController.calculateRoute(req, res));
+app.post('/api/route', (req, res, next) => routeController.calculateRoute(req, res, next));
+
+// Download a route as GPX, KML, GeoJSON or encoded polyline
+app.post('/api/route/export', (req, res, next) => routeController.exportRoute(req, res, next));
+
+// Areas reachable from a point within given travel times
+app.post('/api/isochrone', (req, res, next) => routeController.calculateIsochrone(req, res, next));
+
+// Distance and duration between every source and every destination
+app.post('/api/matrix', (req, res, next) => routeController.calculateMatrix(req, res, next));
+
+// Best order to visit a set of stops, routed leg by leg
+app.post('/api/optimize', (req, res, next) => routeController.optimizeRoute(req, res, next));
+
+// Place names, addresses or "lat, lng" text to coordinates
+app.get('/api/geocode', (req, res, next) => geocodeController.geocode(req, res, next));
+
+// Nearest named road to a point ("Near <street>")
+app.get('/api/reverse', (req, res, next) => geocodeController.reverse(req, res, next));
 
 // Cache statistics endpoint  
 app.get('/api/cache-stats', (req, res) => routeController.getCacheStats(req, res));
 
 
-// Error handling middleware
-app.use((err, req, res, next) => {
-  console.error('Error:', err);
-  res.status(500).json({ 
-    error: 'Internal server error',
-    message: err.message 
-  });
-});
-
 // 404 handler
-app.use((req, res) => {
-  res.status(404).json({ 
-    error: 'Route not found',
-    path: req.originalUrl 
-  });
-});
+app.use(notFoundHandler);
+
+// Error handling middleware: typed errors become {error, code, details} with their status
+app.use(errorHandler);
 
 // Start server
 app.listen(PORT,()=>{
 console.log(`Server is running on port ${PORT}`);
 })
 
+// Load a local OSM extract up front instead of on the first route request
+if (osmService.dataSource.load) {
+  osmService.dataSource.load().catch(error => console.error('❌', error.message));
+}
+
+// Index the local place search extract up front as well
+if (geocodingService.provider.load) {
+  geocodingService.provider.load().catch(error => console.error('❌', error.message));
+}
+
+// Reload graphs cached on disk by earlier runs
+routeController.graphCache.load();
+
 module.exports = app;
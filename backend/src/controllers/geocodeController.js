@@ -0,0 +1,105 @@
+const geocodingService = require('../services/geocodingService');
+const routeController = require('./routeController');
+const { ValidationError, NotFoundError } = require('../utils/errors');
+const {
+  GEOCODE_DEFAULT_LIMIT,
+  MAX_GEOCODE_LIMIT,
+  MAX_GEOCODE_QUERY_LENGTH,
+  MAX_REVERSE_GEOCODE_DISTANCE
+} = require('../utils/constants');
+
+class GeocodeController {
+  /**
+   * Resolve a place name, address or "lat, lng" text to coordinates
+   * Query parameters: q (required), limit, and lat/lng to prefer results near a point.
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next function
+   */
+  async geocode(req, res, next) {
+    try {
+      const query = typeof req.query.q === 'string' ? req.query.q.trim() : '';
+      if (!query || query.length > MAX_GEOCODE_QUERY_LENGTH) {
+        return next(new ValidationError(`Invalid query. Please provide a place name or address of up to ${MAX_GEOCODE_QUERY_LENGTH} characters.`));
+      }
+
+      const limit = req.query.limit === undefined ? GEOCODE_DEFAULT_LIMIT : Number(req.query.limit);
+      if (!Number.isInteger(limit) || limit < 1 || limit > MAX_GEOCODE_LIMIT) {
+        return next(new ValidationError(`Invalid limit. Expected a whole number from 1 to ${MAX_GEOCODE_LIMIT}.`));
+      }
+
+      let near;
+      if (req.query.lat !== undefined || req.query.lng !== undefined) {
+        near = { lat: Number(req.query.lat), lng: Number(req.query.lng) };
+        if (!(near.lat >= -90 && near.lat <= 90 && near.lng >= -180 && near.lng <= 180)) {
+          return next(new ValidationError('Invalid lat/lng. Both are needed to prefer results near a point.'));
+        }
+      }
+
+      console.log(`🔎 Geocoding "${query}" with ${geocodingService.provider.name}`);
+      const results = await geocodingService.search(query, { limit, near });
+
+      res.json({
+        success: true,
+        query: query,
+        results: results,
+        provider: geocodingService.provider.name
+      });
+
+    } catch (error) {
+      console.error('❌ Geocoding failed:', error.message);
+      next(error);
+    }
+  }
+
+  /**
+   * Find the nearest named road to a point
+   * Query parameters: lat and lng (required). Road names come from a routing
+   * graph already in memory covering the point when there is one, otherwise
+   * from the geocoding provider (the offline index with GEOCODER=local).
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next function
+   */
+  async reverse(req, res, next) {
+    try {
+      const point = { lat: Number(req.query.lat), lng: Number(req.query.lng) };
+      if (req.query.lat === undefined || req.query.lng === undefined || !routeController.isValidPoint(point)) {
+        return next(new ValidationError('Invalid coordinates. Please provide lat and lng query parameters.'));
+      }
+
+      let road = routeController.findNearestRoad(point);
+      let source = 'graph';
+      if (!road) {
+        console.log(`📍 Reverse geocoding [${point.lat}, ${point.lng}] with ${geocodingService.provider.name}`);
+        road = await geocodingService.reverse(point);
+        source = geocodingService.provider.name;
+      }
+
+      if (!road) {
+        return next(new NotFoundError(`No named road found within ${MAX_REVERSE_GEOCODE_DISTANCE * 1000} meters of this point.`,
+          { maxDistance: MAX_REVERSE_GEOCODE_DISTANCE }));
+      }
+
+      res.json({
+        success: true,
+        lat: point.lat,
+        lng: point.lng,
+        road: {
+          name: road.name,
+          type: road.type,
+          distance: Math.round(road.distance * 1000) / 1000,
+          lat: road.lat,
+          lng: road.lng
+        },
+        source: source
+      });
+
+    } catch (error) {
+      console.error('❌ Reverse geocoding failed:', error.message);
+      next(error);
+    }
+  }
+}
+
+module.exports = new GeocodeController();
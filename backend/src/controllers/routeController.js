@@ -1,41 +1,92 @@
+const path = require('path');
 const osmService = require('../services/osmService');
 const GraphService = require('../services/graphService');
 const DijkstraService = require('../services/dijkstraService');
+const GraphCache = require('../services/graphCache');
+const ConcurrencyLimiter = require('../utils/concurrencyLimiter');
+const IsochroneService = require('../services/isochroneService');
+const { parseAvoidOptions } = require('../utils/avoid');
+const { getTileKey, getRadiusPadding } = require('../utils/tiles');
+const { snapToRoad } = require('../utils/snapping');
+const {
+  ValidationError,
+  SnapFailedError,
+  NoPathError,
+  AreaTooLargeError,
+  DistanceTooLargeError
+} = require('../utils/errors');
+const { calculateDistance } = require('../utils/distance');
+const { exportRoute } = require('../utils/routeExport');
+const { optimizeStopOrder, getTourCost } = require('../utils/stopOrder');
+const {
+  ROUTING_ALGORITHMS,
+  ROUTE_OPTIMIZATIONS,
+  TRAVEL_PROFILES,
+  DEFAULT_PROFILE,
+  MAX_WAYPOINTS,
+  MAX_ALTERNATIVES,
+  MAX_SNAP_DISTANCE,
+  GRAPH_CACHE_TTL,
+  ROUTE_PADDING,
+  ROUTE_PADDING_GROWTH,
+  MAX_ROUTE_PADDING,
+  AREA_EDGE_MARGIN,
+  MAX_DETOUR_RATIO,
+  MIN_DETOUR_CHECK_DISTANCE,
+  ROUTE_EXPORT_FORMATS,
+  ISOCHRONE_DEFAULT_MINUTES,
+  MAX_ISOCHRONE_MINUTES,
+  MAX_ISOCHRONE_BANDS,
+  MAX_MATRIX_LOCATIONS,
+  MAX_MATRIX_ELEMENTS,
+  MAX_OPTIMIZE_STOPS,
+  MAX_REVERSE_GEOCODE_DISTANCE,
+  REQUEST_LIMITS
+} = require('../utils/constants');
+
+const UNNAMED_ROAD = 'Unnamed Road';
 
 class RouteController {
   constructor() {
-    this.graphCache = new Map(); // Cache graphs by area
-    this.cacheTimeout = 10 * 60 * 1000; // 10 minutes
+    // Graphs are cached by area and persisted to GRAPH_CACHE_DIR so they survive restarts
+    this.graphCache = new GraphCache({
+      directory: process.env.GRAPH_CACHE_DIR || path.join(__dirname, '../../.cache/graphs'),
+      ttl: parseInt(process.env.GRAPH_CACHE_TTL) || GRAPH_CACHE_TTL
+    });
+    this.maxPadding = parseFloat(process.env.MAX_ROUTE_PADDING) || MAX_ROUTE_PADDING;
+    
+    // Per-profile distance and area limits, overridable with MAX_<PROFILE>_DISTANCE and MAX_<PROFILE>_AREA
+    this.requestLimits = this.loadRequestLimits();
+    
+    // Building a graph is the expensive part of a request; only a few run at once
+    const maxQueued = parseInt(process.env.MAX_QUEUED_GRAPH_BUILDS);
+    this.graphBuilds = new ConcurrencyLimiter({
+      max: parseInt(process.env.MAX_CONCURRENT_GRAPH_BUILDS),
+      maxQueued: maxQueued >= 0 ? maxQueued : undefined
+    });
   }
 
   /**
-   * Calculate shortest route between two points
+   * Calculate shortest route between two points, optionally via intermediate waypoints
    * @param {Object} req - Express request object
    * @param {Object} res - Express response object
+   * @param {Function} next - Express next function
    */
-  async calculateRoute(req, res) {
+  async calculateRoute(req, res, next) {
     try {
-      const { source, destination } = req.body;
-      
-      // Validate input
-      if (!this.validateCoordinates(source, destination)) {
-        return res.status(400).json({
-          error: 'Invalid coordinates. Please provide valid source and destination with lat/lng.'
-        });
+      const { error, options } = this.validateRouteRequest(req.body);
+      if (error) {
+        return next(new ValidationError(error));
       }
       
-      console.log(`🗺️  Route request: [${source.lat}, ${source.lng}] → [${destination.lat}, ${destination.lng}]`);
+      const { source, destination, waypoints, profile, optimize } = options;
+      console.log(`🗺️  Route request (${profile}): [${source.lat}, ${source.lng}] → [${destination.lat}, ${destination.lng}]` +
+        (waypoints.length > 0 ? ` via ${waypoints.length} stops` : ''));
       
       const startTime = Date.now();
       
-      // Step 1: Get or build road graph
-      console.log('📡 Fetching road network data...');
-      const graph = await this.getOrBuildGraph(source, destination);
-      
-      // Step 2: Find shortest path using Dijkstra
-      console.log('🔍 Finding shortest path...');
-      const dijkstraService = new DijkstraService();
-      const result = await dijkstraService.findShortestPath(graph, source, destination);
+      // Steps 1 & 2: Get or build the road graph and find the shortest path
+      const { graph, result, alternativeRoutes, expansions } = await this.computeRoute(options);
       
       const processingTime = Date.now() - startTime;
       
@@ -45,13 +96,26 @@ class RouteController {
         path: result.path,
         distance: parseFloat(result.distance.toFixed(3)), // km
         duration: result.duration, // minutes
+        instructions: result.instructions,
+        legs: result.legs,
+        snappedPoints: result.snappedPoints,
+        alternatives: alternativeRoutes.map(route => this.formatAlternative(route, optimize)),
+        profile: profile,
+        optimize: optimize,
         metrics: {
-          totalWeight: parseFloat(result.totalWeight.toFixed(2)),
+          totalWeight: parseFloat(result.totalWeight.toFixed(optimize === 'fastest' ? 4 : 2)),
           nodeCount: result.nodeCount,
+          algorithm: result.algorithm,
+          nodesExplored: result.nodesExplored,
+          iterations: result.iterations,
           processingTime: `${processingTime}ms`,
+          areaExpansions: expansions,
           graphStats: {
             nodes: graph.nodes.size,
-            edges: graph.edges.size
+            edges: graph.edges.size,
+            oneWaySegments: graph.stats?.oneWaySegments || 0,
+            turnRestrictions: graph.stats?.turnRestrictions || 0,
+            waysWithMaxspeed: graph.stats?.waysWithMaxspeed || 0
           }
         },
         debug: {
@@ -64,138 +128,719 @@ class RouteController {
       
     } catch (error) {
       console.error('❌ Route calculation failed:', error.message);
+      next(error);
+    }
+  }
+
+  /**
+   * Calculate a route and download it as GPX, KML, GeoJSON or an encoded polyline
+   * Accepts the same body as calculateRoute plus `format`; alternatives are not exported.
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next function
+   */
+  async exportRoute(req, res, next) {
+    try {
+      const { format } = req.body;
+      if (!ROUTE_EXPORT_FORMATS.includes(format)) {
+        return next(new ValidationError(`Invalid format. Expected one of: ${ROUTE_EXPORT_FORMATS.join(', ')}.`));
+      }
       
-      // Determine error type and response
-      if (error.message.includes('No road data found')) {
-        res.status(404).json({
-          error: 'No roads found in the specified area. Try a different location.',
-          details: error.message
-        });
-      } else if (error.message.includes('Could not find nearby intersections')) {
-        res.status(404).json({
-          error: 'No nearby intersections found. Try clicking closer to roads.',
-          details: error.message
-        });
-      } else if (error.message.includes('No route found') || error.message.includes('No path exists')) {
-        res.status(404).json({
-          error: 'No route exists between these points. They may be on disconnected road networks.',
-          details: error.message
-        });
-      } else if (error.message.includes('timed out')) {
-        res.status(408).json({
-          error: 'Request timed out. Try a smaller area or try again later.',
-          details: error.message
-        });
-      } else {
-        res.status(500).json({
-          error: 'Internal server error during route calculation.',
-          details: process.env.NODE_ENV === 'development' ? error.message : 'Please try again later.'
-        });
+      const { error, options } = this.validateRouteRequest({ ...req.body, alternatives: 0 });
+      if (error) {
+        return next(new ValidationError(error));
       }
+      
+      console.log(`📤 Route export (${format}, ${options.profile})`);
+      const { result } = await this.computeRoute(options);
+      
+      const file = exportRoute(result, format, {
+        name: `${result.distance.toFixed(1)} km ${options.profile} route`
+      });
+      
+      res.set('Content-Type', file.contentType);
+      res.set('Content-Disposition', `attachment; filename="route.${file.extension}"`);
+      res.send(file.content);
+      
+    } catch (error) {
+      console.error('❌ Route export failed:', error.message);
+      next(error);
     }
   }
 
   /**
-   * Get cached graph or build new one
+   * Calculate the areas reachable from a point within one or more travel times
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next function
+   */
+  async calculateIsochrone(req, res, next) {
+    try {
+      const { origin, minutes = ISOCHRONE_DEFAULT_MINUTES, profile = DEFAULT_PROFILE, avoid } = req.body;
+      
+      if (!this.isValidPoint(origin)) {
+        return next(new ValidationError('Invalid origin. Please provide a point with valid lat/lng.'));
+      }
+      
+      if (!Array.isArray(minutes) || minutes.length === 0 || minutes.length > MAX_ISOCHRONE_BANDS ||
+          !minutes.every(value => typeof value === 'number' && value > 0 && value <= MAX_ISOCHRONE_MINUTES)) {
+        return next(new ValidationError(`Invalid minutes. Provide up to ${MAX_ISOCHRONE_BANDS} travel times between 0 and ${MAX_ISOCHRONE_MINUTES} minutes.`));
+      }
+      
+      if (!Object.prototype.hasOwnProperty.call(TRAVEL_PROFILES, profile)) {
+        return next(new ValidationError(`Invalid profile. Expected one of: ${Object.keys(TRAVEL_PROFILES).join(', ')}.`));
+      }
+      
+      const avoidOptions = parseAvoidOptions(avoid);
+      
+      const limits = [...new Set(minutes)].sort((a, b) => a - b);
+      console.log(`🕒 Isochrone request (${profile}): [${origin.lat}, ${origin.lng}] within ${limits.join(', ')} min`);
+      
+      const startTime = Date.now();
+      
+      // Step 1: Get or build a graph around the origin, as far out as the largest band could reach
+      const isochroneService = new IsochroneService();
+      const radius = isochroneService.getSearchRadius(profile, limits[limits.length - 1]); // km
+      const { graph } = await this.getOrBuildGraph(origin, origin, profile, [], getRadiusPadding(origin.lat, radius));
+      
+      // Step 2: One search from the origin, outlined once per band
+      const result = isochroneService.calculate(graph, origin, limits, { avoid: avoidOptions });
+      
+      const processingTime = Date.now() - startTime;
+      
+      res.json({
+        success: true,
+        origin: result.origin,
+        profile: profile,
+        isochrones: {
+          type: 'FeatureCollection',
+          features: result.features
+        },
+        metrics: {
+          nodesExplored: result.nodesExplored,
+          searchRadius: parseFloat(radius.toFixed(2)), // km
+          processingTime: `${processingTime}ms`,
+          graphStats: {
+            nodes: graph.nodes.size,
+            edges: graph.edges.size
+          }
+        }
+      });
+      
+      console.log(`✅ Isochrone calculated in ${processingTime}ms: ${result.nodesExplored} nodes explored`);
+      
+    } catch (error) {
+      console.error('❌ Isochrone calculation failed:', error.message);
+      next(error);
+    }
+  }
+
+  /**
+   * Calculate distance and duration matrices between sets of points
+   * One graph covers every point and one search runs per source; paths are only
+   * returned when `includePaths` is set.
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next function
+   */
+  async calculateMatrix(req, res, next) {
+    try {
+      const { sources, destinations, profile = DEFAULT_PROFILE, optimize = 'preferred', includePaths = false, avoid } = req.body;
+      
+      const isValidList = points => Array.isArray(points) && points.length > 0 &&
+        points.length <= MAX_MATRIX_LOCATIONS && points.every(point => this.isValidPoint(point));
+      
+      if (!isValidList(sources) || !isValidList(destinations)) {
+        return next(new ValidationError(`Invalid sources or destinations. Provide 1 to ${MAX_MATRIX_LOCATIONS} points with valid lat/lng for each.`));
+      }
+      
+      if (sources.length * destinations.length > MAX_MATRIX_ELEMENTS) {
+        return next(new ValidationError(`Matrix too large. At most ${MAX_MATRIX_ELEMENTS} source/destination pairs are allowed per request.`));
+      }
+      
+      const travelOptions = this.validateTravelOptions({ profile, optimize, avoid });
+      if (travelOptions.error) {
+        return next(new ValidationError(travelOptions.error));
+      }
+      
+      this.checkDistanceLimit([...sources, ...destinations], profile, false);
+      
+      console.log(`🧮 Matrix request (${profile}): ${sources.length} sources × ${destinations.length} destinations`);
+      
+      const startTime = Date.now();
+      
+      // Step 1: Get or build one graph around every point
+      const tiles = osmService.getAreaTiles([...sources, ...destinations]);
+      const { graph } = await this.getOrBuildTileGraph(tiles, profile);
+      
+      // Step 2: One search per source to all destinations
+      const dijkstraService = new DijkstraService();
+      const result = dijkstraService.findDistanceMatrix(graph, sources, destinations, {
+        ...travelOptions.options,
+        includePaths: includePaths === true
+      });
+      
+      const processingTime = Date.now() - startTime;
+      
+      res.json({
+        success: true,
+        distances: result.distances, // km, null if unreachable
+        durations: result.durations, // minutes, null if unreachable
+        ...(result.paths ? { paths: result.paths } : {}),
+        sources: result.sources,
+        destinations: result.destinations,
+        profile: profile,
+        optimize: optimize,
+        metrics: {
+          nodesExplored: result.nodesExplored,
+          processingTime: `${processingTime}ms`,
+          graphStats: {
+            nodes: graph.nodes.size,
+            edges: graph.edges.size
+          }
+        }
+      });
+      
+      const unreachable = result.distances.flat().filter(distance => distance === null).length;
+      console.log(`✅ Matrix calculated in ${processingTime}ms` + (unreachable > 0 ? ` (${unreachable} unreachable pairs)` : ''));
+      
+    } catch (error) {
+      console.error('❌ Matrix calculation failed:', error.message);
+      next(error);
+    }
+  }
+
+  /**
+   * Find the best order to visit a set of stops, then route it
+   * The stops are ordered on the network distance matrix of the cached graph
+   * (nearest neighbour plus 2-opt/Or-opt), optionally keeping the first and
+   * last stop in place, and ending at `end` if given.
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next function
+   */
+  async optimizeRoute(req, res, next) {
+    try {
+      const {
+        start,
+        end = null,
+        stops,
+        fixFirst = false,
+        fixLast = false,
+        profile = DEFAULT_PROFILE,
+        optimize = 'preferred',
+        avoid
+      } = req.body;
+      
+      if (!this.isValidPoint(start) || (end !== null && !this.isValidPoint(end))) {
+        return next(new ValidationError('Invalid coordinates. Please provide a valid start (and optional end) with lat/lng.'));
+      }
+      
+      if (!Array.isArray(stops) || stops.length === 0 || stops.length > MAX_OPTIMIZE_STOPS ||
+          !stops.every(point => this.isValidPoint(point))) {
+        return next(new ValidationError(`Invalid stops. Please provide 1 to ${MAX_OPTIMIZE_STOPS} stops with valid lat/lng.`));
+      }
+      
+      const travelOptions = this.validateTravelOptions({ profile, optimize, avoid });
+      if (travelOptions.error) {
+        return next(new ValidationError(travelOptions.error));
+      }
+      
+      this.checkDistanceLimit([start, ...stops, ...(end ? [end] : [])], profile, false);
+      
+      console.log(`🚚 Stop order request (${profile}): ${stops.length} stops` + (end ? ' to a fixed end' : ''));
+      
+      const startTime = Date.now();
+      
+      // Step 1: Get or build one graph around every point
+      const points = [start, ...stops, ...(end ? [end] : [])];
+      const { graph } = await this.getOrBuildTileGraph(osmService.getAreaTiles(points), profile);
+      
+      // Step 2: Network costs between every pair of points, then order the stops
+      const dijkstraService = new DijkstraService();
+      const matrix = dijkstraService.findDistanceMatrix(graph, points, points, travelOptions.options);
+      
+      const unsnapped = matrix.sources.findIndex(snap => snap === null);
+      if (unsnapped !== -1) {
+        const name = unsnapped === 0 ? 'Start' : end && unsnapped === points.length - 1 ? 'End' : `Stop ${unsnapped}`;
+        throw new SnapFailedError(`${name} point is too far from any road`, { point: name.toLowerCase(), maxDistance: MAX_SNAP_DISTANCE });
+      }
+      
+      const order = optimizeStopOrder(matrix.weights, { hasEnd: Boolean(end), fixFirst, fixLast });
+      const orderedStops = order.map(index => stops[index]);
+      const visits = [0, ...order.map(index => index + 1), ...(end ? [points.length - 1] : [])];
+      
+      if (getTourCost(matrix.weights, visits) === Infinity) {
+        throw new NoPathError('No route found that visits every stop');
+      }
+      
+      // Step 3: Route the legs in the chosen order
+      const result = await dijkstraService.findMultiStopPath(graph, [start, ...orderedStops, ...(end ? [end] : [])], travelOptions.options);
+      
+      const processingTime = Date.now() - startTime;
+      
+      // Distance of visiting the stops in the order given, for comparison
+      const givenLegs = points.slice(1).map((_, index) => matrix.distances[index][index + 1]);
+      const givenDistance = givenLegs.includes(null) ? null : givenLegs.reduce((sum, distance) => sum + distance, 0);
+      
+      res.json({
+        success: true,
+        order: order, // indices into the given stops, in visiting order
+        stops: orderedStops,
+        path: result.path,
+        distance: parseFloat(result.distance.toFixed(3)), // km
+        duration: result.duration, // minutes
+        instructions: result.instructions,
+        legs: result.legs,
+        snappedPoints: result.snappedPoints,
+        profile: profile,
+        optimize: optimize,
+        metrics: {
+          givenOrderDistance: givenDistance === null ? null : parseFloat(givenDistance.toFixed(3)), // km
+          nodesExplored: matrix.nodesExplored + result.nodesExplored,
+          processingTime: `${processingTime}ms`,
+          graphStats: {
+            nodes: graph.nodes.size,
+            edges: graph.edges.size
+          }
+        }
+      });
+      
+      console.log(`✅ Stops ordered in ${processingTime}ms: ${result.distance.toFixed(2)}km, ${result.duration}min`);
+      
+    } catch (error) {
+      console.error('❌ Stop ordering failed:', error.message);
+      next(error);
+    }
+  }
+
+  /**
+   * Validate a route request body and fill in defaults
+   * @param {Object} body - Request body
+   * @returns {Object} {options} with parsed avoid options, or {error} with a message
+   */
+  validateRouteRequest(body = {}) {
+    const {
+      source,
+      destination,
+      waypoints = [],
+      algorithm = 'dijkstra',
+      profile = DEFAULT_PROFILE,
+      optimize = 'preferred',
+      alternatives = 0,
+      avoid
+    } = body;
+    
+    // Validate input
+    if (!Array.isArray(waypoints) || waypoints.length > MAX_WAYPOINTS ||
+        !waypoints.every(point => this.isValidPoint(point))) {
+      return {
+        error: `Invalid waypoints. Please provide up to ${MAX_WAYPOINTS} stops with valid lat/lng.`
+      };
+    }
+    
+    if (!this.validateCoordinates(source, destination, waypoints.length > 0)) {
+      return {
+        error: 'Invalid coordinates. Please provide valid source and destination with lat/lng.'
+      };
+    }
+    
+    if (!Number.isInteger(alternatives) || alternatives < 0 || alternatives > MAX_ALTERNATIVES) {
+      return {
+        error: `Invalid alternatives. Expected a whole number from 0 to ${MAX_ALTERNATIVES}.`
+      };
+    }
+    
+    if (alternatives > 0 && waypoints.length > 0) {
+      return {
+        error: 'Alternative routes are only available for routes without waypoints.'
+      };
+    }
+    
+    let avoidOptions;
+    try {
+      avoidOptions = parseAvoidOptions(avoid);
+    } catch (error) {
+      return { error: error.message };
+    }
+    
+    if (!ROUTING_ALGORITHMS.includes(algorithm)) {
+      return {
+        error: `Invalid algorithm. Expected one of: ${ROUTING_ALGORITHMS.join(', ')}.`
+      };
+    }
+    
+    if (!ROUTE_OPTIMIZATIONS.includes(optimize)) {
+      return {
+        error: `Invalid optimize option. Expected one of: ${ROUTE_OPTIMIZATIONS.join(', ')}.`
+      };
+    }
+    
+    if (!Object.prototype.hasOwnProperty.call(TRAVEL_PROFILES, profile)) {
+      return {
+        error: `Invalid profile. Expected one of: ${Object.keys(TRAVEL_PROFILES).join(', ')}.`
+      };
+    }
+    
+    return {
+      options: { source, destination, waypoints, algorithm, profile, optimize, alternatives, avoid: avoidOptions }
+    };
+  }
+
+  /**
+   * Validate the travel options shared by the matrix and stop ordering endpoints
+   * @param {Object} options - {profile, optimize, avoid} as sent by the client
+   * @returns {Object} {options: {optimize, avoid}} with parsed avoid options, or {error} with a message
+   */
+  validateTravelOptions({ profile, optimize, avoid }) {
+    if (!Object.prototype.hasOwnProperty.call(TRAVEL_PROFILES, profile)) {
+      return {
+        error: `Invalid profile. Expected one of: ${Object.keys(TRAVEL_PROFILES).join(', ')}.`
+      };
+    }
+    
+    if (!ROUTE_OPTIMIZATIONS.includes(optimize)) {
+      return {
+        error: `Invalid optimize option. Expected one of: ${ROUTE_OPTIMIZATIONS.join(', ')}.`
+      };
+    }
+    
+    try {
+      return { options: { optimize, avoid: parseAvoidOptions(avoid) } };
+    } catch (error) {
+      return { error: error.message };
+    }
+  }
+
+  /**
+   * Build (or reuse) the road graph and find the route with the requested algorithm,
+   * leg by leg, widening the area if needed
+   * @param {Object} options - Validated options from validateRouteRequest
+   * @returns {Promise<Object>} {graph, result, alternativeRoutes, expansions}
+   */
+  async computeRoute(options) {
+    const { source, destination, waypoints, algorithm, profile, optimize, alternatives, avoid } = options;
+    
+    this.checkDistanceLimit([source, ...waypoints, destination], profile);
+    
+    const { graph, route, expansions } = await this.findRouteWithExpansion(
+      source, destination, profile, waypoints,
+      async graph => {
+        console.log(`🔍 Finding shortest path with ${algorithm}...`);
+        const dijkstraService = new DijkstraService();
+        
+        if (alternatives > 0) {
+          const [best, ...others] = await dijkstraService.findAlternativePaths(
+            graph, source, destination, { algorithm, optimize, avoid }, alternatives
+          );
+          return { result: dijkstraService.combineLegs([best]), alternativeRoutes: others };
+        }
+        
+        const result = await dijkstraService.findMultiStopPath(graph, [source, ...waypoints, destination], {
+          algorithm, optimize, avoid
+        });
+        return { result, alternativeRoutes: [] };
+      }
+    );
+    
+    return { graph, ...route, expansions };
+  }
+
+  /**
+   * Shape an alternative route for the response
+   * @param {Object} route - Result of DijkstraService.findAlternativePaths
+   * @param {string} optimize - Active optimization (controls weight precision)
+   * @returns {Object} {path, distance, duration, instructions, overlap, totalWeight}
+   */
+  formatAlternative(route, optimize) {
+    return {
+      path: route.path,
+      distance: parseFloat(route.distance.toFixed(3)), // km
+      duration: route.duration, // minutes
+      instructions: route.instructions,
+      overlap: parseFloat(route.overlap.toFixed(2)), // share of distance on better routes
+      totalWeight: parseFloat(route.totalWeight.toFixed(optimize === 'fastest' ? 4 : 2))
+    };
+  }
+
+  /**
+   * Build the graph for a route and search it, fetching a larger area when
+   * the route looks cut off by the edge of the fetched tiles
+   * Each retry multiplies the corridor padding by ROUTE_PADDING_GROWTH until
+   * the route is fine or the padding limit is reached.
    * @param {Object} source - Source coordinates
    * @param {Object} destination - Destination coordinates
-   * @returns {Object} Graph object
+   * @param {string} profile - Travel profile
+   * @param {Array} waypoints - Intermediate stops
+   * @param {Function} findRoute - graph -> Promise<{result, ...}> running the search
+   * @returns {Promise<Object>} {graph, route (from findRoute), expansions, padding}
    */
-  async getOrBuildGraph(source, destination) {
-    // Create cache key based on area
-    const cacheKey = this.createCacheKey(source, destination);
+  async findRouteWithExpansion(source, destination, profile, waypoints, findRoute) {
+    const points = [source, ...waypoints, destination];
+    let padding = ROUTE_PADDING;
+    let expansions = 0;
+    let previousTiles = null;
+    let outcome = null;
     
-    // Check if we have a cached graph
-    const cached = this.graphCache.get(cacheKey);
-    if (cached && Date.now() - cached.timestamp < this.cacheTimeout) {
-      console.log('📋 Using cached graph');
-      return cached.graph;
+    for (;;) {
+      const tiles = osmService.getRouteTiles(points, padding);
+      
+      // Never widen past the profile's area limit (the first attempt reports it instead)
+      if (previousTiles !== null && !this.isWithinAreaLimit(tiles, profile)) {
+        break;
+      }
+      
+      // A slightly larger padding does not always reach a new tile
+      if (tiles.join() !== previousTiles) {
+        if (previousTiles !== null) {
+          expansions++;
+          console.log(`🔭 Expanding search area (padding ${padding.toFixed(3)}°, expansion ${expansions})`);
+        }
+        previousTiles = tiles.join();
+        
+        console.log('📡 Fetching road network data...');
+        const built = await this.getOrBuildGraph(source, destination, profile, waypoints, padding);
+        
+        try {
+          outcome = { graph: built.graph, route: await findRoute(built.graph) };
+        } catch (error) {
+          if (!(error instanceof NoPathError)) {
+            throw error;
+          }
+          outcome = { error };
+        }
+        
+        if (outcome.route && !this.isRouteCutOff(outcome.route.result, points, built.tiles)) {
+          break;
+        }
+      }
+      
+      if (padding * ROUTE_PADDING_GROWTH > this.maxPadding) {
+        break; // Give up widening; return the best we have
+      }
+      padding *= ROUTE_PADDING_GROWTH;
     }
     
-    // Fetch new OSM data
-    const osmData = await osmService.getRoadData(source, destination);
+    if (outcome.error) {
+      throw outcome.error;
+    }
     
-    // Build graph from OSM data
-    const graphService = new GraphService();
-    const graphResult = graphService.buildGraph(osmData);
+    return { ...outcome, expansions, padding };
+  }
+
+  /**
+   * Check whether a route may be distorted by the limits of the fetched area:
+   * it runs along the edge of the covered tiles, or it is a long way round
+   * compared to the straight line between the stops
+   * @param {Object} result - Route with path [{lat, lng}] and distance (km)
+   * @param {Array} points - Route stops in order
+   * @param {Array} tiles - Tile keys the graph was built from
+   * @returns {boolean} True if a larger area might give a better route
+   */
+  isRouteCutOff(result, points, tiles) {
+    const covered = new Set(tiles);
+    const offsets = [[AREA_EDGE_MARGIN, 0], [-AREA_EDGE_MARGIN, 0], [0, AREA_EDGE_MARGIN], [0, -AREA_EDGE_MARGIN]];
     
-    // Cache the graph
-    this.graphCache.set(cacheKey, {
-      graph: graphResult.graph,
-      timestamp: Date.now(),
-      stats: graphResult.stats
-    });
+    const touchesEdge = result.path.some(point =>
+      offsets.some(([dLat, dLng]) => !covered.has(getTileKey(point.lat + dLat, point.lng + dLng)))
+    );
+    if (touchesEdge) {
+      console.log('⚠️  Route runs along the edge of the fetched area');
+      return true;
+    }
+    
+    let straightLine = 0;
+    for (let i = 0; i < points.length - 1; i++) {
+      straightLine += calculateDistance(points[i].lat, points[i].lng, points[i + 1].lat, points[i + 1].lng);
+    }
     
-    // Clean old cache entries
-    this.cleanCache();
+    if (straightLine >= MIN_DETOUR_CHECK_DISTANCE && result.distance / straightLine > MAX_DETOUR_RATIO) {
+      console.log(`⚠️  Route is ${(result.distance / straightLine).toFixed(1)}x the straight-line distance`);
+      return true;
+    }
     
-    return graphResult.graph;
+    return false;
   }
 
   /**
-   * Create cache key from coordinates
+   * Get cached graph or build new one
+   * Any cached graph for the profile that covers all tiles along the route is reused.
    * @param {Object} source - Source coordinates
    * @param {Object} destination - Destination coordinates
-   * @returns {string} Cache key
+   * @param {string} profile - Travel profile the graph is built for
+   * @param {Array} waypoints - Intermediate stops the graph must also cover
+   * @param {number|Object} padding - Corridor half-width in degrees, or {lat, lng} (default: ROUTE_PADDING)
+   * @returns {Promise<Object>} {graph, tiles} with the tiles the graph covers
    */
-  createCacheKey(source, destination) {
-    // Round coordinates to create area-based caching
-    const precision = 100; // ~1km precision
-    const roundedSouth = Math.floor(Math.min(source.lat, destination.lat) * precision) / precision;
-    const roundedNorth = Math.ceil(Math.max(source.lat, destination.lat) * precision) / precision;
-    const roundedWest = Math.floor(Math.min(source.lng, destination.lng) * precision) / precision;
-    const roundedEast = Math.ceil(Math.max(source.lng, destination.lng) * precision) / precision;
+  async getOrBuildGraph(source, destination, profile = DEFAULT_PROFILE, waypoints = [], padding = ROUTE_PADDING) {
+    // Tiles the graph has to cover: a corridor along the route
+    const tiles = osmService.getRouteTiles([source, ...waypoints, destination], padding);
+    return this.getOrBuildTileGraph(tiles, profile);
+  }
+
+  /**
+   * Get a cached graph covering a set of tiles, or fetch the tiles and build one
+   * @param {Array} tiles - Tile keys the graph has to cover
+   * @param {string} profile - Travel profile the graph is built for
+   * @returns {Promise<Object>} {graph, tiles} with the tiles the graph covers
+   */
+  async getOrBuildTileGraph(tiles, profile = DEFAULT_PROFILE) {
+    this.checkAreaLimit(tiles, profile);
+    
+    // Check if we have a cached graph covering them
+    const cached = await this.graphCache.get(profile, tiles);
+    if (cached) {
+      console.log('📋 Using cached graph');
+      return { graph: cached.graph, tiles: [...cached.tiles] };
+    }
     
-    return `${roundedSouth},${roundedWest},${roundedNorth},${roundedEast}`;
+    return this.graphBuilds.run(async () => {
+      // A build that finished while this one waited may already cover the tiles
+      const built = await this.graphCache.get(profile, tiles);
+      if (built) {
+        console.log('📋 Using graph built while waiting');
+        return { graph: built.graph, tiles: [...built.tiles] };
+      }
+      
+      // Fetch new OSM data
+      const osmData = await osmService.getTileData(tiles, profile);
+      
+      // Build graph from OSM data
+      const graphService = new GraphService({ profile });
+      const graphResult = graphService.buildGraph(osmData);
+      
+      // Cache the graph (in memory and on disk)
+      this.graphCache.set(profile, osmData.tiles, graphResult.graph, graphResult.stats);
+      
+      return { graph: graphResult.graph, tiles: osmData.tiles };
+    });
   }
 
   /**
-   * Clean expired cache entries
+   * Read the per-profile request limits, with environment overrides
+   * @returns {Object} profile -> {maxDistance (km), maxArea (km²)}
    */
-  cleanCache() {
-    const now = Date.now();
-    const keysToDelete = [];
+  loadRequestLimits() {
+    const limits = {};
+    
+    Object.keys(TRAVEL_PROFILES).forEach(profile => {
+      const defaults = REQUEST_LIMITS[profile] || REQUEST_LIMITS[DEFAULT_PROFILE];
+      const prefix = `MAX_${profile.toUpperCase()}`;
+      limits[profile] = {
+        maxDistance: parseFloat(process.env[`${prefix}_DISTANCE`]) || defaults.maxDistance,
+        maxArea: parseFloat(process.env[`${prefix}_AREA`]) || defaults.maxArea
+      };
+    });
     
-    for (const [key, cached] of this.graphCache) {
-      if (now - cached.timestamp > this.cacheTimeout) {
-        keysToDelete.push(key);
+    return limits;
+  }
+
+  /**
+   * Reject requests whose points are too far apart for the profile
+   * Routes are measured along their stops in order; point sets (matrices,
+   * stop ordering) by the diagonal of their bounding box.
+   * @param {Array} points - [{lat, lng}]
+   * @param {string} profile - Travel profile
+   * @param {boolean} ordered - Whether the points are visited in the given order
+   * @throws {DistanceTooLargeError} If the straight-line distance exceeds the limit
+   */
+  checkDistanceLimit(points, profile, ordered = true) {
+    let distance = 0;
+    if (ordered) {
+      for (let i = 1; i < points.length; i++) {
+        distance += calculateDistance(points[i - 1].lat, points[i - 1].lng, points[i].lat, points[i].lng);
       }
+    } else {
+      const lats = points.map(point => point.lat);
+      const lngs = points.map(point => point.lng);
+      distance = calculateDistance(Math.min(...lats), Math.min(...lngs), Math.max(...lats), Math.max(...lngs));
     }
     
-    keysToDelete.forEach(key => this.graphCache.delete(key));
+    const { maxDistance } = this.requestLimits[profile];
+    if (distance > maxDistance) {
+      throw new DistanceTooLargeError(
+        `The points span ${distance.toFixed(1)} km in a straight line; ${profile} requests are limited to ${maxDistance} km.`,
+        { distance: parseFloat(distance.toFixed(1)), maxDistance, profile }
+      );
+    }
+  }
+
+  /**
+   * Check whether the road data for a set of tiles is within the profile's area limit
+   * @param {Array} tiles - Tile keys
+   * @param {string} profile - Travel profile
+   * @returns {boolean}
+   */
+  isWithinAreaLimit(tiles, profile) {
+    return osmService.getTilesArea(tiles) <= this.requestLimits[profile].maxArea;
+  }
+
+  /**
+   * Reject graphs that would need more road data than the profile allows
+   * @param {Array} tiles - Tile keys
+   * @param {string} profile - Travel profile
+   * @throws {AreaTooLargeError} If the tiles cover more than the area limit
+   */
+  checkAreaLimit(tiles, profile) {
+    if (!this.isWithinAreaLimit(tiles, profile)) {
+      const area = osmService.getTilesArea(tiles);
+      const { maxArea } = this.requestLimits[profile];
+      throw new AreaTooLargeError(
+        `The request needs road data for ${area.toFixed(0)} km²; ${profile} requests are limited to ${maxArea} km².`,
+        { area: parseFloat(area.toFixed(1)), maxArea, profile }
+      );
+    }
+  }
+
+  /**
+   * Find the nearest named road to a point in the graphs already in memory
+   * No road data is fetched and no cached graph is read from disk; graphs of
+   * every profile covering the point are searched.
+   * @param {Object} point - {lat, lng}
+   * @param {number} maxDistance - Furthest the road may be from the point (km)
+   * @returns {Object|null} {name, type, distance (km), lat, lng} or null if no graph in memory has one close enough
+   */
+  findNearestRoad(point, maxDistance = MAX_REVERSE_GEOCODE_DISTANCE) {
+    const tiles = [getTileKey(point.lat, point.lng)];
+    const isNamed = edge => Boolean(edge.roadName) && edge.roadName !== UNNAMED_ROAD;
+    let nearest = null;
     
-    if (keysToDelete.length > 0) {
-      console.log(`🧹 Cleaned ${keysToDelete.length} expired cache entries`);
+    for (const profile of Object.keys(TRAVEL_PROFILES)) {
+      const cached = this.graphCache.peek(profile, tiles);
+      if (!cached) continue;
+      
+      const snap = snapToRoad(cached.graph, point, isNamed, maxDistance);
+      if (snap && (!nearest || snap.distance < nearest.distance)) {
+        nearest = {
+          name: snap.forward.roadName,
+          type: snap.forward.roadType,
+          distance: snap.distance,
+          lat: snap.lat,
+          lng: snap.lng
+        };
+      }
     }
+    
+    return nearest;
   }
 
   /**
    * Validate coordinate inputs
    * @param {Object} source - Source coordinates
    * @param {Object} destination - Destination coordinates
+   * @param {boolean} hasWaypoints - Allow source and destination to coincide (round trips via stops)
    * @returns {boolean} True if valid
    */
-  validateCoordinates(source, destination) {
-    if (!source || !destination) {
+  validateCoordinates(source, destination, hasWaypoints = false) {
+    if (!this.isValidPoint(source) || !this.isValidPoint(destination)) {
       return false;
     }
     
-    if (typeof source.lat !== 'number' || typeof source.lng !== 'number' ||
-        typeof destination.lat !== 'number' || typeof destination.lng !== 'number') {
-      return false;
-    }
-    
-    // Check coordinate ranges
-    if (source.lat < -90 || source.lat > 90 || destination.lat < -90 || destination.lat > 90) {
-      return false;
-    }
-    
-    if (source.lng < -180 || source.lng > 180 || destination.lng < -180 || destination.lng > 180) {
-      return false;
+    if (hasWaypoints) {
+      return true;
     }
     
     // Check if points are too close (less than 10 meters)
-    const { calculateDistance } = require('../utils/distance');
     const distance = calculateDistance(source.lat, source.lng, destination.lat, destination.lng);
     if (distance < 0.01) { // 10 meters
       return false;
@@ -204,30 +849,31 @@ class RouteController {
     return true;
   }
 
+  /**
+   * Validate a single {lat, lng} point
+   * @param {Object} point - Coordinates
+   * @returns {boolean} True if valid
+   */
+  isValidPoint(point) {
+    if (!point || typeof point.lat !== 'number' || typeof point.lng !== 'number') {
+      return false;
+    }
+    
+    // Check coordinate ranges
+    return point.lat >= -90 && point.lat <= 90 && point.lng >= -180 && point.lng <= 180;
+  }
+
   /**
    * Get cache statistics
    * @param {Object} req - Express request object
    * @param {Object} res - Express response object
    */
   getCacheStats(req, res) {
-    const stats = {
-      totalCacheEntries: this.graphCache.size,
-      cacheTimeout: this.cacheTimeout,
-      entries: []
-    };
-    
-    for (const [key, cached] of this.graphCache) {
-      stats.entries.push({
-        key: key,
-        age: `${Math.round((Date.now() - cached.timestamp) / 1000)}s`,
-        graphSize: {
-          nodes: cached.graph.nodes.size,
-          edges: cached.graph.edges.size
-        }
-      });
-    }
-    
-    res.json(stats);
+    res.json({
+      ...this.graphCache.getStats(),
+      graphBuilds: this.graphBuilds.getStats(),
+      roadData: osmService.getStats()
+    });
   }
 }
 
@@ -0,0 +1,62 @@
+const { AuthenticationError, RateLimitError } = require('../utils/errors');
+
+/**
+ * Require one of the configured API keys in the X-API-Key header
+ * With no keys configured the API stays open and every request passes. Keys
+ * are meant for server-to-server clients; anything shipped in the browser
+ * app would be readable by every visitor.
+ * @param {Array} keys - Accepted API keys
+ * @returns {Function} Express middleware
+ */
+function requireApiKey(keys = []) {
+  const accepted = new Set(keys);
+
+  return (req, res, next) => {
+    if (accepted.size === 0) {
+      return next();
+    }
+
+    const key = req.get('X-API-Key');
+    if (!key) {
+      return next(new AuthenticationError('An API key is required. Send it in the X-API-Key header.'));
+    }
+    if (!accepted.has(key)) {
+      return next(new AuthenticationError('Unknown API key.'));
+    }
+
+    req.apiKey = key;
+    next();
+  };
+}
+
+/**
+ * Limit how many requests each client makes per window
+ * Clients are told their budget in RateLimit-* headers. Requests are always
+ * counted per IP address, and per key and IP when an API key was sent, so a
+ * shared key never pools the budget of many clients into one bucket.
+ * @param {Object} limiter - RateLimiter
+ * @returns {Function} Express middleware
+ */
+function rateLimit(limiter) {
+  return (req, res, next) => {
+    const key = req.apiKey ? `key:${req.apiKey}:ip:${req.ip}` : `ip:${req.ip}`;
+    const { allowed, limit, remaining, resetAt } = limiter.consume(key);
+    const resetSeconds = Math.max(1, Math.ceil((resetAt - Date.now()) / 1000));
+
+    res.set('RateLimit-Limit', String(limit));
+    res.set('RateLimit-Remaining', String(remaining));
+    res.set('RateLimit-Reset', String(resetSeconds));
+
+    if (!allowed) {
+      return next(new RateLimitError(`Too many requests. At most ${limit} requests are allowed per ${Math.round(limiter.windowMs / 1000)} seconds.`,
+        { limit, retryAfter: resetSeconds }));
+    }
+
+    next();
+  };
+}
+
+module.exports = {
+  requireApiKey,
+  rateLimit
+};
@@ -0,0 +1,45 @@
+const { AppError, NotFoundError, toAppError } = require('../utils/errors');
+
+/**
+ * Answer errors passed to next() or thrown by async route handlers
+ * The response body is {error, code, details}; details is left out when the
+ * error has none. Unexpected server-side failures are logged with their stack.
+ * @param {Error} err - Error raised while handling the request
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+function errorHandler(err, req, res, next) {
+  if (res.headersSent) {
+    return next(err);
+  }
+
+  const error = toAppError(err);
+  if (!(err instanceof AppError) && error.status >= 500) {
+    console.error('Error:', err);
+  }
+  if (error.details && error.details.retryAfter) {
+    res.set('Retry-After', String(error.details.retryAfter));
+  }
+
+  res.status(error.status).json({
+    error: error.message,
+    code: error.code,
+    ...(error.details !== undefined ? { details: error.details } : {})
+  });
+}
+
+/**
+ * Reject requests to paths no route handles
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+function notFoundHandler(req, res, next) {
+  next(new NotFoundError('Route not found', { path: req.originalUrl }));
+}
+
+module.exports = {
+  errorHandler,
+  notFoundHandler
+};
@@ -1,46 +1,92 @@
-const { findNearestNode } = require('../utils/distance');
+const { calculateDistance } = require('../utils/distance');
+const {
+  TRAVEL_PROFILES,
+  DEFAULT_PROFILE,
+  ROUTING_ALGORITHMS,
+  ALTERNATIVE_PENALTY_FACTOR,
+  ALTERNATIVE_MAX_OVERLAP,
+  ALTERNATIVE_MAX_STRETCH,
+  MAX_SNAP_DISTANCE
+} = require('../utils/constants');
+const PriorityQueue = require('../utils/priorityQueue');
+const { createEdgeFilter } = require('../utils/avoid');
+const { SnapFailedError, NoPathError, NoPathAvoidingError } = require('../utils/errors');
+const { snapToRoad, createSnappedGraph, alignToSegment, OverlayMap } = require('../utils/snapping');
+const InstructionService = require('./instructionService');
+
+// Incoming edge lists per graph, built on first bidirectional search
+const incomingEdgeCache = new WeakMap();
 
 class DijkstraService {
   constructor() {
     this.graph = null;
+    this.optimize = 'preferred';
+    this.edgePenalties = new Map(); // "from|to" node IDs -> cost multiplier, used for alternative routes
+    this.avoid = null;
+    this.avoidGraph = null;
+    this.edgeFilter = null;         // edge -> boolean, built from the avoid options
   }
 
   /**
-   * Find shortest path between two coordinates using Dijkstra's algorithm
+   * Find shortest path between two coordinates
    * @param {Object} graph - Graph with nodes and edges
    * @param {Object} source - Source coordinates {lat, lng}
    * @param {Object} destination - Destination coordinates {lat, lng}
+   * @param {Object} options - {algorithm, optimize, avoid} one of ROUTING_ALGORITHMS (default: dijkstra),
+   *                           one of ROUTE_OPTIMIZATIONS (default: preferred) and parsed avoid
+   *                           options from parseAvoidOptions (default: none)
    * @returns {Object} Result with path, distance, and duration
    */
-  async findShortestPath(graph, source, destination) {
-    console.log('🔍 Starting Dijkstra pathfinding...');
+  async findShortestPath(graph, source, destination, options = {}) {
+    const algorithm = options.algorithm || 'dijkstra';
+    console.log(`🔍 Starting ${algorithm} pathfinding...`);
     
-    this.graph = graph;
+    this.setAvoidOptions(graph, options.avoid || null);
+    this.optimize = options.optimize || 'preferred';
     
     try {
-      // Step 1: Find nearest nodes to source and destination coordinates
-      const sourceNodeId = findNearestNode(graph.nodes, source.lat, source.lng);
-      const destNodeId = findNearestNode(graph.nodes, destination.lat, destination.lng);
+      // Step 1: Snap source and destination onto the nearest usable road segments
+      const sourceSnap = snapToRoad(graph, source, this.edgeFilter);
+      const destinationSnap = snapToRoad(graph, destination, this.edgeFilter);
       
-      if (!sourceNodeId || !destNodeId) {
-        throw new Error('Could not find nearby intersections for start or end point');
+      if (!sourceSnap || !destinationSnap) {
+        const point = sourceSnap ? 'destination' : 'source';
+        throw new SnapFailedError(`${sourceSnap ? 'Destination' : 'Source'} point is too far from any road` +
+          (this.edgeFilter ? ' that satisfies the avoid options' : ''), { point, maxDistance: MAX_SNAP_DISTANCE });
       }
       
-      console.log(`📍 Start node: ${sourceNodeId}, End node: ${destNodeId}`);
+      // Search a per-request view of the graph with split nodes at the snapped points
+      const snapped = createSnappedGraph(graph, sourceSnap, destinationSnap);
+      this.graph = snapped.graph;
+      const sourceNodeId = snapped.sourceNodeId;
+      const destNodeId = snapped.destinationNodeId;
+      
+      console.log(`📍 Start node: ${sourceNodeId} (${(sourceSnap.distance * 1000).toFixed(0)}m), ` +
+        `End node: ${destNodeId} (${(destinationSnap.distance * 1000).toFixed(0)}m)`);
       
-      // Step 2: Run Dijkstra's algorithm
-      const pathResult = this.dijkstra(sourceNodeId, destNodeId);
+      // Step 2: Run the selected search algorithm
+      let pathResult;
+      try {
+        pathResult = this.runAlgorithm(algorithm, sourceNodeId, destNodeId);
+      } catch (error) {
+        if (this.edgeFilter && error instanceof NoPathError) {
+          throw new NoPathAvoidingError();
+        }
+        throw error;
+      }
       
       if (!pathResult.path || pathResult.path.length === 0) {
-        throw new Error('No route found between the specified points');
+        throw new NoPathError('No route found between the specified points');
       }
       
       // Step 3: Convert node path to coordinate path
-      const coordinatePath = this.convertPathToCoordinates(pathResult.path, source, destination);
+      const coordinatePath = this.convertPathToCoordinates(pathResult.path);
       
       // Step 4: Calculate additional metrics
       const totalDistance = this.calculatePathDistance(coordinatePath);
       const estimatedDuration = this.estimateTravelTime(pathResult.path);
+      const details = this.getPathDetails(pathResult.path);
+      const instructions = new InstructionService(this.graph).buildInstructions(details);
       
       console.log(`✅ Path found: ${pathResult.path.length} nodes, ${totalDistance.toFixed(2)}km`);
       
@@ -48,10 +94,21 @@ class DijkstraService {
         path: coordinatePath,
         distance: totalDistance,
         duration: estimatedDuration,
+        instructions: instructions,
+        segments: this.summarizeSegments(details),
+        nodePath: pathResult.path,
         totalWeight: pathResult.totalWeight,
         nodeCount: pathResult.path.length,
+        algorithm: algorithm,
+        optimize: this.optimize,
+        iterations: pathResult.iterations,
+        nodesExplored: pathResult.nodesExplored,
         sourceNode: sourceNodeId,
-        destinationNode: destNodeId
+        destinationNode: destNodeId,
+        snap: {
+          source: this.describeSnap(sourceSnap),
+          destination: this.describeSnap(destinationSnap)
+        }
       };
       
     } catch (error) {
@@ -61,189 +118,1042 @@ class DijkstraService {
   }
 
   /**
-   * Dijkstra's algorithm implementation
+   * Activate avoid options for the following searches
+   * The edge filter is kept while the same options are used on the same graph,
+   * so multi-stop and alternative searches share its area checks.
+   * @param {Object} graph - Graph being searched
+   * @param {Object|null} avoid - Parsed avoid options
+   */
+  setAvoidOptions(graph, avoid) {
+    if (avoid === this.avoid && graph === this.avoidGraph) {
+      return;
+    }
+    
+    this.avoid = avoid;
+    this.avoidGraph = graph;
+    this.edgeFilter = avoid ? createEdgeFilter(avoid, graph.nodes) : null;
+  }
+
+  /**
+   * Check whether an edge may be used under the active avoid options
+   * @param {Object} edge - Graph edge
+   * @returns {boolean}
+   */
+  isEdgeUsable(edge) {
+    return !this.edgeFilter || this.edgeFilter(edge);
+  }
+
+  /**
+   * Summarize where a point was snapped to for the response
+   * @param {Object} snap - Result of snapToRoad
+   * @returns {Object} {lat, lng, distance} with the distance in meters
+   */
+  describeSnap(snap) {
+    return {
+      lat: snap.lat,
+      lng: snap.lng,
+      distance: parseFloat((snap.distance * 1000).toFixed(1)) // meters
+    };
+  }
+
+  /**
+   * Find the best route plus up to `count` meaningfully different alternatives
+   * Uses the penalty method: after every run the edges on the found path get
+   * more expensive and the search is repeated. Candidates that overlap an
+   * accepted route too much, or cost too much more than the best one, are
+   * dropped.
+   * @param {Object} graph - Graph with nodes and edges
+   * @param {Object} source - Source coordinates {lat, lng}
+   * @param {Object} destination - Destination coordinates {lat, lng}
+   * @param {Object} options - Same options as findShortestPath
+   * @param {number} count - Maximum number of alternatives
+   * @returns {Array} [best, ...alternatives], each shaped like findShortestPath's result
+   */
+  async findAlternativePaths(graph, source, destination, options = {}, count = 1) {
+    this.edgePenalties.clear();
+    
+    try {
+      const best = await this.findShortestPath(graph, source, destination, options);
+      const routes = [best];
+      const maxAttempts = count * 4;
+      
+      this.penalizePath(best.nodePath);
+      
+      for (let attempt = 0; attempt < maxAttempts && routes.length <= count; attempt++) {
+        let candidate;
+        try {
+          candidate = await this.findShortestPath(graph, source, destination, options);
+        } catch (error) {
+          break; // Nothing else reachable
+        }
+        
+        this.penalizePath(candidate.nodePath);
+        
+        // Report the real cost, not the penalized one
+        candidate.totalWeight = this.calculatePathCost(candidate.nodePath);
+        candidate.overlap = Math.max(...routes.map(route => this.calculateOverlap(candidate.nodePath, route.nodePath)));
+        
+        if (candidate.overlap > ALTERNATIVE_MAX_OVERLAP) {
+          continue;
+        }
+        
+        if (candidate.totalWeight > best.totalWeight * ALTERNATIVE_MAX_STRETCH) {
+          continue;
+        }
+        
+        routes.push(candidate);
+      }
+      
+      console.log(`🔀 Found ${routes.length - 1} alternative routes`);
+      return [best, ...routes.slice(1).sort((a, b) => a.totalWeight - b.totalWeight)];
+    } finally {
+      this.edgePenalties.clear();
+    }
+  }
+
+  /**
+   * Make every edge along a node path more expensive for later runs
+   * Penalties are keyed by the nodes an edge joins rather than the edge
+   * object: every run snaps the endpoints onto a fresh graph view, so the
+   * virtual edges to and from the snapped points are new objects each time,
+   * while their node IDs stay the same.
+   * @param {Array} nodePath - Array of node IDs
+   */
+  penalizePath(nodePath) {
+    this.getPathEdges(nodePath).forEach(edge => {
+      const key = this.getPenaltyKey(edge);
+      this.edgePenalties.set(key, (this.edgePenalties.get(key) || 1) * ALTERNATIVE_PENALTY_FACTOR);
+    });
+  }
+
+  /**
+   * Key of an edge in edgePenalties
+   * @param {Object} edge - Graph edge
+   * @returns {string} "from|to" node IDs
+   */
+  getPenaltyKey(edge) {
+    return `${edge.from}|${edge.to}`;
+  }
+
+  /**
+   * Unpenalized cost of a node path for the active optimization
+   * @param {Array} nodePath - Array of node IDs
+   * @returns {number} total cost
+   */
+  calculatePathCost(nodePath) {
+    return this.getPathEdges(nodePath).reduce((total, edge) => total + this.edgeCost(edge, false), 0);
+  }
+
+  /**
+   * Share of a path's distance that runs over road segments of another path
+   * @param {Array} nodePath - Path to measure
+   * @param {Array} otherNodePath - Path to compare against
+   * @returns {number} overlap between 0 and 1
+   */
+  calculateOverlap(nodePath, otherNodePath) {
+    const segmentKey = (a, b) => (a < b ? `${a}|${b}` : `${b}|${a}`);
+    const otherSegments = new Set();
+    for (let i = 0; i < otherNodePath.length - 1; i++) {
+      otherSegments.add(segmentKey(otherNodePath[i], otherNodePath[i + 1]));
+    }
+    
+    let totalDistance = 0;
+    let sharedDistance = 0;
+    this.getPathEdges(nodePath).forEach(edge => {
+      totalDistance += edge.distance;
+      if (otherSegments.has(segmentKey(edge.from, edge.to))) {
+        sharedDistance += edge.distance;
+      }
+    });
+    
+    return totalDistance > 0 ? sharedDistance / totalDistance : 1;
+  }
+
+  /**
+   * Get the edges connecting consecutive nodes of a path
+   * @param {Array} nodePath - Array of node IDs
+   * @returns {Array} edge objects
+   */
+  getPathEdges(nodePath) {
+    const pathEdges = [];
+    
+    for (let i = 0; i < nodePath.length - 1; i++) {
+      const node = this.graph.nodes.get(nodePath[i]);
+      if (!node) continue;
+      
+      const edge = node.edges
+        .map(edgeId => this.graph.edges.get(edgeId))
+        .find(candidate => candidate && candidate.to === nodePath[i + 1] && this.isEdgeUsable(candidate));
+      
+      if (edge) {
+        pathEdges.push(edge);
+      }
+    }
+    
+    return pathEdges;
+  }
+
+  /**
+   * Find a route through several points, routing each leg separately on the same graph
+   * @param {Object} graph - Graph covering every point
+   * @param {Array} points - [{lat, lng}] source, intermediate stops..., destination
+   * @param {Object} options - Same options as findShortestPath
+   * @returns {Object} Combined result with per-leg distance and duration
+   */
+  async findMultiStopPath(graph, points, options = {}) {
+    const legs = [];
+    
+    for (let i = 0; i < points.length - 1; i++) {
+      console.log(`🧭 Routing leg ${i + 1} of ${points.length - 1}`);
+      legs.push(await this.findShortestPath(graph, points[i], points[i + 1], options));
+    }
+    
+    return this.combineLegs(legs);
+  }
+
+  /**
+   * Join leg results into one route
+   * Leg paths share their joining point, so it is only kept once; instruction
+   * and segment path ranges are shifted to index into the combined path.
+   * @param {Array} legs - Results of findShortestPath, in order
+   * @returns {Object} Combined result
+   */
+  combineLegs(legs) {
+    const path = [];
+    const instructions = [];
+    const segments = [];
+    const legSummaries = [];
+    
+    legs.forEach((leg, index) => {
+      const offset = index === 0 ? 0 : path.length - 1;
+      const isLastLeg = index === legs.length - 1;
+      
+      path.push(...(index === 0 ? leg.path : leg.path.slice(1)));
+      
+      leg.instructions.forEach(step => {
+        const combinedStep = {
+          ...step,
+          pathRange: [step.pathRange[0] + offset, step.pathRange[1] + offset]
+        };
+        
+        // Intermediate arrivals are stops, not the end of the trip
+        if (step.type === 'arrive' && !isLastLeg) {
+          combinedStep.type = 'waypoint';
+          combinedStep.instruction = `Arrive at stop ${index + 1}`;
+        }
+        
+        instructions.push(combinedStep);
+      });
+      
+      leg.segments.forEach(segment => {
+        segments.push({
+          ...segment,
+          pathRange: [segment.pathRange[0] + offset, segment.pathRange[1] + offset]
+        });
+      });
+      
+      legSummaries.push({
+        distance: parseFloat(leg.distance.toFixed(3)), // km
+        duration: leg.duration, // minutes
+        pathRange: [offset, path.length - 1]
+      });
+    });
+    
+    const sum = field => legs.reduce((total, leg) => total + leg[field], 0);
+    
+    return {
+      path: path,
+      distance: sum('distance'),
+      duration: sum('duration'),
+      instructions: instructions,
+      segments: segments,
+      legs: legSummaries,
+      totalWeight: sum('totalWeight'),
+      nodeCount: sum('nodeCount'),
+      algorithm: legs[0].algorithm,
+      optimize: legs[0].optimize,
+      iterations: sum('iterations'),
+      nodesExplored: sum('nodesExplored'),
+      sourceNode: legs[0].sourceNode,
+      destinationNode: legs[legs.length - 1].destinationNode,
+      // Where each requested point (source, stops, destination) was snapped to
+      snappedPoints: [legs[0].snap.source, ...legs.map(leg => leg.snap.destination)]
+    };
+  }
+
+  /**
+   * Find the travel time from a point to every node reachable within a limit
+   * (one-to-all search on edge travel times)
+   * @param {Object} graph - Graph object with nodes and edges
+   * @param {Object} origin - Start coordinates {lat, lng}
+   * @param {number} maxMinutes - Stop searching beyond this travel time
+   * @param {Object} options - {avoid} parsed avoid options
+   * @returns {Object} {graph (view with the snapped origin), times: Map nodeId -> minutes, snap, nodesExplored}
+   */
+  findReachableNodes(graph, origin, maxMinutes, options = {}) {
+    this.setAvoidOptions(graph, options.avoid || null);
+    this.optimize = 'fastest'; // Edge costs are travel times in hours
+    
+    const snap = snapToRoad(graph, origin, this.edgeFilter);
+    if (!snap) {
+      throw new SnapFailedError('Origin point is too far from any road' +
+        (this.edgeFilter ? ' that satisfies the avoid options' : ''), { point: 'origin', maxDistance: MAX_SNAP_DISTANCE });
+    }
+    
+    const snapped = createSnappedGraph(graph, snap, null);
+    this.graph = snapped.graph;
+    
+    const space = this.createStateSpace(snapped.sourceNodeId, snapped.destinationNodeId);
+    const labels = this.searchAll(space, { maxCost: maxMinutes / 60 });
+    
+    // Several states (arrival edges) can share a node; keep the earliest arrival
+    const times = new Map([[snapped.sourceNodeId, 0]]);
+    for (const [state, { cost }] of labels) {
+      const nodeId = space.nodeOf(state);
+      const minutes = cost * 60;
+      if (!times.has(nodeId) || minutes < times.get(nodeId)) {
+        times.set(nodeId, minutes);
+      }
+    }
+    
+    console.log(`⏱️  ${times.size} nodes reachable within ${maxMinutes} minutes`);
+    
+    return {
+      graph: this.graph,
+      times: times,
+      snap: this.describeSnap(snap),
+      nodesExplored: labels.size
+    };
+  }
+
+  /**
+   * Settle every state whose cost stays within a limit (Dijkstra without a target)
+   * Besides the optimized cost, every settled state records the distance and
+   * travel time along its best path, so callers don't need to rebuild paths.
+   * @param {Object} space - State space from createStateSpace
+   * @param {Object} options - {maxCost, targets} largest cost to settle (default: no limit) and
+   *                           an optional Set of states after which the search may stop
+   * @returns {Map} state -> {cost, distance (km), time (hours), previous} of every settled state
+   */
+  searchAll(space, options = {}) {
+    const maxCost = options.maxCost ?? Infinity;
+    const remainingTargets = options.targets ? new Set(options.targets) : null;
+    const settled = new Map();
+    const labels = new Map();
+    const queue = new PriorityQueue();
+    
+    const relax = (state, label) => {
+      if (label.cost <= maxCost && label.cost < (labels.has(state) ? labels.get(state).cost : Infinity)) {
+        labels.set(state, label);
+        queue.push(state, label.cost);
+      }
+    };
+    
+    for (const { state, cost, edge } of space.sources) {
+      relax(state, {
+        cost: cost,
+        distance: edge ? edge.distance : 0,
+        time: edge ? this.edgeTravelTime(edge) : 0,
+        previous: undefined
+      });
+    }
+    
+    while (!queue.isEmpty()) {
+      const { value: currentState } = queue.pop();
+      if (settled.has(currentState)) {
+        continue;
+      }
+      
+      const current = labels.get(currentState);
+      settled.set(currentState, current);
+      
+      if (remainingTargets) {
+        remainingTargets.delete(currentState);
+        if (remainingTargets.size === 0) {
+          break;
+        }
+      }
+      
+      for (const { state: neighbor, cost, edge } of space.successors(currentState)) {
+        if (!settled.has(neighbor)) {
+          relax(neighbor, {
+            cost: current.cost + cost,
+            distance: current.distance + edge.distance,
+            time: current.time + this.edgeTravelTime(edge),
+            previous: currentState
+          });
+        }
+      }
+    }
+    
+    return settled;
+  }
+
+  /**
+   * Calculate travel distances and durations between every source and every destination
+   * Runs one search per source over the whole graph, stopping once every destination is
+   * reached. Destinations are not added to the graph: each is reached through either end
+   * of the segment it snapped to, plus the share of the segment up to the snapped point.
+   * @param {Object} graph - Graph with nodes and edges
+   * @param {Array} sources - [{lat, lng}]
+   * @param {Array} destinations - [{lat, lng}]
+   * @param {Object} options - {optimize, avoid, includePaths} optimization that picks the
+   *                           routes (default: preferred), parsed avoid options and whether
+   *                           to return the path of every pair (default: false)
+   * @returns {Object} {distances (km), durations (minutes), weights, paths, sources, destinations, nodesExplored};
+   *                   matrices are indexed [source][destination] with null for unreachable pairs,
+   *                   weights are the unrounded costs of the active optimization,
+   *                   sources and destinations are the snapped points (null if too far from a road)
+   */
+  findDistanceMatrix(graph, sources, destinations, options = {}) {
+    this.setAvoidOptions(graph, options.avoid || null);
+    this.optimize = options.optimize || 'preferred';
+    
+    const sourceSnaps = sources.map(point => snapToRoad(graph, point, this.edgeFilter));
+    const destinationSnaps = destinations.map(point => snapToRoad(graph, point, this.edgeFilter));
+    let nodesExplored = 0;
+    
+    const rows = sourceSnaps.map(sourceSnap => {
+      if (!sourceSnap) {
+        return destinationSnaps.map(() => null);
+      }
+      
+      const snapped = createSnappedGraph(graph, sourceSnap, null);
+      this.graph = snapped.graph;
+      
+      const space = this.createStateSpace(snapped.sourceNodeId, null);
+      const approaches = destinationSnaps.map(snap => snap ? this.getApproaches(space, snap) : []);
+      const labels = this.searchAll(space, {
+        targets: new Set(approaches.flat().map(approach => approach.state))
+      });
+      nodesExplored += labels.size;
+      
+      return destinationSnaps.map((destinationSnap, index) => {
+        if (!destinationSnap) {
+          return null;
+        }
+        
+        const candidates = approaches[index]
+          .filter(approach => labels.has(approach.state))
+          .map(approach => {
+            const label = labels.get(approach.state);
+            return {
+              cost: label.cost + this.edgeCost(approach.edge) * approach.offset,
+              distance: label.distance + approach.edge.distance * approach.offset,
+              time: label.time + this.edgeTravelTime(approach.edge) * approach.offset,
+              state: approach.state,
+              edge: approach.edge
+            };
+          });
+        
+        // Source and destination on the same segment: straight along it, if its direction allows
+        const destinationT = snapped.sourceNodeId === 'snap_source' ? alignToSegment(destinationSnap, sourceSnap) : null;
+        const directEdge = destinationT === null ? null
+          : destinationT > sourceSnap.t ? sourceSnap.forward
+          : destinationT < sourceSnap.t ? sourceSnap.backward
+          : sourceSnap.forward || sourceSnap.backward;
+        if (directEdge) {
+          const share = Math.abs(destinationT - sourceSnap.t);
+          candidates.push({
+            cost: this.edgeCost(directEdge) * share,
+            distance: directEdge.distance * share,
+            time: this.edgeTravelTime(directEdge) * share,
+            state: null
+          });
+        }
+        
+        if (candidates.length === 0) {
+          return null;
+        }
+        
+        const best = candidates.reduce((a, b) => b.cost < a.cost ? b : a);
+        return {
+          weight: best.cost,
+          distance: best.distance,
+          duration: best.time * 60,
+          path: options.includePaths ? this.buildMatrixPath(space, labels, best, sourceSnap, destinationSnap) : undefined
+        };
+      });
+    });
+    
+    const round = (value, digits) => value === null ? null : parseFloat(value.toFixed(digits));
+    
+    return {
+      distances: rows.map(row => row.map(cell => round(cell && cell.distance, 3))),
+      durations: rows.map(row => row.map(cell => round(cell && cell.duration, 1))),
+      weights: rows.map(row => row.map(cell => cell && cell.weight)),
+      paths: options.includePaths ? rows.map(row => row.map(cell => cell && cell.path)) : null,
+      sources: sourceSnaps.map(snap => snap && this.describeSnap(snap)),
+      destinations: destinationSnaps.map(snap => snap && this.describeSnap(snap)),
+      nodesExplored: nodesExplored
+    };
+  }
+
+  /**
+   * Ways a search can reach a snapped point: the states from which the rest of
+   * the point's segment (forward or backward) is entered
+   * For node-based searches the state is the segment's start node and the segment
+   * share up to the point is added; for edge-based searches the state is the segment
+   * itself, which already includes the whole segment, so the share beyond the point is taken off.
+   * @param {Object} space - State space from createStateSpace
+   * @param {Object} snap - Result of snapToRoad
+   * @returns {Array} [{state, edge, offset}] with offset as a share of the edge cost
+   */
+  getApproaches(space, snap) {
+    return [[snap.forward, snap.t], [snap.backward, 1 - snap.t]]
+      .filter(([edge]) => edge)
+      .map(([edge, share]) => space.edgeBased
+        ? { state: this.getEdgeId(edge), edge, offset: share - 1 }
+        : { state: edge.from, edge, offset: share })
+      .filter(approach => approach.state !== null);
+  }
+
+  /**
+   * Find the ID of an edge object in the graph being searched
+   * @param {Object} edge - Graph edge
+   * @returns {string|null} edge ID
+   */
+  getEdgeId(edge) {
+    const node = this.graph.nodes.get(edge.from);
+    return (node && node.edges.find(edgeId => this.graph.edges.get(edgeId) === edge)) || null;
+  }
+
+  /**
+   * Rebuild the coordinates of one matrix route from the search labels
+   * @param {Object} space - State space the search ran on
+   * @param {Map} labels - Result of searchAll
+   * @param {Object} best - Chosen approach {state, edge} (state null for the direct case)
+   * @param {Object} sourceSnap - Snapped source
+   * @param {Object} destinationSnap - Snapped destination
+   * @returns {Array} [{lat, lng}] from the snapped source to the snapped destination
+   */
+  buildMatrixPath(space, labels, best, sourceSnap, destinationSnap) {
+    const end = { lat: destinationSnap.lat, lng: destinationSnap.lng };
+    if (best.state === null) {
+      return [{ lat: sourceSnap.lat, lng: sourceSnap.lng }, end];
+    }
+    
+    const states = [];
+    for (let state = best.state; state !== undefined; state = labels.get(state).previous) {
+      states.push(state);
+    }
+    
+    const path = this.convertPathToCoordinates(space.toNodePath(states.reverse()));
+    
+    // Edge-based paths run to the end of the destination's segment; stop at the point instead
+    if (space.edgeBased) {
+      path.pop();
+    }
+    
+    const last = path[path.length - 1];
+    if (!last || last.lat !== end.lat || last.lng !== end.lng) {
+      path.push(end);
+    }
+    
+    return path;
+  }
+
+  /**
+   * Dispatch to the requested search algorithm
+   * @param {string} algorithm - One of ROUTING_ALGORITHMS
+   * @param {string} startNodeId - Starting node ID
+   * @param {string} endNodeId - Destination node ID
+   * @returns {Object} Result with path, totalWeight, iterations and nodesExplored
+   */
+  runAlgorithm(algorithm, startNodeId, endNodeId) {
+    if (startNodeId === endNodeId) {
+      return { path: [startNodeId], totalWeight: 0, iterations: 0, nodesExplored: 1 };
+    }
+    
+    switch (algorithm) {
+      case 'dijkstra':
+        return this.dijkstra(startNodeId, endNodeId);
+      case 'astar':
+        return this.astar(startNodeId, endNodeId);
+      case 'bidirectional':
+        return this.bidirectional(startNodeId, endNodeId, false);
+      case 'bidirectional-astar':
+        return this.bidirectional(startNodeId, endNodeId, true);
+      default:
+        throw new Error(`Unknown routing algorithm: ${algorithm}. Expected one of ${ROUTING_ALGORITHMS.join(', ')}`);
+    }
+  }
+
+  /**
+   * Dijkstra's algorithm implementation (binary heap, lazy initialization)
    * @param {string} startNodeId - Starting node ID
    * @param {string} endNodeId - Destination node ID
    * @returns {Object} Result with path and total weight
    */
   dijkstra(startNodeId, endNodeId) {
     console.log(`🚀 Running Dijkstra from ${startNodeId} to ${endNodeId}`);
+    return this.search(this.createStateSpace(startNodeId, endNodeId), () => 0);
+  }
+
+  /**
+   * A* search guided by the straight-line distance to the destination
+   * @param {string} startNodeId - Starting node ID
+   * @param {string} endNodeId - Destination node ID
+   * @returns {Object} Result with path and total weight
+   */
+  astar(startNodeId, endNodeId) {
+    console.log(`🚀 Running A* from ${startNodeId} to ${endNodeId}`);
+    const space = this.createStateSpace(startNodeId, endNodeId);
+    const endNode = this.graph.nodes.get(endNodeId);
+    return this.search(space, state => this.heuristic(space.nodeOf(state), endNode));
+  }
+
+  /**
+   * Describe the search space for a route
+   * Without turn restrictions every state is a node. With them, a state is
+   * the edge we arrived by, so a turn can be checked against where we came
+   * from (edge-based search). Both shapes expose the same functions.
+   * @param {string} startNodeId - Starting node ID
+   * @param {string} endNodeId - Destination node ID
+   * @returns {Object} State space {edgeBased, sources, targets, isTarget, nodeOf, successors, predecessors, toNodePath};
+   *                   sources and successors also carry the edge they cost
+   */
+  createStateSpace(startNodeId, endNodeId) {
+    const { nodes, edges } = this.graph;
+    const incomingEdges = () => this.getIncomingEdges();
+    const usable = edgeId => edges.has(edgeId) && this.isEdgeUsable(edges.get(edgeId));
     
-    // Initialize data structures
-    const distances = new Map();      // nodeId -> shortest distance from start
-    const previous = new Map();       // nodeId -> previous node in shortest path
-    const unvisited = new Set();      // Set of unvisited nodes
-    const visited = new Set();        // Set of visited nodes
+    if (!this.graph.turnRestrictions || this.graph.turnRestrictions.size === 0) {
+      return {
+        edgeBased: false,
+        sources: [{ state: startNodeId, cost: 0 }],
+        targets: [{ state: endNodeId, cost: 0 }],
+        isTarget: state => state === endNodeId,
+        nodeOf: state => state,
+        successors: nodeId => (nodes.get(nodeId)?.edges || [])
+          .map(edgeId => edges.get(edgeId))
+          .filter(edge => edge && this.isEdgeUsable(edge))
+          .map(edge => ({ state: edge.to, cost: this.edgeCost(edge), edge })),
+        predecessors: nodeId => (incomingEdges().get(nodeId) || [])
+          .map(edgeId => edges.get(edgeId))
+          .filter(edge => edge && this.isEdgeUsable(edge))
+          .map(edge => ({ state: edge.from, cost: this.edgeCost(edge) })),
+        toNodePath: states => states
+      };
+    }
     
-    // Initialize all distances to infinity
-    for (const [nodeId] of this.graph.nodes) {
-      distances.set(nodeId, Infinity);
-      unvisited.add(nodeId);
+    return {
+      edgeBased: true,
+      // Leaving the start node costs the first edge; arriving at the end costs nothing more
+      sources: (nodes.get(startNodeId)?.edges || [])
+        .filter(usable)
+        .map(edgeId => ({ state: edgeId, cost: this.edgeCost(edges.get(edgeId)), edge: edges.get(edgeId) })),
+      targets: (incomingEdges().get(endNodeId) || [])
+        .filter(usable)
+        .map(edgeId => ({ state: edgeId, cost: 0 })),
+      isTarget: edgeId => edges.get(edgeId).to === endNodeId,
+      nodeOf: edgeId => edges.get(edgeId).to,
+      successors: edgeId => {
+        const inEdge = edges.get(edgeId);
+        return (nodes.get(inEdge.to)?.edges || [])
+          .filter(outId => usable(outId) && this.isTurnAllowed(inEdge, edges.get(outId)))
+          .map(outId => ({ state: outId, cost: this.edgeCost(edges.get(outId)), edge: edges.get(outId) }));
+      },
+      predecessors: edgeId => {
+        const outEdge = edges.get(edgeId);
+        return (incomingEdges().get(outEdge.from) || [])
+          .filter(inId => usable(inId) && this.isTurnAllowed(edges.get(inId), outEdge))
+          .map(inId => ({ state: inId, cost: this.edgeCost(outEdge) }));
+      },
+      toNodePath: states => [startNodeId, ...states.map(edgeId => edges.get(edgeId).to)]
+    };
+  }
+
+  /**
+   * Check a turn from one edge onto the next against the graph's turn restrictions
+   * @param {Object} inEdge - Edge arriving at the via node
+   * @param {Object} outEdge - Edge leaving the via node
+   * @returns {boolean} True if the turn is legal
+   */
+  isTurnAllowed(inEdge, outEdge) {
+    const restrictions = this.graph.turnRestrictions?.get(inEdge.to);
+    if (!restrictions) {
+      return true;
     }
     
-    // Distance to start node is 0
-    distances.set(startNodeId, 0);
+    for (const restriction of restrictions) {
+      if (restriction.fromWay !== inEdge.wayId) continue;
+      
+      const matchesTo = restriction.toWays.includes(outEdge.wayId);
+      if (restriction.type === 'no' && matchesTo) return false;
+      if (restriction.type === 'only' && !matchesTo) return false;
+    }
+    
+    return true;
+  }
+
+  /**
+   * Best-first search shared by Dijkstra and A*
+   * States only get a distance once they are reached, and the search stops
+   * as soon as a target state is settled.
+   * @param {Object} space - State space from createStateSpace
+   * @param {Function} heuristic - state -> lower bound of remaining weight
+   * @returns {Object} Result with path and total weight
+   */
+  search(space, heuristic) {
+    // Initialize data structures
+    const distances = new Map();      // state -> shortest known distance from start
+    const previous = new Map();       // state -> previous state in shortest path
+    const visited = new Set();        // Set of settled states
+    const queue = new PriorityQueue();
+    
+    for (const { state, cost } of space.sources) {
+      if (cost < (distances.has(state) ? distances.get(state) : Infinity)) {
+        distances.set(state, cost);
+        queue.push(state, cost + heuristic(state));
+      }
+    }
     
-    let currentNodeId = startNodeId;
     let iterations = 0;
-    const maxIterations = this.graph.nodes.size * 2; // Safety limit
+    let endState = null;
     
-    // Main Dijkstra loop
-    while (unvisited.size > 0 && currentNodeId && iterations < maxIterations) {
-      iterations++;
+    // Main search loop
+    while (!queue.isEmpty()) {
+      const { value: currentState } = queue.pop();
+      
+      // Skip stale queue entries for states already settled via a shorter path
+      if (visited.has(currentState)) {
+        continue;
+      }
       
-      // Mark current node as visited
-      visited.add(currentNodeId);
-      unvisited.delete(currentNodeId);
+      iterations++;
+      visited.add(currentState);
       
       // If we reached the destination, we can stop
-      if (currentNodeId === endNodeId) {
+      if (space.isTarget(currentState)) {
         console.log(`🎯 Reached destination in ${iterations} iterations`);
+        endState = currentState;
         break;
       }
       
-      // Examine all neighbors of current node
-      const currentNode = this.graph.nodes.get(currentNodeId);
-      const currentDistance = distances.get(currentNodeId);
+      // Examine all neighbors of current state
+      const currentDistance = distances.get(currentState);
       
-      if (currentNode && currentNode.edges) {
-        for (const edgeId of currentNode.edges) {
-          const edge = this.graph.edges.get(edgeId);
-          
-          if (!edge || visited.has(edge.to)) {
-            continue; // Skip if edge doesn't exist or neighbor already visited
-          }
-          
-          // Calculate distance through current node
-          const newDistance = currentDistance + edge.weight;
-          const neighborDistance = distances.get(edge.to);
-          
-          // If we found a shorter path, update it
-          if (newDistance < neighborDistance) {
-            distances.set(edge.to, newDistance);
-            previous.set(edge.to, currentNodeId);
-          }
+      for (const { state: neighbor, cost } of space.successors(currentState)) {
+        if (visited.has(neighbor)) {
+          continue; // Skip if neighbor already visited
+        }
+        
+        // Calculate distance through current state
+        const newDistance = currentDistance + cost;
+        const neighborDistance = distances.has(neighbor) ? distances.get(neighbor) : Infinity;
+        
+        // If we found a shorter path, update it
+        if (newDistance < neighborDistance) {
+          distances.set(neighbor, newDistance);
+          previous.set(neighbor, currentState);
+          queue.push(neighbor, newDistance + heuristic(neighbor));
         }
       }
       
-      // Find next unvisited node with smallest distance
-      currentNodeId = this.findMinimumDistanceNode(unvisited, distances);
-      
       // Progress logging for large graphs
-      if (iterations % 100 === 0) {
-        console.log(`⏳ Processed ${iterations} nodes, ${unvisited.size} remaining`);
+      if (iterations % 10000 === 0) {
+        console.log(`⏳ Processed ${iterations} states, ${queue.size} queued`);
       }
     }
     
     // Check if we found a path
-    if (!visited.has(endNodeId)) {
-      throw new Error('No path exists between the specified points');
+    if (endState === null) {
+      throw new NoPathError();
     }
     
     // Reconstruct the path
-    const path = this.reconstructPath(previous, startNodeId, endNodeId);
-    const totalWeight = distances.get(endNodeId);
+    const path = space.toNodePath(this.reconstructPath(previous, endState));
+    const totalWeight = distances.get(endState);
     
-    console.log(`✅ Dijkstra completed in ${iterations} iterations`);
+    console.log(`✅ Search completed in ${iterations} iterations`);
     
     return {
       path: path,
       totalWeight: totalWeight,
       iterations: iterations,
-      nodesExplored: visited.size
+      nodesExplored: this.countExploredNodes(space, visited)
     };
   }
 
   /**
-   * Find the unvisited node with minimum distance
-   * @param {Set} unvisited - Set of unvisited node IDs
-   * @param {Map} distances - Map of node distances
-   * @returns {string|null} Node ID with minimum distance
+   * Bidirectional search, optionally guided by A* potentials
+   * Runs a forward search from the start and a backward search from the end,
+   * alternating on the smaller queue. With heuristics both sides use the
+   * averaged potential (h_end - h_start) / 2, which keeps the usual stopping
+   * rule valid.
+   * @param {string} startNodeId - Starting node ID
+   * @param {string} endNodeId - Destination node ID
+   * @param {boolean} useHeuristic - Use A* potentials on both sides
+   * @returns {Object} Result with path and total weight
    */
-  findMinimumDistanceNode(unvisited, distances) {
-    let minDistance = Infinity;
-    let minNodeId = null;
+  bidirectional(startNodeId, endNodeId, useHeuristic) {
+    console.log(`🚀 Running bidirectional${useHeuristic ? ' A*' : ''} search from ${startNodeId} to ${endNodeId}`);
     
-    for (const nodeId of unvisited) {
-      const distance = distances.get(nodeId);
-      if (distance < minDistance) {
-        minDistance = distance;
-        minNodeId = nodeId;
+    const space = this.createStateSpace(startNodeId, endNodeId);
+    const startNode = this.graph.nodes.get(startNodeId);
+    const endNode = this.graph.nodes.get(endNodeId);
+    const potential = useHeuristic
+      ? state => {
+        const nodeId = space.nodeOf(state);
+        return (this.heuristic(nodeId, endNode) - this.heuristic(nodeId, startNode)) / 2;
       }
+      : () => 0;
+    
+    const forward = {
+      distances: new Map(),
+      parents: new Map(),   // state -> previous state towards the start
+      visited: new Set(),
+      queue: new PriorityQueue(),
+      expand: space.successors,
+      potential: potential
+    };
+    const backward = {
+      distances: new Map(),
+      parents: new Map(),   // state -> next state towards the end
+      visited: new Set(),
+      queue: new PriorityQueue(),
+      expand: space.predecessors,
+      potential: state => -potential(state)
+    };
+    
+    let bestWeight = Infinity;
+    let meetingState = null;
+    
+    // Record a distance on one side and check whether it connects to the other
+    const reach = (side, other, state, distance, parent) => {
+      side.distances.set(state, distance);
+      if (parent !== undefined) {
+        side.parents.set(state, parent);
+      }
+      side.queue.push(state, distance + side.potential(state));
+      
+      if (other.distances.has(state)) {
+        const connectionWeight = distance + other.distances.get(state);
+        if (connectionWeight < bestWeight) {
+          bestWeight = connectionWeight;
+          meetingState = state;
+        }
+      }
+    };
+    
+    space.sources.forEach(({ state, cost }) => reach(forward, backward, state, cost));
+    space.targets.forEach(({ state, cost }) => reach(backward, forward, state, cost));
+    
+    let iterations = 0;
+    
+    while (!forward.queue.isEmpty() && !backward.queue.isEmpty()) {
+      // Stop once no shorter connection can be found
+      if (forward.queue.peek().priority + backward.queue.peek().priority >= bestWeight) {
+        break;
+      }
+      
+      const [side, other] = forward.queue.size <= backward.queue.size
+        ? [forward, backward]
+        : [backward, forward];
+      
+      const { value: currentState } = side.queue.pop();
+      if (side.visited.has(currentState)) {
+        continue;
+      }
+      
+      iterations++;
+      side.visited.add(currentState);
+      const currentDistance = side.distances.get(currentState);
+      
+      for (const { state: neighbor, cost } of side.expand(currentState)) {
+        if (side.visited.has(neighbor)) continue;
+        
+        const newDistance = currentDistance + cost;
+        const neighborDistance = side.distances.has(neighbor) ? side.distances.get(neighbor) : Infinity;
+        
+        if (newDistance < neighborDistance) {
+          reach(side, other, neighbor, newDistance, currentState);
+        }
+      }
+    }
+    
+    if (meetingState === null) {
+      throw new NoPathError();
+    }
+    
+    // Stitch both halves together at the meeting state
+    const states = this.reconstructPath(forward.parents, meetingState);
+    let nextState = backward.parents.get(meetingState);
+    while (nextState !== undefined) {
+      states.push(nextState);
+      nextState = backward.parents.get(nextState);
+    }
+    
+    console.log(`✅ Bidirectional search completed in ${iterations} iterations`);
+    
+    return {
+      path: space.toNodePath(states),
+      totalWeight: bestWeight,
+      iterations: iterations,
+      nodesExplored: this.countExploredNodes(space, forward.visited, backward.visited)
+    };
+  }
+
+  /**
+   * Get the travel profile the current graph was built for
+   * @returns {Object} profile from TRAVEL_PROFILES
+   */
+  getProfile() {
+    return TRAVEL_PROFILES[this.graph.profile] || TRAVEL_PROFILES[DEFAULT_PROFILE];
+  }
+
+  /**
+   * Cost of traversing an edge for the active optimization
+   * @param {Object} edge - Graph edge
+   * @param {boolean} withPenalties - Apply alternative-route penalties (default: true)
+   * @returns {number} road-type weighted distance, or travel time in hours when fastest
+   */
+  edgeCost(edge, withPenalties = true) {
+    const cost = this.optimize === 'fastest'
+      ? (edge.travelTime !== undefined ? edge.travelTime : edge.distance / this.getProfile().averageSpeeds.default)
+      : edge.weight;
+    
+    return withPenalties && this.edgePenalties.size > 0
+      ? cost * (this.edgePenalties.get(this.getPenaltyKey(edge)) || 1)
+      : cost;
+  }
+
+  /**
+   * Travel time of an edge from its maxspeed/surface tags, falling back to the road type average
+   * @param {Object} edge - Graph edge
+   * @returns {number} travel time in hours
+   */
+  edgeTravelTime(edge) {
+    if (edge.travelTime !== undefined) {
+      return edge.travelTime;
     }
     
-    return minNodeId;
+    const { averageSpeeds } = this.getProfile();
+    return edge.distance / (averageSpeeds[edge.roadType] || averageSpeeds.default);
   }
 
   /**
-   * Reconstruct the shortest path from the previous nodes map
-   * @param {Map} previous - Map of previous nodes
-   * @param {string} startNodeId - Starting node ID
-   * @param {string} endNodeId - Ending node ID
-   * @returns {Array} Array of node IDs representing the path
+   * Admissible A* heuristic: straight-line distance scaled by the cheapest
+   * road type multiplier (or divided by the top speed in the graph when
+   * optimizing for time), so it never overestimates the remaining cost
+   * @param {string} nodeId - Node to estimate from
+   * @param {Object} targetNode - Target node {lat, lng}
+   * @returns {number} Lower bound on the remaining path cost
    */
-  reconstructPath(previous, startNodeId, endNodeId) {
-    const path = [];
-    let currentNodeId = endNodeId;
+  heuristic(nodeId, targetNode) {
+    const node = this.graph.nodes.get(nodeId);
+    if (!node || !targetNode) {
+      return 0;
+    }
     
-    // Work backwards from destination to source
-    while (currentNodeId !== undefined) {
-      path.unshift(currentNodeId);
-      
-      if (currentNodeId === startNodeId) {
-        break; // Reached the start
+    const distance = calculateDistance(node.lat, node.lng, targetNode.lat, targetNode.lng);
+    
+    if (this.optimize === 'fastest') {
+      const { averageSpeeds } = this.getProfile();
+      const maxSpeed = Math.max(this.graph.stats?.maxSpeed || 0, averageSpeeds.default);
+      return distance / maxSpeed;
+    }
+    
+    const minWeight = Math.min(...Object.values(this.getProfile().roadTypeWeights));
+    return distance * minWeight;
+  }
+
+  /**
+   * Get incoming edge IDs for every node (reverse adjacency)
+   * For a snapped view of a graph, only the virtual edges are added on top of
+   * the cached lists of the underlying graph.
+   * @param {Object} graph - Graph to index (default: the graph being searched)
+   * @returns {Map} nodeId -> array of edge IDs ending at that node
+   */
+  getIncomingEdges(graph = this.graph) {
+    let incomingEdges = incomingEdgeCache.get(graph);
+    if (incomingEdges) {
+      return incomingEdges;
+    }
+    
+    if (graph.baseGraph) {
+      incomingEdges = new OverlayMap(this.getIncomingEdges(graph.baseGraph));
+      for (const [edgeId, edge] of graph.edges.local) {
+        incomingEdges.set(edge.to, [...(incomingEdges.get(edge.to) || []), edgeId]);
       }
       
-      currentNodeId = previous.get(currentNodeId);
+      incomingEdgeCache.set(graph, incomingEdges);
+      return incomingEdges;
     }
     
-    // Verify we have a complete path
-    if (path[0] !== startNodeId || path[path.length - 1] !== endNodeId) {
-      throw new Error('Failed to reconstruct complete path');
+    incomingEdges = new Map();
+    for (const [edgeId, edge] of graph.edges) {
+      if (!incomingEdges.has(edge.to)) {
+        incomingEdges.set(edge.to, []);
+      }
+      incomingEdges.get(edge.to).push(edgeId);
     }
     
-    return path;
+    incomingEdgeCache.set(graph, incomingEdges);
+    return incomingEdges;
+  }
+
+  /**
+   * Count distinct graph nodes behind the settled states of one or more searches
+   * @param {Object} space - State space the searches ran on
+   * @param {...Set} visitedSets - Settled states
+   * @returns {number} number of distinct nodes explored
+   */
+  countExploredNodes(space, ...visitedSets) {
+    const exploredNodes = new Set();
+    visitedSets.forEach(visited => {
+      for (const state of visited) {
+        exploredNodes.add(space.nodeOf(state));
+      }
+    });
+    return exploredNodes.size;
+  }
+
+  /**
+   * Reconstruct the shortest path from the previous states map
+   * @param {Map} previous - Map of previous states
+   * @param {string} endState - Last state of the path
+   * @returns {Array} Array of states from the search origin to endState
+   */
+  reconstructPath(previous, endState) {
+    const path = [];
+    let currentState = endState;
+    
+    // Work backwards from destination to source
+    while (currentState !== undefined) {
+      path.push(currentState);
+      currentState = previous.get(currentState);
+      
+      if (path.length > previous.size + 1) {
+        throw new Error('Failed to reconstruct complete path');
+      }
+    }
+    
+    return path.reverse();
   }
 
   /**
    * Convert node path to coordinate path for frontend display
+   * The path starts and ends at the snapped points on the road, not at the
+   * clicked coordinates.
    * @param {Array} nodePath - Array of node IDs
-   * @param {Object} originalSource - Original source coordinates
-   * @param {Object} originalDestination - Original destination coordinates
    * @returns {Array} Array of coordinate objects
    */
-  convertPathToCoordinates(nodePath, originalSource, originalDestination) {
+  convertPathToCoordinates(nodePath) {
     const coordinatePath = [];
     
-    // Add original source point
-    coordinatePath.push({
-      lat: originalSource.lat,
-      lng: originalSource.lng
-    });
-    
     // Add coordinates for each node in the path
-    nodePath.forEach((nodeId, index) => {
+    nodePath.forEach(nodeId => {
       const node = this.graph.nodes.get(nodeId);
       if (node) {
-        // Skip first and last nodes if they're very close to original points
-        const isFirst = index === 0;
-        const isLast = index === nodePath.length - 1;
-        
-        if (!isFirst && !isLast) {
-          coordinatePath.push({
-            lat: node.lat,
-            lng: node.lng
-          });
-        }
+        coordinatePath.push({
+          lat: node.lat,
+          lng: node.lng
+        });
       }
     });
     
-    // Add original destination point
-    coordinatePath.push({
-      lat: originalDestination.lat,
-      lng: originalDestination.lng
-    });
-    
     return coordinatePath;
   }
 
@@ -270,12 +1180,12 @@ class DijkstraService {
   }
 
   /**
-   * Estimate travel time based on path and road types
+   * Estimate travel time based on path edge speeds (falling back to road type averages)
    * @param {Array} nodePath - Array of node IDs
    * @returns {number} Estimated time in minutes
    */
   estimateTravelTime(nodePath) {
-    const { AVERAGE_SPEEDS } = require('../utils/constants');
+    const { averageSpeeds } = this.getProfile();
     let totalTime = 0; // in hours
     
     for (let i = 0; i < nodePath.length - 1; i++) {
@@ -290,9 +1200,7 @@ class DijkstraService {
       for (const edgeId of currentNode.edges) {
         const edge = this.graph.edges.get(edgeId);
         if (edge && edge.to === nextNodeId) {
-          const speed = AVERAGE_SPEEDS[edge.roadType] || AVERAGE_SPEEDS.default;
-          const time = edge.distance / speed; // hours
-          totalTime += time;
+          totalTime += this.edgeTravelTime(edge); // hours
           edgeFound = true;
           break;
         }
@@ -300,7 +1208,7 @@ class DijkstraService {
       
       // Fallback if edge not found
       if (!edgeFound) {
-        const defaultSpeed = AVERAGE_SPEEDS.default;
+        const defaultSpeed = averageSpeeds.default;
         const currentNode = this.graph.nodes.get(currentNodeId);
         const nextNode = this.graph.nodes.get(nextNodeId);
         
@@ -320,7 +1228,40 @@ class DijkstraService {
   }
 
   /**
-   * Get detailed path information for debugging
+   * Collapse path details into runs on the same road
+   * @param {Array} details - Result of getPathDetails
+   * @returns {Array} segments [{roadName, roadType, distance, duration, pathRange}]
+   */
+  summarizeSegments(details) {
+    const segments = [];
+    let current = null;
+    
+    details.forEach((detail, index) => {
+      if (!current || current.roadName !== detail.roadName || current.roadType !== detail.roadType) {
+        current = {
+          roadName: detail.roadName,
+          roadType: detail.roadType,
+          distance: 0,
+          duration: 0,
+          pathRange: [index, index + 1]
+        };
+        segments.push(current);
+      }
+      
+      current.distance += detail.distance;
+      current.duration += detail.travelTime || 0;
+      current.pathRange[1] = index + 1;
+    });
+    
+    return segments.map(segment => ({
+      ...segment,
+      distance: parseFloat(segment.distance.toFixed(3)), // km
+      duration: parseFloat((segment.duration * 60).toFixed(1)) // minutes
+    }));
+  }
+
+  /**
+   * Get detailed path information (used for debugging and turn instructions)
    * @param {Array} nodePath - Array of node IDs
    * @returns {Array} Array of path segment details
    */
@@ -354,7 +1295,10 @@ class DijkstraService {
         roadType: edge ? edge.roadType : 'unknown',
         roadName: edge ? edge.roadName : 'Unknown Road',
         distance: edge ? edge.distance : 0,
-        weight: edge ? edge.weight : 0
+        weight: edge ? edge.weight : 0,
+        travelTime: edge ? edge.travelTime : 0,
+        wayId: edge ? edge.wayId : null,
+        roundabout: edge ? Boolean(edge.roundabout) : false
       });
     }
     
@@ -0,0 +1,188 @@
+const path = require('path');
+const { TRAVEL_PROFILES, DEFAULT_PROFILE, FILE_INDEX_CELL_SIZE } = require('../utils/constants');
+const { readOsmFile } = require('../utils/osmParsers');
+
+/**
+ * Road data from an OSM extract on disk (.osm XML, .osm.pbf or Overpass JSON)
+ * The file is loaded once, reduced to routable ways and restriction relations,
+ * and indexed on a grid so bounding-box queries return the same elements an
+ * Overpass `out geom` query would.
+ */
+class FileDataSource {
+  /**
+   * @param {Object} options - {filePath, cellSize}
+   */
+  constructor(options = {}) {
+    if (!options.filePath) {
+      throw new Error('OSM_DATA_FILE must be set when OSM_DATA_SOURCE is "file"');
+    }
+
+    this.name = 'file';
+    this.filePath = path.resolve(options.filePath);
+    this.cellSize = options.cellSize || FILE_INDEX_CELL_SIZE;
+    this.loading = null; // Promise of the loaded index
+  }
+
+  /**
+   * Load and index the file (once; concurrent callers share the same load)
+   * @returns {Promise<Object>} index {ways, restrictions, cells}
+   */
+  load() {
+    if (!this.loading) {
+      this.loading = this.readFile().catch(error => {
+        this.loading = null; // Allow a retry after fixing the file
+        throw new Error(`Failed to load OSM file ${this.filePath}: ${error.message}`);
+      });
+    }
+    return this.loading;
+  }
+
+  /**
+   * Read, parse and index the extract
+   * @returns {Promise<Object>} index {ways, restrictions, cells}
+   */
+  async readFile() {
+    const startTime = Date.now();
+    console.log(`📂 Loading OSM extract from ${this.filePath}`);
+
+    const data = await readOsmFile(this.filePath);
+    const index = this.buildIndex(data);
+
+    console.log(`✅ OSM extract indexed in ${Date.now() - startTime}ms: ` +
+      `${index.ways.length} ways, ${index.restrictions.length} turn restrictions`);
+
+    return index;
+  }
+
+  /**
+   * Keep routable ways with resolved geometry and index them by grid cell
+   * @param {Object} data - Parsed {nodes, ways, relations}
+   * @returns {Object} index {ways, restrictions, cells}
+   */
+  buildIndex(data) {
+    const ways = [];
+    const cells = new Map(); // cellKey -> array of way indexes
+
+    data.ways.forEach(way => {
+      if (!way.tags.highway && way.tags.route !== 'ferry') {
+        return;
+      }
+
+      const geometry = way.geometry || way.nodes.map(nodeId => {
+        const node = data.nodes.get(nodeId);
+        return node ? { lat: node.lat, lon: node.lon } : null;
+      });
+
+      // Ways cut off at the extract boundary keep the part we have coordinates for
+      const nodes = [];
+      const points = [];
+      geometry.forEach((point, index) => {
+        if (point) {
+          points.push(point);
+          nodes.push(way.nodes[index]);
+        }
+      });
+
+      if (points.length < 2) {
+        return;
+      }
+
+      const element = {
+        type: 'way',
+        id: way.id,
+        nodes: nodes,
+        geometry: points,
+        tags: way.tags,
+        bounds: {
+          south: Math.min(...points.map(point => point.lat)),
+          north: Math.max(...points.map(point => point.lat)),
+          west: Math.min(...points.map(point => point.lon)),
+          east: Math.max(...points.map(point => point.lon))
+        }
+      };
+
+      const wayIndex = ways.push(element) - 1;
+      this.forEachCell(element.bounds, cellKey => {
+        if (!cells.has(cellKey)) {
+          cells.set(cellKey, []);
+        }
+        cells.get(cellKey).push(wayIndex);
+      });
+    });
+
+    const restrictions = data.relations
+      .filter(relation => relation.tags.type === 'restriction')
+      .map(relation => ({ type: 'relation', id: relation.id, members: relation.members, tags: relation.tags }));
+
+    return { ways, restrictions, cells };
+  }
+
+  /**
+   * Fetch ways (with geometry) and restriction relations in a bounding box
+   * @param {Object} bbox - {south, west, north, east}
+   * @param {string} profile - Travel profile
+   * @returns {Promise<Array>} elements in Overpass `out geom` shape
+   */
+  async fetchElements(bbox, profile = DEFAULT_PROFILE) {
+    const index = await this.load();
+    const { highwayTypes } = TRAVEL_PROFILES[profile];
+
+    const wayIndexes = new Set();
+    this.forEachCell(bbox, cellKey => {
+      (index.cells.get(cellKey) || []).forEach(wayIndex => wayIndexes.add(wayIndex));
+    });
+
+    const elements = [];
+    const wayIds = new Set();
+
+    for (const wayIndex of wayIndexes) {
+      const way = index.ways[wayIndex];
+      const routable = highwayTypes.includes(way.tags.highway) || way.tags.route === 'ferry';
+
+      if (routable && this.intersects(way.bounds, bbox)) {
+        const { bounds, ...element } = way;
+        elements.push(element);
+        wayIds.add(way.id);
+      }
+    }
+
+    // Restrictions are only useful if they refer to a returned way
+    index.restrictions.forEach(relation => {
+      if (relation.members.some(member => member.type === 'way' && wayIds.has(member.ref))) {
+        elements.push(relation);
+      }
+    });
+
+    return elements;
+  }
+
+  /**
+   * Call back with the key of every grid cell a bounding box touches
+   * @param {Object} bounds - {south, west, north, east}
+   * @param {Function} callback - cellKey -> void
+   */
+  forEachCell(bounds, callback) {
+    const minX = Math.floor(bounds.west / this.cellSize);
+    const maxX = Math.floor(bounds.east / this.cellSize);
+    const minY = Math.floor(bounds.south / this.cellSize);
+    const maxY = Math.floor(bounds.north / this.cellSize);
+
+    for (let x = minX; x <= maxX; x++) {
+      for (let y = minY; y <= maxY; y++) {
+        callback(`${x}:${y}`);
+      }
+    }
+  }
+
+  /**
+   * Check whether two bounding boxes overlap
+   * @param {Object} a - {south, west, north, east}
+   * @param {Object} b - {south, west, north, east}
+   * @returns {boolean}
+   */
+  intersects(a, b) {
+    return a.west <= b.east && a.east >= b.west && a.south <= b.north && a.north >= b.south;
+  }
+}
+
+module.exports = FileDataSource;
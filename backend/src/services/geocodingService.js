@@ -0,0 +1,127 @@
+const {
+  GEOCODERS,
+  GEOCODE_DEFAULT_LIMIT,
+  GEOCODE_CACHE_TTL,
+  GEOCODE_CACHE_MAX_ENTRIES,
+  MAX_REVERSE_GEOCODE_DISTANCE,
+  REVERSE_GEOCODE_PRECISION
+} = require('../utils/constants');
+const NominatimGeocoder = require('./nominatimGeocoder');
+const LocalGeocoder = require('./localGeocoder');
+
+// "lat, lng" as pasted from a map (comma or whitespace separated)
+const COORDINATES_PATTERN = /^\s*(-?\d+(?:\.\d+)?)\s*[,\s]\s*(-?\d+(?:\.\d+)?)\s*$/;
+
+class GeocodingService {
+  constructor() {
+    // GEOCODER=nominatim (default, GEOCODER_URL for another instance) or local (GEOCODER_FILE)
+    this.provider = this.createProvider(process.env.GEOCODER || 'nominatim');
+    this.cache = new Map(); // lookup key -> {results: Promise, timestamp}, oldest first
+  }
+
+  /**
+   * Create the configured geocoding provider
+   * @param {string} type - One of GEOCODERS
+   * @returns {Object} provider with search(query, options) and reverse(point, options)
+   */
+  createProvider(type) {
+    switch (type) {
+      case 'nominatim':
+        return new NominatimGeocoder({
+          url: process.env.GEOCODER_URL,
+          timeout: parseInt(process.env.API_TIMEOUT) || 10000
+        });
+      case 'local':
+        return new LocalGeocoder({ filePath: process.env.GEOCODER_FILE || process.env.OSM_DATA_FILE });
+      default:
+        throw new Error(`Unknown GEOCODER "${type}". Expected one of: ${GEOCODERS.join(', ')}`);
+    }
+  }
+
+  /**
+   * Read coordinates typed or pasted as "lat, lng"
+   * @param {string} text - Search text
+   * @returns {Object|null} {lat, lng} or null if the text is not a valid coordinate pair
+   */
+  parseCoordinates(text) {
+    const match = COORDINATES_PATTERN.exec(text);
+    if (!match) {
+      return null;
+    }
+
+    const lat = parseFloat(match[1]);
+    const lng = parseFloat(match[2]);
+    return lat >= -90 && lat <= 90 && lng >= -180 && lng <= 180 ? { lat, lng } : null;
+  }
+
+  /**
+   * Resolve a place name, address or "lat, lng" text to coordinates
+   * Provider results are cached per query; concurrent identical searches share one lookup.
+   * @param {string} query - Search text
+   * @param {Object} options - {limit, near} maximum results and an optional {lat, lng} to prefer results around
+   * @returns {Promise<Array>} [{name, displayName, lat, lng, type, source}]
+   */
+  async search(query, options = {}) {
+    const coordinates = this.parseCoordinates(query);
+    if (coordinates) {
+      const name = `${coordinates.lat}, ${coordinates.lng}`;
+      return [{ name, displayName: name, ...coordinates, type: 'coordinates', source: 'input' }];
+    }
+
+    const limit = options.limit || GEOCODE_DEFAULT_LIMIT;
+    const near = options.near ? `${options.near.lat.toFixed(2)},${options.near.lng.toFixed(2)}` : '';
+    const key = `search:${query.trim().toLowerCase()}|${limit}|${near}`;
+
+    return this.remember(key, () => this.provider.search(query, { limit, near: options.near }));
+  }
+
+  /**
+   * Find the nearest named road to a point with the provider
+   * Lookups are cached per point, rounded to REVERSE_GEOCODE_PRECISION decimals.
+   * @param {Object} point - {lat, lng}
+   * @param {Object} options - {maxDistance} furthest the road may be (km)
+   * @returns {Promise<Object|null>} {name, type, distance (km), lat, lng, source} or null if none is close enough
+   */
+  async reverse(point, options = {}) {
+    const maxDistance = options.maxDistance ?? MAX_REVERSE_GEOCODE_DISTANCE;
+    const key = `reverse:${point.lat.toFixed(REVERSE_GEOCODE_PRECISION)},${point.lng.toFixed(REVERSE_GEOCODE_PRECISION)}|${maxDistance}`;
+
+    return this.remember(key, () => this.provider.reverse(point, { maxDistance }));
+  }
+
+  /**
+   * Return a cached lookup, or run it and cache its promise
+   * Concurrent identical lookups share one provider call; failed lookups are not cached.
+   * @param {string} key - Cache key
+   * @param {Function} lookup - () => Promise of the results
+   * @returns {Promise<*>} results
+   */
+  remember(key, lookup) {
+    const cached = this.cache.get(key);
+    if (cached && Date.now() - cached.timestamp < GEOCODE_CACHE_TTL) {
+      return cached.results;
+    }
+
+    const entry = {
+      results: lookup(),
+      timestamp: Date.now()
+    };
+
+    // Failed lookups are not cached
+    entry.results.catch(() => {
+      if (this.cache.get(key) === entry) {
+        this.cache.delete(key);
+      }
+    });
+
+    this.cache.delete(key);
+    this.cache.set(key, entry);
+    while (this.cache.size > GEOCODE_CACHE_MAX_ENTRIES) {
+      this.cache.delete(this.cache.keys().next().value);
+    }
+
+    return entry.results;
+  }
+}
+
+module.exports = new GeocodingService();
@@ -0,0 +1,386 @@
+const fs = require('fs/promises');
+const path = require('path');
+const GraphService = require('./graphService');
+const { getTilesBounds } = require('../utils/tiles');
+const {
+  GRAPH_CACHE_TTL,
+  GRAPH_CACHE_MAX_IN_MEMORY,
+  GRAPH_CACHE_VERSION
+} = require('../utils/constants');
+
+// Every entry is stored as two files: its metadata, read at startup, and its
+// graph, only read when the graph is needed
+const METADATA_SUFFIX = '.meta.json';
+const GRAPH_SUFFIX = '.graph.json';
+
+/**
+ * Cache of built road graphs, persisted to disk so it survives restarts.
+ * Graphs are looked up by area: any cached graph for the same profile that
+ * covers every tile the request needs is reused. Only the most
+ * recently used graphs are kept in memory; the others are read back from
+ * disk when a request needs them.
+ */
+class GraphCache {
+  /**
+   * @param {Object} options - {directory, ttl, maxInMemory}; no directory keeps the cache in memory only
+   */
+  constructor(options = {}) {
+    this.directory = options.directory || null;
+    this.ttl = options.ttl || GRAPH_CACHE_TTL;
+    this.maxInMemory = options.maxInMemory || GRAPH_CACHE_MAX_IN_MEMORY;
+    this.entries = new Map(); // id -> {id, profile, tiles: Set, bbox, timestamp, lastUsed, stats, graph|null, saving}
+    this.loading = null;
+  }
+
+  /**
+   * Reload graphs cached by earlier runs
+   * Expired or outdated files are deleted; the most recent graphs are loaded
+   * into memory, the rest are only registered from their metadata.
+   * @returns {Promise<number>} number of cached graphs found
+   */
+  load() {
+    if (!this.loading) {
+      this.loading = this.readDirectory().catch(error => {
+        console.error('❌ Failed to load graph cache:', error.message);
+        return 0;
+      });
+    }
+    return this.loading;
+  }
+
+  /**
+   * Scan the cache directory
+   * Only metadata files are read for every entry, so startup memory stays
+   * within the in-memory limit however many graphs are on disk.
+   * @returns {Promise<number>} number of cached graphs found
+   */
+  async readDirectory() {
+    if (!this.directory) {
+      return 0;
+    }
+
+    await fs.mkdir(this.directory, { recursive: true });
+    const files = await fs.readdir(this.directory);
+    const now = Date.now();
+    const found = [];
+
+    for (const file of files.filter(name => name.endsWith(METADATA_SUFFIX))) {
+      const id = file.slice(0, -METADATA_SUFFIX.length);
+      try {
+        const metadata = JSON.parse(await fs.readFile(path.join(this.directory, file), 'utf8'));
+
+        if (metadata.version !== GRAPH_CACHE_VERSION || now - metadata.timestamp > this.ttl) {
+          continue; // Removed with the other leftovers below
+        }
+
+        found.push({
+          id: id,
+          profile: metadata.profile,
+          tiles: new Set(metadata.tiles),
+          bbox: metadata.bbox,
+          timestamp: metadata.timestamp,
+          lastUsed: metadata.timestamp,
+          stats: metadata.stats,
+          graph: null
+        });
+      } catch (error) {
+        console.error(`❌ Removing unreadable graph cache file ${file}:`, error.message);
+      }
+    }
+
+    // Expired and outdated entries, interrupted writes and files of older cache formats
+    const kept = new Set(found.flatMap(entry => [`${entry.id}${METADATA_SUFFIX}`, `${entry.id}${GRAPH_SUFFIX}`]));
+    await Promise.all(files
+      .filter(file => /\.json(\.tmp)?$/.test(file) && !kept.has(file))
+      .map(file => fs.unlink(path.join(this.directory, file)).catch(() => {})));
+
+    found.forEach(entry => this.entries.set(entry.id, entry));
+
+    // Newest graphs are loaded now, older ones when a request needs them
+    found.sort((a, b) => b.timestamp - a.timestamp);
+    for (const entry of found.slice(0, this.maxInMemory)) {
+      await this.loadGraph(entry);
+    }
+
+    if (found.length > 0) {
+      console.log(`📋 Reloaded ${this.entries.size} cached graphs from ${this.directory}`);
+    }
+    return this.entries.size;
+  }
+
+  /**
+   * Find a cached graph covering a set of tiles
+   * Among all graphs that cover them, the smallest one is used.
+   * @param {string} profile - Travel profile
+   * @param {Array} tiles - Tile keys the route needs
+   * @returns {Promise<Object|null>} cache entry with graph, or null on a miss
+   */
+  async get(profile, tiles) {
+    if (this.loading) {
+      await this.loading;
+    }
+
+    this.cleanup();
+
+    let best = null;
+    for (const entry of this.entries.values()) {
+      if (entry.profile === profile && this.covers(entry.tiles, tiles) &&
+          (!best || entry.tiles.size < best.tiles.size)) {
+        best = entry;
+      }
+    }
+
+    if (!best) {
+      return null;
+    }
+
+    if (!best.graph && !(await this.loadGraph(best))) {
+      return null;
+    }
+
+    best.lastUsed = Date.now();
+    this.evict();
+    return best;
+  }
+
+  /**
+   * Find a graph covering a set of tiles among those already in memory
+   * Nothing is read from disk and the recently-used order is left alone, so
+   * cheap lookups (e.g. street names) never push out graphs routing needs.
+   * @param {string} profile - Travel profile
+   * @param {Array} tiles - Tile keys
+   * @returns {Object|null} cache entry with graph, or null if none is in memory
+   */
+  peek(profile, tiles) {
+    const now = Date.now();
+    let best = null;
+
+    for (const entry of this.entries.values()) {
+      if (entry.graph && entry.profile === profile && now - entry.timestamp <= this.ttl &&
+          this.covers(entry.tiles, tiles) && (!best || entry.tiles.size < best.tiles.size)) {
+        best = entry;
+      }
+    }
+
+    return best;
+  }
+
+  /**
+   * Add a freshly built graph and write it to disk
+   * Cached graphs for the same profile that the new one fully covers are dropped.
+   * @param {string} profile - Travel profile
+   * @param {Array} tiles - Tile keys the graph was built from
+   * @param {Object} graph - Graph from GraphService.buildGraph
+   * @param {Object} stats - Build statistics
+   * @returns {Object} cache entry
+   */
+  set(profile, tiles, graph, stats) {
+    const tileSet = new Set(tiles);
+
+    for (const entry of [...this.entries.values()]) {
+      if (entry.profile === profile && this.covers(tileSet, [...entry.tiles])) {
+        this.delete(entry.id);
+      }
+    }
+
+    const timestamp = Date.now();
+    const bbox = getTilesBounds(tiles);
+    const entry = {
+      id: this.createId(profile, bbox, timestamp),
+      profile: profile,
+      tiles: tileSet,
+      bbox: bbox,
+      timestamp: timestamp,
+      lastUsed: timestamp,
+      stats: stats,
+      graph: graph
+    };
+
+    this.entries.set(entry.id, entry);
+    this.evict();
+    entry.saving = this.persist(entry);
+
+    return entry;
+  }
+
+  /**
+   * Read an entry's graph back from disk
+   * An entry whose graph cannot be read is dropped.
+   * @param {Object} entry - Cache entry
+   * @returns {Promise<boolean>} True if the graph is in memory now
+   */
+  async loadGraph(entry) {
+    try {
+      const data = JSON.parse(await fs.readFile(this.getFilePaths(entry.id).graph, 'utf8'));
+      entry.graph = this.restoreGraph(data);
+      return true;
+    } catch (error) {
+      console.error(`❌ Cached graph ${entry.id} could not be read:`, error.message);
+      this.delete(entry.id);
+      return false;
+    }
+  }
+
+  /**
+   * Write an entry to disk (write to temp files, then rename)
+   * The graph is written before the metadata, so every metadata file has its graph.
+   * Failures are logged; the in-memory cache keeps working without disk.
+   * @param {Object} entry - Cache entry
+   * @returns {Promise<void>}
+   */
+  async persist(entry) {
+    if (!this.directory) {
+      return;
+    }
+
+    const filePaths = this.getFilePaths(entry.id);
+    const graph = new GraphService({ profile: entry.profile }).serializeGraph(entry.graph);
+    const metadata = {
+      version: GRAPH_CACHE_VERSION,
+      id: entry.id,
+      profile: entry.profile,
+      tiles: [...entry.tiles],
+      bbox: entry.bbox,
+      timestamp: entry.timestamp,
+      stats: entry.stats
+    };
+
+    try {
+      await fs.mkdir(this.directory, { recursive: true });
+      for (const [filePath, data] of [[filePaths.graph, graph], [filePaths.metadata, metadata]]) {
+        await fs.writeFile(`${filePath}.tmp`, JSON.stringify(data));
+        await fs.rename(`${filePath}.tmp`, filePath);
+      }
+    } catch (error) {
+      console.error(`❌ Failed to write cached graph ${entry.id}:`, error.message);
+    }
+  }
+
+  /**
+   * Remove an entry from memory and disk
+   * @param {string} id - Entry ID
+   */
+  delete(id) {
+    const entry = this.entries.get(id);
+    this.entries.delete(id);
+
+    if (this.directory) {
+      // Wait for a write still in flight, otherwise it would recreate the files;
+      // the metadata goes first so a half-removed entry is never reloaded
+      const filePaths = this.getFilePaths(id);
+      Promise.resolve(entry && entry.saving)
+        .then(() => fs.unlink(filePaths.metadata))
+        .catch(() => {}) // Already gone is fine
+        .then(() => fs.unlink(filePaths.graph))
+        .catch(() => {});
+    }
+  }
+
+  /**
+   * Drop expired entries
+   */
+  cleanup() {
+    const now = Date.now();
+    const expired = [...this.entries.values()].filter(entry => now - entry.timestamp > this.ttl);
+
+    expired.forEach(entry => this.delete(entry.id));
+
+    if (expired.length > 0) {
+      console.log(`🧹 Cleaned ${expired.length} expired cache entries`);
+    }
+  }
+
+  /**
+   * Release the least recently used graphs beyond the in-memory limit
+   * They stay registered and are read from disk again when needed.
+   */
+  evict() {
+    if (!this.directory) {
+      // Nothing to fall back on: forget the entries entirely
+      const entries = [...this.entries.values()].sort((a, b) => b.lastUsed - a.lastUsed);
+      entries.slice(this.maxInMemory).forEach(entry => this.entries.delete(entry.id));
+      return;
+    }
+
+    const inMemory = [...this.entries.values()]
+      .filter(entry => entry.graph)
+      .sort((a, b) => b.lastUsed - a.lastUsed);
+
+    inMemory.slice(this.maxInMemory).forEach(entry => {
+      entry.graph = null;
+    });
+  }
+
+  /**
+   * Rebuild a graph from a graph file
+   * @param {Object} data - Parsed graph file (from GraphService.serializeGraph)
+   * @returns {Object} graph
+   */
+  restoreGraph(data) {
+    return new GraphService({ profile: data.profile }).restoreGraph(data);
+  }
+
+  /**
+   * Check whether a cached tile set includes all requested tiles
+   * @param {Set} cached - Tiles of a cached graph
+   * @param {Array} tiles - Requested tile keys
+   * @returns {boolean}
+   */
+  covers(cached, tiles) {
+    return tiles.every(tile => cached.has(tile));
+  }
+
+  /**
+   * Create a file-name-safe ID for an entry
+   * @param {string} profile - Travel profile
+   * @param {Object} bbox - {south, west, north, east}
+   * @param {number} timestamp - Build time
+   * @returns {string}
+   */
+  createId(profile, bbox, timestamp) {
+    const corners = [bbox.south, bbox.west, bbox.north, bbox.east].map(value => value.toFixed(4)).join('_');
+    return `${profile}_${corners}_${timestamp}`;
+  }
+
+  /**
+   * Paths of an entry's cache files
+   * @param {string} id - Entry ID
+   * @returns {Object} {metadata, graph}
+   */
+  getFilePaths(id) {
+    return {
+      metadata: path.join(this.directory, `${id}${METADATA_SUFFIX}`),
+      graph: path.join(this.directory, `${id}${GRAPH_SUFFIX}`)
+    };
+  }
+
+  /**
+   * Describe the cache for the stats endpoint
+   * @returns {Object} statistics
+   */
+  getStats() {
+    const now = Date.now();
+
+    return {
+      totalCacheEntries: this.entries.size,
+      inMemory: [...this.entries.values()].filter(entry => entry.graph).length,
+      cacheTimeout: this.ttl,
+      directory: this.directory,
+      entries: [...this.entries.values()].map(entry => ({
+        key: entry.id,
+        profile: entry.profile,
+        tiles: entry.tiles.size,
+        bbox: entry.bbox,
+        age: `${Math.round((now - entry.timestamp) / 1000)}s`,
+        inMemory: Boolean(entry.graph),
+        graphSize: {
+          nodes: entry.stats?.totalNodes || 0,
+          edges: entry.stats?.totalEdges || 0,
+          oneWaySegments: entry.stats?.oneWaySegments || 0
+        }
+      }))
+    };
+  }
+}
+
+module.exports = GraphCache;
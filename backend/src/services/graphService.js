@@ -1,14 +1,38 @@
 const { calculateDistance } = require('../utils/distance');
-const { ROAD_TYPE_WEIGHTS, INTERSECTION_TOLERANCE } = require('../utils/constants');
+const { calculateWaySpeed } = require('../utils/speed');
+const {
+  TRAVEL_PROFILES,
+  DEFAULT_PROFILE,
+  ACCESS_DENIED_VALUES,
+  INTERSECTION_TOLERANCE
+} = require('../utils/constants');
+const SpatialIndex = require('../utils/spatialIndex');
 
 class GraphService {
-  constructor() {
+  /**
+   * @param {Object} options - {profile} travel profile from TRAVEL_PROFILES (default: driving)
+   */
+  constructor(options = {}) {
+    this.profile = options.profile || DEFAULT_PROFILE;
+    this.profileConfig = TRAVEL_PROFILES[this.profile];
+    if (!this.profileConfig) {
+      throw new Error(`Unknown travel profile: ${this.profile}`);
+    }
+
     this.graph = {
+      profile: this.profile, // travel profile the graph was built for
       nodes: new Map(),  // nodeId -> {lat, lng, edges: []}
-      edges: new Map()   // edgeId -> {from, to, weight, distance, roadType}
+      edges: new Map(),  // edgeId -> {from, to, weight, distance, roadType}
+      spatialIndex: new SpatialIndex(), // grid over node positions, kept in sync with nodes
+      turnRestrictions: new Map() // via nodeId -> [{id, type, fromWay, toWays}]
     };
+    this.osmNodeMap = new Map(); // OSM node ID -> graph node ID
     this.nodeIdCounter = 0;
     this.edgeIdCounter = 0;
+    this.oneWaySegmentCount = 0;
+    this.turnRestrictionCount = 0;
+    this.unsupportedRestrictionCount = 0;
+    this.maxspeedWayCount = 0;
   }
 
   /**
@@ -22,24 +46,48 @@ class GraphService {
     // Reset graph
     this.graph.nodes.clear();
     this.graph.edges.clear();
+    this.graph.spatialIndex.clear();
+    this.graph.turnRestrictions.clear();
+    this.osmNodeMap.clear();
     this.nodeIdCounter = 0;
     this.edgeIdCounter = 0;
-
-    // Process each road (way) from OSM
-    osmData.elements.forEach(way => {
-      this.processWay(way);
+    this.oneWaySegmentCount = 0;
+    this.turnRestrictionCount = 0;
+    this.unsupportedRestrictionCount = 0;
+    this.maxspeedWayCount = 0;
+
+    // Process each road (way) from OSM, keeping relations for later
+    const relations = [];
+    osmData.elements.forEach(element => {
+      if (element.type === 'relation') {
+        relations.push(element);
+      } else {
+        this.processWay(element);
+      }
     });
 
     // Merge nearby nodes (intersections)
     this.mergeIntersections();
 
+    // Attach turn restrictions to their (merged) via nodes
+    relations.forEach(relation => {
+      this.processRestriction(relation);
+    });
+
     const stats = {
       totalNodes: this.graph.nodes.size,
       totalEdges: this.graph.edges.size,
+      oneWaySegments: this.oneWaySegmentCount,
+      turnRestrictions: this.turnRestrictionCount,
+      unsupportedRestrictions: this.unsupportedRestrictionCount,
+      waysWithMaxspeed: this.maxspeedWayCount,
+      maxSpeed: this.getMaxEdgeSpeed(),
       roadTypes: this.getRoadTypeStats()
     };
 
-    console.log(`✅ Graph built: ${stats.totalNodes} nodes, ${stats.totalEdges} edges`);
+    this.graph.stats = stats;
+
+    console.log(`✅ Graph built: ${stats.totalNodes} nodes, ${stats.totalEdges} edges, ${stats.oneWaySegments} one-way segments, ${stats.turnRestrictions} turn restrictions`);
     console.log('📊 Road types:', stats.roadTypes);
 
     return {
@@ -53,7 +101,7 @@ class GraphService {
    * @param {Object} way - OSM way element
    */
   processWay(way) {
-    const roadType = way.tags?.highway || 'default';
+    const roadType = way.tags?.highway || (way.tags?.route === 'ferry' ? 'ferry' : 'default');
     const roadName = way.tags?.name || 'Unnamed Road';
     const geometry = way.geometry || [];
 
@@ -61,21 +109,189 @@ class GraphService {
       return; // Skip roads with insufficient geometry
     }
 
+    if (!this.isWayAccessible(way.tags || {})) {
+      return; // Skip roads this profile may not use
+    }
+
+    const direction = this.getAllowedDirections(way.tags || {});
+    if (!direction.forward && !direction.backward) {
+      return; // Not traversable for this profile (e.g. reversible lanes)
+    }
+
+    const { speed, maxspeed } = calculateWaySpeed(way.tags || {}, roadType, this.profileConfig);
+    if (speed <= 0) {
+      return; // e.g. smoothness=impassable
+    }
+    if (maxspeed !== null) {
+      this.maxspeedWayCount++;
+    }
+
+    const attributes = {
+      wayId: way.id,
+      speed: speed,
+      maxspeed: maxspeed,
+      surface: way.tags?.surface || null,
+      toll: way.tags?.toll === 'yes',
+      lanes: way.tags?.lanes ? parseInt(way.tags.lanes, 10) : null,
+      roundabout: way.tags?.junction === 'roundabout' || way.tags?.junction === 'circular'
+    };
+
     let previousNodeId = null;
 
     // Create nodes for each point in the road geometry
     geometry.forEach((point, index) => {
-      const nodeId = this.findOrCreateNode(point.lat, point.lon);
+      // A node shared with an earlier way (e.g. one from a neighbouring tile)
+      // is matched by its OSM id, otherwise by position
+      const osmNodeId = way.nodes?.[index];
+      const nodeId = (osmNodeId !== undefined && this.osmNodeMap.get(osmNodeId)) ||
+        this.findOrCreateNode(point.lat, point.lon);
+      
+      // Remember which OSM node this is, so relations can refer to it
+      if (osmNodeId !== undefined) {
+        this.osmNodeMap.set(osmNodeId, nodeId);
+      }
       
       // Create edge between consecutive points
       if (previousNodeId !== null) {
-        this.createEdge(previousNodeId, nodeId, roadType, roadName);
+        this.createEdge(previousNodeId, nodeId, roadType, roadName, direction, attributes);
       }
       
       previousNodeId = nodeId;
     });
   }
 
+  /**
+   * Check the way's highway class and access tags against the active profile
+   * @param {Object} tags - OSM way tags
+   * @returns {boolean} True if the profile may use the way
+   */
+  isWayAccessible(tags) {
+    if (tags.highway && !this.profileConfig.highwayTypes.includes(tags.highway)) {
+      return false;
+    }
+
+    const accessTag = this.profileConfig.accessTags.find(tag => tags[tag] !== undefined);
+    return !accessTag || !ACCESS_DENIED_VALUES.includes(tags[accessTag]);
+  }
+
+  /**
+   * Work out which directions of a way are legal for the active profile
+   * Reads oneway, junction=roundabout and oneway:bicycle tags. Forward means
+   * the order of the way's geometry.
+   * @param {Object} tags - OSM way tags
+   * @returns {Object} {forward: boolean, backward: boolean}
+   */
+  getAllowedDirections(tags) {
+    const bothWays = { forward: true, backward: true };
+
+    // e.g. pedestrians may walk either way along one-way streets
+    if (!this.profileConfig.respectsOneway) {
+      return bothWays;
+    }
+
+    let oneway = tags.oneway;
+
+    // A profile-specific tag (e.g. oneway:bicycle) overrides the general one
+    if (tags[this.profileConfig.onewayTag] !== undefined) {
+      oneway = tags[this.profileConfig.onewayTag];
+    }
+
+    if (oneway === undefined &&
+        (tags.junction === 'roundabout' || tags.junction === 'circular' || tags.highway === 'motorway')) {
+      oneway = 'yes'; // Implied by OSM conventions
+    }
+
+    switch (oneway) {
+      case 'yes':
+      case 'true':
+      case '1':
+        return { forward: true, backward: false };
+      case '-1':
+      case 'reverse':
+        return { forward: false, backward: true };
+      case 'reversible':
+      case 'alternating':
+        // Direction changes over the day; we can't know which is open
+        return { forward: false, backward: false };
+      default:
+        return bothWays;
+    }
+  }
+
+  /**
+   * Store an OSM turn restriction relation against its via node
+   * Only restrictions with a single via node are supported; via-way
+   * restrictions are counted and skipped.
+   * @param {Object} relation - OSM relation element with type=restriction
+   */
+  processRestriction(relation) {
+    const tags = relation.tags || {};
+    if (tags.type !== 'restriction') {
+      return;
+    }
+
+    const value = this.getRestrictionValue(tags);
+    if (!value) {
+      return; // Does not apply to this profile
+    }
+
+    const type = value.startsWith('no_') ? 'no' : value.startsWith('only_') ? 'only' : null;
+    if (!type) {
+      return;
+    }
+
+    const members = relation.members || [];
+    const fromWays = members.filter(m => m.role === 'from' && m.type === 'way').map(m => m.ref);
+    const toWays = members.filter(m => m.role === 'to' && m.type === 'way').map(m => m.ref);
+    const viaMembers = members.filter(m => m.role === 'via');
+
+    if (viaMembers.length !== 1 || viaMembers[0].type !== 'node') {
+      this.unsupportedRestrictionCount++;
+      return;
+    }
+
+    const viaNodeId = this.osmNodeMap.get(viaMembers[0].ref);
+    if (!viaNodeId || fromWays.length === 0 || toWays.length === 0) {
+      return; // Via node is outside the fetched area or the relation is incomplete
+    }
+
+    if (!this.graph.turnRestrictions.has(viaNodeId)) {
+      this.graph.turnRestrictions.set(viaNodeId, []);
+    }
+
+    fromWays.forEach(fromWay => {
+      this.graph.turnRestrictions.get(viaNodeId).push({
+        id: relation.id,
+        type: type,
+        fromWay: fromWay,
+        toWays: toWays
+      });
+    });
+
+    this.turnRestrictionCount++;
+  }
+
+  /**
+   * Get the restriction value (e.g. no_left_turn) that applies to the active profile
+   * @param {Object} tags - OSM relation tags
+   * @returns {string|null} restriction value, or null if the profile is exempt
+   */
+  getRestrictionValue(tags) {
+    const { restrictionVehicle, restrictionExemptions } = this.profileConfig;
+
+    // Turn restrictions are for vehicles
+    if (!restrictionVehicle) {
+      return null;
+    }
+
+    const except = (tags.except || '').split(';').map(value => value.trim());
+    if (except.some(value => restrictionExemptions.includes(value))) {
+      return null;
+    }
+
+    return tags[`restriction:${restrictionVehicle}`] || tags.restriction || null;
+  }
+
   /**
    * Find existing node or create new one at given coordinates
    * @param {number} lat - Latitude
@@ -84,11 +300,9 @@ class GraphService {
    */
   findOrCreateNode(lat, lng) {
     // Check if node already exists at this location (within tolerance)
-    for (const [nodeId, node] of this.graph.nodes) {
-      const distance = calculateDistance(lat, lng, node.lat, node.lng);
-      if (distance < INTERSECTION_TOLERANCE) {
-        return nodeId; // Reuse existing node
-      }
+    const existing = this.graph.spatialIndex.nearest(lat, lng);
+    if (existing && existing.distance < INTERSECTION_TOLERANCE) {
+      return existing.id; // Reuse existing node
     }
 
     // Create new node
@@ -98,6 +312,7 @@ class GraphService {
       lng: lng,
       edges: []
     });
+    this.graph.spatialIndex.insert(nodeId, lat, lng);
 
     return nodeId;
   }
@@ -108,8 +323,10 @@ class GraphService {
    * @param {string} toNodeId - Destination node ID
    * @param {string} roadType - Type of road (primary, secondary, etc.)
    * @param {string} roadName - Name of the road
+   * @param {Object} direction - {forward, backward} legal travel directions (default: both)
+   * @param {Object} attributes - Extra properties stored on both directional edges (e.g. wayId, speed)
    */
-  createEdge(fromNodeId, toNodeId, roadType, roadName) {
+  createEdge(fromNodeId, toNodeId, roadType, roadName, direction = { forward: true, backward: true }, attributes = {}) {
     if (fromNodeId === toNodeId) {
       return; // Skip self-loops
     }
@@ -125,15 +342,28 @@ class GraphService {
     const distance = calculateDistance(fromNode.lat, fromNode.lng, toNode.lat, toNode.lng);
     
     // Calculate weight (distance * road type multiplier)
-    const roadWeight = ROAD_TYPE_WEIGHTS[roadType] || ROAD_TYPE_WEIGHTS.default;
+    const { roadTypeWeights } = this.profileConfig;
+    const roadWeight = roadTypeWeights[roadType] || roadTypeWeights.default;
     const weight = distance * roadWeight;
 
+    // Travel time in hours at the way's expected speed
+    if (attributes.speed) {
+      attributes = { ...attributes, travelTime: distance / attributes.speed };
+    }
+
     // Create edge ID
     const edgeId = `edge_${this.edgeIdCounter++}`;
 
-    // Create bidirectional edges (most roads allow travel in both directions)
-    this.createDirectionalEdge(edgeId + '_forward', fromNodeId, toNodeId, weight, distance, roadType, roadName);
-    this.createDirectionalEdge(edgeId + '_backward', toNodeId, fromNodeId, weight, distance, roadType, roadName);
+    // Create an edge for each legal direction (most roads allow both)
+    if (direction.forward) {
+      this.createDirectionalEdge(edgeId + '_forward', fromNodeId, toNodeId, weight, distance, roadType, roadName, attributes);
+    }
+    if (direction.backward) {
+      this.createDirectionalEdge(edgeId + '_backward', toNodeId, fromNodeId, weight, distance, roadType, roadName, attributes);
+    }
+    if (direction.forward !== direction.backward) {
+      this.oneWaySegmentCount++;
+    }
   }
 
   /**
@@ -145,8 +375,9 @@ class GraphService {
    * @param {number} distance - Actual distance in km
    * @param {string} roadType - Type of road
    * @param {string} roadName - Name of the road
+   * @param {Object} attributes - Extra edge properties (e.g. wayId)
    */
-  createDirectionalEdge(edgeId, fromNodeId, toNodeId, weight, distance, roadType, roadName) {
+  createDirectionalEdge(edgeId, fromNodeId, toNodeId, weight, distance, roadType, roadName, attributes = {}) {
     // Add edge to graph
     this.graph.edges.set(edgeId, {
       from: fromNodeId,
@@ -154,7 +385,8 @@ class GraphService {
       weight: weight,
       distance: distance,
       roadType: roadType,
-      roadName: roadName
+      roadName: roadName,
+      ...attributes
     });
 
     // Add edge reference to source node
@@ -179,14 +411,13 @@ class GraphService {
       const cluster = [nodeId1];
       processedNodes.add(nodeId1);
 
-      for (const [nodeId2, node2] of this.graph.nodes) {
-        if (processedNodes.has(nodeId2)) continue;
+      // Slightly larger tolerance for merging
+      const neighbors = this.graph.spatialIndex.queryRadius(node1.lat, node1.lng, INTERSECTION_TOLERANCE * 2);
+      for (const { id: nodeId2, distance } of neighbors) {
+        if (processedNodes.has(nodeId2) || distance >= INTERSECTION_TOLERANCE * 2) continue;
 
-        const distance = calculateDistance(node1.lat, node1.lng, node2.lat, node2.lng);
-        if (distance < INTERSECTION_TOLERANCE * 2) { // Slightly larger tolerance for merging
-          cluster.push(nodeId2);
-          processedNodes.add(nodeId2);
-        }
+        cluster.push(nodeId2);
+        processedNodes.add(nodeId2);
       }
 
       if (cluster.length > 1) {
@@ -195,10 +426,24 @@ class GraphService {
     }
 
     // Merge each cluster into a single node
+    const nodeRemap = new Map();
     nodesToMerge.forEach(cluster => {
       this.mergeNodeCluster(cluster);
+      cluster.slice(1).forEach(nodeId => nodeRemap.set(nodeId, cluster[0]));
     });
 
+    // Fix remaining edge endpoints, then remove duplicate/self-loop edges once
+    if (nodesToMerge.length > 0) {
+      this.redirectEdges(nodeRemap);
+      this.removeDuplicateEdges();
+
+      for (const [osmNodeId, nodeId] of this.osmNodeMap) {
+        if (nodeRemap.has(nodeId)) {
+          this.osmNodeMap.set(osmNodeId, nodeRemap.get(nodeId));
+        }
+      }
+    }
+
     console.log(`✅ Merged ${nodesToMerge.length} intersection clusters`);
   }
 
@@ -229,6 +474,7 @@ class GraphService {
     primaryNode.lat = avgLat;
     primaryNode.lng = avgLng;
     primaryNode.edges = Array.from(allEdges);
+    this.graph.spatialIndex.update(primaryNodeId, avgLat, avgLng);
 
     // Update all edges to point to the primary node
     allEdges.forEach(edgeId => {
@@ -246,10 +492,24 @@ class GraphService {
     // Remove the other nodes
     nodeIds.slice(1).forEach(nodeId => {
       this.graph.nodes.delete(nodeId);
+      this.graph.spatialIndex.remove(nodeId);
     });
+  }
 
-    // Remove duplicate/self-loop edges
-    this.removeDuplicateEdges();
+  /**
+   * Point edges that still reference merged-away nodes at their primary node
+   * Incoming edges are not listed on a node, so mergeNodeCluster cannot reach them.
+   * @param {Map} nodeRemap - merged nodeId -> primary nodeId
+   */
+  redirectEdges(nodeRemap) {
+    for (const [edgeId, edge] of this.graph.edges) {
+      if (nodeRemap.has(edge.from)) {
+        edge.from = nodeRemap.get(edge.from);
+      }
+      if (nodeRemap.has(edge.to)) {
+        edge.to = nodeRemap.get(edge.to);
+      }
+    }
   }
 
   /**
@@ -286,6 +546,22 @@ class GraphService {
     }
   }
 
+  /**
+   * Get the highest expected speed of any edge (used to bound travel-time estimates)
+   * @returns {number} speed in km/h
+   */
+  getMaxEdgeSpeed() {
+    let maxSpeed = 0;
+
+    for (const [edgeId, edge] of this.graph.edges) {
+      if (edge.speed > maxSpeed) {
+        maxSpeed = edge.speed;
+      }
+    }
+
+    return maxSpeed || this.profileConfig.averageSpeeds.default;
+  }
+
   /**
    * Get statistics about road types in the graph
    * @returns {Object} road type statistics
@@ -309,6 +585,45 @@ class GraphService {
     return this.graph;
   }
 
+  /**
+   * Convert a graph into plain data that can be written as JSON
+   * The spatial index is left out; restoreGraph rebuilds it.
+   * @param {Object} graph - Graph from buildGraph (default: this service's graph)
+   * @returns {Object} {profile, nodes, edges, turnRestrictions, stats}
+   */
+  serializeGraph(graph = this.graph) {
+    return {
+      profile: graph.profile,
+      nodes: [...graph.nodes],
+      edges: [...graph.edges],
+      turnRestrictions: [...graph.turnRestrictions],
+      stats: graph.stats
+    };
+  }
+
+  /**
+   * Restore a graph written by serializeGraph
+   * @param {Object} data - Serialized graph
+   * @returns {Object} graph with nodes, edges, spatial index and turn restrictions
+   */
+  restoreGraph(data) {
+    if (data.profile !== this.profile) {
+      throw new Error(`Serialized graph is for profile ${data.profile}, expected ${this.profile}`);
+    }
+
+    this.graph.nodes = new Map(data.nodes);
+    this.graph.edges = new Map(data.edges);
+    this.graph.turnRestrictions = new Map(data.turnRestrictions);
+    this.graph.stats = data.stats;
+
+    this.graph.spatialIndex.clear();
+    for (const [nodeId, node] of this.graph.nodes) {
+      this.graph.spatialIndex.insert(nodeId, node.lat, node.lng);
+    }
+
+    return this.graph;
+  }
+
   /**
    * Find nodes within a radius of given coordinates
    * @param {number} lat - Target latitude
@@ -317,18 +632,11 @@ class GraphService {
    * @returns {Array} array of nearby node IDs
    */
   findNodesInRadius(lat, lng, radiusKm = 0.1) {
-    const nearbyNodes = [];
-
-    for (const [nodeId, node] of this.graph.nodes) {
-      const distance = calculateDistance(lat, lng, node.lat, node.lng);
-      if (distance <= radiusKm) {
-        nearbyNodes.push({
-          nodeId: nodeId,
-          distance: distance,
-          node: node
-        });
-      }
-    }
+    const nearbyNodes = this.graph.spatialIndex.queryRadius(lat, lng, radiusKm).map(({ id, distance }) => ({
+      nodeId: id,
+      distance: distance,
+      node: this.graph.nodes.get(id)
+    }));
 
     // Sort by distance
     nearbyNodes.sort((a, b) => a.distance - b.distance);
@@ -0,0 +1,291 @@
+const { calculateBearing } = require('../utils/distance');
+
+const COMPASS_DIRECTIONS = ['north', 'northeast', 'east', 'southeast', 'south', 'southwest', 'west', 'northwest'];
+const UNNAMED_ROAD = 'Unnamed Road';
+
+class InstructionService {
+  /**
+   * @param {Object} graph - Graph the route was found on
+   */
+  constructor(graph) {
+    this.graph = graph;
+  }
+
+  /**
+   * Build turn-by-turn instructions from path segment details
+   * Consecutive segments on the same road are merged into one step and
+   * roundabouts are collapsed into a single "take the Nth exit" step.
+   * Segment i runs from path[i] to path[i + 1], so each step's pathRange
+   * indexes straight into the route's coordinate path.
+   * @param {Array} segments - Output of DijkstraService.getPathDetails
+   * @returns {Array} steps [{type, modifier, roadName, instruction, distance, duration, pathRange}]
+   */
+  buildInstructions(segments) {
+    if (segments.length === 0) {
+      return [];
+    }
+
+    const groups = this.groupSegments(segments);
+    const steps = [];
+
+    groups.forEach((group, index) => {
+      const first = group.segments[0];
+      const previousGroup = groups[index - 1];
+
+      let step;
+      if (index === 0) {
+        step = this.createDepartStep(group);
+      } else if (group.roundabout) {
+        step = this.createRoundaboutStep(group, groups[index + 1]);
+      } else {
+        const previousSegment = previousGroup.segments[previousGroup.segments.length - 1];
+        step = this.createTurnStep(group, this.getTurnAngle(previousSegment, first), previousGroup);
+      }
+
+      steps.push(step);
+    });
+
+    const lastIndex = segments.length;
+    steps.push({
+      type: 'arrive',
+      modifier: null,
+      roadName: segments[segments.length - 1].roadName,
+      instruction: 'Arrive at your destination',
+      distance: 0,
+      duration: 0,
+      pathRange: [lastIndex, lastIndex]
+    });
+
+    return steps;
+  }
+
+  /**
+   * Split segments into groups that become one instruction each
+   * @param {Array} segments - Path segment details
+   * @returns {Array} groups [{segments, startIndex, endIndex, roundabout}]
+   */
+  groupSegments(segments) {
+    const groups = [];
+    let current = null;
+
+    segments.forEach((segment, index) => {
+      const previous = segments[index - 1];
+      const continues = current && previous && (
+        segment.roundabout
+          ? current.roundabout
+          : !current.roundabout && this.isSameRoad(previous, segment)
+      );
+
+      if (continues) {
+        current.segments.push(segment);
+        current.endIndex = index + 1;
+      } else {
+        current = {
+          segments: [segment],
+          startIndex: index,
+          endIndex: index + 1,
+          roundabout: Boolean(segment.roundabout)
+        };
+        groups.push(current);
+      }
+    });
+
+    return groups;
+  }
+
+  /**
+   * Check whether two consecutive segments belong to the same instruction
+   * Named roads merge by name; unnamed ones only while they stay on the same way
+   * or carry straight on.
+   * @param {Object} previous - Earlier segment
+   * @param {Object} segment - Following segment
+   * @returns {boolean}
+   */
+  isSameRoad(previous, segment) {
+    if (previous.roadName !== segment.roadName) {
+      return false;
+    }
+
+    if (segment.roadName !== UNNAMED_ROAD) {
+      return true;
+    }
+
+    return previous.wayId === segment.wayId || Math.abs(this.getTurnAngle(previous, segment)) < 20;
+  }
+
+  /**
+   * Create the first step of the route
+   * @param {Object} group - First segment group
+   * @returns {Object} step
+   */
+  createDepartStep(group) {
+    const first = group.segments[0];
+    const heading = this.getCompassDirection(this.getBearing(first));
+
+    return this.createStep(group, 'depart', heading,
+      `Head ${heading} on ${this.describeRoad(first.roadName)}`);
+  }
+
+  /**
+   * Create a turn or continue step between two groups
+   * @param {Object} group - Segment group being entered
+   * @param {number} angle - Turn angle in degrees (-180..180, positive is right)
+   * @param {Object} previousGroup - Group being left
+   * @returns {Object} step
+   */
+  createTurnStep(group, angle, previousGroup) {
+    const modifier = this.getTurnModifier(angle);
+    const road = this.describeRoad(group.segments[0].roadName);
+
+    if (modifier === 'straight') {
+      return this.createStep(group, 'continue', modifier, `Continue onto ${road}`);
+    }
+
+    if (modifier === 'uturn') {
+      return this.createStep(group, 'turn', modifier, `Make a U-turn onto ${road}`);
+    }
+
+    // Leaving a roundabout is already covered by the roundabout step
+    if (previousGroup.roundabout) {
+      return this.createStep(group, 'continue', modifier, `Continue on ${road}`);
+    }
+
+    return this.createStep(group, 'turn', modifier, `Turn ${modifier} onto ${road}`);
+  }
+
+  /**
+   * Create a roundabout step, counting the exits passed
+   * @param {Object} group - Roundabout segment group
+   * @param {Object|undefined} nextGroup - Group taken after the exit
+   * @returns {Object} step
+   */
+  createRoundaboutStep(group, nextGroup) {
+    let exitNumber = 0;
+
+    group.segments.forEach(segment => {
+      if (this.hasRoundaboutExit(segment.to)) {
+        exitNumber++;
+      }
+    });
+
+    exitNumber = Math.max(exitNumber, 1);
+    const exitRoad = nextGroup ? ` onto ${this.describeRoad(nextGroup.segments[0].roadName)}` : '';
+    const step = this.createStep(group, 'roundabout', null,
+      `Enter the roundabout and take the ${this.ordinal(exitNumber)} exit${exitRoad}`);
+    step.exit = exitNumber;
+
+    return step;
+  }
+
+  /**
+   * Check whether a node on a roundabout has a way leading off it
+   * @param {string} nodeId - Node on the roundabout
+   * @returns {boolean}
+   */
+  hasRoundaboutExit(nodeId) {
+    const node = this.graph.nodes.get(nodeId);
+    if (!node) {
+      return false;
+    }
+
+    return node.edges.some(edgeId => {
+      const edge = this.graph.edges.get(edgeId);
+      return edge && !edge.roundabout;
+    });
+  }
+
+  /**
+   * Assemble a step with distance, duration and path range for a group
+   * @param {Object} group - Segment group
+   * @param {string} type - depart, turn, continue, roundabout or arrive
+   * @param {string|null} modifier - Turn direction or compass heading
+   * @param {string} instruction - Human readable text
+   * @returns {Object} step
+   */
+  createStep(group, type, modifier, instruction) {
+    const distance = group.segments.reduce((sum, segment) => sum + segment.distance, 0);
+    const duration = group.segments.reduce((sum, segment) => sum + (segment.travelTime || 0), 0);
+
+    return {
+      type: type,
+      modifier: modifier,
+      roadName: group.segments[0].roadName,
+      instruction: instruction,
+      distance: parseFloat(distance.toFixed(3)), // km
+      duration: parseFloat((duration * 60).toFixed(1)), // minutes
+      pathRange: [group.startIndex, group.endIndex]
+    };
+  }
+
+  /**
+   * Bearing of a segment
+   * @param {Object} segment - Segment with fromCoords/toCoords
+   * @returns {number} bearing in degrees
+   */
+  getBearing(segment) {
+    if (!segment.fromCoords || !segment.toCoords) {
+      return 0;
+    }
+
+    return calculateBearing(segment.fromCoords[0], segment.fromCoords[1], segment.toCoords[0], segment.toCoords[1]);
+  }
+
+  /**
+   * Signed change of direction between two segments
+   * @param {Object} incoming - Segment arriving at the junction
+   * @param {Object} outgoing - Segment leaving the junction
+   * @returns {number} angle in degrees, -180..180 (positive is a right turn)
+   */
+  getTurnAngle(incoming, outgoing) {
+    const delta = this.getBearing(outgoing) - this.getBearing(incoming);
+    return ((delta + 540) % 360) - 180;
+  }
+
+  /**
+   * Classify a turn angle
+   * @param {number} angle - Turn angle in degrees
+   * @returns {string} straight, slight/sharp left/right, left, right or uturn
+   */
+  getTurnModifier(angle) {
+    const magnitude = Math.abs(angle);
+    const side = angle > 0 ? 'right' : 'left';
+
+    if (magnitude < 20) return 'straight';
+    if (magnitude < 45) return `slight ${side}`;
+    if (magnitude < 120) return side;
+    if (magnitude < 170) return `sharp ${side}`;
+    return 'uturn';
+  }
+
+  /**
+   * Convert a bearing to an eight-point compass direction
+   * @param {number} bearing - Bearing in degrees
+   * @returns {string} compass direction
+   */
+  getCompassDirection(bearing) {
+    return COMPASS_DIRECTIONS[Math.round(bearing / 45) % 8];
+  }
+
+  /**
+   * Road name for instruction text
+   * @param {string} roadName - Edge road name
+   * @returns {string}
+   */
+  describeRoad(roadName) {
+    return !roadName || roadName === UNNAMED_ROAD ? 'an unnamed road' : roadName;
+  }
+
+  /**
+   * Format a number as an ordinal (1st, 2nd, 3rd, 4th...)
+   * @param {number} number
+   * @returns {string}
+   */
+  ordinal(number) {
+    const suffixes = { 1: 'st', 2: 'nd', 3: 'rd' };
+    const lastTwo = number % 100;
+    const suffix = lastTwo >= 11 && lastTwo <= 13 ? 'th' : (suffixes[number % 10] || 'th');
+    return `${number}${suffix}`;
+  }
+}
+
+module.exports = InstructionService;
@@ -0,0 +1,106 @@
+const DijkstraService = require('./dijkstraService');
+const { markSegment, closeGaps, traceOutline } = require('../utils/gridHull');
+const {
+  TRAVEL_PROFILES,
+  DEFAULT_PROFILE,
+  ISOCHRONE_RADIUS_FACTOR,
+  MAX_ISOCHRONE_RADIUS,
+  ISOCHRONE_GRID_RESOLUTION,
+  ISOCHRONE_MIN_CELL_SIZE
+} = require('../utils/constants');
+
+/**
+ * Areas reachable from a point within given travel times. A single
+ * one-to-all search gives the arrival time at every node; each band is the
+ * concave outline of the roads (including the reachable part of edges that
+ * are left half way) that can be covered within its time.
+ */
+class IsochroneService {
+  /**
+   * How far from the origin road data is needed for a travel time
+   * @param {string} profile - Travel profile
+   * @param {number} minutes - Largest band
+   * @returns {number} radius in km
+   */
+  getSearchRadius(profile, minutes) {
+    const { averageSpeeds } = TRAVEL_PROFILES[profile] || TRAVEL_PROFILES[DEFAULT_PROFILE];
+    return Math.min(MAX_ISOCHRONE_RADIUS, minutes / 60 * averageSpeeds.default * ISOCHRONE_RADIUS_FACTOR);
+  }
+
+  /**
+   * Calculate isochrone bands around a point
+   * @param {Object} graph - Road graph covering the search radius
+   * @param {Object} origin - {lat, lng}
+   * @param {Array} minutes - Band limits in minutes
+   * @param {Object} options - {avoid} parsed avoid options
+   * @returns {Object} {features: GeoJSON Features (smallest band first), origin, nodesExplored}
+   */
+  calculate(graph, origin, minutes, options = {}) {
+    const limits = [...minutes].sort((a, b) => a - b);
+    const maxMinutes = limits[limits.length - 1];
+
+    const dijkstraService = new DijkstraService();
+    const reach = dijkstraService.findReachableNodes(graph, origin, maxMinutes, options);
+
+    // Finer cells for small areas, but never finer than the road data warrants
+    const radius = this.getSearchRadius(graph.profile, maxMinutes) / 111; // degrees
+    const cellSize = Math.max(ISOCHRONE_MIN_CELL_SIZE, radius / ISOCHRONE_GRID_RESOLUTION);
+
+    return {
+      features: limits.map(limit => this.buildBand(reach, dijkstraService, limit, cellSize)),
+      origin: reach.snap,
+      nodesExplored: reach.nodesExplored
+    };
+  }
+
+  /**
+   * Outline everything reachable within one time limit
+   * @param {Object} reach - Result of DijkstraService.findReachableNodes
+   * @param {Object} dijkstraService - Service that ran the search (edge costs and filter)
+   * @param {number} limit - Band limit in minutes
+   * @param {number} cellSize - Grid cell size in degrees
+   * @returns {Object} GeoJSON Feature with a MultiPolygon geometry
+   */
+  buildBand(reach, dijkstraService, limit, cellSize) {
+    const { nodes, edges } = reach.graph;
+    const cells = new Set();
+    let reachableNodes = 0;
+
+    for (const [nodeId, time] of reach.times) {
+      if (time > limit) continue;
+
+      const node = nodes.get(nodeId);
+      reachableNodes++;
+      markSegment(cells, node, node, cellSize);
+
+      // Follow each road out of the node as far as the remaining time allows
+      node.edges.forEach(edgeId => {
+        const edge = edges.get(edgeId);
+        const target = edge && nodes.get(edge.to);
+        if (!target || !dijkstraService.isEdgeUsable(edge)) return;
+
+        const edgeMinutes = dijkstraService.edgeCost(edge, false) * 60;
+        const share = edgeMinutes > 0 ? Math.min(1, (limit - time) / edgeMinutes) : 1;
+
+        markSegment(cells, node, {
+          lat: node.lat + (target.lat - node.lat) * share,
+          lng: node.lng + (target.lng - node.lng) * share
+        }, cellSize);
+      });
+    }
+
+    return {
+      type: 'Feature',
+      properties: {
+        minutes: limit,
+        reachableNodes: reachableNodes
+      },
+      geometry: {
+        type: 'MultiPolygon',
+        coordinates: traceOutline(closeGaps(cells), cellSize)
+      }
+    };
+  }
+}
+
+module.exports = IsochroneService;
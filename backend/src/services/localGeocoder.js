@@ -0,0 +1,319 @@
+const path = require('path');
+const { readOsmFile } = require('../utils/osmParsers');
+const { calculateDistance } = require('../utils/distance');
+const { projectOntoSegment } = require('../utils/snapping');
+const SpatialIndex = require('../utils/spatialIndex');
+const { MAX_REVERSE_GEOCODE_DISTANCE } = require('../utils/constants');
+
+// Tags that say what a named node or area is, in order of preference
+const TYPE_TAGS = ['place', 'amenity', 'shop', 'tourism', 'leisure', 'railway', 'public_transport', 'building', 'landuse'];
+
+/**
+ * Offline place search over an OSM extract
+ * Named nodes and ways plus tagged addresses are indexed once. Street
+ * segments with the same name that share nodes are merged into one street,
+ * so a search for a street returns it once instead of once per segment.
+ * Named road segments are kept in a spatial index for reverse lookups.
+ */
+class LocalGeocoder {
+  /**
+   * @param {Object} options - {filePath}
+   */
+  constructor(options = {}) {
+    if (!options.filePath) {
+      throw new Error('GEOCODER_FILE (or OSM_DATA_FILE) must be set when GEOCODER is "local"');
+    }
+
+    this.name = 'local';
+    this.filePath = path.resolve(options.filePath);
+    this.loading = null; // Promise of the loaded {entries, roads}
+  }
+
+  /**
+   * Load and index the file (once; concurrent callers share the same load)
+   * @returns {Promise<Object>} {entries, roads}
+   */
+  load() {
+    if (!this.loading) {
+      this.loading = this.readFile().catch(error => {
+        this.loading = null; // Allow a retry after fixing the file
+        throw new Error(`Failed to load geocoding extract ${this.filePath}: ${error.message}`);
+      });
+    }
+    return this.loading;
+  }
+
+  /**
+   * Read the extract and build the search entries and road index
+   * @returns {Promise<Object>} {entries, roads}
+   */
+  async readFile() {
+    const startTime = Date.now();
+    console.log(`📂 Loading places from ${this.filePath}`);
+
+    const data = await readOsmFile(this.filePath);
+    const entries = this.buildEntries(data);
+    const roads = this.buildRoadIndex(data);
+
+    console.log(`✅ ${entries.length} places and ${roads.segments.length} road segments indexed in ${Date.now() - startTime}ms`);
+    return { entries, roads };
+  }
+
+  /**
+   * Collect named nodes, named ways (streets merged) and addresses
+   * @param {Object} data - Parsed {nodes, ways, relations}
+   * @returns {Array} entries [{name, tokens, lat, lng, type}]
+   */
+  buildEntries(data) {
+    const entries = [];
+    const streets = new Map(); // normalized name -> [{way, points}]
+
+    const addEntry = (name, point, type) => {
+      entries.push({ name, tokens: tokenize(name), lat: point.lat, lng: point.lon, type });
+    };
+
+    for (const node of data.nodes.values()) {
+      const tags = node.tags || {};
+      if (tags.name) {
+        addEntry(tags.name, node, getType(tags));
+      }
+      if (tags['addr:street'] && tags['addr:housenumber']) {
+        addEntry(`${tags['addr:housenumber']} ${tags['addr:street']}`, node, 'address');
+      }
+    }
+
+    data.ways.forEach(way => {
+      const tags = way.tags || {};
+      const points = (way.geometry || way.nodes.map(nodeId => data.nodes.get(nodeId))).filter(Boolean);
+      if (points.length === 0) return;
+
+      if (tags.name && tags.highway) {
+        const key = normalize(tags.name);
+        if (!streets.has(key)) {
+          streets.set(key, []);
+        }
+        streets.get(key).push({ way, points });
+      } else if (tags.name) {
+        addEntry(tags.name, getCentre(points), getType(tags));
+      }
+
+      if (tags['addr:street'] && tags['addr:housenumber']) {
+        addEntry(`${tags['addr:housenumber']} ${tags['addr:street']}`, getCentre(points), 'address');
+      }
+    });
+
+    streets.forEach(segments => {
+      mergeConnected(segments).forEach(group => {
+        const points = group.flatMap(segment => segment.points);
+        addEntry(group[0].way.tags.name, getCentre(points, true), 'street');
+      });
+    });
+
+    return entries;
+  }
+
+  /**
+   * Index the segments of named roads by their midpoints
+   * @param {Object} data - Parsed {nodes, ways, relations}
+   * @returns {Object} {segments: [{name, type, from, to}], index, maxLength (km)}
+   */
+  buildRoadIndex(data) {
+    const segments = [];
+    const index = new SpatialIndex();
+    let maxLength = 0;
+
+    data.ways.forEach(way => {
+      const tags = way.tags || {};
+      if (!tags.name || !tags.highway) return;
+
+      const points = (way.geometry || way.nodes.map(nodeId => data.nodes.get(nodeId)))
+        .filter(Boolean)
+        .map(point => ({ lat: point.lat, lng: point.lon }));
+
+      for (let i = 1; i < points.length; i++) {
+        const from = points[i - 1];
+        const to = points[i];
+        index.insert(segments.length, (from.lat + to.lat) / 2, (from.lng + to.lng) / 2);
+        segments.push({ name: tags.name, type: tags.highway, from, to });
+        maxLength = Math.max(maxLength, calculateDistance(from.lat, from.lng, to.lat, to.lng));
+      }
+    });
+
+    return { segments, index, maxLength };
+  }
+
+  /**
+   * Find the nearest named road to a point
+   * @param {Object} point - {lat, lng}
+   * @param {Object} options - {maxDistance} furthest the road may be (km)
+   * @returns {Promise<Object|null>} {name, type, distance (km), lat, lng, source} or null if none is close enough
+   */
+  async reverse(point, options = {}) {
+    const { roads } = await this.load();
+    const maxDistance = options.maxDistance ?? MAX_REVERSE_GEOCODE_DISTANCE;
+
+    // A segment's midpoint is at most half its length from any point on it
+    let nearest = null;
+    roads.index.queryRadius(point.lat, point.lng, maxDistance + roads.maxLength / 2).forEach(({ id }) => {
+      const segment = roads.segments[id];
+      const projection = projectOntoSegment(point, segment.from, segment.to);
+      if (projection.distance <= maxDistance && (!nearest || projection.distance < nearest.projection.distance)) {
+        nearest = { segment, projection };
+      }
+    });
+
+    if (!nearest) {
+      return null;
+    }
+
+    return {
+      name: nearest.segment.name,
+      type: nearest.segment.type,
+      distance: nearest.projection.distance,
+      lat: nearest.projection.lat,
+      lng: nearest.projection.lng,
+      source: this.name
+    };
+  }
+
+  /**
+   * Find places matching a free-text query
+   * Every word of the query has to start a word of the name; whole-word
+   * matches, names starting with the query and short names rank first, then
+   * closeness to `near`.
+   * @param {string} query - Place name or address
+   * @param {Object} options - {limit, near} maximum results and an optional {lat, lng} to prefer results around
+   * @returns {Promise<Array>} [{name, displayName, lat, lng, type, source}]
+   */
+  async search(query, options = {}) {
+    const { entries } = await this.load();
+    const queryTokens = tokenize(query);
+    const normalizedQuery = queryTokens.join(' ');
+    if (queryTokens.length === 0) {
+      return [];
+    }
+
+    const matches = [];
+    entries.forEach(entry => {
+      let score = 0;
+      for (const queryToken of queryTokens) {
+        if (entry.tokens.includes(queryToken)) {
+          score += 2;
+        } else if (entry.tokens.some(token => token.startsWith(queryToken))) {
+          score += 1;
+        } else {
+          return;
+        }
+      }
+
+      if (entry.tokens.join(' ').startsWith(normalizedQuery)) {
+        score += 1;
+      }
+      score -= 0.1 * (entry.tokens.length - queryTokens.length);
+
+      const distance = options.near
+        ? calculateDistance(options.near.lat, options.near.lng, entry.lat, entry.lng)
+        : 0;
+      matches.push({ entry, score, distance });
+    });
+
+    matches.sort((a, b) => b.score - a.score || a.distance - b.distance);
+
+    return matches.slice(0, options.limit || 5).map(({ entry }) => ({
+      name: entry.name,
+      displayName: entry.name,
+      lat: entry.lat,
+      lng: entry.lng,
+      type: entry.type,
+      source: this.name
+    }));
+  }
+}
+
+/**
+ * Lowercase, strip accents and split a name into words
+ * @param {string} text - Name or query
+ * @returns {Array} words
+ */
+function tokenize(text) {
+  return normalize(text).split(' ').filter(Boolean);
+}
+
+/**
+ * @param {string} text - Name or query
+ * @returns {string} lowercase text without accents or punctuation
+ */
+function normalize(text) {
+  return String(text)
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .trim();
+}
+
+/**
+ * Describe what a named feature is from its tags
+ * @param {Object} tags - OSM tags
+ * @returns {string} tag value such as "city" or "restaurant"
+ */
+function getType(tags) {
+  const key = TYPE_TAGS.find(tag => tags[tag]);
+  return key ? (tags[key] === 'yes' ? key : tags[key]) : 'place';
+}
+
+/**
+ * Centre of a set of points
+ * @param {Array} points - [{lat, lon}]
+ * @param {boolean} onLine - Return the given point closest to the centre (keeps streets on the road)
+ * @returns {Object} {lat, lon}
+ */
+function getCentre(points, onLine = false) {
+  const centre = {
+    lat: points.reduce((sum, point) => sum + point.lat, 0) / points.length,
+    lon: points.reduce((sum, point) => sum + point.lon, 0) / points.length
+  };
+
+  if (!onLine) {
+    return centre;
+  }
+
+  return points.reduce((best, point) =>
+    calculateDistance(centre.lat, centre.lon, point.lat, point.lon) <
+    calculateDistance(centre.lat, centre.lon, best.lat, best.lon) ? point : best
+  );
+}
+
+/**
+ * Group way segments that are joined through shared nodes
+ * @param {Array} segments - [{way, points}] with the same name
+ * @returns {Array} groups of segments
+ */
+function mergeConnected(segments) {
+  const parent = segments.map((_, index) => index);
+  const find = index => (parent[index] === index ? index : (parent[index] = find(parent[index])));
+  const nodeOwner = new Map(); // OSM node id -> segment index
+
+  segments.forEach((segment, index) => {
+    segment.way.nodes.forEach(nodeId => {
+      if (nodeOwner.has(nodeId)) {
+        parent[find(index)] = find(nodeOwner.get(nodeId));
+      } else {
+        nodeOwner.set(nodeId, index);
+      }
+    });
+  });
+
+  const groups = new Map();
+  segments.forEach((segment, index) => {
+    const root = find(index);
+    if (!groups.has(root)) {
+      groups.set(root, []);
+    }
+    groups.get(root).push(segment);
+  });
+
+  return [...groups.values()];
+}
+
+module.exports = LocalGeocoder;
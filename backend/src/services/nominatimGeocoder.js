@@ -0,0 +1,173 @@
+const axios = require('axios');
+const { calculateDistance } = require('../utils/distance');
+const { projectOntoSegment } = require('../utils/snapping');
+const { UpstreamTimeoutError, UpstreamRateLimitError, UpstreamError } = require('../utils/errors');
+const {
+  NOMINATIM_URL,
+  NOMINATIM_MIN_INTERVAL,
+  GEOCODE_BIAS_RADIUS,
+  MAX_REVERSE_GEOCODE_DISTANCE
+} = require('../utils/constants');
+
+// Reverse lookups at street level (Nominatim's zoom 16: major and minor streets)
+const STREET_ZOOM = 16;
+
+/**
+ * Place search against a Nominatim-compatible HTTP API
+ * Requests are spaced at least `minInterval` apart, as the public instance's
+ * usage policy asks, and identify the app with a User-Agent.
+ */
+class NominatimGeocoder {
+  /**
+   * @param {Object} options - {url, timeout, minInterval, userAgent}
+   */
+  constructor(options = {}) {
+    this.name = 'nominatim';
+    this.url = (options.url || NOMINATIM_URL).replace(/\/+$/, '');
+    this.timeout = options.timeout || 10000;
+    this.minInterval = options.minInterval ?? NOMINATIM_MIN_INTERVAL;
+    this.userAgent = options.userAgent || 'Go pilot route planner';
+    this.queue = Promise.resolve(); // Serializes requests to honour minInterval
+    this.lastRequestAt = 0;
+  }
+
+  /**
+   * Find places matching a free-text query
+   * @param {string} query - Place name or address
+   * @param {Object} options - {limit, near} maximum results and an optional {lat, lng} to prefer results around
+   * @returns {Promise<Array>} [{name, displayName, lat, lng, type, source}]
+   */
+  async search(query, options = {}) {
+    const params = {
+      q: query,
+      format: 'jsonv2',
+      limit: options.limit || 5
+    };
+
+    if (options.near) {
+      const { lat, lng } = options.near;
+      params.viewbox = [lng - GEOCODE_BIAS_RADIUS, lat + GEOCODE_BIAS_RADIUS, lng + GEOCODE_BIAS_RADIUS, lat - GEOCODE_BIAS_RADIUS].join(',');
+    }
+
+    const results = await this.request('/search', params);
+
+    return results.map(result => ({
+      name: result.name || result.display_name.split(',')[0],
+      displayName: result.display_name,
+      lat: parseFloat(result.lat),
+      lng: parseFloat(result.lon),
+      type: result.type,
+      source: this.name
+    }));
+  }
+
+  /**
+   * Find the nearest named road to a point
+   * The road's geometry is requested so the distance is measured to the road
+   * itself rather than to its centre.
+   * @param {Object} point - {lat, lng}
+   * @param {Object} options - {maxDistance} furthest the road may be (km)
+   * @returns {Promise<Object|null>} {name, type, distance (km), lat, lng, source} or null if none is close enough
+   */
+  async reverse(point, options = {}) {
+    const maxDistance = options.maxDistance ?? MAX_REVERSE_GEOCODE_DISTANCE;
+    const result = await this.request('/reverse', {
+      lat: point.lat,
+      lon: point.lng,
+      format: 'jsonv2',
+      zoom: STREET_ZOOM,
+      polygon_geojson: 1
+    });
+
+    const name = result && !result.error && (result.address?.road || (result.category === 'highway' && result.name));
+    if (!name) {
+      return null;
+    }
+
+    const nearest = result.category === 'highway' && result.geojson
+      ? nearestOnGeometry(point, result.geojson)
+      : null;
+    const lat = nearest ? nearest.lat : parseFloat(result.lat);
+    const lng = nearest ? nearest.lng : parseFloat(result.lon);
+    const distance = calculateDistance(point.lat, point.lng, lat, lng);
+    if (distance > maxDistance) {
+      return null;
+    }
+
+    return {
+      name: name,
+      type: result.category === 'highway' ? result.type : null,
+      distance: distance,
+      lat: lat,
+      lng: lng,
+      source: this.name
+    };
+  }
+
+  /**
+   * Send a GET request once the previous one is at least minInterval old
+   * @param {string} path - API path
+   * @param {Object} params - Query parameters
+   * @returns {Promise<*>} response body
+   */
+  request(path, params) {
+    const run = async () => {
+      const wait = this.lastRequestAt + this.minInterval - Date.now();
+      if (wait > 0) {
+        await new Promise(resolve => setTimeout(resolve, wait));
+      }
+      this.lastRequestAt = Date.now();
+
+      try {
+        const response = await axios.get(`${this.url}${path}`, {
+          params: params,
+          headers: { 'User-Agent': this.userAgent },
+          timeout: this.timeout
+        });
+        return response.data;
+      } catch (error) {
+        if (error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT') {
+          throw new UpstreamTimeoutError('Geocoding request timed out. Please try again later.', { timeout: this.timeout });
+        }
+        if (error.response && error.response.status === 429) {
+          throw new UpstreamRateLimitError('Geocoding rate limit exceeded. Please try again later.');
+        }
+        throw new UpstreamError(`Geocoding service error: ${error.message}`);
+      }
+    };
+
+    const request = this.queue.then(run, run);
+    this.queue = request.catch(() => {});
+    return request;
+  }
+}
+
+/**
+ * Closest point on a GeoJSON line geometry
+ * @param {Object} point - {lat, lng}
+ * @param {Object} geometry - GeoJSON LineString or MultiLineString ([lng, lat] positions)
+ * @returns {Object|null} {lat, lng, distance} or null for other geometry types
+ */
+function nearestOnGeometry(point, geometry) {
+  const lines = geometry.type === 'LineString' ? [geometry.coordinates]
+    : geometry.type === 'MultiLineString' ? geometry.coordinates
+      : [];
+
+  let nearest = null;
+  lines.forEach(line => {
+    for (let i = 1; i < line.length; i++) {
+      const projection = projectOntoSegment(
+        point,
+        { lat: line[i - 1][1], lng: line[i - 1][0] },
+        { lat: line[i][1], lng: line[i][0] }
+      );
+      if (!nearest || projection.distance < nearest.distance) {
+        nearest = projection;
+      }
+    }
+  });
+
+  return nearest;
+}
+
+module.exports = NominatimGeocoder;
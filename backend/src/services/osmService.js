@@ -1,9 +1,54 @@
-const axios = require('axios');
+const {
+  DEFAULT_PROFILE,
+  OSM_DATA_SOURCES,
+  ROUTE_PADDING,
+  TILE_CACHE_TTL,
+  TILE_CACHE_MAX_TILES,
+  TILE_FETCH_BLOCK_SIZE,
+  TILE_FETCH_CONCURRENCY
+} = require('../utils/constants');
+const {
+  getRouteTiles,
+  getAreaTiles,
+  getTileBounds,
+  getTilesBounds,
+  groupTiles,
+  splitByTile,
+  stitchTiles
+} = require('../utils/tiles');
+const { NoRoadDataError } = require('../utils/errors');
+const ConcurrencyLimiter = require('../utils/concurrencyLimiter');
+const OverpassDataSource = require('./overpassDataSource');
+const FileDataSource = require('./fileDataSource');
 
 class OSMService {
   constructor() {
-    this.overpassUrl = process.env.OVERPASS_API_URL || 'https://overpass-api.de/api/interpreter';
-    this.timeout = parseInt(process.env.API_TIMEOUT) || 30000;
+    // OSM_DATA_SOURCE=overpass (default) or file, with OSM_DATA_FILE pointing at the extract
+    this.dataSource = this.createDataSource(process.env.OSM_DATA_SOURCE || 'overpass');
+    this.tileCache = new Map(); // "profile:x:y" -> {elements: Promise, timestamp}, oldest first
+    // Downloads share the upstream between all requests; queued ones wait their turn
+    this.tileDownloads = new ConcurrencyLimiter({ max: TILE_FETCH_CONCURRENCY, maxQueued: Infinity });
+  }
+
+  /**
+   * Create the configured road data source
+   * @param {string} type - One of OSM_DATA_SOURCES
+   * @returns {Object} data source with fetchElements(bbox, profile)
+   */
+  createDataSource(type) {
+    switch (type) {
+      case 'overpass':
+        return new OverpassDataSource({
+          urls: OverpassDataSource.getConfiguredUrls(process.env),
+          timeout: parseInt(process.env.API_TIMEOUT) || 30000,
+          maxRetries: parseInt(process.env.OVERPASS_MAX_RETRIES),
+          maxResponseSize: parseInt(process.env.OVERPASS_MAX_RESPONSE_SIZE) || undefined
+        });
+      case 'file':
+        return new FileDataSource({ filePath: process.env.OSM_DATA_FILE });
+      default:
+        throw new Error(`Unknown OSM_DATA_SOURCE "${type}". Expected one of: ${OSM_DATA_SOURCES.join(', ')}`);
+    }
   }
 
   /**
@@ -14,96 +59,209 @@ class OSMService {
    * @returns {Object} bounding box {south, west, north, east}
    */
   calculateBoundingBox(source, destination, padding = 0.01) {
-    const south = Math.min(source.lat, destination.lat) - padding;
-    const north = Math.max(source.lat, destination.lat) + padding;
-    const west = Math.min(source.lng, destination.lng) - padding;
-    const east = Math.max(source.lng, destination.lng) + padding;
+    return this.calculateBoundingBoxForPoints([source, destination], padding);
+  }
+
+  /**
+   * Calculate bounding box around any number of points with padding
+   * @param {Array} points - [{lat, lng}]
+   * @param {number} padding - padding in degrees (default: 0.01)
+   * @returns {Object} bounding box {south, west, north, east}
+   */
+  calculateBoundingBoxForPoints(points, padding = 0.01) {
+    const lats = points.map(point => point.lat);
+    const lngs = points.map(point => point.lng);
+    
+    const south = Math.min(...lats) - padding;
+    const north = Math.max(...lats) + padding;
+    const west = Math.min(...lngs) - padding;
+    const east = Math.max(...lngs) + padding;
     
     return { south, west, north, east };
   }
 
   /**
-   * Build Overpass API query for roads in bounding box
-   * @param {Object} bbox - {south, west, north, east}
-   * @returns {string} Overpass query
+   * Get the tiles of road data a route needs
+   * @param {Array} points - Route stops in order [{lat, lng}]
+   * @param {number|Object} padding - Corridor half-width in degrees, or {lat, lng} (default: ROUTE_PADDING)
+   * @returns {Array} tile keys
+   */
+  getRouteTiles(points, padding = ROUTE_PADDING) {
+    return getRouteTiles(points, padding);
+  }
+
+  /**
+   * Get the tiles covering the bounding box of a set of points
+   * @param {Array} points - [{lat, lng}]
+   * @param {number|Object} padding - Padding in degrees, or {lat, lng} (default: ROUTE_PADDING)
+   * @returns {Array} tile keys
    */
-  buildOverpassQuery(bbox) {
-    return `
-      [out:json][timeout:30];
-      (
-        way["highway"~"^(motorway|trunk|primary|secondary|tertiary|residential|unclassified)$"]
-          (${bbox.south},${bbox.west},${bbox.north},${bbox.east});
-      );
-      out geom;
-    `;
+  getAreaTiles(points, padding = ROUTE_PADDING) {
+    return getAreaTiles(points, padding);
   }
 
   /**
    * Fetch road data from OpenStreetMap
+   * Only the tiles along the route are used; each tile is fetched once and
+   * cached, then the tiles are stitched into one element list.
    * @param {Object} source - {lat, lng}
    * @param {Object} destination - {lat, lng}
+   * @param {string} profile - Travel profile (default: driving)
+   * @param {Array} waypoints - Intermediate stops [{lat, lng}] the area must also cover
+   * @param {number} padding - Corridor half-width in degrees (default: ROUTE_PADDING)
    * @returns {Promise<Object>} OSM data
    */
-  async getRoadData(source, destination) {
+  async getRoadData(source, destination, profile = DEFAULT_PROFILE, waypoints = [], padding = ROUTE_PADDING) {
+    console.log(`🗺️  Fetching OSM data for route from [${source.lat}, ${source.lng}] to [${destination.lat}, ${destination.lng}]`);
+    
+    // Work out which tiles the route passes through
+    return this.getTileData(this.getRouteTiles([source, ...waypoints, destination], padding), profile);
+  }
+
+  /**
+   * Fetch the road data of a set of tiles, from the tile cache or the data source
+   * Missing tiles are downloaded together in a few larger rectangles.
+   * @param {Array} tiles - Tile keys
+   * @param {string} profile - Travel profile (default: driving)
+   * @returns {Promise<Object>} OSM data
+   */
+  async getTileData(tiles, profile = DEFAULT_PROFILE) {
     try {
-      console.log(`🗺️  Fetching OSM data for route from [${source.lat}, ${source.lng}] to [${destination.lat}, ${destination.lng}]`);
-      
-      // Calculate bounding box
-      const bbox = this.calculateBoundingBox(source, destination);
-      console.log(`📦 Bounding box: ${bbox.south}, ${bbox.west}, ${bbox.north}, ${bbox.east}`);
+      const bbox = getTilesBounds(tiles);
+      console.log(`📦 ${tiles.length} tiles within ${bbox.south}, ${bbox.west}, ${bbox.north}, ${bbox.east}`);
       
-      // Build query
-      const query = this.buildOverpassQuery(bbox);
-      console.log(`🔍 Overpass query built`);
+      // Download the missing tiles, then reuse every tile from the cache and merge them
+      const missingTiles = tiles.filter(tile => !this.getCachedTile(tile, profile));
+      const cachedTiles = tiles.length - missingTiles.length;
+      this.downloadTiles(missingTiles, profile);
       
-      // Make request to Overpass API
-      const response = await axios.post(this.overpassUrl, query, {
-        headers: {
-          'Content-Type': 'text/plain',
-        },
-        timeout: this.timeout,
-      });
+      const pending = tiles.map(tile => this.getTile(tile, profile));
+      this.trimTileCache(tiles.length);
+      const elements = stitchTiles(await Promise.all(pending));
 
-      console.log(`✅ OSM data fetched: ${response.data.elements.length} road segments`);
-      
-      // Validate response
-      if (!response.data || !response.data.elements) {
-        throw new Error('Invalid response from Overpass API');
-      }
+      const totalWays = elements.filter(element => element.type !== 'relation').length;
+      const totalRestrictions = elements.length - totalWays;
+      console.log(`✅ OSM data fetched: ${totalWays} road segments, ${totalRestrictions} turn restrictions ` +
+        `(${tiles.length - cachedTiles} tiles downloaded, ${cachedTiles} from cache)`);
 
-      if (response.data.elements.length === 0) {
-        throw new Error('No road data found in the specified area');
+      if (totalWays === 0) {
+        throw new NoRoadDataError('No road data found in the specified area', { tiles: tiles.length });
       }
 
       return {
-        elements: response.data.elements,
+        elements: elements,
         bbox: bbox,
+        tiles: tiles,
+        source: this.dataSource.name,
         timestamp: new Date().toISOString(),
         stats: {
-          totalWays: response.data.elements.length,
-          area: this.calculateArea(bbox)
+          totalWays: totalWays,
+          totalRestrictions: totalRestrictions,
+          tiles: tiles.length,
+          cachedTiles: cachedTiles,
+          area: this.getTilesArea(tiles).toFixed(2)
         }
       };
 
     } catch (error) {
       console.error('❌ Error fetching OSM data:', error.message);
-      
-      if (error.code === 'ECONNABORTED') {
-        throw new Error('OSM API request timed out. Try a smaller area.');
-      }
-      
-      if (error.response && error.response.status === 429) {
-        throw new Error('OSM API rate limit exceeded. Please try again later.');
-      }
-      
-      if (error.response && error.response.status >= 500) {
-        throw new Error('OSM API server error. Please try again later.');
-      }
-      
-      throw new Error(`Failed to fetch road data: ${error.message}`);
+      throw error;
     }
   }
 
+  /**
+   * Get the elements of a cached (possibly still downloading) tile
+   * @param {string} tile - Tile key
+   * @param {string} profile - Travel profile
+   * @returns {Promise<Array>} OSM elements touching the tile
+   */
+  getTile(tile, profile = DEFAULT_PROFILE) {
+    const key = `${profile}:${tile}`;
+    const cached = this.tileCache.get(key);
+
+    // Move to the end so the least recently used tile is evicted first
+    this.tileCache.delete(key);
+    this.tileCache.set(key, cached);
+    return cached.elements;
+  }
+
+  /**
+   * Start downloading tiles into the cache
+   * Tiles are grouped into rectangles of up to TILE_FETCH_BLOCK_SIZE tiles per
+   * side; each rectangle is one query whose elements are split back into
+   * tiles. Other tiles inside a rectangle are cached too unless already fresh.
+   * Requests arriving meanwhile find the tiles in the cache and share the download.
+   * @param {Array} tiles - Tile keys missing from the cache
+   * @param {string} profile - Travel profile
+   */
+  downloadTiles(tiles, profile = DEFAULT_PROFILE) {
+    groupTiles(tiles, TILE_FETCH_BLOCK_SIZE).forEach(group => {
+      const download = this.tileDownloads
+        .run(() => this.dataSource.fetchElements(getTilesBounds(group), profile))
+        .then(elements => splitByTile(elements, group));
+
+      group.filter(tile => !this.getCachedTile(tile, profile)).forEach(tile => {
+        const key = `${profile}:${tile}`;
+        const entry = {
+          elements: download.then(byTile => byTile.get(tile)),
+          timestamp: Date.now()
+        };
+
+        // Failed downloads are not cached
+        entry.elements.catch(() => {
+          if (this.tileCache.get(key) === entry) {
+            this.tileCache.delete(key);
+          }
+        });
+
+        this.tileCache.delete(key);
+        this.tileCache.set(key, entry);
+      });
+    });
+  }
+
+  /**
+   * Evict the least recently used tiles beyond the cache size
+   * @param {number} minimum - Tiles the current request needs; the cache never shrinks below this
+   */
+  trimTileCache(minimum = 0) {
+    while (this.tileCache.size > Math.max(TILE_CACHE_MAX_TILES, minimum)) {
+      this.tileCache.delete(this.tileCache.keys().next().value);
+    }
+  }
+
+  /**
+   * Look up a tile that is still fresh
+   * @param {string} tile - Tile key
+   * @param {string} profile - Travel profile
+   * @returns {Object|null} cache entry {elements, timestamp}
+   */
+  getCachedTile(tile, profile = DEFAULT_PROFILE) {
+    const cached = this.tileCache.get(`${profile}:${tile}`);
+    return cached && Date.now() - cached.timestamp < TILE_CACHE_TTL ? cached : null;
+  }
+
+  /**
+   * Describe the data source and the tile cache
+   * @returns {Object} {source, tiles, endpoints} with the health of every Overpass endpoint
+   */
+  getStats() {
+    return {
+      source: this.dataSource.name,
+      tiles: this.tileCache.size,
+      endpoints: this.dataSource.getHealth ? this.dataSource.getHealth() : undefined
+    };
+  }
+
+  /**
+   * Total area of a set of tiles
+   * @param {Array} tiles - Tile keys
+   * @returns {number} area in km²
+   */
+  getTilesArea(tiles) {
+    return tiles.reduce((sum, tile) => sum + parseFloat(this.calculateArea(getTileBounds(tile))), 0);
+  }
+
   /**
    * Calculate area of bounding box in square kilometers
    * @param {Object} bbox - {south, west, north, east}
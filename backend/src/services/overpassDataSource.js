@@ -0,0 +1,317 @@
+const axios = require('axios');
+const {
+  TRAVEL_PROFILES,
+  DEFAULT_PROFILE,
+  OVERPASS_ENDPOINTS,
+  OVERPASS_MAX_RETRIES,
+  OVERPASS_RETRY_BASE_DELAY,
+  OVERPASS_RETRY_MAX_DELAY,
+  OVERPASS_MAX_RESPONSE_SIZE
+} = require('../utils/constants');
+const {
+  AreaTooLargeError,
+  UpstreamTimeoutError,
+  UpstreamRateLimitError,
+  UpstreamError
+} = require('../utils/errors');
+
+/**
+ * Road data from the live Overpass API
+ * Requests go to a list of mirrors. Every mirror tracks its own health: after
+ * a failure it cools down (exponential backoff, or as long as its Retry-After
+ * header asks) and the next mirror is tried. Identical queries running at the
+ * same time share one upstream request.
+ */
+class OverpassDataSource {
+  /**
+   * @param {Object} options - {urls, timeout, maxRetries, baseDelay, maxDelay, maxResponseSize}
+   */
+  constructor(options = {}) {
+    this.name = 'overpass';
+    this.timeout = options.timeout || 30000;
+    this.maxRetries = Number.isInteger(options.maxRetries) ? options.maxRetries : OVERPASS_MAX_RETRIES;
+    this.baseDelay = options.baseDelay ?? OVERPASS_RETRY_BASE_DELAY;
+    this.maxDelay = options.maxDelay ?? OVERPASS_RETRY_MAX_DELAY;
+    this.maxResponseSize = options.maxResponseSize || OVERPASS_MAX_RESPONSE_SIZE;
+    this.inFlight = new Map(); // query -> Promise of elements
+
+    const urls = options.urls && options.urls.length > 0 ? options.urls : OVERPASS_ENDPOINTS;
+    this.endpoints = urls.map(url => ({
+      url: url,
+      consecutiveFailures: 0,
+      cooldownUntil: 0,
+      successes: 0,
+      failures: 0,
+      lastError: null,
+      lastLatency: null
+    }));
+  }
+
+  /**
+   * Read the mirror list from the environment
+   * OVERPASS_API_URLS is a comma-separated list of mirrors, tried in order. A
+   * single OVERPASS_API_URL (e.g. a self-hosted instance) is used on its own,
+   * so its traffic never moves to the public mirrors.
+   * @param {Object} env - Environment variables
+   * @returns {Array} mirror URLs; empty means the public defaults
+   */
+  static getConfiguredUrls(env) {
+    const urls = (env.OVERPASS_API_URLS || '').split(',').map(url => url.trim()).filter(Boolean);
+    if (urls.length > 0) {
+      return urls;
+    }
+    return env.OVERPASS_API_URL ? [env.OVERPASS_API_URL.trim()] : [];
+  }
+
+  /**
+   * Build Overpass API query for roads, ferries and turn restrictions in bounding box
+   * @param {Object} bbox - {south, west, north, east}
+   * @param {string} profile - Travel profile deciding which highway classes are fetched
+   * @returns {string} Overpass query
+   */
+  buildQuery(bbox, profile = DEFAULT_PROFILE) {
+    const highwayTypes = TRAVEL_PROFILES[profile].highwayTypes.join('|');
+
+    return `
+      [out:json][timeout:30];
+      (
+        way["highway"~"^(${highwayTypes})$"]
+          (${bbox.south},${bbox.west},${bbox.north},${bbox.east});
+        way["route"="ferry"]
+          (${bbox.south},${bbox.west},${bbox.north},${bbox.east});
+      );
+      out geom;
+      rel["type"="restriction"](${bbox.south},${bbox.west},${bbox.north},${bbox.east});
+      out body;
+    `;
+  }
+
+  /**
+   * Fetch ways (with geometry) and restriction relations in a bounding box
+   * Concurrent calls for the same area and profile are coalesced.
+   * @param {Object} bbox - {south, west, north, east}
+   * @param {string} profile - Travel profile
+   * @returns {Promise<Array>} Overpass elements
+   */
+  fetchElements(bbox, profile = DEFAULT_PROFILE) {
+    const query = this.buildQuery(bbox, profile);
+
+    if (this.inFlight.has(query)) {
+      console.log('🔗 Joining identical Overpass request already in flight');
+      return this.inFlight.get(query);
+    }
+
+    console.log(`🔍 Overpass query built for ${profile} profile`);
+    const request = this.requestWithRetries(query).finally(() => {
+      this.inFlight.delete(query);
+    });
+
+    this.inFlight.set(query, request);
+    return request;
+  }
+
+  /**
+   * Send a query, moving on to other mirrors and backing off on failures
+   * @param {string} query - Overpass QL
+   * @returns {Promise<Array>} Overpass elements
+   */
+  async requestWithRetries(query) {
+    let lastError = null;
+
+    for (let attempt = 0; attempt <= this.maxRetries; attempt++) {
+      const endpoint = this.pickEndpoint();
+      const wait = endpoint.cooldownUntil - Date.now();
+
+      if (wait > this.maxDelay) {
+        break; // Every mirror asked us to stay away for too long
+      }
+      if (wait > 0) {
+        console.log(`⏳ All Overpass endpoints cooling down, retrying in ${wait}ms`);
+        await this.sleep(wait);
+      }
+
+      try {
+        return await this.request(endpoint, query);
+      } catch (error) {
+        lastError = error;
+
+        if (!this.isRetryable(error)) {
+          break;
+        }
+
+        this.markFailure(endpoint, error);
+        console.warn(`⚠️  Overpass request to ${endpoint.url} failed (attempt ${attempt + 1} of ${this.maxRetries + 1}): ${error.message}`);
+      }
+    }
+
+    throw this.toUserError(lastError);
+  }
+
+  /**
+   * Post a query to one endpoint
+   * @param {Object} endpoint - Endpoint health record
+   * @param {string} query - Overpass QL
+   * @returns {Promise<Array>} Overpass elements
+   */
+  async request(endpoint, query) {
+    const startTime = Date.now();
+
+    const response = await axios.post(endpoint.url, query, {
+      headers: {
+        'Content-Type': 'text/plain',
+      },
+      timeout: this.timeout,
+      maxContentLength: this.maxResponseSize,
+    });
+
+    // Validate response
+    if (!response.data || !response.data.elements) {
+      const error = new Error('Invalid response from Overpass API');
+      error.code = 'EINVALIDRESPONSE';
+      throw error;
+    }
+
+    endpoint.consecutiveFailures = 0;
+    endpoint.cooldownUntil = 0;
+    endpoint.successes++;
+    endpoint.lastLatency = Date.now() - startTime;
+
+    return response.data.elements;
+  }
+
+  /**
+   * Choose the endpoint to try next: the first one (in configured order) that
+   * is not cooling down, otherwise the one that recovers soonest
+   * @returns {Object} endpoint health record
+   */
+  pickEndpoint() {
+    const now = Date.now();
+    const available = this.endpoints.find(endpoint => endpoint.cooldownUntil <= now);
+
+    return available || this.endpoints.reduce((best, endpoint) =>
+      endpoint.cooldownUntil < best.cooldownUntil ? endpoint : best
+    );
+  }
+
+  /**
+   * Record a failed request and put the endpoint into cooldown
+   * @param {Object} endpoint - Endpoint health record
+   * @param {Error} error - Axios error
+   */
+  markFailure(endpoint, error) {
+    endpoint.consecutiveFailures++;
+    endpoint.failures++;
+    endpoint.lastError = error.message;
+
+    const retryAfter = this.getRetryAfter(error);
+    const backoff = Math.min(this.baseDelay * 2 ** (endpoint.consecutiveFailures - 1), this.maxDelay);
+
+    endpoint.cooldownUntil = Date.now() + (retryAfter ?? backoff);
+  }
+
+  /**
+   * Read the Retry-After header of a response (seconds or HTTP date)
+   * @param {Error} error - Axios error
+   * @returns {number|null} delay in ms, or null if absent
+   */
+  getRetryAfter(error) {
+    const header = error.response && error.response.headers && error.response.headers['retry-after'];
+    if (!header) {
+      return null;
+    }
+
+    const seconds = Number(header);
+    if (!Number.isNaN(seconds)) {
+      return Math.max(0, seconds * 1000);
+    }
+
+    const date = Date.parse(header);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+  }
+
+  /**
+   * Decide whether another attempt could succeed
+   * Rate limits, server errors, timeouts, network errors and garbled responses
+   * are retried; client errors and oversized responses are not.
+   * @param {Error} error - Axios error
+   * @returns {boolean}
+   */
+  isRetryable(error) {
+    if (this.isTooLarge(error)) {
+      return false;
+    }
+
+    if (error.response) {
+      return error.response.status === 429 || error.response.status >= 500;
+    }
+
+    return true;
+  }
+
+  /**
+   * Check whether a request failed because of the response-size guard
+   * @param {Error} error - Axios error
+   * @returns {boolean}
+   */
+  isTooLarge(error) {
+    return Boolean(error && error.message && error.message.includes('maxContentLength'));
+  }
+
+  /**
+   * Turn the last failure into a typed error for the user
+   * @param {Error|null} error - Axios error (null if no endpoint could be tried)
+   * @returns {Error}
+   */
+  toUserError(error) {
+    if (!error || (error.response && error.response.status === 429)) {
+      const wait = Math.min(...this.endpoints.map(endpoint => endpoint.cooldownUntil)) - Date.now();
+      return new UpstreamRateLimitError('OSM API rate limit exceeded. Please try again later.',
+        wait > 0 ? { retryAfter: Math.ceil(wait / 1000) } : undefined);
+    }
+
+    if (this.isTooLarge(error)) {
+      return new AreaTooLargeError(`OSM API response exceeded ${Math.round(this.maxResponseSize / 1024 / 1024)} MB. Try a smaller area.`,
+        { maxResponseSize: this.maxResponseSize });
+    }
+
+    if (error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT') {
+      return new UpstreamTimeoutError('OSM API request timed out. Try a smaller area.', { timeout: this.timeout });
+    }
+
+    if (error.response && error.response.status >= 500) {
+      return new UpstreamError('OSM API server error. Please try again later.', { status: error.response.status });
+    }
+
+    return new UpstreamError(`Failed to fetch road data: ${error.message}`);
+  }
+
+  /**
+   * Describe the health of every endpoint
+   * @returns {Array} [{url, healthy, consecutiveFailures, successes, failures, lastError, lastLatency, cooldownMs}]
+   */
+  getHealth() {
+    const now = Date.now();
+
+    return this.endpoints.map(endpoint => ({
+      url: endpoint.url,
+      healthy: endpoint.cooldownUntil <= now,
+      consecutiveFailures: endpoint.consecutiveFailures,
+      successes: endpoint.successes,
+      failures: endpoint.failures,
+      lastError: endpoint.lastError,
+      lastLatency: endpoint.lastLatency,
+      cooldownMs: Math.max(0, endpoint.cooldownUntil - now)
+    }));
+  }
+
+  /**
+   * Wait for a number of milliseconds
+   * @param {number} ms - Delay
+   * @returns {Promise<void>}
+   */
+  sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+}
+
+module.exports = OverpassDataSource;
@@ -0,0 +1,214 @@
+const { UNPAVED_SURFACES } = require('./constants');
+const { ValidationError } = require('./errors');
+
+const AVOID_FLAGS = ['tolls', 'unpaved', 'ferries'];
+
+/**
+ * Validate and normalize the `avoid` object of a route request
+ * Accepted shape: {roadTypes: ['motorway', ...], tolls, unpaved, ferries, areas}
+ * where `areas` is a GeoJSON Polygon, MultiPolygon, Feature or FeatureCollection.
+ * @param {Object} avoid - Raw avoid options from the request body
+ * @returns {Object|null} {roadTypes, tolls, unpaved, ferries, areas: [polygon]} or null if nothing is avoided
+ * @throws {ValidationError} If the options are malformed
+ */
+function parseAvoidOptions(avoid) {
+  if (avoid === undefined || avoid === null) {
+    return null;
+  }
+
+  if (typeof avoid !== 'object' || Array.isArray(avoid)) {
+    throw new ValidationError('Invalid avoid options: expected an object');
+  }
+
+  const roadTypes = avoid.roadTypes || [];
+  if (!Array.isArray(roadTypes) || !roadTypes.every(type => typeof type === 'string')) {
+    throw new ValidationError('Invalid avoid options: roadTypes must be an array of highway classes');
+  }
+
+  const options = { roadTypes, areas: [] };
+
+  AVOID_FLAGS.forEach(flag => {
+    if (avoid[flag] !== undefined && typeof avoid[flag] !== 'boolean') {
+      throw new ValidationError(`Invalid avoid options: ${flag} must be true or false`);
+    }
+    options[flag] = avoid[flag] === true;
+  });
+
+  if (avoid.areas !== undefined) {
+    options.areas = extractPolygons(avoid.areas);
+  }
+
+  const isEmpty = roadTypes.length === 0 && options.areas.length === 0 &&
+    AVOID_FLAGS.every(flag => !options[flag]);
+
+  return isEmpty ? null : options;
+}
+
+/**
+ * Create a predicate that tells whether an edge may be used
+ * Area checks are memoized per edge, so repeated searches on a cached graph
+ * only pay for them once per request.
+ * @param {Object} avoid - Options from parseAvoidOptions
+ * @param {Map} nodes - Graph nodes, used for area checks
+ * @returns {Function} edge -> boolean (true if the edge is allowed)
+ */
+function createEdgeFilter(avoid, nodes) {
+  const areaCache = new Map(); // edge -> inside an avoided area
+
+  const crossesArea = edge => {
+    if (!areaCache.has(edge)) {
+      const from = nodes.get(edge.from);
+      const to = nodes.get(edge.to);
+      areaCache.set(edge, Boolean(from && to) &&
+        avoid.areas.some(polygon => segmentTouchesPolygon(from, to, polygon)));
+    }
+    return areaCache.get(edge);
+  };
+
+  return edge => {
+    if (avoid.roadTypes.includes(edge.roadType)) return false;
+    if (avoid.tolls && edge.toll) return false;
+    if (avoid.ferries && edge.roadType === 'ferry') return false;
+    if (avoid.unpaved && UNPAVED_SURFACES.includes(edge.surface)) return false;
+    if (avoid.areas.length > 0 && crossesArea(edge)) return false;
+    return true;
+  };
+}
+
+/**
+ * Collect polygons from GeoJSON geometries, features and feature collections
+ * @param {Object} geojson - GeoJSON object
+ * @returns {Array} polygons [{rings: [[[lng, lat], ...]], bounds}]
+ * @throws {Error} If the GeoJSON has no usable polygons
+ */
+function extractPolygons(geojson) {
+  if (!geojson || typeof geojson !== 'object') {
+    throw new ValidationError('Invalid avoid options: areas must be GeoJSON');
+  }
+
+  switch (geojson.type) {
+    case 'FeatureCollection':
+      return (geojson.features || []).flatMap(feature => extractPolygons(feature));
+    case 'Feature':
+      return extractPolygons(geojson.geometry);
+    case 'Polygon':
+      return [createPolygon(geojson.coordinates)];
+    case 'MultiPolygon':
+      return (geojson.coordinates || []).map(coordinates => createPolygon(coordinates));
+    default:
+      throw new ValidationError(`Invalid avoid options: unsupported area type ${geojson.type}, expected Polygon or MultiPolygon`);
+  }
+}
+
+/**
+ * Validate polygon rings and precompute their bounding box
+ * @param {Array} rings - GeoJSON polygon coordinates (outer ring first, then holes)
+ * @returns {Object} {rings, bounds}
+ */
+function createPolygon(rings) {
+  const isPosition = position => Array.isArray(position) && position.length >= 2 &&
+    Number.isFinite(position[0]) && Number.isFinite(position[1]);
+
+  if (!Array.isArray(rings) || rings.length === 0 ||
+      !rings.every(ring => Array.isArray(ring) && ring.length >= 4 && ring.every(isPosition))) {
+    throw new ValidationError('Invalid avoid options: polygon rings need at least 4 [lng, lat] positions');
+  }
+
+  const outer = rings[0];
+  return {
+    rings: rings,
+    bounds: {
+      west: Math.min(...outer.map(position => position[0])),
+      east: Math.max(...outer.map(position => position[0])),
+      south: Math.min(...outer.map(position => position[1])),
+      north: Math.max(...outer.map(position => position[1]))
+    }
+  };
+}
+
+/**
+ * Check whether a road segment lies in or crosses a polygon
+ * Coordinates are treated as planar, which is fine at city scale.
+ * @param {Object} from - Segment start {lat, lng}
+ * @param {Object} to - Segment end {lat, lng}
+ * @param {Object} polygon - Polygon from createPolygon
+ * @returns {boolean}
+ */
+function segmentTouchesPolygon(from, to, polygon) {
+  const { bounds } = polygon;
+  if (Math.max(from.lng, to.lng) < bounds.west || Math.min(from.lng, to.lng) > bounds.east ||
+      Math.max(from.lat, to.lat) < bounds.south || Math.min(from.lat, to.lat) > bounds.north) {
+    return false;
+  }
+
+  if (isPointInPolygon(from, polygon) || isPointInPolygon(to, polygon)) {
+    return true;
+  }
+
+  // Both ends outside: the segment can still cut through the area
+  return polygon.rings.some(ring => ring.some((position, index) => {
+    const next = ring[(index + 1) % ring.length];
+    return segmentsIntersect(
+      [from.lng, from.lat], [to.lng, to.lat],
+      [position[0], position[1]], [next[0], next[1]]
+    );
+  }));
+}
+
+/**
+ * Ray-casting point in polygon test (holes excluded)
+ * @param {Object} point - {lat, lng}
+ * @param {Object} polygon - Polygon from createPolygon
+ * @returns {boolean}
+ */
+function isPointInPolygon(point, polygon) {
+  const [outer, ...holes] = polygon.rings;
+  return isPointInRing(point, outer) && !holes.some(hole => isPointInRing(point, hole));
+}
+
+/**
+ * Ray-casting test against a single ring
+ * @param {Object} point - {lat, lng}
+ * @param {Array} ring - [[lng, lat], ...]
+ * @returns {boolean}
+ */
+function isPointInRing(point, ring) {
+  let inside = false;
+
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+
+    if ((yi > point.lat) !== (yj > point.lat) &&
+        point.lng < (xj - xi) * (point.lat - yi) / (yj - yi) + xi) {
+      inside = !inside;
+    }
+  }
+
+  return inside;
+}
+
+/**
+ * Check whether two line segments intersect
+ * @param {Array} a1 - First segment start [x, y]
+ * @param {Array} a2 - First segment end [x, y]
+ * @param {Array} b1 - Second segment start [x, y]
+ * @param {Array} b2 - Second segment end [x, y]
+ * @returns {boolean}
+ */
+function segmentsIntersect(a1, a2, b1, b2) {
+  const cross = (o, p, q) => (p[0] - o[0]) * (q[1] - o[1]) - (p[1] - o[1]) * (q[0] - o[0]);
+
+  const d1 = cross(b1, b2, a1);
+  const d2 = cross(b1, b2, a2);
+  const d3 = cross(a1, a2, b1);
+  const d4 = cross(a1, a2, b2);
+
+  return ((d1 > 0) !== (d2 > 0)) && ((d3 > 0) !== (d4 > 0)) &&
+    d1 !== 0 && d2 !== 0 && d3 !== 0 && d4 !== 0;
+}
+
+module.exports = {
+  parseAvoidOptions,
+  createEdgeFilter
+};
@@ -0,0 +1,64 @@
+const { RateLimitError } = require('./errors');
+const {
+  MAX_CONCURRENT_GRAPH_BUILDS,
+  MAX_QUEUED_GRAPH_BUILDS,
+  GRAPH_BUILD_RETRY_AFTER
+} = require('./constants');
+
+/**
+ * Run at most `max` tasks at once
+ * Up to `maxQueued` further tasks wait for a free slot in arrival order; any
+ * more are turned away with a RateLimitError instead of piling up.
+ */
+class ConcurrencyLimiter {
+  /**
+   * @param {Object} options - {max, maxQueued, retryAfter (seconds suggested to rejected callers)}
+   */
+  constructor(options = {}) {
+    this.max = options.max || MAX_CONCURRENT_GRAPH_BUILDS;
+    this.maxQueued = options.maxQueued ?? MAX_QUEUED_GRAPH_BUILDS;
+    this.retryAfter = options.retryAfter || GRAPH_BUILD_RETRY_AFTER;
+    this.active = 0;
+    this.queue = []; // resolve functions of waiting tasks
+  }
+
+  /**
+   * Run a task once a slot is free
+   * @param {Function} task - () => Promise
+   * @returns {Promise<*>} the task's result
+   * @throws {RateLimitError} If every slot is taken and the queue is full
+   */
+  async run(task) {
+    if (this.active >= this.max) {
+      if (this.queue.length >= this.maxQueued) {
+        throw new RateLimitError('The server is busy building other road networks. Please try again shortly.',
+          { retryAfter: this.retryAfter }, 'BUILD_QUEUE_FULL');
+      }
+      // The finishing task hands its slot straight over, so nobody can jump the queue
+      await new Promise(resolve => this.queue.push(resolve));
+    } else {
+      this.active++;
+    }
+
+    try {
+      return await task();
+    } finally {
+      const next = this.queue.shift();
+      if (next) {
+        next();
+      } else {
+        this.active--;
+      }
+    }
+  }
+
+  /**
+   * Describe the current load
+   * @returns {Object} {active, queued, max, maxQueued}
+   */
+  getStats() {
+    return { active: this.active, queued: this.queue.length, max: this.max, maxQueued: this.maxQueued };
+  }
+}
+
+module.exports = ConcurrencyLimiter;
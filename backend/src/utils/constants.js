@@ -8,6 +8,7 @@ const ROAD_TYPE_WEIGHTS = {
   'tertiary': 2.5,      // Local connecting roads
   'residential': 3.0,   // Neighborhood streets
   'unclassified': 3.5,  // Minor roads
+  'ferry': 4.0,         // Ferry crossings (route=ferry)
   'default': 2.0        // Fallback for unknown road types
 };
 
@@ -20,14 +21,374 @@ const AVERAGE_SPEEDS = {
   'tertiary': 40,
   'residential': 30,
   'unclassified': 25,
+  'ferry': 20,
   'default': 40
 };
 
+// Travel profiles: which ways are fetched, how they are weighted and who may use them
+// Access tags are checked most specific first; the first one present decides.
+const TRAVEL_PROFILES = {
+  driving: {
+    highwayTypes: ['motorway', 'trunk', 'primary', 'secondary', 'tertiary', 'residential', 'unclassified'],
+    roadTypeWeights: ROAD_TYPE_WEIGHTS,
+    averageSpeeds: AVERAGE_SPEEDS,
+    accessTags: ['motorcar', 'motor_vehicle', 'vehicle', 'access'],
+    speedTags: ['maxspeed', 'surface', 'smoothness', 'lanes'],
+    respectsOneway: true,
+    onewayTag: 'oneway',
+    restrictionVehicle: 'motorcar',
+    restrictionExemptions: ['motorcar', 'motor_vehicle', 'vehicle']
+  },
+  walking: {
+    highwayTypes: [
+      'trunk', 'primary', 'secondary', 'tertiary', 'residential', 'unclassified', 'living_street',
+      'service', 'pedestrian', 'footway', 'path', 'steps', 'track', 'cycleway'
+    ],
+    roadTypeWeights: {
+      'pedestrian': 1.0,
+      'footway': 1.0,
+      'living_street': 1.0,
+      'path': 1.1,
+      'residential': 1.2,
+      'service': 1.2,
+      'unclassified': 1.2,
+      'track': 1.3,
+      'cycleway': 1.3,
+      'tertiary': 1.3,
+      'steps': 1.5,
+      'secondary': 1.5,
+      'primary': 1.8,
+      'trunk': 2.5,
+      'ferry': 2.0,
+      'default': 1.5
+    },
+    averageSpeeds: {
+      'steps': 3,
+      'track': 4.5,
+      'ferry': 20,
+      'default': 5
+    },
+    accessTags: ['foot', 'access'],
+    speedTags: [],
+    respectsOneway: false,
+    onewayTag: null,
+    restrictionVehicle: null,
+    restrictionExemptions: []
+  },
+  cycling: {
+    highwayTypes: [
+      'primary', 'secondary', 'tertiary', 'residential', 'unclassified', 'living_street',
+      'service', 'cycleway', 'path', 'track'
+    ],
+    roadTypeWeights: {
+      'cycleway': 1.0,
+      'residential': 1.2,
+      'living_street': 1.2,
+      'unclassified': 1.3,
+      'tertiary': 1.4,
+      'path': 1.5,
+      'service': 1.5,
+      'secondary': 1.7,
+      'track': 1.8,
+      'primary': 2.0,
+      'ferry': 2.5,
+      'default': 1.8
+    },
+    averageSpeeds: {
+      'cycleway': 18,
+      'primary': 18,
+      'secondary': 18,
+      'tertiary': 17,
+      'residential': 16,
+      'unclassified': 16,
+      'service': 12,
+      'path': 12,
+      'track': 12,
+      'living_street': 10,
+      'ferry': 20,
+      'default': 15
+    },
+    accessTags: ['bicycle', 'vehicle', 'access'],
+    speedTags: ['surface', 'smoothness'],
+    respectsOneway: true,
+    onewayTag: 'oneway:bicycle',
+    restrictionVehicle: 'bicycle',
+    restrictionExemptions: ['bicycle', 'vehicle']
+  }
+};
+
+const DEFAULT_PROFILE = 'driving';
+
+// Access tag values that forbid / allow use of a way
+const ACCESS_DENIED_VALUES = ['no', 'private', 'agricultural', 'forestry'];
+
+// Share of the posted speed limit reached on average (traffic, junctions)
+const MAXSPEED_FACTOR = 0.8;
+
+// Implicit speed limits (km/h) for maxspeed values like "IN:urban" or "DE:rural".
+// Country-specific entries win over the generic zone values.
+const IMPLICIT_MAXSPEEDS = {
+  'urban': 50,
+  'rural': 90,
+  'trunk': 100,
+  'motorway': 120,
+  'living_street': 7,
+  'bicycle_road': 30,
+  'school': 30,
+  'walk': 6,
+  'DE:rural': 100,
+  'DE:motorway': 130,
+  'FR:rural': 80,
+  'FR:motorway': 130,
+  'GB:nsl_single': 96.6,
+  'GB:nsl_dual': 112.7,
+  'GB:motorway': 112.7,
+  'IN:rural': 70,
+  'IN:motorway': 120,
+  'IT:motorway': 130,
+  'RU:rural': 90,
+  'RU:motorway': 110
+};
+
+// Speed multipliers for road surface and smoothness tags
+const SURFACE_SPEED_FACTORS = {
+  'asphalt': 1.0,
+  'concrete': 1.0,
+  'paved': 1.0,
+  'paving_stones': 0.9,
+  'concrete:plates': 0.9,
+  'sett': 0.7,
+  'cobblestone': 0.6,
+  'compacted': 0.8,
+  'fine_gravel': 0.75,
+  'gravel': 0.6,
+  'pebblestone': 0.6,
+  'unpaved': 0.5,
+  'dirt': 0.5,
+  'earth': 0.5,
+  'ground': 0.5,
+  'grass': 0.4,
+  'sand': 0.3,
+  'mud': 0.3
+};
+
+const SMOOTHNESS_SPEED_FACTORS = {
+  'excellent': 1.0,
+  'good': 1.0,
+  'intermediate': 0.9,
+  'bad': 0.7,
+  'very_bad': 0.5,
+  'horrible': 0.3,
+  'very_horrible': 0.2,
+  'impassable': 0
+};
+
+// Surface values treated as unpaved when a route avoids unpaved roads
+const UNPAVED_SURFACES = [
+  'unpaved', 'compacted', 'fine_gravel', 'gravel', 'pebblestone', 'rock',
+  'dirt', 'earth', 'ground', 'grass', 'mud', 'sand', 'woodchips'
+];
+
+// Route optimizations: road-type weighted distance, or travel time
+const ROUTE_OPTIMIZATIONS = ['preferred', 'fastest'];
+
+// Maximum number of intermediate stops on one route
+const MAX_WAYPOINTS = 25;
+
+// Alternative routes (penalty method): each run multiplies the cost of the
+// edges already used, candidates are kept if they differ enough and are not
+// too much longer than the best route
+const MAX_ALTERNATIVES = 3;
+const ALTERNATIVE_PENALTY_FACTOR = 1.5;
+const ALTERNATIVE_MAX_OVERLAP = 0.7;   // share of distance on already chosen routes
+const ALTERNATIVE_MAX_STRETCH = 1.5;   // cost relative to the best route
+
 // Maximum distance to consider roads "connected" at intersections (in km)
 const INTERSECTION_TOLERANCE = 0.001; // ~1 meter
 
+// Furthest a clicked point may be from a road to be snapped onto it (in km)
+const MAX_SNAP_DISTANCE = 0.3; // 300 meters
+
+// Graph cache: how long built graphs stay valid, how many are kept in memory
+// (the rest stay on disk until needed) and the on-disk format version
+const GRAPH_CACHE_TTL = 24 * 60 * 60 * 1000; // 24 hours
+const GRAPH_CACHE_MAX_IN_MEMORY = 20;
+const GRAPH_CACHE_VERSION = 3; // bump when the cache file layout or serialized graph shape changes
+
+// Road data is fetched and cached in fixed tiles of TILE_SIZE degrees. A route
+// needs every tile within ROUTE_PADDING of the straight lines between its stops.
+// Missing tiles are downloaded in rectangles of up to TILE_FETCH_BLOCK_SIZE
+// tiles per side, TILE_FETCH_CONCURRENCY at a time. The tile cache holds at
+// least every tile of the largest request, so no request evicts its own tiles.
+const TILE_SIZE = 0.05; // ~5.5 km
+const ROUTE_PADDING = 0.01; // ~1 km
+const TILE_CACHE_TTL = 24 * 60 * 60 * 1000; // 24 hours
+const TILE_CACHE_MAX_TILES = 1024; // a 15000 km² driving request up to ~60° latitude
+const TILE_FETCH_BLOCK_SIZE = 4; // 0.2° ≈ 22 km
+const TILE_FETCH_CONCURRENCY = 2;
+
+// Search area expansion: a route that runs along the edge of the fetched tiles,
+// detours more than MAX_DETOUR_RATIO times the straight line, or is not found
+// at all is retried with the padding multiplied by ROUTE_PADDING_GROWTH, up to
+// MAX_ROUTE_PADDING (overridable with the MAX_ROUTE_PADDING env variable)
+const ROUTE_PADDING_GROWTH = 2;
+const MAX_ROUTE_PADDING = 0.08; // ~9 km
+const AREA_EDGE_MARGIN = 0.001; // ~100 meters
+const MAX_DETOUR_RATIO = 2.5;
+const MIN_DETOUR_CHECK_DISTANCE = 1; // km; short hops often detour legitimately (e.g. U-turns)
+
+// Cell size of the spatial grid used for node lookups (in degrees)
+const SPATIAL_INDEX_CELL_SIZE = 0.002; // ~200 meters
+
+// Where road data comes from (OSM_DATA_SOURCE): live Overpass API or a local extract
+const OSM_DATA_SOURCES = ['overpass', 'file'];
+
+// Overpass client: public mirrors tried in order (OVERPASS_API_URLS, or a single
+// OVERPASS_API_URL, overrides them),
+// retries with exponential backoff per endpoint, and a cap on response size
+const OVERPASS_ENDPOINTS = [
+  'https://overpass-api.de/api/interpreter',
+  'https://overpass.kumi.systems/api/interpreter'
+];
+const OVERPASS_MAX_RETRIES = 3;
+const OVERPASS_RETRY_BASE_DELAY = 1000; // ms, doubled after every failure of an endpoint
+const OVERPASS_RETRY_MAX_DELAY = 30000; // ms, longest we wait (incl. Retry-After) before giving up
+const OVERPASS_MAX_RESPONSE_SIZE = 50 * 1024 * 1024; // 50 MB
+
+// Cell size of the grid used to look up ways in a local extract (in degrees)
+const FILE_INDEX_CELL_SIZE = 0.01; // ~1 km
+
+// Isochrones (POST /api/isochrone): bands in minutes, how far out road data is
+// fetched (profile's default speed x factor, capped) and the grid the reachable
+// roads are drawn on before their outline is traced
+const ISOCHRONE_DEFAULT_MINUTES = [5, 10, 15];
+const MAX_ISOCHRONE_MINUTES = 30;
+const MAX_ISOCHRONE_BANDS = 5;
+const ISOCHRONE_RADIUS_FACTOR = 1.5;
+const MAX_ISOCHRONE_RADIUS = 20; // km
+const ISOCHRONE_GRID_RESOLUTION = 100; // cells across the search radius
+const ISOCHRONE_MIN_CELL_SIZE = 0.0005; // degrees, ~50 meters
+
+// Distance matrices (POST /api/matrix): points per side and total source/destination pairs
+const MAX_MATRIX_LOCATIONS = 25;
+const MAX_MATRIX_ELEMENTS = 400;
+
+// Place search (GET /api/geocode): providers selectable with GEOCODER, the public
+// Nominatim instance (at most one request per second), how far around `near`
+// results are preferred (degrees), result limits and the query result cache
+const GEOCODERS = ['nominatim', 'local'];
+const NOMINATIM_URL = 'https://nominatim.openstreetmap.org';
+const NOMINATIM_MIN_INTERVAL = 1000; // ms
+const GEOCODE_BIAS_RADIUS = 0.5;
+const GEOCODE_DEFAULT_LIMIT = 5;
+const MAX_GEOCODE_LIMIT = 10;
+const MAX_GEOCODE_QUERY_LENGTH = 200;
+const GEOCODE_CACHE_TTL = 60 * 60 * 1000; // 1 hour
+const GEOCODE_CACHE_MAX_ENTRIES = 500;
+
+// Reverse geocoding (GET /api/reverse): furthest a named road may be from the
+// point (in km), and the coordinate precision reverse lookups are cached at
+const MAX_REVERSE_GEOCODE_DISTANCE = 0.5; // 500 meters
+const REVERSE_GEOCODE_PRECISION = 4; // decimal places, ~10 meters
+
+// Stop ordering (POST /api/optimize): stops per request and improvement passes of the solver
+const MAX_OPTIMIZE_STOPS = 50;
+const MAX_STOP_ORDER_PASSES = 50;
+
+// Request limits per travel profile: the straight-line distance a request may
+// span (in km) and the area of road data it may fetch (in km², summed over
+// tiles). Overridable with MAX_<PROFILE>_DISTANCE and MAX_<PROFILE>_AREA.
+const REQUEST_LIMITS = {
+  driving: { maxDistance: 300, maxArea: 15000 },
+  cycling: { maxDistance: 100, maxArea: 5000 },
+  walking: { maxDistance: 30, maxArea: 1000 }
+};
+
+// Requests per client in each window; a client is an API key and IP pair, or
+// just the IP for requests without a key
+const RATE_LIMIT_MAX_REQUESTS = 60;
+const RATE_LIMIT_WINDOW = 60 * 1000; // 1 minute
+
+// Graph builds running at once, and how many more may wait for a slot
+const MAX_CONCURRENT_GRAPH_BUILDS = 2;
+const MAX_QUEUED_GRAPH_BUILDS = 8;
+const GRAPH_BUILD_RETRY_AFTER = 10; // seconds suggested to clients turned away
+
+// File formats a route can be exported as (POST /api/route/export)
+const ROUTE_EXPORT_FORMATS = ['gpx', 'kml', 'geojson', 'polyline'];
+
+// Search algorithms selectable per route request
+const ROUTING_ALGORITHMS = ['dijkstra', 'astar', 'bidirectional', 'bidirectional-astar'];
+
 module.exports = {
   ROAD_TYPE_WEIGHTS,
   AVERAGE_SPEEDS,
-  INTERSECTION_TOLERANCE
+  TRAVEL_PROFILES,
+  DEFAULT_PROFILE,
+  ACCESS_DENIED_VALUES,
+  MAXSPEED_FACTOR,
+  IMPLICIT_MAXSPEEDS,
+  SURFACE_SPEED_FACTORS,
+  SMOOTHNESS_SPEED_FACTORS,
+  UNPAVED_SURFACES,
+  ROUTE_OPTIMIZATIONS,
+  MAX_WAYPOINTS,
+  MAX_ALTERNATIVES,
+  ALTERNATIVE_PENALTY_FACTOR,
+  ALTERNATIVE_MAX_OVERLAP,
+  ALTERNATIVE_MAX_STRETCH,
+  INTERSECTION_TOLERANCE,
+  MAX_SNAP_DISTANCE,
+  GRAPH_CACHE_TTL,
+  GRAPH_CACHE_MAX_IN_MEMORY,
+  GRAPH_CACHE_VERSION,
+  TILE_SIZE,
+  ROUTE_PADDING,
+  TILE_CACHE_TTL,
+  TILE_CACHE_MAX_TILES,
+  TILE_FETCH_BLOCK_SIZE,
+  TILE_FETCH_CONCURRENCY,
+  ROUTE_PADDING_GROWTH,
+  MAX_ROUTE_PADDING,
+  AREA_EDGE_MARGIN,
+  MAX_DETOUR_RATIO,
+  MIN_DETOUR_CHECK_DISTANCE,
+  SPATIAL_INDEX_CELL_SIZE,
+  OSM_DATA_SOURCES,
+  OVERPASS_ENDPOINTS,
+  OVERPASS_MAX_RETRIES,
+  OVERPASS_RETRY_BASE_DELAY,
+  OVERPASS_RETRY_MAX_DELAY,
+  OVERPASS_MAX_RESPONSE_SIZE,
+  FILE_INDEX_CELL_SIZE,
+  ROUTING_ALGORITHMS,
+  REQUEST_LIMITS,
+  RATE_LIMIT_MAX_REQUESTS,
+  RATE_LIMIT_WINDOW,
+  MAX_CONCURRENT_GRAPH_BUILDS,
+  MAX_QUEUED_GRAPH_BUILDS,
+  GRAPH_BUILD_RETRY_AFTER,
+  ROUTE_EXPORT_FORMATS,
+  ISOCHRONE_DEFAULT_MINUTES,
+  MAX_ISOCHRONE_MINUTES,
+  MAX_ISOCHRONE_BANDS,
+  ISOCHRONE_RADIUS_FACTOR,
+  MAX_ISOCHRONE_RADIUS,
+  ISOCHRONE_GRID_RESOLUTION,
+  ISOCHRONE_MIN_CELL_SIZE,
+  MAX_MATRIX_LOCATIONS,
+  MAX_MATRIX_ELEMENTS,
+  MAX_OPTIMIZE_STOPS,
+  MAX_STOP_ORDER_PASSES,
+  GEOCODERS,
+  NOMINATIM_URL,
+  NOMINATIM_MIN_INTERVAL,
+  GEOCODE_BIAS_RADIUS,
+  GEOCODE_DEFAULT_LIMIT,
+  MAX_GEOCODE_LIMIT,
+  MAX_GEOCODE_QUERY_LENGTH,
+  GEOCODE_CACHE_TTL,
+  GEOCODE_CACHE_MAX_ENTRIES,
+  MAX_REVERSE_GEOCODE_DISTANCE,
+  REVERSE_GEOCODE_PRECISION
 };
@@ -36,9 +36,15 @@ function toRadians(degrees) {
  * @param {Map} nodes - Map of node objects {id: {lat, lng, ...}}
  * @param {number} lat - Target latitude
  * @param {number} lng - Target longitude
+ * @param {SpatialIndex} spatialIndex - Optional index over the same nodes, avoids a full scan
  * @returns {string|null} nearest node ID
  */
-function findNearestNode(nodes, lat, lng) {
+function findNearestNode(nodes, lat, lng, spatialIndex = null) {
+  if (spatialIndex && spatialIndex.size > 0) {
+    const nearest = spatialIndex.nearest(lat, lng, nodeId => nodes.has(nodeId));
+    return nearest ? nearest.id : null;
+  }
+  
   let nearestNode = null;
   let minDistance = Infinity;
   
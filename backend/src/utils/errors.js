@@ -0,0 +1,155 @@
+/**
+ * Typed errors for the API
+ * Every error carries a stable machine-readable `code`, the HTTP `status` it
+ * is answered with and optional `details` for the client. Callers branch on
+ * the class or code, never on the message, so messages can be reworded freely.
+ */
+
+class AppError extends Error {
+  /**
+   * @param {string} message - Human-readable description
+   * @param {Object} details - Optional extra information for the client
+   * @param {Object} options - {code, status} overriding the class defaults
+   */
+  constructor(message, details = undefined, options = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.code = options.code || 'INTERNAL_ERROR';
+    this.status = options.status || 500;
+    this.details = details;
+  }
+}
+
+// The request itself is malformed or out of range
+class ValidationError extends AppError {
+  constructor(message, details) {
+    super(message, details, { code: 'INVALID_REQUEST', status: 400 });
+  }
+}
+
+// Nothing exists at the requested API path, or nothing matched a lookup
+class NotFoundError extends AppError {
+  constructor(message, details) {
+    super(message, details, { code: 'NOT_FOUND', status: 404 });
+  }
+}
+
+// The data source has no usable roads in the area
+class NoRoadDataError extends AppError {
+  constructor(message = 'No road data found in the specified area', details) {
+    super(message, details, { code: 'NO_ROAD_DATA', status: 404 });
+  }
+}
+
+// A point is further than the snap distance from every usable road
+class SnapFailedError extends AppError {
+  constructor(message, details) {
+    super(message, details, { code: 'SNAP_FAILED', status: 400 });
+  }
+}
+
+// The points are on road networks that do not connect
+class NoPathError extends AppError {
+  constructor(message = 'No path exists between the specified points', details, code = 'NO_PATH') {
+    super(message, details, { code, status: 404 });
+  }
+}
+
+// A route exists, but not one that satisfies the avoid options
+class NoPathAvoidingError extends NoPathError {
+  constructor(message = 'No route found that satisfies the avoid options', details) {
+    super(message, details, 'NO_PATH_AVOIDING');
+  }
+}
+
+// The road data for the area is too large to fetch or build in one go
+class AreaTooLargeError extends AppError {
+  constructor(message, details) {
+    super(message, details, { code: 'AREA_TOO_LARGE', status: 413 });
+  }
+}
+
+// The points of a request are further apart than the profile allows
+class DistanceTooLargeError extends AppError {
+  constructor(message, details) {
+    super(message, details, { code: 'DISTANCE_TOO_LARGE', status: 413 });
+  }
+}
+
+// The client sent too many requests, or the server has no capacity left for it
+class RateLimitError extends AppError {
+  constructor(message, details, code = 'RATE_LIMITED') {
+    super(message, details, { code, status: 429 });
+  }
+}
+
+// An API key is required and the request has none, or an unknown one
+class AuthenticationError extends AppError {
+  constructor(message, details) {
+    super(message, details, { code: 'INVALID_API_KEY', status: 401 });
+  }
+}
+
+// An upstream service (Overpass, Nominatim) did not answer in time
+class UpstreamTimeoutError extends AppError {
+  constructor(message, details) {
+    super(message, details, { code: 'UPSTREAM_TIMEOUT', status: 504 });
+  }
+}
+
+// An upstream service is refusing requests for now
+class UpstreamRateLimitError extends AppError {
+  constructor(message, details) {
+    super(message, details, { code: 'UPSTREAM_RATE_LIMITED', status: 503 });
+  }
+}
+
+// An upstream service failed or answered with something unusable
+class UpstreamError extends AppError {
+  constructor(message, details) {
+    super(message, details, { code: 'UPSTREAM_ERROR', status: 502 });
+  }
+}
+
+/**
+ * Turn any thrown value into an AppError
+ * Errors raised by Express' body parser keep their status (malformed JSON,
+ * oversized bodies); anything else is an internal error whose message is
+ * only passed on in development.
+ * @param {*} error - Thrown value
+ * @returns {AppError}
+ */
+function toAppError(error) {
+  if (error instanceof AppError) {
+    return error;
+  }
+
+  if (error && error.type === 'entity.parse.failed') {
+    return new ValidationError('Request body is not valid JSON');
+  }
+
+  if (error && error.type === 'entity.too.large') {
+    return new AppError('Request body is too large', { limit: error.limit }, { code: 'PAYLOAD_TOO_LARGE', status: 413 });
+  }
+
+  const details = process.env.NODE_ENV === 'development' && error ? error.message : undefined;
+  return new AppError('Internal server error', details);
+}
+
+module.exports = {
+  AppError,
+  ValidationError,
+  NotFoundError,
+  NoRoadDataError,
+  SnapFailedError,
+  NoPathError,
+  NoPathAvoidingError,
+  AreaTooLargeError,
+  DistanceTooLargeError,
+  RateLimitError,
+  AuthenticationError,
+  UpstreamTimeoutError,
+  UpstreamRateLimitError,
+  UpstreamError,
+  toAppError
+};
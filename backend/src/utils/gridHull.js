@@ -0,0 +1,248 @@
+/**
+ * Concave outlines of road networks, built on a grid: road pieces are drawn
+ * into cells, gaps between nearby roads are closed (dilate, then erode) and
+ * the boundary of the filled cells is traced into polygons. The result is an
+ * alpha-shape-like hull whose detail is set by the cell size.
+ * Cells are keyed "x:y" with x = floor(lng / cellSize), y = floor(lat / cellSize).
+ */
+
+/**
+ * Mark every cell a straight segment passes through
+ * @param {Set} cells - Cell keys, updated in place
+ * @param {Object} a - Segment start {lat, lng}
+ * @param {Object} b - Segment end {lat, lng}
+ * @param {number} cellSize - Cell size in degrees
+ */
+function markSegment(cells, a, b, cellSize) {
+  const steps = Math.max(1, Math.ceil(Math.max(Math.abs(b.lat - a.lat), Math.abs(b.lng - a.lng)) / (cellSize / 2)));
+
+  for (let i = 0; i <= steps; i++) {
+    const lat = a.lat + (b.lat - a.lat) * i / steps;
+    const lng = a.lng + (b.lng - a.lng) * i / steps;
+    cells.add(`${Math.floor(lng / cellSize)}:${Math.floor(lat / cellSize)}`);
+  }
+}
+
+/**
+ * Fill gaps of up to about 2 * radius cells and grow the shape by one cell
+ * @param {Set} cells - Cell keys
+ * @param {number} radius - Dilation radius in cells (default: 2)
+ * @returns {Set} closed cell keys
+ */
+function closeGaps(cells, radius = 2) {
+  return erode(dilate(cells, radius), radius - 1);
+}
+
+/**
+ * Add every cell within `radius` cells of a marked one
+ * @param {Set} cells - Cell keys
+ * @param {number} radius - Radius in cells
+ * @returns {Set} dilated cell keys
+ */
+function dilate(cells, radius) {
+  const result = new Set();
+
+  cells.forEach(key => {
+    const [x, y] = key.split(':').map(Number);
+    for (let dx = -radius; dx <= radius; dx++) {
+      for (let dy = -radius; dy <= radius; dy++) {
+        result.add(`${x + dx}:${y + dy}`);
+      }
+    }
+  });
+
+  return result;
+}
+
+/**
+ * Keep only cells whose whole neighbourhood of `radius` cells is marked
+ * @param {Set} cells - Cell keys
+ * @param {number} radius - Radius in cells
+ * @returns {Set} eroded cell keys
+ */
+function erode(cells, radius) {
+  if (radius <= 0) {
+    return cells;
+  }
+
+  const result = new Set();
+
+  cells.forEach(key => {
+    const [x, y] = key.split(':').map(Number);
+    let inside = true;
+
+    for (let dx = -radius; dx <= radius && inside; dx++) {
+      for (let dy = -radius; dy <= radius && inside; dy++) {
+        inside = cells.has(`${x + dx}:${y + dy}`);
+      }
+    }
+
+    if (inside) {
+      result.add(key);
+    }
+  });
+
+  return result;
+}
+
+/**
+ * Trace the outline of the marked cells
+ * @param {Set} cells - Cell keys
+ * @param {number} cellSize - Cell size in degrees
+ * @returns {Array} GeoJSON MultiPolygon coordinates [[outer ring, ...holes], ...] in [lng, lat]
+ */
+function traceOutline(cells, cellSize) {
+  const rings = traceRings(cells).map(simplifyRing);
+  const outers = [];
+  const holes = [];
+
+  rings.forEach(ring => {
+    const area = ringArea(ring);
+    (area > 0 ? outers : holes).push({ ring, area: Math.abs(area), holes: [] });
+  });
+
+  // Each hole belongs to the smallest outer ring around the filled cell next to it
+  holes.forEach(hole => {
+    const [[x1, y1], [x2, y2]] = hole.ring;
+    const dx = Math.sign(x2 - x1);
+    const dy = Math.sign(y2 - y1);
+    const point = [x1 + (dx - dy) / 2, y1 + (dy + dx) / 2]; // Centre of the cell left of the first edge
+
+    const owner = outers
+      .filter(outer => isPointInRing(point, outer.ring))
+      .sort((a, b) => a.area - b.area)[0];
+
+    if (owner) {
+      owner.holes.push(hole.ring);
+    }
+  });
+
+  const toCoordinates = ring => [...ring, ring[0]].map(([x, y]) => [
+    parseFloat((x * cellSize).toFixed(6)),
+    parseFloat((y * cellSize).toFixed(6))
+  ]);
+
+  return outers.map(outer => [toCoordinates(outer.ring), ...outer.holes.map(toCoordinates)]);
+}
+
+/**
+ * Walk the cell borders into closed rings (grid coordinates)
+ * Outer rings run counter-clockwise and holes clockwise, i.e. the filled
+ * cells are always on the left.
+ * @param {Set} cells - Cell keys
+ * @returns {Array} rings [[x, y], ...] without the closing point
+ */
+function traceRings(cells) {
+  const outgoing = new Map(); // "x:y" -> [{from, to}] border edges starting there
+  const addEdge = (x1, y1, x2, y2) => {
+    const key = `${x1}:${y1}`;
+    if (!outgoing.has(key)) {
+      outgoing.set(key, []);
+    }
+    outgoing.get(key).push({ from: [x1, y1], to: [x2, y2] });
+  };
+
+  cells.forEach(key => {
+    const [x, y] = key.split(':').map(Number);
+    if (!cells.has(`${x}:${y - 1}`)) addEdge(x, y, x + 1, y);
+    if (!cells.has(`${x + 1}:${y}`)) addEdge(x + 1, y, x + 1, y + 1);
+    if (!cells.has(`${x}:${y + 1}`)) addEdge(x + 1, y + 1, x, y + 1);
+    if (!cells.has(`${x - 1}:${y}`)) addEdge(x, y + 1, x, y);
+  });
+
+  const rings = [];
+
+  for (const edges of outgoing.values()) {
+    while (edges.length > 0) {
+      const first = edges.pop();
+      const ring = [first.from];
+      let edge = first;
+
+      while (edge.to[0] !== first.from[0] || edge.to[1] !== first.from[1]) {
+        ring.push(edge.to);
+        edge = takeNextEdge(outgoing.get(`${edge.to[0]}:${edge.to[1]}`), edge);
+      }
+
+      rings.push(ring);
+    }
+  }
+
+  return rings;
+}
+
+/**
+ * Pick (and remove) the border edge that continues a ring
+ * Where two cells only touch at a corner there are two candidates; turning
+ * left keeps those cells in separate rings.
+ * @param {Array} candidates - Border edges starting at the current vertex
+ * @param {Object} incoming - Edge that arrived at the vertex
+ * @returns {Object} next edge
+ */
+function takeNextEdge(candidates, incoming) {
+  const dx = incoming.to[0] - incoming.from[0];
+  const dy = incoming.to[1] - incoming.from[1];
+  const preferences = [[-dy, dx], [dx, dy], [dy, -dx]]; // left, straight, right
+
+  for (const [px, py] of preferences) {
+    const index = candidates.findIndex(edge =>
+      edge.to[0] - edge.from[0] === px && edge.to[1] - edge.from[1] === py
+    );
+    if (index !== -1) {
+      return candidates.splice(index, 1)[0];
+    }
+  }
+
+  return candidates.pop();
+}
+
+/**
+ * Drop vertices in the middle of straight runs
+ * @param {Array} ring - [[x, y], ...] without the closing point
+ * @returns {Array} simplified ring
+ */
+function simplifyRing(ring) {
+  return ring.filter((point, index) => {
+    const previous = ring[(index - 1 + ring.length) % ring.length];
+    const next = ring[(index + 1) % ring.length];
+    const cross = (point[0] - previous[0]) * (next[1] - point[1]) - (point[1] - previous[1]) * (next[0] - point[0]);
+    return cross !== 0;
+  });
+}
+
+/**
+ * Signed area of a ring (positive when counter-clockwise)
+ * @param {Array} ring - [[x, y], ...]
+ * @returns {number}
+ */
+function ringArea(ring) {
+  let area = 0;
+  ring.forEach(([x1, y1], index) => {
+    const [x2, y2] = ring[(index + 1) % ring.length];
+    area += x1 * y2 - x2 * y1;
+  });
+  return area / 2;
+}
+
+/**
+ * Ray-casting point-in-polygon test
+ * @param {Array} point - [x, y]
+ * @param {Array} ring - [[x, y], ...]
+ * @returns {boolean}
+ */
+function isPointInRing([x, y], ring) {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+    if ((yi > y) !== (yj > y) && x < (xj - xi) * (y - yi) / (yj - yi) + xi) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+module.exports = {
+  markSegment,
+  closeGaps,
+  traceOutline
+};
@@ -0,0 +1,147 @@
+const fs = require('fs/promises');
+const path = require('path');
+const xml2js = require('xml2js');
+const { parsePbf } = require('./pbfReader');
+
+const pendingReads = new Map(); // absolute path -> Promise of parsed entities
+
+/**
+ * Parsers for OSM extracts stored on disk. Every parser returns the same
+ * intermediate shape:
+ * {nodes: Map(id -> {lat, lon, tags}), ways: [{id, nodes, tags, geometry?}], relations: [{id, members, tags}]}
+ */
+
+/**
+ * Parse an OSM XML document (.osm)
+ * @param {string} text - XML contents
+ * @returns {Promise<Object>} parsed entities
+ */
+async function parseOsmXml(text) {
+  const document = await xml2js.parseStringPromise(text, { explicitArray: true });
+  const osm = document && document.osm;
+
+  if (!osm) {
+    throw new Error('Not an OSM XML document (missing <osm> root)');
+  }
+
+  const readTags = element => {
+    const tags = {};
+    (element.tag || []).forEach(tag => {
+      tags[tag.$.k] = tag.$.v;
+    });
+    return tags;
+  };
+
+  const data = { nodes: new Map(), ways: [], relations: [] };
+
+  (osm.node || []).forEach(node => {
+    data.nodes.set(Number(node.$.id), {
+      lat: parseFloat(node.$.lat),
+      lon: parseFloat(node.$.lon),
+      tags: readTags(node)
+    });
+  });
+
+  (osm.way || []).forEach(way => {
+    data.ways.push({
+      id: Number(way.$.id),
+      nodes: (way.nd || []).map(nd => Number(nd.$.ref)),
+      tags: readTags(way)
+    });
+  });
+
+  (osm.relation || []).forEach(relation => {
+    data.relations.push({
+      id: Number(relation.$.id),
+      members: (relation.member || []).map(member => ({
+        type: member.$.type,
+        ref: Number(member.$.ref),
+        role: member.$.role || ''
+      })),
+      tags: readTags(relation)
+    });
+  });
+
+  return data;
+}
+
+/**
+ * Parse a saved Overpass API JSON response
+ * Works with both `out geom` (ways carry their geometry) and
+ * `out body; >; out skel` (separate node elements) responses.
+ * @param {string} text - JSON contents
+ * @returns {Object} parsed entities
+ */
+function parseOverpassJson(text) {
+  const json = JSON.parse(text);
+
+  if (!json || !Array.isArray(json.elements)) {
+    throw new Error('Not an Overpass JSON document (missing elements array)');
+  }
+
+  const data = { nodes: new Map(), ways: [], relations: [] };
+
+  json.elements.forEach(element => {
+    if (element.type === 'node') {
+      data.nodes.set(element.id, { lat: element.lat, lon: element.lon, tags: element.tags || {} });
+    } else if (element.type === 'way') {
+      data.ways.push({
+        id: element.id,
+        nodes: element.nodes || [],
+        tags: element.tags || {},
+        geometry: element.geometry
+      });
+    } else if (element.type === 'relation') {
+      data.relations.push({ id: element.id, members: element.members || [], tags: element.tags || {} });
+    }
+  });
+
+  return data;
+}
+
+/**
+ * Read and parse an extract, sharing the work between concurrent callers
+ * The file data source and the local geocoder may both index the same
+ * extract at startup; they get one parse instead of two. The parsed data is
+ * not kept once the read settles, so each caller only holds its own index.
+ * @param {string} filePath - .osm/.xml, .osm.pbf or Overpass .json file
+ * @returns {Promise<Object>} parsed entities (shared, must not be modified)
+ */
+function readOsmFile(filePath) {
+  const key = path.resolve(filePath);
+
+  if (!pendingReads.has(key)) {
+    pendingReads.set(key, parseOsmFile(key).finally(() => pendingReads.delete(key)));
+  }
+  return pendingReads.get(key);
+}
+
+/**
+ * Read and parse an extract according to its extension
+ * @param {string} filePath - .osm/.xml, .osm.pbf or Overpass .json file
+ * @returns {Promise<Object>} parsed entities
+ */
+async function parseOsmFile(filePath) {
+  const name = filePath.toLowerCase();
+
+  if (name.endsWith('.pbf')) {
+    return parsePbf(await fs.readFile(filePath));
+  }
+
+  const text = await fs.readFile(filePath, 'utf8');
+
+  if (name.endsWith('.json')) {
+    return parseOverpassJson(text);
+  }
+  if (name.endsWith('.osm') || name.endsWith('.xml')) {
+    return parseOsmXml(text);
+  }
+
+  throw new Error('Unsupported file type, expected .osm, .osm.pbf or .json');
+}
+
+module.exports = {
+  parseOsmXml,
+  parseOverpassJson,
+  readOsmFile
+};
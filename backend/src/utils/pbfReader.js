@@ -0,0 +1,424 @@
+const zlib = require('zlib');
+
+/**
+ * Minimal reader for OpenStreetMap PBF files (.osm.pbf)
+ * Decodes just enough of the format for routing: nodes (plain and dense),
+ * ways and relations with their tags. Blobs must be raw or zlib-compressed,
+ * which is what all common tools write.
+ * See https://wiki.openstreetmap.org/wiki/PBF_Format
+ */
+
+const WIRE_VARINT = 0;
+const WIRE_64BIT = 1;
+const WIRE_LENGTH_DELIMITED = 2;
+const WIRE_32BIT = 5;
+
+const MEMBER_TYPES = ['node', 'way', 'relation'];
+
+/**
+ * Sequential protobuf decoder over a buffer
+ * Varints are decoded with floating point arithmetic so 64-bit OSM ids stay
+ * exact up to 2^53.
+ */
+class ProtobufReader {
+  /**
+   * @param {Buffer} buffer - Encoded message
+   */
+  constructor(buffer) {
+    this.buffer = buffer;
+    this.position = 0;
+  }
+
+  /**
+   * Check whether the whole message has been read
+   * @returns {boolean}
+   */
+  isAtEnd() {
+    return this.position >= this.buffer.length;
+  }
+
+  /**
+   * Read a field key
+   * @returns {Object} {field, wireType}
+   */
+  readKey() {
+    const key = this.readVarint();
+    return { field: Math.floor(key / 8), wireType: key % 8 };
+  }
+
+  /**
+   * Read an unsigned varint
+   * @returns {number}
+   */
+  readVarint() {
+    let result = 0;
+    let multiplier = 1;
+    let byte;
+
+    do {
+      if (this.position >= this.buffer.length) {
+        throw new Error('Truncated varint in PBF data');
+      }
+      byte = this.buffer[this.position++];
+      result += (byte & 0x7f) * multiplier;
+      multiplier *= 128;
+    } while (byte & 0x80);
+
+    return result;
+  }
+
+  /**
+   * Read a signed varint in two's complement (int64)
+   * @returns {number}
+   */
+  readInt64() {
+    const value = this.readVarint();
+    return value >= 2 ** 63 ? value - 2 ** 64 : value;
+  }
+
+  /**
+   * Read a zigzag-encoded signed varint (sint32/sint64)
+   * @returns {number}
+   */
+  readSignedVarint() {
+    const value = this.readVarint();
+    return value % 2 === 0 ? value / 2 : -(value + 1) / 2;
+  }
+
+  /**
+   * Read a length-delimited field
+   * @returns {Buffer}
+   */
+  readBytes() {
+    const length = this.readVarint();
+    const bytes = this.buffer.subarray(this.position, this.position + length);
+    this.position += length;
+    return bytes;
+  }
+
+  /**
+   * Read a packed repeated varint field
+   * @param {boolean} signed - Decode as zigzag sint
+   * @returns {Array} numbers
+   */
+  readPacked(signed = false) {
+    const reader = new ProtobufReader(this.readBytes());
+    const values = [];
+    while (!reader.isAtEnd()) {
+      values.push(signed ? reader.readSignedVarint() : reader.readVarint());
+    }
+    return values;
+  }
+
+  /**
+   * Skip a field of the given wire type
+   * @param {number} wireType - Protobuf wire type
+   */
+  skip(wireType) {
+    switch (wireType) {
+      case WIRE_VARINT:
+        this.readVarint();
+        break;
+      case WIRE_64BIT:
+        this.position += 8;
+        break;
+      case WIRE_LENGTH_DELIMITED:
+        this.position += this.readVarint();
+        break;
+      case WIRE_32BIT:
+        this.position += 4;
+        break;
+      default:
+        throw new Error(`Unsupported protobuf wire type ${wireType} in PBF data`);
+    }
+  }
+}
+
+/**
+ * Parse an .osm.pbf file
+ * @param {Buffer} buffer - File contents
+ * @returns {Object} {nodes: Map(id -> {lat, lon, tags}), ways: [{id, nodes, tags}], relations: [{id, members, tags}]}
+ */
+function parsePbf(buffer) {
+  const data = { nodes: new Map(), ways: [], relations: [] };
+  let position = 0;
+
+  while (position < buffer.length) {
+    if (position + 4 > buffer.length) {
+      throw new Error('Truncated PBF file');
+    }
+
+    const headerLength = buffer.readUInt32BE(position);
+    position += 4;
+
+    const header = readBlobHeader(buffer.subarray(position, position + headerLength));
+    position += headerLength;
+
+    const blob = buffer.subarray(position, position + header.dataSize);
+    position += header.dataSize;
+
+    if (header.type === 'OSMData') {
+      readPrimitiveBlock(decompressBlob(blob), data);
+    }
+    // OSMHeader only carries metadata we do not need
+  }
+
+  return data;
+}
+
+/**
+ * Decode a BlobHeader
+ * @param {Buffer} buffer - Encoded BlobHeader
+ * @returns {Object} {type, dataSize}
+ */
+function readBlobHeader(buffer) {
+  const reader = new ProtobufReader(buffer);
+  const header = { type: null, dataSize: 0 };
+
+  while (!reader.isAtEnd()) {
+    const { field, wireType } = reader.readKey();
+    if (field === 1) header.type = reader.readBytes().toString('utf8');
+    else if (field === 3) header.dataSize = reader.readVarint();
+    else reader.skip(wireType);
+  }
+
+  return header;
+}
+
+/**
+ * Decode a Blob and return its uncompressed contents
+ * @param {Buffer} buffer - Encoded Blob
+ * @returns {Buffer}
+ */
+function decompressBlob(buffer) {
+  const reader = new ProtobufReader(buffer);
+
+  while (!reader.isAtEnd()) {
+    const { field, wireType } = reader.readKey();
+    if (field === 1) return reader.readBytes();                   // raw
+    if (field === 3) return zlib.inflateSync(reader.readBytes()); // zlib_data
+    if (field === 4 || field === 6 || field === 7) {
+      throw new Error('Unsupported PBF compression (only raw and zlib blobs are supported)');
+    }
+    reader.skip(wireType);
+  }
+
+  throw new Error('PBF blob has no data');
+}
+
+/**
+ * Decode a PrimitiveBlock and add its entities to `data`
+ * @param {Buffer} buffer - Encoded PrimitiveBlock
+ * @param {Object} data - Accumulated {nodes, ways, relations}
+ */
+function readPrimitiveBlock(buffer, data) {
+  const reader = new ProtobufReader(buffer);
+  const block = { strings: [], granularity: 100, latOffset: 0, lonOffset: 0 };
+  const groups = [];
+
+  // Groups refer to the string table and offsets, which may come after them
+  while (!reader.isAtEnd()) {
+    const { field, wireType } = reader.readKey();
+    if (field === 1) block.strings = readStringTable(reader.readBytes());
+    else if (field === 2) groups.push(reader.readBytes());
+    else if (field === 17) block.granularity = reader.readVarint();
+    else if (field === 19) block.latOffset = reader.readInt64();
+    else if (field === 20) block.lonOffset = reader.readInt64();
+    else reader.skip(wireType);
+  }
+
+  groups.forEach(group => readPrimitiveGroup(group, block, data));
+}
+
+/**
+ * Decode the string table of a block
+ * @param {Buffer} buffer - Encoded StringTable
+ * @returns {Array} strings
+ */
+function readStringTable(buffer) {
+  const reader = new ProtobufReader(buffer);
+  const strings = [];
+
+  while (!reader.isAtEnd()) {
+    const { field, wireType } = reader.readKey();
+    if (field === 1) strings.push(reader.readBytes().toString('utf8'));
+    else reader.skip(wireType);
+  }
+
+  return strings;
+}
+
+/**
+ * Decode a PrimitiveGroup
+ * @param {Buffer} buffer - Encoded PrimitiveGroup
+ * @param {Object} block - Block context {strings, granularity, latOffset, lonOffset}
+ * @param {Object} data - Accumulated {nodes, ways, relations}
+ */
+function readPrimitiveGroup(buffer, block, data) {
+  const reader = new ProtobufReader(buffer);
+
+  while (!reader.isAtEnd()) {
+    const { field, wireType } = reader.readKey();
+    if (field === 1) readNode(reader.readBytes(), block, data);
+    else if (field === 2) readDenseNodes(reader.readBytes(), block, data);
+    else if (field === 3) data.ways.push(readWay(reader.readBytes(), block));
+    else if (field === 4) data.relations.push(readRelation(reader.readBytes(), block));
+    else reader.skip(wireType);
+  }
+}
+
+/**
+ * Convert a raw coordinate to degrees
+ * @param {number} value - Raw lat or lon
+ * @param {number} offset - Block lat_offset or lon_offset
+ * @param {number} granularity - Block granularity in nanodegrees
+ * @returns {number} degrees
+ */
+function toDegrees(value, offset, granularity) {
+  return 1e-9 * (offset + granularity * value);
+}
+
+/**
+ * Build a tags object from parallel key/value string indexes
+ * @param {Array} keys - String table indexes of keys
+ * @param {Array} values - String table indexes of values
+ * @param {Array} strings - String table
+ * @returns {Object} tags
+ */
+function buildTags(keys, values, strings) {
+  const tags = {};
+  keys.forEach((key, index) => {
+    tags[strings[key]] = strings[values[index]];
+  });
+  return tags;
+}
+
+/**
+ * Decode a single (non-dense) Node
+ * @param {Buffer} buffer - Encoded Node
+ * @param {Object} block - Block context
+ * @param {Object} data - Accumulated entities
+ */
+function readNode(buffer, block, data) {
+  const reader = new ProtobufReader(buffer);
+  let id = 0, lat = 0, lon = 0, keys = [], values = [];
+
+  while (!reader.isAtEnd()) {
+    const { field, wireType } = reader.readKey();
+    if (field === 1) id = reader.readSignedVarint();
+    else if (field === 2) keys = reader.readPacked();
+    else if (field === 3) values = reader.readPacked();
+    else if (field === 8) lat = reader.readSignedVarint();
+    else if (field === 9) lon = reader.readSignedVarint();
+    else reader.skip(wireType);
+  }
+
+  data.nodes.set(id, {
+    lat: toDegrees(lat, block.latOffset, block.granularity),
+    lon: toDegrees(lon, block.lonOffset, block.granularity),
+    tags: buildTags(keys, values, block.strings)
+  });
+}
+
+/**
+ * Decode DenseNodes (delta-coded ids and coordinates, flat key/value list)
+ * @param {Buffer} buffer - Encoded DenseNodes
+ * @param {Object} block - Block context
+ * @param {Object} data - Accumulated entities
+ */
+function readDenseNodes(buffer, block, data) {
+  const reader = new ProtobufReader(buffer);
+  let ids = [], lats = [], lons = [], keysValues = [];
+
+  while (!reader.isAtEnd()) {
+    const { field, wireType } = reader.readKey();
+    if (field === 1) ids = reader.readPacked(true);
+    else if (field === 8) lats = reader.readPacked(true);
+    else if (field === 9) lons = reader.readPacked(true);
+    else if (field === 10) keysValues = reader.readPacked();
+    else reader.skip(wireType);
+  }
+
+  let id = 0, lat = 0, lon = 0, tagIndex = 0;
+
+  for (let i = 0; i < ids.length; i++) {
+    id += ids[i];
+    lat += lats[i];
+    lon += lons[i];
+
+    // keys_vals is "k v k v 0" per node, or empty if no node has tags
+    const tags = {};
+    while (tagIndex < keysValues.length && keysValues[tagIndex] !== 0) {
+      tags[block.strings[keysValues[tagIndex]]] = block.strings[keysValues[tagIndex + 1]];
+      tagIndex += 2;
+    }
+    tagIndex++;
+
+    data.nodes.set(id, {
+      lat: toDegrees(lat, block.latOffset, block.granularity),
+      lon: toDegrees(lon, block.lonOffset, block.granularity),
+      tags: tags
+    });
+  }
+}
+
+/**
+ * Decode a Way
+ * @param {Buffer} buffer - Encoded Way
+ * @param {Object} block - Block context
+ * @returns {Object} {id, nodes, tags}
+ */
+function readWay(buffer, block) {
+  const reader = new ProtobufReader(buffer);
+  let id = 0, keys = [], values = [], refs = [];
+
+  while (!reader.isAtEnd()) {
+    const { field, wireType } = reader.readKey();
+    if (field === 1) id = reader.readVarint();
+    else if (field === 2) keys = reader.readPacked();
+    else if (field === 3) values = reader.readPacked();
+    else if (field === 8) refs = reader.readPacked(true);
+    else reader.skip(wireType);
+  }
+
+  // Node refs are delta-coded
+  let ref = 0;
+  const nodes = refs.map(delta => (ref += delta));
+
+  return { id, nodes, tags: buildTags(keys, values, block.strings) };
+}
+
+/**
+ * Decode a Relation
+ * @param {Buffer} buffer - Encoded Relation
+ * @param {Object} block - Block context
+ * @returns {Object} {id, members: [{type, ref, role}], tags}
+ */
+function readRelation(buffer, block) {
+  const reader = new ProtobufReader(buffer);
+  let id = 0, keys = [], values = [], roles = [], memberIds = [], types = [];
+
+  while (!reader.isAtEnd()) {
+    const { field, wireType } = reader.readKey();
+    if (field === 1) id = reader.readVarint();
+    else if (field === 2) keys = reader.readPacked();
+    else if (field === 3) values = reader.readPacked();
+    else if (field === 8) roles = reader.readPacked();
+    else if (field === 9) memberIds = reader.readPacked(true);
+    else if (field === 10) types = reader.readPacked();
+    else reader.skip(wireType);
+  }
+
+  let ref = 0;
+  const members = memberIds.map((delta, index) => ({
+    type: MEMBER_TYPES[types[index]] || 'node',
+    ref: (ref += delta),
+    role: block.strings[roles[index]] || ''
+  }));
+
+  return { id, members, tags: buildTags(keys, values, block.strings) };
+}
+
+module.exports = {
+  parsePbf
+};
@@ -0,0 +1,125 @@
+/**
+ * Binary min-heap keyed by numeric priority.
+ * Used by the pathfinder to pick the closest unsettled node in O(log n).
+ * Entries are never decreased in place; callers push a new entry and skip
+ * stale ones when they are popped (lazy deletion).
+ */
+class PriorityQueue {
+  constructor() {
+    this.heap = []; // [{priority, value}]
+  }
+
+  /**
+   * Number of entries in the queue (including stale ones)
+   * @returns {number}
+   */
+  get size() {
+    return this.heap.length;
+  }
+
+  /**
+   * Check if the queue is empty
+   * @returns {boolean}
+   */
+  isEmpty() {
+    return this.heap.length === 0;
+  }
+
+  /**
+   * Add a value with the given priority
+   * @param {*} value - Value to store
+   * @param {number} priority - Lower values are popped first
+   */
+  push(value, priority) {
+    this.heap.push({ priority, value });
+    this.bubbleUp(this.heap.length - 1);
+  }
+
+  /**
+   * Look at the entry with the lowest priority without removing it
+   * @returns {Object|null} {priority, value} or null if empty
+   */
+  peek() {
+    return this.heap.length > 0 ? this.heap[0] : null;
+  }
+
+  /**
+   * Remove and return the entry with the lowest priority
+   * @returns {Object|null} {priority, value} or null if empty
+   */
+  pop() {
+    if (this.heap.length === 0) {
+      return null;
+    }
+
+    const top = this.heap[0];
+    const last = this.heap.pop();
+
+    if (this.heap.length > 0) {
+      this.heap[0] = last;
+      this.sinkDown(0);
+    }
+
+    return top;
+  }
+
+  /**
+   * Move an entry up until the heap property holds
+   * @param {number} index - Index of the entry to move
+   */
+  bubbleUp(index) {
+    const heap = this.heap;
+    const entry = heap[index];
+
+    while (index > 0) {
+      const parentIndex = (index - 1) >> 1;
+      const parent = heap[parentIndex];
+
+      if (entry.priority >= parent.priority) {
+        break;
+      }
+
+      heap[index] = parent;
+      index = parentIndex;
+    }
+
+    heap[index] = entry;
+  }
+
+  /**
+   * Move an entry down until the heap property holds
+   * @param {number} index - Index of the entry to move
+   */
+  sinkDown(index) {
+    const heap = this.heap;
+    const length = heap.length;
+    const entry = heap[index];
+
+    while (true) {
+      const leftIndex = 2 * index + 1;
+      const rightIndex = leftIndex + 1;
+      let smallest = index;
+      let smallestPriority = entry.priority;
+
+      if (leftIndex < length && heap[leftIndex].priority < smallestPriority) {
+        smallest = leftIndex;
+        smallestPriority = heap[leftIndex].priority;
+      }
+
+      if (rightIndex < length && heap[rightIndex].priority < smallestPriority) {
+        smallest = rightIndex;
+      }
+
+      if (smallest === index) {
+        break;
+      }
+
+      heap[index] = heap[smallest];
+      index = smallest;
+    }
+
+    heap[index] = entry;
+  }
+}
+
+module.exports = PriorityQueue;
@@ -0,0 +1,60 @@
+const { RATE_LIMIT_MAX_REQUESTS, RATE_LIMIT_WINDOW } = require('./constants');
+
+const CLEANUP_THRESHOLD = 10000; // keys tracked before ended windows are swept
+
+/**
+ * Fixed-window request counter per client key
+ * Each key may make `max` requests per window of `windowMs`; the window
+ * starts with the key's first request. Expired windows are dropped lazily.
+ */
+class RateLimiter {
+  /**
+   * @param {Object} options - {max, windowMs}
+   */
+  constructor(options = {}) {
+    this.max = options.max || RATE_LIMIT_MAX_REQUESTS;
+    this.windowMs = options.windowMs || RATE_LIMIT_WINDOW;
+    this.windows = new Map(); // key -> {count, resetAt}
+  }
+
+  /**
+   * Count a request for a key
+   * @param {string} key - Client key (IP, or API key and IP)
+   * @returns {Object} {allowed, limit, remaining, resetAt}
+   */
+  consume(key) {
+    const now = Date.now();
+    let window = this.windows.get(key);
+
+    if (!window || window.resetAt <= now) {
+      if (this.windows.size >= CLEANUP_THRESHOLD) {
+        this.cleanup(now);
+      }
+      window = { count: 0, resetAt: now + this.windowMs };
+      this.windows.set(key, window);
+    }
+
+    window.count++;
+
+    return {
+      allowed: window.count <= this.max,
+      limit: this.max,
+      remaining: Math.max(0, this.max - window.count),
+      resetAt: window.resetAt
+    };
+  }
+
+  /**
+   * Drop windows that have ended
+   * @param {number} now - Current time in ms
+   */
+  cleanup(now = Date.now()) {
+    for (const [key, window] of this.windows) {
+      if (window.resetAt <= now) {
+        this.windows.delete(key);
+      }
+    }
+  }
+}
+
+module.exports = RateLimiter;
@@ -0,0 +1,209 @@
+/**
+ * Serialize a calculated route for GPS devices and GIS tools. Every exporter
+ * takes a route as returned by DijkstraService.combineLegs ({path, segments,
+ * snappedPoints, distance, duration}).
+ */
+
+const FORMATS = {
+  gpx: { contentType: 'application/gpx+xml', extension: 'gpx' },
+  kml: { contentType: 'application/vnd.google-earth.kml+xml', extension: 'kml' },
+  geojson: { contentType: 'application/geo+json', extension: 'geojson' },
+  polyline: { contentType: 'text/plain', extension: 'txt' }
+};
+
+/**
+ * Export a route in one of ROUTE_EXPORT_FORMATS
+ * @param {Object} route - Route result
+ * @param {string} format - gpx, kml, geojson or polyline
+ * @param {Object} options - {name} route name used inside the file
+ * @returns {Object} {content, contentType, extension}
+ */
+function exportRoute(route, format, options = {}) {
+  const name = options.name || 'Route';
+  let content;
+
+  switch (format) {
+    case 'gpx':
+      content = toGpx(route, name);
+      break;
+    case 'kml':
+      content = toKml(route, name);
+      break;
+    case 'geojson':
+      content = JSON.stringify(toGeoJson(route, name));
+      break;
+    case 'polyline':
+      content = encodePolyline(route.path);
+      break;
+    default:
+      throw new Error(`Unknown export format: ${format}`);
+  }
+
+  return { content, ...FORMATS[format] };
+}
+
+/**
+ * GPX 1.1 document with the stops as waypoints and the route as a track
+ * @param {Object} route - Route result
+ * @param {string} name - Route name
+ * @returns {string} XML
+ */
+function toGpx(route, name) {
+  const waypoints = getStops(route).map(stop =>
+    `  <wpt lat="${stop.lat}" lon="${stop.lng}"><name>${escapeXml(stop.name)}</name></wpt>`
+  );
+  const points = route.path.map(point => `      <trkpt lat="${point.lat}" lon="${point.lng}"></trkpt>`);
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<gpx version="1.1" creator="Go pilot" xmlns="http://www.topografix.com/GPX/1/1">',
+    `  <metadata><name>${escapeXml(name)}</name><time>${new Date().toISOString()}</time></metadata>`,
+    ...waypoints,
+    '  <trk>',
+    `    <name>${escapeXml(name)}</name>`,
+    '    <trkseg>',
+    ...points,
+    '    </trkseg>',
+    '  </trk>',
+    '</gpx>',
+    ''
+  ].join('\n');
+}
+
+/**
+ * KML document with the route as a line and the stops as points
+ * @param {Object} route - Route result
+ * @param {string} name - Route name
+ * @returns {string} XML
+ */
+function toKml(route, name) {
+  const coordinates = route.path.map(point => `${point.lng},${point.lat}`).join(' ');
+  const stops = getStops(route).map(stop => [
+    '    <Placemark>',
+    `      <name>${escapeXml(stop.name)}</name>`,
+    `      <Point><coordinates>${stop.lng},${stop.lat}</coordinates></Point>`,
+    '    </Placemark>'
+  ].join('\n'));
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<kml xmlns="http://www.opengis.net/kml/2.2">',
+    '  <Document>',
+    `    <name>${escapeXml(name)}</name>`,
+    '    <Placemark>',
+    `      <name>${escapeXml(name)}</name>`,
+    `      <description>${route.distance.toFixed(2)} km, ${route.duration} min</description>`,
+    '      <LineString>',
+    '        <tessellate>1</tessellate>',
+    `        <coordinates>${coordinates}</coordinates>`,
+    '      </LineString>',
+    '    </Placemark>',
+    ...stops,
+    '  </Document>',
+    '</kml>',
+    ''
+  ].join('\n');
+}
+
+/**
+ * GeoJSON FeatureCollection with one LineString per road segment
+ * @param {Object} route - Route result
+ * @param {string} name - Route name
+ * @returns {Object} FeatureCollection
+ */
+function toGeoJson(route, name) {
+  return {
+    type: 'FeatureCollection',
+    name: name,
+    features: route.segments.map(segment => ({
+      type: 'Feature',
+      geometry: {
+        type: 'LineString',
+        coordinates: route.path
+          .slice(segment.pathRange[0], segment.pathRange[1] + 1)
+          .map(point => [point.lng, point.lat])
+      },
+      properties: {
+        roadName: segment.roadName,
+        roadType: segment.roadType,
+        distance: segment.distance, // km
+        duration: segment.duration // minutes
+      }
+    }))
+  };
+}
+
+/**
+ * Encode coordinates with Google's encoded polyline algorithm
+ * @param {Array} path - [{lat, lng}]
+ * @param {number} precision - Decimal places kept (default: 5)
+ * @returns {string} encoded polyline
+ */
+function encodePolyline(path, precision = 5) {
+  const factor = 10 ** precision;
+  let previousLat = 0;
+  let previousLng = 0;
+  let encoded = '';
+
+  path.forEach(point => {
+    const lat = Math.round(point.lat * factor);
+    const lng = Math.round(point.lng * factor);
+
+    encoded += encodeValue(lat - previousLat) + encodeValue(lng - previousLng);
+    previousLat = lat;
+    previousLng = lng;
+  });
+
+  return encoded;
+}
+
+/**
+ * Encode one signed delta of a polyline
+ * @param {number} value - Integer delta
+ * @returns {string} encoded chunk
+ */
+function encodeValue(value) {
+  let remaining = value < 0 ? ~(value << 1) : value << 1;
+  let chunk = '';
+
+  while (remaining >= 0x20) {
+    chunk += String.fromCharCode((0x20 | (remaining & 0x1f)) + 63);
+    remaining >>= 5;
+  }
+
+  return chunk + String.fromCharCode(remaining + 63);
+}
+
+/**
+ * Name the route's snapped stops for waypoint and point exports
+ * @param {Object} route - Route result
+ * @returns {Array} [{lat, lng, name}]
+ */
+function getStops(route) {
+  const points = route.snappedPoints || [];
+
+  return points.map((point, index) => ({
+    lat: point.lat,
+    lng: point.lng,
+    name: index === 0 ? 'Start' : index === points.length - 1 ? 'Destination' : `Stop ${index}`
+  }));
+}
+
+/**
+ * Escape text for use inside XML elements
+ * @param {string} text - Raw text
+ * @returns {string}
+ */
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+module.exports = {
+  exportRoute,
+  encodePolyline
+};
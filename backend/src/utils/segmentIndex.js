@@ -0,0 +1,104 @@
+const { toRadians } = require('./distance');
+const { SPATIAL_INDEX_CELL_SIZE } = require('./constants');
+
+const KM_PER_DEGREE_LAT = 111.32;
+
+/**
+ * Uniform grid index over line segments.
+ * Every segment is registered in each cell it passes through, so a lookup
+ * only looks at the cells around the query point, however long the segments
+ * in the graph are.
+ */
+class SegmentIndex {
+  /**
+   * @param {number} cellSize - Cell size in degrees
+   */
+  constructor(cellSize = SPATIAL_INDEX_CELL_SIZE) {
+    this.cellSize = cellSize;
+    this.cells = new Map(); // cellKey -> array of ids
+  }
+
+  /**
+   * Add a segment to every cell it passes through
+   * The segment is sampled at most half a cell apart along each axis, so any
+   * point on it is within a quarter cell of a sample; queries add that margin.
+   * @param {string} id - Segment ID
+   * @param {Object} from - Start {lat, lng}
+   * @param {Object} to - End {lat, lng}
+   */
+  insert(id, from, to) {
+    const span = Math.max(Math.abs(to.lat - from.lat), Math.abs(to.lng - from.lng));
+    const steps = Math.max(1, Math.ceil(span / (this.cellSize / 2)));
+    const cellKeys = new Set();
+
+    for (let step = 0; step <= steps; step++) {
+      const share = step / steps;
+      cellKeys.add(this.cellKey(from.lat + (to.lat - from.lat) * share, from.lng + (to.lng - from.lng) * share));
+    }
+
+    cellKeys.forEach(cellKey => {
+      if (!this.cells.has(cellKey)) {
+        this.cells.set(cellKey, []);
+      }
+      this.cells.get(cellKey).push(id);
+    });
+  }
+
+  /**
+   * Find the segments that may pass within a radius of given coordinates
+   * Every segment within the radius is returned; some slightly further away
+   * may be too, so callers measure the exact distance.
+   * @param {number} lat - Target latitude
+   * @param {number} lng - Target longitude
+   * @param {number} radiusKm - Search radius in kilometers
+   * @returns {Set} candidate segment IDs
+   */
+  query(lat, lng, radiusKm) {
+    const margin = this.cellSize / 4;
+    const latSpan = radiusKm / KM_PER_DEGREE_LAT + margin;
+    const widestLat = Math.min(89.9, Math.abs(lat) + latSpan);
+    const lngSpan = radiusKm / Math.max(KM_PER_DEGREE_LAT * Math.cos(toRadians(widestLat)), 1e-6) + margin;
+
+    const ids = new Set();
+    for (let x = this.cellX(lng - lngSpan); x <= this.cellX(lng + lngSpan); x++) {
+      for (let y = this.cellY(lat - latSpan); y <= this.cellY(lat + latSpan); y++) {
+        const cell = this.cells.get(`${x}:${y}`);
+        if (cell) {
+          cell.forEach(id => ids.add(id));
+        }
+      }
+    }
+
+    return ids;
+  }
+
+  /**
+   * Key of the cell containing a point
+   * @param {number} lat - Latitude
+   * @param {number} lng - Longitude
+   * @returns {string}
+   */
+  cellKey(lat, lng) {
+    return `${this.cellX(lng)}:${this.cellY(lat)}`;
+  }
+
+  /**
+   * Grid column for a longitude
+   * @param {number} lng - Longitude
+   * @returns {number}
+   */
+  cellX(lng) {
+    return Math.floor(lng / this.cellSize);
+  }
+
+  /**
+   * Grid row for a latitude
+   * @param {number} lat - Latitude
+   * @returns {number}
+   */
+  cellY(lat) {
+    return Math.floor(lat / this.cellSize);
+  }
+}
+
+module.exports = SegmentIndex;
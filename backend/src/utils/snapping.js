@@ -0,0 +1,313 @@
+const { calculateDistance, toRadians } = require('./distance');
+const { MAX_SNAP_DISTANCE } = require('./constants');
+const SegmentIndex = require('./segmentIndex');
+
+const segmentIndexCache = new WeakMap(); // graph -> SegmentIndex over its edges
+const END_TOLERANCE = 1e-6;               // share of an edge treated as "at the node"
+
+/**
+ * Map that reads through to a base map but keeps its own additions and
+ * overrides, so a cached graph can be extended per request without being
+ * modified.
+ */
+class OverlayMap {
+  /**
+   * @param {Map} base - Map to read through to
+   */
+  constructor(base) {
+    this.base = base;
+    this.local = new Map();
+  }
+
+  /**
+   * @param {*} key
+   * @returns {*} local value if set, otherwise the base value
+   */
+  get(key) {
+    return this.local.has(key) ? this.local.get(key) : this.base.get(key);
+  }
+
+  /**
+   * @param {*} key
+   * @returns {boolean}
+   */
+  has(key) {
+    return this.local.has(key) || this.base.has(key);
+  }
+
+  /**
+   * Set a value on the overlay only
+   * @param {*} key
+   * @param {*} value
+   * @returns {OverlayMap}
+   */
+  set(key, value) {
+    this.local.set(key, value);
+    return this;
+  }
+
+  /**
+   * Number of distinct keys in base and overlay
+   * @returns {number}
+   */
+  get size() {
+    let size = this.base.size;
+    for (const key of this.local.keys()) {
+      if (!this.base.has(key)) size++;
+    }
+    return size;
+  }
+
+  /**
+   * Iterate [key, value] pairs, overlay values winning
+   */
+  * entries() {
+    for (const [key, value] of this.base) {
+      yield [key, this.local.has(key) ? this.local.get(key) : value];
+    }
+    for (const [key, value] of this.local) {
+      if (!this.base.has(key)) yield [key, value];
+    }
+  }
+
+  /**
+   * Iterate keys
+   */
+  * keys() {
+    for (const [key] of this.entries()) yield key;
+  }
+
+  /**
+   * Iterate values
+   */
+  * values() {
+    for (const [, value] of this.entries()) yield value;
+  }
+
+  [Symbol.iterator]() {
+    return this.entries();
+  }
+}
+
+/**
+ * Project a point onto the nearest usable road segment
+ * Candidate segments come from a grid of the cells every edge passes through,
+ * so a long edge (e.g. a ferry) is found near any part of it without widening
+ * the search for every other point.
+ * @param {Object} graph - Graph with nodes and edges
+ * @param {Object} point - {lat, lng}
+ * @param {Function} edgeFilter - Optional edge -> boolean, only matching edges are considered
+ * @param {number} maxDistance - Furthest the road may be from the point (km)
+ * @returns {Object|null} {lat, lng, distance (km), from, to, t, forward, backward} or null if no road is close enough
+ */
+function snapToRoad(graph, point, edgeFilter = null, maxDistance = MAX_SNAP_DISTANCE) {
+  let best = null;
+
+  getSegmentIndex(graph).query(point.lat, point.lng, maxDistance).forEach(edgeId => {
+    const edge = graph.edges.get(edgeId);
+    if (!edge || (edgeFilter && !edgeFilter(edge))) return;
+
+    const from = graph.nodes.get(edge.from);
+    const to = graph.nodes.get(edge.to);
+    if (!from || !to) return;
+
+    const projection = projectOntoSegment(point, from, to);
+    if (!best || projection.distance < best.distance) {
+      best = { ...projection, edge };
+    }
+  });
+
+  if (!best || best.distance > maxDistance) {
+    return null;
+  }
+
+  const { edge } = best;
+  const reverse = findEdge(graph, edge.to, edge.from, candidate =>
+    candidate.wayId === edge.wayId && (!edgeFilter || edgeFilter(candidate)));
+
+  return {
+    lat: best.lat,
+    lng: best.lng,
+    distance: best.distance,
+    from: edge.from,
+    to: edge.to,
+    t: best.t,
+    forward: edge,
+    backward: reverse
+  };
+}
+
+/**
+ * Extend a graph with virtual nodes at snapped source and destination points
+ * The virtual nodes split their segment: the source gets edges to both ends
+ * of the segment (where its direction allows) and both ends get edges to the
+ * destination, each with the matching share of the original edge's cost.
+ * The returned graph shares everything else with the original.
+ * @param {Object} graph - Graph the snaps were made on
+ * @param {Object} sourceSnap - Result of snapToRoad for the source
+ * @param {Object|null} destinationSnap - Result of snapToRoad for the destination (null for one-to-all searches)
+ * @returns {Object} {graph, sourceNodeId, destinationNodeId}
+ */
+function createSnappedGraph(graph, sourceSnap, destinationSnap) {
+  const snapped = {
+    ...graph,
+    nodes: new OverlayMap(graph.nodes),
+    edges: new OverlayMap(graph.edges),
+    baseGraph: graph
+  };
+
+  const addNode = (nodeId, snap) => {
+    snapped.nodes.set(nodeId, { id: nodeId, lat: snap.lat, lng: snap.lng, edges: [], virtual: true });
+  };
+
+  const addEdge = (edgeId, baseEdge, fromNodeId, toNodeId, share) => {
+    snapped.edges.set(edgeId, {
+      ...baseEdge,
+      from: fromNodeId,
+      to: toNodeId,
+      distance: baseEdge.distance * share,
+      weight: baseEdge.weight * share,
+      travelTime: baseEdge.travelTime !== undefined ? baseEdge.travelTime * share : undefined
+    });
+
+    // Copy the node before touching its edge list, the base graph stays as it is
+    const fromNode = snapped.nodes.get(fromNodeId);
+    snapped.nodes.set(fromNodeId, { ...fromNode, edges: [...fromNode.edges, edgeId] });
+  };
+
+  const sourceNodeId = snapEndpoint(sourceSnap, 'snap_source');
+  const destinationNodeId = destinationSnap ? snapEndpoint(destinationSnap, 'snap_destination') : null;
+
+  if (sourceNodeId === 'snap_source') {
+    addNode(sourceNodeId, sourceSnap);
+    if (sourceSnap.forward) {
+      addEdge('snap_source_forward', sourceSnap.forward, sourceNodeId, sourceSnap.to, 1 - sourceSnap.t);
+    }
+    if (sourceSnap.backward) {
+      addEdge('snap_source_backward', sourceSnap.backward, sourceNodeId, sourceSnap.from, sourceSnap.t);
+    }
+  }
+
+  if (destinationNodeId === 'snap_destination') {
+    addNode(destinationNodeId, destinationSnap);
+    if (destinationSnap.forward) {
+      addEdge('snap_destination_forward', destinationSnap.forward, destinationSnap.from, destinationNodeId, destinationSnap.t);
+    }
+    if (destinationSnap.backward) {
+      addEdge('snap_destination_backward', destinationSnap.backward, destinationSnap.to, destinationNodeId, 1 - destinationSnap.t);
+    }
+  }
+
+  // Both points on the same segment: allow driving straight from one to the other
+  if (sourceNodeId === 'snap_source' && destinationNodeId === 'snap_destination') {
+    const destinationT = alignToSegment(destinationSnap, sourceSnap);
+    if (destinationT !== null) {
+      if (sourceSnap.forward && destinationT >= sourceSnap.t) {
+        addEdge('snap_direct', sourceSnap.forward, sourceNodeId, destinationNodeId, destinationT - sourceSnap.t);
+      } else if (sourceSnap.backward && destinationT <= sourceSnap.t) {
+        addEdge('snap_direct', sourceSnap.backward, sourceNodeId, destinationNodeId, sourceSnap.t - destinationT);
+      }
+    }
+  }
+
+  return { graph: snapped, sourceNodeId, destinationNodeId };
+}
+
+/**
+ * Decide whether a snap needs a virtual node or lands on an existing one
+ * @param {Object} snap - Result of snapToRoad
+ * @param {string} virtualNodeId - ID to use for a virtual node
+ * @returns {string} node ID
+ */
+function snapEndpoint(snap, virtualNodeId) {
+  if (snap.t <= END_TOLERANCE) return snap.from;
+  if (snap.t >= 1 - END_TOLERANCE) return snap.to;
+  return virtualNodeId;
+}
+
+/**
+ * Position of one snap along another snap's segment
+ * @param {Object} snap - Snap to express
+ * @param {Object} reference - Snap whose segment orientation is used
+ * @returns {number|null} position 0..1 along the reference segment, or null if on a different segment
+ */
+function alignToSegment(snap, reference) {
+  if (snap.from === reference.from && snap.to === reference.to) return snap.t;
+  if (snap.from === reference.to && snap.to === reference.from) return 1 - snap.t;
+  return null;
+}
+
+/**
+ * Closest point on a segment, treating lat/lng as planar around the segment
+ * @param {Object} point - {lat, lng}
+ * @param {Object} from - Segment start {lat, lng}
+ * @param {Object} to - Segment end {lat, lng}
+ * @returns {Object} {lat, lng, t, distance} where t is the position along the segment (0..1)
+ */
+function projectOntoSegment(point, from, to) {
+  const scale = Math.cos(toRadians((from.lat + to.lat) / 2));
+  const dx = (to.lng - from.lng) * scale;
+  const dy = to.lat - from.lat;
+  const lengthSquared = dx * dx + dy * dy;
+
+  let t = 0;
+  if (lengthSquared > 0) {
+    t = (((point.lng - from.lng) * scale) * dx + (point.lat - from.lat) * dy) / lengthSquared;
+    t = Math.max(0, Math.min(1, t));
+  }
+
+  const lat = from.lat + (to.lat - from.lat) * t;
+  const lng = from.lng + (to.lng - from.lng) * t;
+
+  return { lat, lng, t, distance: calculateDistance(point.lat, point.lng, lat, lng) };
+}
+
+/**
+ * Find an edge between two nodes
+ * @param {Object} graph - Graph with nodes and edges
+ * @param {string} fromNodeId - Start node
+ * @param {string} toNodeId - End node
+ * @param {Function} filter - Optional extra condition on the edge
+ * @returns {Object|null} edge
+ */
+function findEdge(graph, fromNodeId, toNodeId, filter = null) {
+  const node = graph.nodes.get(fromNodeId);
+  if (!node) return null;
+
+  for (const edgeId of node.edges) {
+    const edge = graph.edges.get(edgeId);
+    if (edge && edge.to === toNodeId && (!filter || filter(edge))) {
+      return edge;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Grid of the cells every edge of a graph passes through (built once per graph)
+ * @param {Object} graph - Graph with nodes and edges
+ * @returns {SegmentIndex}
+ */
+function getSegmentIndex(graph) {
+  if (!segmentIndexCache.has(graph)) {
+    const index = new SegmentIndex();
+    for (const [edgeId, edge] of graph.edges) {
+      const from = graph.nodes.get(edge.from);
+      const to = graph.nodes.get(edge.to);
+      if (from && to) {
+        index.insert(edgeId, from, to);
+      }
+    }
+    segmentIndexCache.set(graph, index);
+  }
+  return segmentIndexCache.get(graph);
+}
+
+module.exports = {
+  OverlayMap,
+  snapToRoad,
+  createSnappedGraph,
+  alignToSegment,
+  projectOntoSegment
+};
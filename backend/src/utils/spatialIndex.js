@@ -0,0 +1,230 @@
+const { calculateDistance, toRadians } = require('./distance');
+const { SPATIAL_INDEX_CELL_SIZE } = require('./constants');
+
+const KM_PER_DEGREE_LAT = 111.32;
+
+/**
+ * Uniform grid index over lat/lng points.
+ * Points are bucketed into square cells of `cellSize` degrees, so radius and
+ * nearest-neighbour lookups only look at the cells around the query point.
+ */
+class SpatialIndex {
+  /**
+   * @param {number} cellSize - Cell size in degrees
+   */
+  constructor(cellSize = SPATIAL_INDEX_CELL_SIZE) {
+    this.cellSize = cellSize;
+    this.cells = new Map();   // cellKey -> Set of ids
+    this.points = new Map();  // id -> {lat, lng, cellKey}
+    this.bounds = null;       // {minX, maxX, minY, maxY} of occupied cells
+  }
+
+  /**
+   * Number of indexed points
+   * @returns {number}
+   */
+  get size() {
+    return this.points.size;
+  }
+
+  /**
+   * Remove every point from the index
+   */
+  clear() {
+    this.cells.clear();
+    this.points.clear();
+    this.bounds = null;
+  }
+
+  /**
+   * Add a point, or move it if the id is already indexed
+   * @param {string} id - Point ID
+   * @param {number} lat - Latitude
+   * @param {number} lng - Longitude
+   */
+  insert(id, lat, lng) {
+    if (this.points.has(id)) {
+      this.remove(id);
+    }
+
+    const x = this.cellX(lng);
+    const y = this.cellY(lat);
+    const cellKey = `${x}:${y}`;
+
+    if (!this.cells.has(cellKey)) {
+      this.cells.set(cellKey, new Set());
+    }
+    this.cells.get(cellKey).add(id);
+    this.points.set(id, { lat, lng, cellKey });
+
+    if (!this.bounds) {
+      this.bounds = { minX: x, maxX: x, minY: y, maxY: y };
+    } else {
+      this.bounds.minX = Math.min(this.bounds.minX, x);
+      this.bounds.maxX = Math.max(this.bounds.maxX, x);
+      this.bounds.minY = Math.min(this.bounds.minY, y);
+      this.bounds.maxY = Math.max(this.bounds.maxY, y);
+    }
+  }
+
+  /**
+   * Move an indexed point to new coordinates
+   * @param {string} id - Point ID
+   * @param {number} lat - New latitude
+   * @param {number} lng - New longitude
+   */
+  update(id, lat, lng) {
+    this.insert(id, lat, lng);
+  }
+
+  /**
+   * Remove a point from the index
+   * @param {string} id - Point ID
+   * @returns {boolean} True if the point was indexed
+   */
+  remove(id) {
+    const point = this.points.get(id);
+    if (!point) {
+      return false;
+    }
+
+    const cell = this.cells.get(point.cellKey);
+    cell.delete(id);
+    if (cell.size === 0) {
+      this.cells.delete(point.cellKey);
+    }
+    this.points.delete(id);
+
+    return true;
+  }
+
+  /**
+   * Find points within a radius of given coordinates
+   * @param {number} lat - Target latitude
+   * @param {number} lng - Target longitude
+   * @param {number} radiusKm - Search radius in kilometers
+   * @returns {Array} array of {id, distance}, unsorted
+   */
+  queryRadius(lat, lng, radiusKm) {
+    const results = [];
+    const latSpan = radiusKm / KM_PER_DEGREE_LAT;
+    const lngSpan = radiusKm / this.kmPerDegreeLng(lat + Math.sign(lat) * latSpan);
+
+    const minX = this.cellX(lng - lngSpan);
+    const maxX = this.cellX(lng + lngSpan);
+    const minY = this.cellY(lat - latSpan);
+    const maxY = this.cellY(lat + latSpan);
+
+    for (let x = minX; x <= maxX; x++) {
+      for (let y = minY; y <= maxY; y++) {
+        const cell = this.cells.get(`${x}:${y}`);
+        if (!cell) continue;
+
+        for (const id of cell) {
+          const point = this.points.get(id);
+          const distance = calculateDistance(lat, lng, point.lat, point.lng);
+          if (distance <= radiusKm) {
+            results.push({ id, distance });
+          }
+        }
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * Find the nearest indexed point by searching rings of cells outwards
+   * @param {number} lat - Target latitude
+   * @param {number} lng - Target longitude
+   * @param {Function} filter - Optional id -> boolean, only matching points are considered
+   * @returns {Object|null} {id, distance} or null if nothing matches
+   */
+  nearest(lat, lng, filter = null) {
+    if (!this.bounds || this.points.size === 0) {
+      return null;
+    }
+
+    const centerX = this.cellX(lng);
+    const centerY = this.cellY(lat);
+    const maxRing = Math.max(
+      Math.abs(centerX - this.bounds.minX), Math.abs(centerX - this.bounds.maxX),
+      Math.abs(centerY - this.bounds.minY), Math.abs(centerY - this.bounds.maxY)
+    );
+
+    let best = null;
+
+    for (let ring = 0; ring <= maxRing; ring++) {
+      for (let x = centerX - ring; x <= centerX + ring; x++) {
+        for (let y = centerY - ring; y <= centerY + ring; y++) {
+          // Only visit the outer border of the ring
+          if (ring > 0 && x > centerX - ring && x < centerX + ring &&
+              y > centerY - ring && y < centerY + ring) {
+            continue;
+          }
+
+          const cell = this.cells.get(`${x}:${y}`);
+          if (!cell) continue;
+
+          for (const id of cell) {
+            if (filter && !filter(id)) continue;
+
+            const point = this.points.get(id);
+            const distance = calculateDistance(lat, lng, point.lat, point.lng);
+            if (!best || distance < best.distance) {
+              best = { id, distance };
+            }
+          }
+        }
+      }
+
+      // Anything beyond the next ring is at least `ring` full cells away
+      if (best && best.distance <= this.ringClearance(lat, ring)) {
+        break;
+      }
+    }
+
+    return best;
+  }
+
+  /**
+   * Lower bound on the distance from a point to any cell outside the given ring
+   * @param {number} lat - Latitude of the query point
+   * @param {number} ring - Ring number
+   * @returns {number} distance in km
+   */
+  ringClearance(lat, ring) {
+    const degrees = ring * this.cellSize;
+    const widestLat = Math.min(89.9, Math.abs(lat) + degrees + this.cellSize);
+    return degrees * Math.min(KM_PER_DEGREE_LAT, this.kmPerDegreeLng(widestLat));
+  }
+
+  /**
+   * Kilometers per degree of longitude at a latitude
+   * @param {number} lat - Latitude
+   * @returns {number}
+   */
+  kmPerDegreeLng(lat) {
+    return Math.max(KM_PER_DEGREE_LAT * Math.cos(toRadians(Math.min(89.9, Math.abs(lat)))), 1e-6);
+  }
+
+  /**
+   * Grid column for a longitude
+   * @param {number} lng - Longitude
+   * @returns {number}
+   */
+  cellX(lng) {
+    return Math.floor(lng / this.cellSize);
+  }
+
+  /**
+   * Grid row for a latitude
+   * @param {number} lat - Latitude
+   * @returns {number}
+   */
+  cellY(lat) {
+    return Math.floor(lat / this.cellSize);
+  }
+}
+
+module.exports = SpatialIndex;
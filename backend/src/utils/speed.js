@@ -0,0 +1,118 @@
+const {
+  MAXSPEED_FACTOR,
+  IMPLICIT_MAXSPEEDS,
+  SURFACE_SPEED_FACTORS,
+  SMOOTHNESS_SPEED_FACTORS
+} = require('./constants');
+
+const KMH_PER_MPH = 1.609344;
+const KMH_PER_KNOT = 1.852;
+
+/**
+ * Parse an OSM maxspeed value into km/h
+ * Handles plain numbers ("50"), units ("30 mph", "50 km/h", "10 knots"),
+ * implicit limits ("IN:urban", "GB:nsl_single", "DE:zone30"), "walk" and
+ * multiple values ("50;30", the lowest wins).
+ * @param {string} value - maxspeed tag value
+ * @returns {number|null} speed limit in km/h, or null if unknown or unlimited
+ */
+function parseMaxspeed(value) {
+  if (value === undefined || value === null) {
+    return null;
+  }
+
+  const values = String(value).split(';').map(part => parseSingleMaxspeed(part.trim()));
+  const speeds = values.filter(speed => speed !== null);
+
+  return speeds.length > 0 ? Math.min(...speeds) : null;
+}
+
+/**
+ * Parse a single maxspeed value (no ";" lists)
+ * @param {string} value - maxspeed value
+ * @returns {number|null} speed limit in km/h
+ */
+function parseSingleMaxspeed(value) {
+  if (!value || value === 'none' || value === 'signals' || value === 'variable') {
+    return null;
+  }
+
+  const numeric = value.match(/^(\d+(?:\.\d+)?)\s*(km\/h|kmh|kph|mph|knots)?$/i);
+  if (numeric) {
+    const speed = parseFloat(numeric[1]);
+    const unit = (numeric[2] || 'km/h').toLowerCase();
+
+    if (unit === 'mph') return speed * KMH_PER_MPH;
+    if (unit === 'knots') return speed * KMH_PER_KNOT;
+    return speed;
+  }
+
+  if (IMPLICIT_MAXSPEEDS[value] !== undefined) {
+    return IMPLICIT_MAXSPEEDS[value];
+  }
+
+  // Implicit values look like "<country>:<zone>", e.g. "IN:urban" or "DE:zone30"
+  const zone = value.includes(':') ? value.slice(value.indexOf(':') + 1) : null;
+  if (zone) {
+    const zoneSpeed = zone.match(/^zone:?(\d+)$/);
+    if (zoneSpeed) {
+      return parseFloat(zoneSpeed[1]);
+    }
+    if (IMPLICIT_MAXSPEEDS[zone] !== undefined) {
+      return IMPLICIT_MAXSPEEDS[zone];
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Calculate the expected travel speed on a way for a travel profile
+ * Starts from the profile's average speed for the road type and adjusts it
+ * by the tags the profile cares about (profile.speedTags).
+ * @param {Object} tags - OSM way tags
+ * @param {string} roadType - highway class
+ * @param {Object} profile - Travel profile from TRAVEL_PROFILES
+ * @returns {Object} {speed: km/h, maxspeed: km/h or null}
+ */
+function calculateWaySpeed(tags, roadType, profile) {
+  const { averageSpeeds, speedTags } = profile;
+  let speed = averageSpeeds[roadType] || averageSpeeds.default;
+  let maxspeed = null;
+
+  if (speedTags.includes('maxspeed')) {
+    maxspeed = parseMaxspeed(tags.maxspeed || tags['maxspeed:type'] || tags['source:maxspeed']);
+    if (maxspeed !== null) {
+      speed = maxspeed * MAXSPEED_FACTOR;
+    }
+  }
+
+  if (speedTags.includes('lanes')) {
+    const lanes = parseInt(tags.lanes, 10);
+    if (lanes === 1 && tags.oneway === undefined) {
+      speed *= 0.85; // Narrow road shared by both directions
+    } else if (lanes >= 4) {
+      speed *= 1.1;
+    }
+  }
+
+  if (speedTags.includes('surface') && SURFACE_SPEED_FACTORS[tags.surface] !== undefined) {
+    speed *= SURFACE_SPEED_FACTORS[tags.surface];
+  }
+
+  if (speedTags.includes('smoothness') && SMOOTHNESS_SPEED_FACTORS[tags.smoothness] !== undefined) {
+    speed *= SMOOTHNESS_SPEED_FACTORS[tags.smoothness];
+  }
+
+  // Never expect to go faster than the posted limit
+  if (maxspeed !== null) {
+    speed = Math.min(speed, maxspeed);
+  }
+
+  return { speed, maxspeed };
+}
+
+module.exports = {
+  parseMaxspeed,
+  calculateWaySpeed
+};
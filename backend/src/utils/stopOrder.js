@@ -0,0 +1,152 @@
+const { MAX_STOP_ORDER_PASSES } = require('./constants');
+
+/**
+ * Visiting order for a delivery run (a travelling salesman path): start at a
+ * fixed point, visit every stop once and optionally finish at a fixed end.
+ * A nearest-neighbour tour is improved with 2-opt (reverse a stretch) and
+ * Or-opt (move a run of up to three stops) until neither helps. Costs may be
+ * asymmetric (one-way streets), so every candidate is costed in full.
+ */
+
+/**
+ * Order stops by network cost
+ * @param {Array} costs - Square matrix [from][to] over [start, ...stops, end?]; null where there is no route
+ * @param {Object} options - {hasEnd, fixFirst, fixLast} whether the last point is a fixed end, and whether
+ *                           the first/last stop must keep its place
+ * @returns {Array} stop indices (into the stops, 0-based) in visiting order
+ */
+function optimizeStopOrder(costs, options = {}) {
+  const stopCount = costs.length - 1 - (options.hasEnd ? 1 : 0);
+  const firstStop = 1;
+  const lastStop = stopCount;
+  const fixFirst = Boolean(options.fixFirst);
+  const fixLast = Boolean(options.fixLast) && lastStop !== firstStop;
+
+  const free = [];
+  for (let stop = firstStop; stop <= lastStop; stop++) {
+    if (!(fixFirst && stop === firstStop) && !(fixLast && stop === lastStop)) {
+      free.push(stop);
+    }
+  }
+
+  const head = fixFirst ? [0, firstStop] : [0];
+  const tail = [...(fixLast ? [lastStop] : []), ...(options.hasEnd ? [costs.length - 1] : [])];
+  const tour = [...head, ...nearestNeighbour(costs, head[head.length - 1], free), ...tail];
+
+  // Only the free stretch between the fixed head and tail may be rearranged
+  improveTour(costs, tour, head.length, head.length + free.length - 1);
+
+  return tour.slice(1, stopCount + 1).map(index => index - 1);
+}
+
+/**
+ * Greedy tour: always go to the cheapest unvisited stop next
+ * @param {Array} costs - Cost matrix
+ * @param {number} from - Index to start from
+ * @param {Array} stops - Indices to visit
+ * @returns {Array} stop indices in visiting order
+ */
+function nearestNeighbour(costs, from, stops) {
+  const remaining = new Set(stops);
+  const order = [];
+  let current = from;
+
+  while (remaining.size > 0) {
+    let next = null;
+    remaining.forEach(stop => {
+      if (next === null || getCost(costs, current, stop) < getCost(costs, current, next)) {
+        next = stop;
+      }
+    });
+
+    order.push(next);
+    remaining.delete(next);
+    current = next;
+  }
+
+  return order;
+}
+
+/**
+ * Apply 2-opt and Or-opt moves inside tour[lo..hi] while they lower the cost
+ * @param {Array} costs - Cost matrix
+ * @param {Array} tour - Indices in visiting order, improved in place
+ * @param {number} lo - First movable position
+ * @param {number} hi - Last movable position
+ */
+function improveTour(costs, tour, lo, hi) {
+  let bestCost = getTourCost(costs, tour);
+
+  for (let pass = 0; pass < MAX_STOP_ORDER_PASSES; pass++) {
+    let improved = false;
+
+    // 2-opt: reverse tour[i..k]
+    for (let i = lo; i < hi; i++) {
+      for (let k = i + 1; k <= hi; k++) {
+        const candidate = [...tour.slice(0, i), ...tour.slice(i, k + 1).reverse(), ...tour.slice(k + 1)];
+        const cost = getTourCost(costs, candidate);
+        if (cost < bestCost) {
+          tour.splice(0, tour.length, ...candidate);
+          bestCost = cost;
+          improved = true;
+        }
+      }
+    }
+
+    // Or-opt: move a run of 1-3 stops to another place
+    for (let length = 1; length <= 3; length++) {
+      for (let i = lo; i + length - 1 <= hi; i++) {
+        const run = tour.slice(i, i + length);
+        const rest = [...tour.slice(0, i), ...tour.slice(i + length)];
+
+        for (let j = lo; j <= hi - length + 1; j++) {
+          if (j === i) continue;
+
+          const candidate = [...rest.slice(0, j), ...run, ...rest.slice(j)];
+          const cost = getTourCost(costs, candidate);
+          if (cost < bestCost) {
+            tour.splice(0, tour.length, ...candidate);
+            bestCost = cost;
+            improved = true;
+            break;
+          }
+        }
+      }
+    }
+
+    if (!improved) {
+      break;
+    }
+  }
+}
+
+/**
+ * Total cost of visiting indices in order
+ * @param {Array} costs - Cost matrix
+ * @param {Array} tour - Indices in visiting order
+ * @returns {number} cost (Infinity if a leg has no route)
+ */
+function getTourCost(costs, tour) {
+  let total = 0;
+  for (let i = 0; i < tour.length - 1; i++) {
+    total += getCost(costs, tour[i], tour[i + 1]);
+  }
+  return total;
+}
+
+/**
+ * Cost of one leg
+ * @param {Array} costs - Cost matrix
+ * @param {number} from - Row index
+ * @param {number} to - Column index
+ * @returns {number} cost (Infinity if there is no route)
+ */
+function getCost(costs, from, to) {
+  const cost = costs[from][to];
+  return cost === null || cost === undefined ? Infinity : cost;
+}
+
+module.exports = {
+  optimizeStopOrder,
+  getTourCost
+};
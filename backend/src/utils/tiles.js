@@ -0,0 +1,323 @@
+const { TILE_SIZE, ROUTE_PADDING } = require('./constants');
+
+const BORDER_TOLERANCE = 1e-6; // in tiles
+const MIN_LNG_SCALE = 0.01; // cos(latitude) floor, so padding near the poles stays finite
+
+/**
+ * Fixed grid of road data tiles. Tile keys are "x:y" with
+ * x = floor(lng / size) and y = floor(lat / size), so the same area always
+ * maps to the same tiles no matter which route asks for it.
+ */
+
+/**
+ * Get the tiles a route needs: every tile within `padding` of the straight
+ * lines between consecutive stops, instead of the whole rectangle spanned by them
+ * @param {Array} points - Route stops in order [{lat, lng}]
+ * @param {number|Object} padding - Corridor half-width in degrees, or {lat, lng} (default: ROUTE_PADDING)
+ * @param {number} size - Tile size in degrees (default: TILE_SIZE)
+ * @returns {Array} sorted tile keys
+ */
+function getRouteTiles(points, padding = ROUTE_PADDING, size = TILE_SIZE) {
+  const { lat: padLat, lng: padLng } = toPadding(padding);
+  const tiles = new Set();
+  const legs = points.length > 1 ? points.slice(1).map((point, index) => [points[index], point]) : [[points[0], points[0]]];
+
+  legs.forEach(([a, b]) => {
+    const minX = Math.floor((Math.min(a.lng, b.lng) - padLng) / size);
+    const maxX = Math.floor((Math.max(a.lng, b.lng) + padLng) / size);
+    const minY = Math.floor((Math.min(a.lat, b.lat) - padLat) / size);
+    const maxY = Math.floor((Math.max(a.lat, b.lat) + padLat) / size);
+
+    for (let x = minX; x <= maxX; x++) {
+      for (let y = minY; y <= maxY; y++) {
+        const bounds = getTileBounds(`${x}:${y}`, size);
+        const padded = {
+          south: bounds.south - padLat,
+          west: bounds.west - padLng,
+          north: bounds.north + padLat,
+          east: bounds.east + padLng
+        };
+
+        if (segmentIntersectsBounds(a, b, padded)) {
+          tiles.add(`${x}:${y}`);
+        }
+      }
+    }
+  });
+
+  return [...tiles].sort();
+}
+
+/**
+ * Get every tile within `padding` of the bounding box around a set of points
+ * @param {Array} points - [{lat, lng}]
+ * @param {number|Object} padding - Padding in degrees, or {lat, lng} (default: ROUTE_PADDING)
+ * @param {number} size - Tile size in degrees (default: TILE_SIZE)
+ * @returns {Array} sorted tile keys
+ */
+function getAreaTiles(points, padding = ROUTE_PADDING, size = TILE_SIZE) {
+  const { lat: padLat, lng: padLng } = toPadding(padding);
+  const tiles = [];
+  const minX = Math.floor((Math.min(...points.map(point => point.lng)) - padLng) / size);
+  const maxX = Math.floor((Math.max(...points.map(point => point.lng)) + padLng) / size);
+  const minY = Math.floor((Math.min(...points.map(point => point.lat)) - padLat) / size);
+  const maxY = Math.floor((Math.max(...points.map(point => point.lat)) + padLat) / size);
+
+  for (let x = minX; x <= maxX; x++) {
+    for (let y = minY; y <= maxY; y++) {
+      tiles.push(`${x}:${y}`);
+    }
+  }
+
+  return tiles.sort();
+}
+
+/**
+ * Get the padding in degrees that reaches `radius` km from a latitude
+ * A degree of longitude shrinks with cos(latitude), so the longitude padding
+ * is wider than the latitude padding everywhere but the equator.
+ * @param {number} lat - Latitude the padding is measured at
+ * @param {number} radius - Distance in km
+ * @returns {Object} {lat, lng} padding in degrees
+ */
+function getRadiusPadding(lat, radius) {
+  const cos = Math.max(Math.cos(lat * Math.PI / 180), MIN_LNG_SCALE);
+
+  return {
+    lat: radius / 111,
+    lng: radius / (111 * cos)
+  };
+}
+
+/**
+ * Accept a padding as one number of degrees or as {lat, lng}
+ * @param {number|Object} padding - Padding in degrees
+ * @returns {Object} {lat, lng} padding in degrees
+ */
+function toPadding(padding) {
+  return typeof padding === 'number' ? { lat: padding, lng: padding } : padding;
+}
+
+/**
+ * Get the key of the tile containing a point
+ * @param {number} lat - Latitude
+ * @param {number} lng - Longitude
+ * @param {number} size - Tile size in degrees (default: TILE_SIZE)
+ * @returns {string} tile key "x:y"
+ */
+function getTileKey(lat, lng, size = TILE_SIZE) {
+  return `${Math.floor(lng / size)}:${Math.floor(lat / size)}`;
+}
+
+/**
+ * Get the area covered by a tile
+ * @param {string} key - Tile key "x:y"
+ * @param {number} size - Tile size in degrees (default: TILE_SIZE)
+ * @returns {Object} bounding box {south, west, north, east}
+ */
+function getTileBounds(key, size = TILE_SIZE) {
+  const [x, y] = key.split(':').map(Number);
+  const round = value => parseFloat(value.toFixed(6)); // Avoid 0.35000000000000003 in queries
+
+  return {
+    south: round(y * size),
+    west: round(x * size),
+    north: round((y + 1) * size),
+    east: round((x + 1) * size)
+  };
+}
+
+/**
+ * Get the bounding box around a set of tiles
+ * @param {Array} keys - Tile keys
+ * @param {number} size - Tile size in degrees (default: TILE_SIZE)
+ * @returns {Object} bounding box {south, west, north, east}
+ */
+function getTilesBounds(keys, size = TILE_SIZE) {
+  const bounds = keys.map(key => getTileBounds(key, size));
+
+  return {
+    south: Math.min(...bounds.map(b => b.south)),
+    west: Math.min(...bounds.map(b => b.west)),
+    north: Math.max(...bounds.map(b => b.north)),
+    east: Math.max(...bounds.map(b => b.east))
+  };
+}
+
+/**
+ * Group tiles into rectangles that can be downloaded with one query each
+ * The grid is cut into aligned blocks of `blockSize` × `blockSize` tiles;
+ * every block holding a requested tile becomes one rectangle spanning the
+ * requested tiles inside it. A rectangle may include a few tiles that were
+ * not asked for (e.g. beside a diagonal route), which are fetched with it.
+ * @param {Array} keys - Tile keys
+ * @param {number} blockSize - Largest rectangle side in tiles
+ * @returns {Array} groups, each an array of the tile keys of one rectangle
+ */
+function groupTiles(keys, blockSize) {
+  const blocks = new Map(); // "bx:by" -> {minX, maxX, minY, maxY}
+
+  keys.forEach(key => {
+    const [x, y] = key.split(':').map(Number);
+    const blockKey = `${Math.floor(x / blockSize)}:${Math.floor(y / blockSize)}`;
+    const block = blocks.get(blockKey);
+
+    if (block) {
+      block.minX = Math.min(block.minX, x);
+      block.maxX = Math.max(block.maxX, x);
+      block.minY = Math.min(block.minY, y);
+      block.maxY = Math.max(block.maxY, y);
+    } else {
+      blocks.set(blockKey, { minX: x, maxX: x, minY: y, maxY: y });
+    }
+  });
+
+  return [...blocks.values()].map(block => {
+    const group = [];
+    for (let x = block.minX; x <= block.maxX; x++) {
+      for (let y = block.minY; y <= block.maxY; y++) {
+        group.push(`${x}:${y}`);
+      }
+    }
+    return group;
+  });
+}
+
+/**
+ * Split the elements downloaded for several tiles into one list per tile
+ * A way belongs to every tile its geometry passes through, and a restriction
+ * relation to every tile holding one of its ways, so each list matches what a
+ * query for that tile alone would have returned.
+ * @param {Array} elements - Elements of the area covering all tiles
+ * @param {Array} keys - Tile keys
+ * @param {number} size - Tile size in degrees (default: TILE_SIZE)
+ * @returns {Map} tile key -> element array
+ */
+function splitByTile(elements, keys, size = TILE_SIZE) {
+  const result = new Map(keys.map(key => [key, []]));
+  const wayTiles = new Map(); // way id -> Set of tile keys
+
+  elements.forEach(element => {
+    if (element.type === 'relation') {
+      return;
+    }
+
+    const tiles = new Set();
+    const points = (element.geometry || []).filter(Boolean).map(point => ({ lat: point.lat, lng: point.lon }));
+    const segments = points.length > 1 ? points.slice(1).map((point, index) => [points[index], point]) : points.map(point => [point, point]);
+
+    segments.forEach(([a, b]) => {
+      // Roads on a tile border belong to both tiles, whichever way the division rounds
+      const minX = Math.floor(Math.min(a.lng, b.lng) / size - BORDER_TOLERANCE);
+      const maxX = Math.floor(Math.max(a.lng, b.lng) / size + BORDER_TOLERANCE);
+      const minY = Math.floor(Math.min(a.lat, b.lat) / size - BORDER_TOLERANCE);
+      const maxY = Math.floor(Math.max(a.lat, b.lat) / size + BORDER_TOLERANCE);
+
+      for (let x = minX; x <= maxX; x++) {
+        for (let y = minY; y <= maxY; y++) {
+          const key = `${x}:${y}`;
+          if (result.has(key) && !tiles.has(key) && segmentIntersectsBounds(a, b, getTileBounds(key, size))) {
+            tiles.add(key);
+          }
+        }
+      }
+    });
+
+    tiles.forEach(key => result.get(key).push(element));
+    wayTiles.set(element.id, tiles);
+  });
+
+  elements.forEach(element => {
+    if (element.type !== 'relation') {
+      return;
+    }
+
+    const tiles = new Set();
+    (element.members || []).forEach(member => {
+      if (member.type === 'way' && wayTiles.has(member.ref)) {
+        wayTiles.get(member.ref).forEach(key => tiles.add(key));
+      }
+    });
+    tiles.forEach(key => result.get(key).push(element));
+  });
+
+  return result;
+}
+
+/**
+ * Merge the elements of several tiles into one list
+ * Ways crossing a tile border are returned by every tile they touch (with
+ * their full geometry), so ways and relations are kept once per OSM id.
+ * Shared nodes are joined by GraphService through their OSM node ids.
+ * @param {Array} tileElements - One element array per tile
+ * @returns {Array} de-duplicated elements
+ */
+function stitchTiles(tileElements) {
+  const elements = new Map(); // "type/id" -> element
+
+  tileElements.forEach(list => {
+    list.forEach(element => {
+      const key = `${element.type}/${element.id}`;
+      if (!elements.has(key)) {
+        elements.set(key, element);
+      }
+    });
+  });
+
+  return [...elements.values()];
+}
+
+/**
+ * Check whether a line segment touches a bounding box (Liang–Barsky clipping)
+ * @param {Object} a - Segment start {lat, lng}
+ * @param {Object} b - Segment end {lat, lng}
+ * @param {Object} bounds - {south, west, north, east}
+ * @returns {boolean}
+ */
+function segmentIntersectsBounds(a, b, bounds) {
+  const dx = b.lng - a.lng;
+  const dy = b.lat - a.lat;
+  const checks = [
+    [-dx, a.lng - bounds.west],
+    [dx, bounds.east - a.lng],
+    [-dy, a.lat - bounds.south],
+    [dy, bounds.north - a.lat]
+  ];
+
+  let t0 = 0;
+  let t1 = 1;
+
+  for (const [p, q] of checks) {
+    if (p === 0) {
+      if (q < 0) {
+        return false; // Parallel to this side and outside it
+      }
+      continue;
+    }
+
+    const t = q / p;
+    if (p < 0) {
+      t0 = Math.max(t0, t);
+    } else {
+      t1 = Math.min(t1, t);
+    }
+
+    if (t0 > t1) {
+      return false;
+    }
+  }
+
+  return true;
+}
+
+module.exports = {
+  getRouteTiles,
+  getAreaTiles,
+  getRadiusPadding,
+  getTileKey,
+  getTileBounds,
+  getTilesBounds,
+  groupTiles,
+  splitByTile,
+  stitchTiles
+};
@@ -0,0 +1,52 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const DijkstraService = require('../src/services/dijkstraService');
+const { ALTERNATIVE_MAX_STRETCH, ALTERNATIVE_PENALTY_FACTOR } = require('../src/utils/constants');
+const { point, way, grid, buildGraph } = require('./helpers/roads');
+
+const passesThrough = (route, cell) => route.path.some(({ lat, lng }) => lat === cell.lat && lng === cell.lng);
+
+describe('alternative routes', () => {
+  beforeEach(() => {
+    mock.method(console, 'log', () => {});
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('finds different routes that are not much longer than the best one', async () => {
+    const routes = await new DijkstraService().findAlternativePaths(buildGraph(grid(4)), point(0, 0), point(3, 3), {}, 2);
+
+    assert.ok(routes.length > 1);
+    routes.slice(1).forEach(route => {
+      assert.ok(route.totalWeight >= routes[0].totalWeight);
+      assert.ok(route.totalWeight <= routes[0].totalWeight * ALTERNATIVE_MAX_STRETCH);
+      assert.ok(route.overlap <= 0.7);
+    });
+  });
+
+  it('does not offer the snapped part of a street twice', async () => {
+    // The best route runs from the start point straight along the rest of the street
+    const graph = buildGraph([way(1, [[0, 0], [0, 4]], { highway: 'residential', name: 'Main Street' })]);
+    const routes = await new DijkstraService().findAlternativePaths(graph, point(0, 0.2), point(0, 4), {}, 1);
+
+    assert.equal(routes.length, 2);
+    assert.deepEqual(routes[0].path, [point(0, 0.2), point(0, 4)]);
+    assert.deepEqual(routes[1].path, [point(0, 0.2), point(0, 0), point(0, 4)]);
+  });
+
+  it('keeps penalties on snapped edges across runs', async () => {
+    const graph = buildGraph([way(1, [[0, 0], [0, 2]])]);
+    const service = new DijkstraService();
+
+    const first = await service.findShortestPath(graph, point(0, 0.5), point(0, 1.5));
+    service.penalizePath(first.nodePath);
+    const second = await service.findShortestPath(graph, point(0, 0.5), point(0, 1.5));
+
+    const direct = service.graph.edges.get('snap_direct');
+    assert.ok(Math.abs(second.totalWeight - first.totalWeight * ALTERNATIVE_PENALTY_FACTOR) < 1e-9);
+    assert.equal(service.edgeCost(direct, false), first.totalWeight);
+    service.edgePenalties.clear();
+  });
+});
@@ -0,0 +1,106 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const routeController = require('../src/controllers/routeController');
+const osmService = require('../src/services/osmService');
+const { NoPathError, UpstreamError } = require('../src/utils/errors');
+const { ROUTE_PADDING, MAX_ROUTE_PADDING, AREA_EDGE_MARGIN } = require('../src/utils/constants');
+
+// Both stops near the middle of one tile (52.50-52.55, 13.40-13.45), ~1 km apart
+const SOURCE = { lat: 52.521, lng: 13.421 };
+const DESTINATION = { lat: 52.529, lng: 13.429 };
+const STRAIGHT_LINE = [SOURCE, DESTINATION];
+const TILES = osmService.getRouteTiles(STRAIGHT_LINE);
+
+// Route result with a path and its distance
+const routeAlong = (path, distance = 1.2) => ({ result: { path, distance } });
+const ALONG_EDGE = [SOURCE, { lat: 52.55 - AREA_EDGE_MARGIN / 2, lng: 13.425 }, DESTINATION];
+
+describe('search area expansion', () => {
+  beforeEach(() => {
+    mock.method(console, 'log', () => {});
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  describe('isRouteCutOff', () => {
+    it('accepts a direct route inside the fetched area', () => {
+      assert.equal(TILES.length, 1);
+      assert.equal(routeController.isRouteCutOff(routeAlong(STRAIGHT_LINE).result, STRAIGHT_LINE, TILES), false);
+    });
+
+    it('flags a route that runs along the edge of the area', () => {
+      assert.equal(routeController.isRouteCutOff(routeAlong(ALONG_EDGE).result, STRAIGHT_LINE, TILES), true);
+    });
+
+    it('flags long detours, but not on short hops', () => {
+      assert.equal(routeController.isRouteCutOff(routeAlong(STRAIGHT_LINE, 6).result, STRAIGHT_LINE, TILES), true);
+
+      const hop = [SOURCE, { lat: 52.521, lng: 13.423 }];
+      assert.equal(routeController.isRouteCutOff(routeAlong(hop, 1).result, hop, TILES), false);
+    });
+  });
+
+  describe('findRouteWithExpansion', () => {
+    // Record the padding of every graph built; the graph is just the padding
+    const expand = async findRoute => {
+      const paddings = [];
+      mock.method(routeController, 'getOrBuildGraph', async (source, destination, profile, waypoints, padding) => {
+        paddings.push(padding);
+        return { graph: padding, tiles: osmService.getRouteTiles([source, ...waypoints, destination], padding) };
+      });
+
+      const outcome = await routeController.findRouteWithExpansion(SOURCE, DESTINATION, 'driving', [], findRoute);
+      return { ...outcome, paddings };
+    };
+
+    it('builds one graph when the first route is fine', async () => {
+      const { paddings, expansions, route } = await expand(async () => routeAlong(STRAIGHT_LINE));
+
+      assert.deepEqual(paddings, [ROUTE_PADDING]);
+      assert.equal(expansions, 0);
+      assert.deepEqual(route.result.path, STRAIGHT_LINE);
+    });
+
+    it('doubles the padding until the route is not cut off, skipping paddings that reach no new tile', async () => {
+      const { paddings, expansions, padding, graph } = await expand(async padding =>
+        routeAlong(padding < 0.04 ? ALONG_EDGE : STRAIGHT_LINE));
+
+      // 0.02 still fits in the single tile, so no graph is built for it
+      assert.deepEqual(paddings, [0.01, 0.04]);
+      assert.equal(expansions, 1);
+      assert.equal(padding, 0.04);
+      assert.equal(graph, 0.04);
+    });
+
+    it('widens the area when no route is found', async () => {
+      const { paddings, route } = await expand(async padding => {
+        if (padding < 0.08) throw new NoPathError('No route found between the specified points');
+        return routeAlong(STRAIGHT_LINE);
+      });
+
+      assert.deepEqual(paddings, [0.01, 0.04, 0.08]);
+      assert.ok(route);
+    });
+
+    it('stops at the padding limit with the best route, or no route', async () => {
+      const cutOff = routeAlong(STRAIGHT_LINE, 10);
+      const { paddings, route } = await expand(async () => cutOff);
+
+      assert.equal(paddings.at(-1), MAX_ROUTE_PADDING);
+      assert.equal(route, cutOff);
+
+      await assert.rejects(expand(async () => {
+        throw new NoPathError('No route found between the specified points');
+      }), NoPathError);
+    });
+
+    it('does not widen the area on other errors', async () => {
+      await assert.rejects(expand(async () => {
+        throw new UpstreamError('Overpass API is unavailable');
+      }), UpstreamError);
+      assert.equal(routeController.getOrBuildGraph.mock.callCount(), 1);
+    });
+  });
+});
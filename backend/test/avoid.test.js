@@ -0,0 +1,129 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const DijkstraService = require('../src/services/dijkstraService');
+const { parseAvoidOptions, createEdgeFilter } = require('../src/utils/avoid');
+const { NoPathAvoidingError, ValidationError } = require('../src/utils/errors');
+const { point, way, buildGraph } = require('./helpers/roads');
+
+// Square around a grid position, as GeoJSON [lng, lat] (half a block each way)
+const square = (row, column, half = 0.5) => {
+  const corners = [[-half, -half], [-half, half], [half, half], [half, -half], [-half, -half]];
+  return {
+    type: 'Polygon',
+    coordinates: [corners.map(([dRow, dColumn]) => {
+      const { lat, lng } = point(row + dRow, column + dColumn);
+      return [lng, lat];
+    })]
+  };
+};
+
+// Main Street runs straight from (0,0) to (0,2); the back streets go around via row 1
+const streets = (mainTags = {}) => [
+  way(1, [[0, 0], [0, 1], [0, 2]], { highway: 'primary', name: 'Main Street', ...mainTags }),
+  way(2, [[0, 0], [1, 0], [1, 1], [1, 2], [0, 2]], { highway: 'residential', name: 'Back Street' })
+];
+
+const route = (elements, avoid) => new DijkstraService().findShortestPath(
+  buildGraph(elements), point(0, 0), point(0, 2), { avoid: parseAvoidOptions(avoid) });
+
+const roadNames = result => result.segments.map(segment => segment.roadName);
+
+describe('avoid options', () => {
+  beforeEach(() => {
+    mock.method(console, 'log', () => {});
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  describe('parseAvoidOptions', () => {
+    it('returns null when nothing is avoided', () => {
+      assert.equal(parseAvoidOptions(undefined), null);
+      assert.equal(parseAvoidOptions({}), null);
+      assert.equal(parseAvoidOptions({ roadTypes: [], tolls: false }), null);
+    });
+
+    it('normalizes flags, road types and areas', () => {
+      const options = parseAvoidOptions({
+        roadTypes: ['motorway'],
+        ferries: true,
+        areas: { type: 'FeatureCollection', features: [{ type: 'Feature', geometry: square(0, 1) }] }
+      });
+
+      assert.deepEqual(options.roadTypes, ['motorway']);
+      assert.equal(options.ferries, true);
+      assert.equal(options.tolls, false);
+      assert.equal(options.areas.length, 1);
+    });
+
+    it('rejects malformed options', () => {
+      [
+        [],
+        { roadTypes: 'motorway' },
+        { tolls: 'yes' },
+        { areas: { type: 'Point', coordinates: [0, 0] } },
+        { areas: { type: 'Polygon', coordinates: [[[0, 0], [1, 1]]] } }
+      ].forEach(avoid => assert.throws(() => parseAvoidOptions(avoid), ValidationError, JSON.stringify(avoid)));
+    });
+  });
+
+  describe('createEdgeFilter', () => {
+    const nodes = new Map([['a', point(0, 0)], ['b', point(0, 2)], ['c', point(1, 1.4)], ['d', point(0, 3.5)]]);
+
+    it('rejects edges through an area even when both ends are outside', () => {
+      const filter = createEdgeFilter(parseAvoidOptions({ areas: square(0, 1) }), nodes);
+      assert.equal(filter({ from: 'a', to: 'b', roadType: 'residential' }), false);
+      assert.equal(filter({ from: 'c', to: 'b', roadType: 'residential' }), true);
+    });
+
+    it('allows edges inside a hole of the area', () => {
+      const outer = square(0, 1, 3).coordinates[0];
+      const hole = square(0, 1, 1.5).coordinates[0];
+      const filter = createEdgeFilter(parseAvoidOptions({ areas: { type: 'Polygon', coordinates: [outer, hole] } }), nodes);
+
+      assert.equal(filter({ from: 'c', to: 'c', roadType: 'residential' }), true);
+      assert.equal(filter({ from: 'a', to: 'a', roadType: 'residential' }), true);
+      assert.equal(filter({ from: 'd', to: 'd', roadType: 'residential' }), false);
+    });
+  });
+
+  describe('routing', () => {
+    it('takes Main Street without avoid options', async () => {
+      assert.deepEqual(roadNames(await route(streets())), ['Main Street']);
+    });
+
+    [
+      ['road classes', {}, { roadTypes: ['primary'] }],
+      ['tolls', { toll: 'yes' }, { tolls: true }],
+      ['unpaved roads', { surface: 'gravel' }, { unpaved: true }],
+      ['areas', {}, { areas: square(0, 1) }]
+    ].forEach(([name, mainTags, avoid]) => {
+      it(`goes around avoided ${name}`, async () => {
+        assert.deepEqual(roadNames(await route(streets(mainTags))), ['Main Street']);
+        assert.deepEqual(roadNames(await route(streets(mainTags), avoid)), ['Back Street']);
+      });
+    });
+
+    it('goes around avoided ferries', async () => {
+      const elements = [
+        way(1, [[0, 0], [0, 1], [0, 2]], { route: 'ferry', name: 'Ferry' }),
+        way(2, [[0, 0], [3, 0], [3, 2], [0, 2]], { highway: 'residential', name: 'Back Street' })
+      ];
+
+      assert.deepEqual(roadNames(await route(elements)), ['Ferry']);
+      assert.deepEqual(roadNames(await route(elements, { ferries: true })), ['Back Street']);
+    });
+
+    it('fails with NO_PATH_AVOIDING when avoiding cuts off the destination', async () => {
+      const cutOff = { type: 'MultiPolygon', coordinates: [square(0, 1).coordinates, square(1, 1).coordinates] };
+
+      await assert.rejects(route(streets(), { areas: cutOff }), error => {
+        assert.ok(error instanceof NoPathAvoidingError);
+        assert.equal(error.code, 'NO_PATH_AVOIDING');
+        assert.equal(error.status, 404);
+        return true;
+      });
+    });
+  });
+});
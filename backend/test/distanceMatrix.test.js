@@ -0,0 +1,141 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const DijkstraService = require('../src/services/dijkstraService');
+const routeController = require('../src/controllers/routeController');
+const { NoPathError } = require('../src/utils/errors');
+const { point, way, grid, restriction, buildGraph, random } = require('./helpers/roads');
+
+const SIZE = 5;
+
+// Street grid with a one-way row, plus a road on an island no street leads to
+const elements = [
+  ...grid(SIZE, ([row], [toRow]) => (row === 1 && toRow === 1
+    ? { highway: 'residential', oneway: 'yes' }
+    : { highway: row === toRow ? 'secondary' : 'residential' })),
+  way(900, [[10, 10], [10, 11]])
+];
+const ISLAND = point(10.05, 10.5);
+const NOWHERE = point(50, 50);
+
+// Pairwise routing cost, or null when there is no route
+const routeWeight = (graph, source, destination, optimize) =>
+  new DijkstraService().findShortestPath(graph, source, destination, { optimize })
+    .then(result => result.totalWeight, error => {
+      if (error instanceof NoPathError) return null;
+      throw error;
+    });
+
+const randomPoints = (next, count) =>
+  Array.from({ length: count }, () => point(next() * (SIZE - 1), next() * (SIZE - 1)));
+
+describe('distance matrix', () => {
+  beforeEach(() => {
+    mock.method(console, 'log', () => {});
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  describe('findDistanceMatrix', () => {
+    it('has zeros on the diagonal of a symmetric request', () => {
+      const points = [point(0, 0.3), point(2.5, 3), point(4, 1.2)];
+      const matrix = new DijkstraService().findDistanceMatrix(buildGraph(elements), points, points);
+
+      points.forEach((_, index) => {
+        assert.equal(matrix.distances[index][index], 0);
+        assert.equal(matrix.durations[index][index], 0);
+      });
+      assert.ok(matrix.distances.flat().every(distance => distance !== null));
+    });
+
+    it('leaves unreachable pairs and unsnappable points empty', () => {
+      const sources = [point(0, 0.3), ISLAND, NOWHERE];
+      const destinations = [point(3, 3), ISLAND];
+      const matrix = new DijkstraService().findDistanceMatrix(buildGraph(elements), sources, destinations);
+
+      assert.deepEqual(matrix.distances.map(row => row.map(distance => distance !== null)), [
+        [true, false],
+        [false, true],
+        [false, false]
+      ]);
+      assert.equal(matrix.durations[0][1], null);
+      assert.equal(matrix.sources[2], null);
+      assert.ok(matrix.destinations[1].distance < 10);
+    });
+
+    ['preferred', 'fastest'].forEach(optimize => {
+      it(`matches pairwise ${optimize} routes`, async () => {
+        const next = random(11);
+        const graphs = [
+          buildGraph(elements),
+          buildGraph([...elements, restriction(1, 'no_left_turn', 2, [0, 1], 3), restriction(2, 'no_u_turn', 9, [2, 2], 9)])
+        ];
+
+        for (const graph of graphs) {
+          const sources = [...randomPoints(next, 4), ISLAND];
+          const destinations = [...randomPoints(next, 4), sources[1], ISLAND];
+          const matrix = new DijkstraService().findDistanceMatrix(graph, sources, destinations, { optimize });
+
+          for (let i = 0; i < sources.length; i++) {
+            for (let j = 0; j < destinations.length; j++) {
+              const expected = await routeWeight(graph, sources[i], destinations[j], optimize);
+              const actual = matrix.weights[i][j];
+              const message = `${optimize} [${i}][${j}]: matrix ${actual}, route ${expected}`;
+
+              if (expected === null) {
+                assert.equal(actual, null, message);
+              } else {
+                assert.ok(actual !== null && Math.abs(actual - expected) <= 1e-9 * Math.max(1, expected), message);
+              }
+            }
+          }
+        }
+      });
+    });
+
+    it('returns paths from the snapped source to the snapped destination', () => {
+      const sources = [point(0.05, 0.3)];
+      const destinations = [point(3, 3.05), point(0.05, 0.7)];
+      const matrix = new DijkstraService().findDistanceMatrix(buildGraph(elements), sources, destinations, { includePaths: true });
+
+      matrix.paths[0].forEach((path, index) => {
+        assert.deepEqual(path[0], { lat: matrix.sources[0].lat, lng: matrix.sources[0].lng });
+        assert.deepEqual(path.at(-1), { lat: matrix.destinations[index].lat, lng: matrix.destinations[index].lng });
+      });
+      assert.equal(matrix.paths[0][1].length, 2); // same segment: straight along it
+    });
+  });
+
+  describe('calculateMatrix', () => {
+    // Run the handler with a request body; resolves with the JSON response or the error passed to next
+    const run = body => new Promise(resolve => {
+      routeController.calculateMatrix({ body }, { json: resolve }, resolve);
+    });
+
+    it('rejects missing, malformed and oversized location lists', async () => {
+      for (const body of [
+        { sources: [], destinations: [point(0, 0)] },
+        { sources: [point(0, 0)], destinations: [{ lat: 'x', lng: 0 }] },
+        { sources: Array(101).fill(point(0, 0)), destinations: [point(0, 0)] }
+      ]) {
+        const error = await run(body);
+        assert.equal(error.code, 'INVALID_REQUEST', JSON.stringify(body).slice(0, 80));
+        assert.equal(error.status, 400);
+      }
+    });
+
+    it('answers with distances and durations on the cached graph', async () => {
+      const graph = buildGraph(elements);
+      mock.method(routeController, 'getOrBuildTileGraph', async () => ({ graph, tiles: [] }));
+
+      const response = await run({ sources: [point(0, 0.3), ISLAND], destinations: [point(4, 4)] });
+
+      assert.equal(response.success, true);
+      assert.ok(response.distances[0][0] > 0);
+      assert.ok(response.durations[0][0] > 0);
+      assert.deepEqual(response.distances[1], [null]);
+      assert.equal(response.paths, undefined);
+    });
+  });
+});
@@ -0,0 +1,168 @@
+const { describe, it, before, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const { errorHandler, notFoundHandler } = require('../src/middleware/errorHandler');
+const ConcurrencyLimiter = require('../src/utils/concurrencyLimiter');
+const errors = require('../src/utils/errors');
+
+// Run the handler with an error; resolves with the response it sent, or the error it passed on
+const respond = (error, { headersSent = false } = {}) => new Promise(resolve => {
+  const response = { status: null, headers: {}, body: null };
+  const res = {
+    headersSent,
+    set: (name, value) => { response.headers[name] = value; },
+    status: code => {
+      response.status = code;
+      return res;
+    },
+    json: body => {
+      response.body = body;
+      resolve(response);
+    }
+  };
+  errorHandler(error, {}, res, passed => resolve({ passed }));
+});
+
+describe('error handling', () => {
+  beforeEach(() => {
+    mock.method(console, 'error', () => {});
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  describe('errorHandler', () => {
+    [
+      [new errors.ValidationError('Bad input'), 400, 'INVALID_REQUEST'],
+      [new errors.SnapFailedError('Too far from a road'), 400, 'SNAP_FAILED'],
+      [new errors.AuthenticationError('Missing API key'), 401, 'INVALID_API_KEY'],
+      [new errors.NotFoundError('Route not found'), 404, 'NOT_FOUND'],
+      [new errors.NoRoadDataError(), 404, 'NO_ROAD_DATA'],
+      [new errors.NoPathError(), 404, 'NO_PATH'],
+      [new errors.NoPathAvoidingError(), 404, 'NO_PATH_AVOIDING'],
+      [new errors.AreaTooLargeError('Too big'), 413, 'AREA_TOO_LARGE'],
+      [new errors.DistanceTooLargeError('Too far'), 413, 'DISTANCE_TOO_LARGE'],
+      [new errors.RateLimitError('Slow down'), 429, 'RATE_LIMITED'],
+      [new errors.UpstreamError('Overpass failed'), 502, 'UPSTREAM_ERROR'],
+      [new errors.UpstreamRateLimitError('Overpass is busy'), 503, 'UPSTREAM_RATE_LIMITED'],
+      [new errors.UpstreamTimeoutError('Overpass timed out'), 504, 'UPSTREAM_TIMEOUT']
+    ].forEach(([error, status, code]) => {
+      it(`answers ${error.name} with ${status} ${code}`, async () => {
+        const response = await respond(error);
+
+        assert.equal(response.status, status);
+        assert.deepEqual(response.body, { error: error.message, code });
+        assert.deepEqual(response.headers, {});
+      });
+    });
+
+    it('keeps NoPathAvoidingError a NoPathError', () => {
+      assert.ok(new errors.NoPathAvoidingError() instanceof errors.NoPathError);
+    });
+
+    it('sends details and a Retry-After header when the error suggests one', async () => {
+      const response = await respond(new errors.RateLimitError('Slow down', { limit: 60, retryAfter: 42 }));
+
+      assert.equal(response.status, 429);
+      assert.deepEqual(response.body, { error: 'Slow down', code: 'RATE_LIMITED', details: { limit: 60, retryAfter: 42 } });
+      assert.deepEqual(response.headers, { 'Retry-After': '42' });
+
+      const upstream = await respond(new errors.UpstreamRateLimitError('Overpass is busy', { retryAfter: 7 }));
+      assert.equal(upstream.status, 503);
+      assert.equal(upstream.headers['Retry-After'], '7');
+    });
+
+    it('asks callers turned away by a full build queue to retry later', async () => {
+      const limiter = new ConcurrencyLimiter({ max: 1, maxQueued: 0, retryAfter: 5 });
+      let release;
+      const running = limiter.run(() => new Promise(resolve => { release = resolve; }));
+
+      const error = await limiter.run(async () => {}).catch(rejected => rejected);
+      const response = await respond(error);
+      release();
+      await running;
+
+      assert.equal(response.status, 429);
+      assert.equal(response.body.code, 'BUILD_QUEUE_FULL');
+      assert.equal(response.headers['Retry-After'], '5');
+    });
+
+    it('hides unexpected errors behind a logged 500', async () => {
+      const environment = process.env.NODE_ENV;
+      delete process.env.NODE_ENV;
+
+      try {
+        const response = await respond(new TypeError('Cannot read properties of undefined'));
+
+        assert.equal(response.status, 500);
+        assert.deepEqual(response.body, { error: 'Internal server error', code: 'INTERNAL_ERROR' });
+        assert.equal(console.error.mock.callCount(), 1);
+
+        process.env.NODE_ENV = 'development';
+        assert.equal((await respond(new TypeError('Cannot read properties of undefined'))).body.details,
+          'Cannot read properties of undefined');
+      } finally {
+        if (environment === undefined) {
+          delete process.env.NODE_ENV;
+        } else {
+          process.env.NODE_ENV = environment;
+        }
+      }
+    });
+
+    it('does not log expected errors', async () => {
+      await respond(new errors.UpstreamError('Overpass failed'));
+      assert.equal(console.error.mock.callCount(), 0);
+    });
+
+    it('leaves responses that already started to Express', async () => {
+      const error = new errors.NoPathError();
+      assert.equal((await respond(error, { headersSent: true })).passed, error);
+    });
+  });
+
+  describe('in an Express app', () => {
+    const app = express();
+    app.use(express.json({ limit: '1kb' }));
+    app.post('/echo', (req, res) => res.json(req.body));
+    app.get('/fail', async () => {
+      throw new errors.NoPathError();
+    });
+    app.use(notFoundHandler);
+    app.use(errorHandler);
+
+    let server;
+    const request = (path, options) => fetch(`http://127.0.0.1:${server.address().port}${path}`, options);
+    const post = body => request('/echo', { method: 'POST', headers: { 'Content-Type': 'application/json' }, body });
+
+    before(() => new Promise(resolve => {
+      server = app.listen(0, '127.0.0.1', resolve);
+    }));
+    after(() => new Promise(resolve => server.close(resolve)));
+
+    it('answers unknown paths with 404 NOT_FOUND', async () => {
+      const response = await request('/nowhere?x=1');
+
+      assert.equal(response.status, 404);
+      assert.deepEqual(await response.json(), { error: 'Route not found', code: 'NOT_FOUND', details: { path: '/nowhere?x=1' } });
+    });
+
+    it('answers errors thrown by async handlers', async () => {
+      const response = await request('/fail');
+
+      assert.equal(response.status, 404);
+      assert.equal((await response.json()).code, 'NO_PATH');
+    });
+
+    it('answers malformed and oversized bodies as client errors', async () => {
+      const malformed = await post('{"source": ');
+      assert.equal(malformed.status, 400);
+      assert.deepEqual(await malformed.json(), { error: 'Request body is not valid JSON', code: 'INVALID_REQUEST' });
+
+      const oversized = await post(JSON.stringify({ padding: 'x'.repeat(2000) }));
+      assert.equal(oversized.status, 413);
+      assert.equal((await oversized.json()).code, 'PAYLOAD_TOO_LARGE');
+    });
+  });
+});
@@ -0,0 +1,366 @@
+const { describe, it, before, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs/promises');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const geocodingService = require('../src/services/geocodingService');
+const geocodeController = require('../src/controllers/geocodeController');
+const routeController = require('../src/controllers/routeController');
+const LocalGeocoder = require('../src/services/localGeocoder');
+const NominatimGeocoder = require('../src/services/nominatimGeocoder');
+const { UpstreamRateLimitError, NotFoundError } = require('../src/utils/errors');
+const { GEOCODE_CACHE_TTL, MAX_GEOCODE_LIMIT } = require('../src/utils/constants');
+const { point, way, buildGraph } = require('./helpers/roads');
+
+// Named node element at a grid position
+const place = (id, row, column, tags) => {
+  const { lat, lng } = point(row, column);
+  return { type: 'node', id, lat, lon: lng, tags };
+};
+
+// Main Street is mapped as two ways joined at (0,1); another Main Street lies far away.
+// Long Road is a single 2 km segment; the road at column 3 has no name.
+const EXTRACT = {
+  elements: [
+    way(1, [[0, 0], [0, 1]], { highway: 'residential', name: 'Main Street' }),
+    way(2, [[0, 1], [0, 2]], { highway: 'residential', name: 'Main Street' }),
+    way(3, [[20, 0], [20, 1]], { highway: 'residential', name: 'Main Street' }),
+    way(4, [[0, 2], [2, 2]], { highway: 'primary', name: 'Oak Avenue' }),
+    way(6, [[-10, 10], [10, 10]], { highway: 'tertiary', name: 'Long Road' }),
+    way(7, [[1, 3], [2, 3]]),
+    place(5001, 1, 1, { name: 'Café Müller', amenity: 'cafe' }),
+    place(5002, 0.1, 0.5, { 'addr:street': 'Main Street', 'addr:housenumber': '12' }),
+    place(5003, 2, 0, { name: 'Mainzer Platz', place: 'square' })
+  ]
+};
+
+describe('geocoding', () => {
+  beforeEach(() => {
+    mock.method(console, 'log', () => {});
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  describe('LocalGeocoder', () => {
+    let directory;
+    let geocoder;
+
+    before(async () => {
+      directory = await fs.mkdtemp(path.join(os.tmpdir(), 'geocoder-'));
+      await fs.writeFile(path.join(directory, 'extract.json'), JSON.stringify(EXTRACT));
+      geocoder = new LocalGeocoder({ filePath: path.join(directory, 'extract.json') });
+    });
+
+    after(() => fs.rm(directory, { recursive: true, force: true }));
+
+    it('finds a street once per connected stretch', async () => {
+      const results = await geocoder.search('main street');
+
+      assert.deepEqual(results.slice(0, 2).map(({ name, type }) => [name, type]), [
+        ['Main Street', 'street'],
+        ['Main Street', 'street']
+      ]);
+      assert.equal(results.filter(({ type }) => type === 'street').length, 2);
+      assert.ok(results.every(({ source }) => source === 'local'));
+    });
+
+    it('prefers results near a point', async () => {
+      const [nearest] = await geocoder.search('Main Street', { near: point(20, 0.5) });
+      assert.ok(Math.abs(nearest.lat - point(20, 0).lat) < 1e-9);
+    });
+
+    it('matches word prefixes, accents and addresses', async () => {
+      assert.deepEqual((await geocoder.search('cafe muller')).map(({ name, type }) => [name, type]), [['Café Müller', 'cafe']]);
+      assert.deepEqual((await geocoder.search('12 main')).map(({ name }) => name), ['12 Main Street']);
+      assert.deepEqual((await geocoder.search('oak')).map(({ name }) => name), ['Oak Avenue']);
+
+      const names = (await geocoder.search('mai', { limit: 10 })).map(({ name }) => name);
+      assert.ok(names.includes('Mainzer Platz') && names.includes('Main Street'));
+      assert.equal((await geocoder.search('mai', { limit: 2 })).length, 2);
+    });
+
+    it('finds nothing for queries without words', async () => {
+      assert.deepEqual(await geocoder.search(' -- '), []);
+      assert.deepEqual(await geocoder.search('nowhere'), []);
+    });
+
+    it('finds the nearest named road', async () => {
+      const road = await geocoder.reverse(point(1, 2.1));
+
+      assert.equal(road.name, 'Oak Avenue');
+      assert.equal(road.type, 'primary');
+      assert.ok(Math.abs(road.lat - point(1, 2).lat) < 1e-9 && Math.abs(road.lng - point(1, 2).lng) < 1e-9);
+      assert.ok(road.distance > 0.006 && road.distance < 0.008);
+    });
+
+    it('finds a long road near its middle and skips unnamed ones', async () => {
+      assert.equal((await geocoder.reverse(point(0, 10.5))).name, 'Long Road');
+      assert.equal((await geocoder.reverse(point(1.5, 3.05))).name, 'Oak Avenue');
+    });
+
+    it('finds no road beyond the distance limit', async () => {
+      assert.equal(await geocoder.reverse(point(1, 6), { maxDistance: 0.1 }), null);
+      assert.equal((await geocoder.reverse(point(1, 6))).name, 'Oak Avenue');
+    });
+
+    it('reports a missing extract and retries the load later', async () => {
+      const missing = new LocalGeocoder({ filePath: path.join(directory, 'later.json') });
+      await assert.rejects(missing.search('main'), /Failed to load geocoding extract/);
+
+      await fs.writeFile(path.join(directory, 'later.json'), JSON.stringify(EXTRACT));
+      assert.equal((await missing.search('oak')).length, 1);
+    });
+  });
+
+  describe('NominatimGeocoder', () => {
+    const SEARCH_RESULTS = [{ name: '', display_name: 'Main Street, Berlin, Germany', lat: '52.5', lon: '13.4', type: 'residential' }];
+    const requests = [];
+    let status = 200;
+    let body = SEARCH_RESULTS;
+    const server = http.createServer((req, res) => {
+      requests.push(new URL(req.url, 'http://localhost'));
+      res.writeHead(status, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(body));
+    });
+    const url = () => `http://127.0.0.1:${server.address().port}/`;
+
+    before(() => new Promise(resolve => server.listen(0, '127.0.0.1', resolve)));
+    after(() => new Promise(resolve => server.close(resolve)));
+
+    beforeEach(() => {
+      requests.length = 0;
+      status = 200;
+      body = SEARCH_RESULTS;
+    });
+
+    it('maps results and biases the search around a point', async () => {
+      const geocoder = new NominatimGeocoder({ url: url(), minInterval: 0 });
+      const results = await geocoder.search('main street', { limit: 3, near: { lat: 52.5, lng: 13.4 } });
+
+      assert.deepEqual(results, [{
+        name: 'Main Street', displayName: 'Main Street, Berlin, Germany', lat: 52.5, lng: 13.4, type: 'residential', source: 'nominatim'
+      }]);
+      assert.equal(requests[0].pathname, '/search');
+      assert.equal(requests[0].searchParams.get('q'), 'main street');
+      assert.equal(requests[0].searchParams.get('limit'), '3');
+      assert.equal(requests[0].searchParams.get('viewbox').split(',').length, 4);
+    });
+
+    it('spaces requests by the minimum interval', async () => {
+      const geocoder = new NominatimGeocoder({ url: url(), minInterval: 100 });
+      const startTime = Date.now();
+
+      await Promise.all([geocoder.search('a'), geocoder.search('b')]);
+      assert.ok(Date.now() - startTime >= 90);
+      assert.equal(requests.length, 2);
+    });
+
+    it('measures reverse results to the road geometry', async () => {
+      const { lat, lng } = point(0, 1);
+      body = {
+        category: 'highway', type: 'residential', name: 'Main Street', lat: '52.6', lon: '13.5',
+        geojson: { type: 'LineString', coordinates: [[point(0, 0).lng, lat], [point(0, 2).lng, lat]] }
+      };
+      const geocoder = new NominatimGeocoder({ url: url(), minInterval: 0 });
+      const road = await geocoder.reverse(point(0.05, 1));
+
+      assert.equal(requests[0].pathname, '/reverse');
+      assert.equal(requests[0].searchParams.get('zoom'), '16');
+      assert.equal(road.name, 'Main Street');
+      assert.ok(Math.abs(road.lat - lat) < 1e-9 && Math.abs(road.lng - lng) < 1e-9);
+      assert.ok(road.distance < 0.006);
+    });
+
+    it('uses the address road of other features, within the distance limit', async () => {
+      const geocoder = new NominatimGeocoder({ url: url(), minInterval: 0 });
+      const { lat, lng } = point(0, 0);
+
+      body = { category: 'amenity', name: 'Café', lat: String(lat), lon: String(lng), address: { road: 'Main Street' } };
+      assert.deepEqual(await geocoder.reverse(point(0, 0)), { name: 'Main Street', type: null, distance: 0, lat, lng, source: 'nominatim' });
+      assert.equal(await geocoder.reverse(point(20, 0)), null);
+
+      body = { error: 'Unable to geocode' };
+      assert.equal(await geocoder.reverse(point(0, 0)), null);
+    });
+
+    it('reports rate limiting as an upstream error', async () => {
+      status = 429;
+      await assert.rejects(new NominatimGeocoder({ url: url(), minInterval: 0 }).search('main'), UpstreamRateLimitError);
+    });
+  });
+
+  describe('GeocodingService', () => {
+    let provider;
+
+    beforeEach(() => {
+      provider = geocodingService.provider;
+      geocodingService.cache.clear();
+    });
+
+    afterEach(() => {
+      geocodingService.provider = provider;
+      geocodingService.cache.clear();
+    });
+
+    // Provider answering every search with one result named after the query
+    const fakeProvider = (search = async query => [{ name: query }]) => {
+      geocodingService.provider = { name: 'fake', search: mock.fn(search), reverse: mock.fn(async () => null) };
+      return geocodingService.provider;
+    };
+
+    it('reads coordinates without asking the provider', async () => {
+      const fake = fakeProvider();
+
+      assert.deepEqual(await geocodingService.search(' 52.52, 13.405 '), [{
+        name: '52.52, 13.405', displayName: '52.52, 13.405', lat: 52.52, lng: 13.405, type: 'coordinates', source: 'input'
+      }]);
+      assert.deepEqual(geocodingService.parseCoordinates('-33.9 151.2'), { lat: -33.9, lng: 151.2 });
+      assert.equal(geocodingService.parseCoordinates('95, 10'), null);
+      assert.equal(geocodingService.parseCoordinates('Main Street 5'), null);
+      assert.equal(fake.search.mock.callCount(), 0);
+    });
+
+    it('shares and caches lookups of the same query', async () => {
+      const fake = fakeProvider();
+
+      await Promise.all([geocodingService.search('Main Street'), geocodingService.search(' main street')]);
+      await geocodingService.search('MAIN STREET');
+      assert.equal(fake.search.mock.callCount(), 1);
+
+      await geocodingService.search('main street', { limit: 2 });
+      assert.equal(fake.search.mock.callCount(), 2);
+    });
+
+    it('looks up again once the cache entry expires', async () => {
+      const fake = fakeProvider();
+      const now = Date.now();
+      mock.method(Date, 'now', () => now);
+
+      await geocodingService.search('Main Street');
+      Date.now.mock.mockImplementation(() => now + GEOCODE_CACHE_TTL);
+      await geocodingService.search('Main Street');
+
+      assert.equal(fake.search.mock.callCount(), 2);
+    });
+
+    it('caches reverse lookups per rounded point', async () => {
+      const fake = fakeProvider();
+
+      await geocodingService.reverse({ lat: 52.50001, lng: 13.40001 });
+      await geocodingService.reverse({ lat: 52.50002, lng: 13.40002 });
+      assert.equal(fake.reverse.mock.callCount(), 1);
+
+      await geocodingService.reverse({ lat: 52.5002, lng: 13.4 });
+      assert.equal(fake.reverse.mock.callCount(), 2);
+      assert.deepEqual(fake.reverse.mock.calls[0].arguments[1], { maxDistance: 0.5 });
+    });
+
+    it('does not cache failed lookups', async () => {
+      let fail = true;
+      const fake = fakeProvider(async query => {
+        if (fail) throw new Error('unavailable');
+        return [{ name: query }];
+      });
+
+      await assert.rejects(geocodingService.search('Main Street'), /unavailable/);
+      fail = false;
+      assert.deepEqual(await geocodingService.search('Main Street'), [{ name: 'Main Street' }]);
+      assert.equal(fake.search.mock.callCount(), 2);
+    });
+  });
+
+  describe('geocode endpoint', () => {
+    // Run the handler with query parameters; resolves with the JSON response or the error passed to next
+    const run = query => new Promise(resolve => {
+      geocodeController.geocode({ query }, { json: resolve }, resolve);
+    });
+
+    it('rejects missing queries, bad limits and half a bias point', async () => {
+      for (const query of [{}, { q: '  ' }, { q: 'x'.repeat(300) }, { q: 'main', limit: '0' },
+        { q: 'main', limit: String(MAX_GEOCODE_LIMIT + 1) }, { q: 'main', limit: '2.5' }, { q: 'main', lat: '52.5' }]) {
+        const error = await run(query);
+        assert.equal(error.status, 400, JSON.stringify(query).slice(0, 60));
+      }
+    });
+
+    it('passes the limit and bias point to the provider', async () => {
+      const provider = geocodingService.provider;
+      geocodingService.cache.clear();
+      geocodingService.provider = { name: 'fake', search: mock.fn(async () => [{ name: 'Main Street' }]) };
+
+      try {
+        const response = await run({ q: ' main ', limit: '3', lat: '52.5', lng: '13.4' });
+
+        assert.deepEqual(response, { success: true, query: 'main', results: [{ name: 'Main Street' }], provider: 'fake' });
+        assert.deepEqual(geocodingService.provider.search.mock.calls[0].arguments,
+          ['main', { limit: 3, near: { lat: 52.5, lng: 13.4 } }]);
+      } finally {
+        geocodingService.provider = provider;
+        geocodingService.cache.clear();
+      }
+    });
+  });
+
+  describe('reverse endpoint', () => {
+    const run = query => new Promise(resolve => {
+      geocodeController.reverse({ query }, { json: resolve }, resolve);
+    });
+
+    const graph = () => buildGraph([
+      way(1, [[0, 0], [0, 1]], { highway: 'residential', name: 'Main Street' }),
+      way(2, [[0, 1], [1, 1]])
+    ]);
+
+    let provider;
+
+    beforeEach(() => {
+      provider = geocodingService.provider;
+      geocodingService.cache.clear();
+      geocodingService.provider = { name: 'fake', reverse: mock.fn(async () => null) };
+    });
+
+    afterEach(() => {
+      geocodingService.provider = provider;
+      geocodingService.cache.clear();
+    });
+
+    it('rejects missing or invalid coordinates', async () => {
+      for (const query of [{}, { lat: '52.5' }, { lat: 'north', lng: '13.4' }, { lat: '91', lng: '13.4' }]) {
+        assert.equal((await run(query)).status, 400, JSON.stringify(query));
+      }
+    });
+
+    it('names the nearest road of a graph in memory without asking the provider', async () => {
+      const drivingGraph = graph();
+      mock.method(routeController.graphCache, 'peek', profile => (profile === 'driving' ? { graph: drivingGraph } : null));
+
+      const { lat, lng } = point(0.9, 0.95);
+      const response = await run({ lat: String(lat), lng: String(lng) });
+
+      // The unnamed road is closer, but only named roads count
+      assert.equal(response.source, 'graph');
+      assert.equal(response.road.name, 'Main Street');
+      assert.equal(response.road.type, 'residential');
+      assert.equal(geocodingService.provider.reverse.mock.callCount(), 0);
+    });
+
+    it('falls back to the provider, and answers 404 when no road is near', async () => {
+      mock.method(routeController.graphCache, 'peek', () => null);
+      const { lat, lng } = point(0.05, 0.5);
+
+      const error = await run({ lat: String(lat), lng: String(lng) });
+      assert.ok(error instanceof NotFoundError);
+      assert.equal(error.status, 404);
+      assert.equal(geocodingService.provider.reverse.mock.callCount(), 1);
+
+      geocodingService.cache.clear();
+      geocodingService.provider.reverse.mock.mockImplementation(async () => ({ name: 'Main Street', type: 'residential', distance: 0.0055, lat, lng }));
+      const response = await run({ lat: String(lat), lng: String(lng) });
+      assert.equal(response.source, 'fake');
+      assert.equal(response.road.distance, 0.006);
+    });
+  });
+});
@@ -0,0 +1,141 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const GraphCache = require('../src/services/graphCache');
+const GraphService = require('../src/services/graphService');
+const { GRAPH_CACHE_VERSION } = require('../src/utils/constants');
+const { grid, buildGraph } = require('./helpers/roads');
+
+const TILES = ['0:0', '0:1', '1:0', '1:1'];
+const serialize = graph => new GraphService({ profile: graph.profile }).serializeGraph(graph);
+
+// Wait until a condition holds (file removal happens in the background)
+const eventually = async (condition, attempts = 100) => {
+  for (let attempt = 0; attempt < attempts; attempt++) {
+    if (await condition()) return;
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+  assert.fail('condition never became true');
+};
+
+describe('GraphCache', () => {
+  let directory;
+  let now;
+
+  beforeEach(async () => {
+    directory = await fs.mkdtemp(path.join(os.tmpdir(), 'graph-cache-'));
+    now = Date.now();
+    mock.method(Date, 'now', () => now);
+    mock.method(console, 'log', () => {});
+  });
+
+  afterEach(async () => {
+    mock.restoreAll();
+    await fs.rm(directory, { recursive: true, force: true });
+  });
+
+  // Add a graph and wait until it is on disk; every call is one millisecond later
+  const store = async (cache, tiles, profile = 'driving') => {
+    now += 1;
+    const graph = buildGraph(grid(3), profile);
+    const entry = cache.set(profile, tiles, graph, graph.stats);
+    await entry.saving;
+    return entry;
+  };
+
+  it('reloads a stored graph in a new instance', async () => {
+    const entry = await store(new GraphCache({ directory }), TILES);
+
+    const reloaded = new GraphCache({ directory });
+    assert.equal(await reloaded.load(), 1);
+
+    const cached = await reloaded.get('driving', TILES);
+    assert.deepEqual(serialize(cached.graph), serialize(entry.graph));
+    assert.deepEqual(cached.bbox, entry.bbox);
+    assert.equal(cached.graph.spatialIndex.size, entry.graph.nodes.size);
+  });
+
+  it('reuses a graph for any request inside its tiles', async () => {
+    const cache = new GraphCache({ directory });
+    const entry = await store(cache, TILES);
+
+    assert.equal(await cache.get('driving', ['0:1', '1:1']), entry);
+    assert.equal(await cache.get('driving', ['0:1', '2:1']), null);
+    assert.equal(await cache.get('walking', ['0:1']), null);
+  });
+
+  it('picks the smallest graph covering the request', async () => {
+    const cache = new GraphCache({ directory });
+    await store(cache, TILES);
+    const small = await store(cache, ['1:1', '1:2']);
+
+    assert.equal(await cache.get('driving', ['1:1']), small);
+  });
+
+  it('drops cached graphs the new one covers', async () => {
+    const cache = new GraphCache({ directory });
+    const covered = await store(cache, ['0:0']);
+    const other = await store(cache, ['5:5']);
+    const covering = await store(cache, TILES);
+
+    assert.deepEqual([...cache.entries.keys()].sort(), [covering.id, other.id].sort());
+    await eventually(async () => !(await fs.readdir(directory)).some(file => file.startsWith(covered.id)));
+  });
+
+  it('deletes expired and outdated files on load', async () => {
+    const cache = new GraphCache({ directory, ttl: 60000 });
+    const expired = await store(cache, ['0:0']);
+    const outdated = await store(cache, ['5:5']);
+    const fresh = await store(cache, ['9:9']);
+
+    const metadataPath = path.join(directory, `${outdated.id}.meta.json`);
+    const metadata = JSON.parse(await fs.readFile(metadataPath, 'utf8'));
+    await fs.writeFile(metadataPath, JSON.stringify({ ...metadata, version: GRAPH_CACHE_VERSION - 1 }));
+    await fs.writeFile(path.join(directory, 'driving_old_format.json'), '{}');
+
+    now = expired.timestamp + 60001;
+    const reloaded = new GraphCache({ directory, ttl: 60000 });
+
+    assert.equal(await reloaded.load(), 1);
+    assert.deepEqual([...reloaded.entries.keys()], [fresh.id]);
+    assert.deepEqual((await fs.readdir(directory)).sort(), [`${fresh.id}.graph.json`, `${fresh.id}.meta.json`]);
+  });
+
+  it('restores only the newest graphs on load', async () => {
+    const cache = new GraphCache({ directory });
+    await store(cache, ['0:0']);
+    await store(cache, ['5:5']);
+    const newest = await store(cache, ['9:9']);
+
+    const restoreGraph = mock.method(GraphService.prototype, 'restoreGraph');
+    const reloaded = new GraphCache({ directory, maxInMemory: 1 });
+
+    assert.equal(await reloaded.load(), 3);
+    assert.equal(restoreGraph.mock.callCount(), 1);
+    assert.deepEqual([...reloaded.entries.values()].filter(entry => entry.graph).map(entry => entry.id), [newest.id]);
+
+    // The others are read when a request needs them
+    const older = await reloaded.get('driving', ['0:0']);
+    assert.ok(older.graph);
+    assert.equal(restoreGraph.mock.callCount(), 2);
+  });
+
+  it('peeks only at graphs in memory', async () => {
+    const cache = new GraphCache({ directory });
+    await store(cache, ['0:0']);
+    const newest = await store(cache, ['9:9']);
+
+    const reloaded = new GraphCache({ directory, maxInMemory: 1 });
+    await reloaded.load();
+    const readFile = mock.method(fs, 'readFile');
+    const lastUsed = newest.timestamp;
+
+    assert.equal(reloaded.peek('driving', ['0:0']), null);
+    assert.equal(reloaded.peek('driving', ['9:9']).id, newest.id);
+    assert.equal(reloaded.peek('walking', ['9:9']), null);
+    assert.equal(readFile.mock.callCount(), 0);
+    assert.equal(reloaded.entries.get(newest.id).lastUsed, lastUsed);
+  });
+});
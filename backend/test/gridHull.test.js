@@ -0,0 +1,96 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { markSegment, closeGaps, traceOutline } = require('../src/utils/gridHull');
+
+const square = (x0, y0, width, height = width) => {
+  const cells = new Set();
+  for (let x = x0; x < x0 + width; x++) {
+    for (let y = y0; y < y0 + height; y++) {
+      cells.add(`${x}:${y}`);
+    }
+  }
+  return cells;
+};
+
+// Signed area of a closed [lng, lat] ring (positive when counter-clockwise)
+const ringArea = ring => ring.slice(1).reduce((sum, [x2, y2], index) => {
+  const [x1, y1] = ring[index];
+  return sum + x1 * y2 - x2 * y1;
+}, 0) / 2;
+
+describe('gridHull', () => {
+  describe('markSegment', () => {
+    it('marks the cell of a single point', () => {
+      const cells = new Set();
+      markSegment(cells, { lat: 0.15, lng: 0.25 }, { lat: 0.15, lng: 0.25 }, 0.1);
+      assert.deepEqual([...cells], ['2:1']);
+    });
+
+    it('marks every cell along a line without gaps', () => {
+      const cells = new Set();
+      markSegment(cells, { lat: 0.05, lng: 0.05 }, { lat: 0.05, lng: 0.95 }, 0.1);
+      assert.deepEqual([...cells].sort(), Array.from({ length: 10 }, (_, x) => `${x}:0`).sort());
+    });
+
+    it('marks a diagonal line in connected cells', () => {
+      const cells = new Set();
+      markSegment(cells, { lat: 0.05, lng: 0.05 }, { lat: 0.55, lng: 0.55 }, 0.1);
+
+      for (let i = 0; i <= 5; i++) {
+        assert.ok(cells.has(`${i}:${i}`));
+      }
+    });
+  });
+
+  describe('closeGaps', () => {
+    it('fills the gap between two nearby roads', () => {
+      const cells = new Set(['0:0', '1:0', '2:0', '0:2', '1:2', '2:2']);
+      assert.ok(closeGaps(cells).has('1:1'));
+    });
+
+    it('grows the shape by one cell', () => {
+      const closed = closeGaps(new Set(['0:0']));
+      assert.deepEqual([...closed].sort(), [...square(-1, -1, 3)].sort());
+    });
+
+    it('keeps far apart roads separate', () => {
+      const closed = closeGaps(new Set(['0:0', '10:0']));
+      assert.ok(!closed.has('5:0'));
+    });
+  });
+
+  describe('traceOutline', () => {
+    it('outlines a filled rectangle counter-clockwise', () => {
+      const polygons = traceOutline(square(0, 0, 3, 2), 0.5);
+
+      assert.equal(polygons.length, 1);
+      assert.equal(polygons[0].length, 1);
+
+      const [outer] = polygons[0];
+      assert.deepEqual(outer[0], outer[outer.length - 1]);
+      assert.equal(outer.length, 5); // Corners only, straight runs are simplified
+      assert.equal(ringArea(outer), 1.5 * 1);
+    });
+
+    it('returns one polygon per separate shape', () => {
+      const cells = new Set([...square(0, 0, 2), ...square(5, 5, 2)]);
+      assert.equal(traceOutline(cells, 1).length, 2);
+    });
+
+    it('keeps cells touching only at a corner in separate rings', () => {
+      assert.equal(traceOutline(new Set(['0:0', '1:1']), 1).length, 2);
+    });
+
+    it('turns an enclosed empty area into a clockwise hole', () => {
+      const ring = square(0, 0, 5);
+      square(1, 1, 3).forEach(key => ring.delete(key));
+
+      const polygons = traceOutline(ring, 1);
+      assert.equal(polygons.length, 1);
+
+      const [outer, hole] = polygons[0];
+      assert.equal(ringArea(outer), 25);
+      assert.equal(ringArea(hole), -9);
+    });
+  });
+});
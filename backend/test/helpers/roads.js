@@ -0,0 +1,117 @@
+const GraphService = require('../../src/services/graphService');
+
+// Grid origin and spacing (~110 m between intersections)
+const ORIGIN = { lat: 52.5, lng: 13.4 };
+const SPACING = 0.001;
+
+/**
+ * OSM node ID of a grid intersection
+ * @param {number} row - Row, counted northwards
+ * @param {number} column - Column, counted eastwards
+ * @returns {number}
+ */
+const nodeId = (row, column) => row * 1000 + column + 1;
+
+/**
+ * Coordinates of a grid intersection (or any point between them)
+ * @param {number} row - Row, may be fractional
+ * @param {number} column - Column, may be fractional
+ * @returns {Object} {lat, lng}
+ */
+const point = (row, column) => ({ lat: ORIGIN.lat + row * SPACING, lng: ORIGIN.lng + column * SPACING });
+
+/**
+ * Overpass-style way through grid intersections
+ * @param {number} id - Way ID
+ * @param {Array} cells - [[row, column], ...]
+ * @param {Object} tags - OSM tags (default: residential road)
+ * @returns {Object} way element with nodes and geometry
+ */
+const way = (id, cells, tags = { highway: 'residential' }) => ({
+  type: 'way',
+  id: id,
+  nodes: cells.map(([row, column]) => nodeId(row, column)),
+  tags: tags,
+  geometry: cells.map(([row, column]) => {
+    const { lat, lng } = point(row, column);
+    return { lat, lon: lng };
+  })
+});
+
+/**
+ * Turn restriction relation with a via node
+ * @param {number} id - Relation ID
+ * @param {string} value - e.g. no_left_turn, only_straight_on
+ * @param {number} fromWay - From way ID
+ * @param {Array} via - [row, column] of the via intersection
+ * @param {number} toWay - To way ID
+ * @param {Object} tags - Extra tags
+ * @returns {Object} relation element
+ */
+const restriction = (id, value, fromWay, via, toWay, tags = {}) => ({
+  type: 'relation',
+  id: id,
+  members: [
+    { type: 'way', ref: fromWay, role: 'from' },
+    { type: 'node', ref: nodeId(...via), role: 'via' },
+    { type: 'way', ref: toWay, role: 'to' }
+  ],
+  tags: { type: 'restriction', restriction: value, ...tags }
+});
+
+/**
+ * Grid of streets with one way per block edge
+ * @param {number} size - Intersections per side
+ * @param {Function} tagsFor - (from, to) -> tags of the segment, or null to leave it out
+ * @returns {Array} way elements
+ */
+const grid = (size, tagsFor = () => ({ highway: 'residential' })) => {
+  const elements = [];
+
+  for (let row = 0; row < size; row++) {
+    for (let column = 0; column < size; column++) {
+      [[row, column + 1], [row + 1, column]]
+        .filter(([toRow, toColumn]) => toRow < size && toColumn < size)
+        .forEach(to => {
+          const tags = tagsFor([row, column], to);
+          if (tags) {
+            elements.push(way(elements.length + 1, [[row, column], to], tags));
+          }
+        });
+    }
+  }
+
+  return elements;
+};
+
+/**
+ * Build a graph from OSM elements
+ * @param {Array} elements - Ways and relations
+ * @param {string} profile - Travel profile (default: driving)
+ * @returns {Object} graph
+ */
+const buildGraph = (elements, profile = 'driving') =>
+  new GraphService({ profile }).buildGraph({ elements }).graph;
+
+/**
+ * Small deterministic pseudo-random generator (mulberry32)
+ * @param {number} seed
+ * @returns {Function} () -> number in [0, 1)
+ */
+const random = seed => () => {
+  seed = (seed + 0x6D2B79F5) | 0;
+  let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+  t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+  return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+};
+
+module.exports = {
+  SPACING,
+  nodeId,
+  point,
+  way,
+  restriction,
+  grid,
+  buildGraph,
+  random
+};
@@ -0,0 +1,99 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const InstructionService = require('../src/services/instructionService');
+const DijkstraService = require('../src/services/dijkstraService');
+const { point, way, buildGraph } = require('./helpers/roads');
+
+const route = (elements, source, destination) =>
+  new DijkstraService().findShortestPath(buildGraph(elements), source, destination);
+
+const summary = steps => steps.map(({ type, modifier, roadName }) => [type, modifier, roadName]);
+
+describe('instructions', () => {
+  describe('InstructionService', () => {
+    const service = new InstructionService({ nodes: new Map(), edges: new Map() });
+
+    it('classifies turn angles', () => {
+      [
+        [0, 'straight'],
+        [-19, 'straight'],
+        [30, 'slight right'],
+        [-30, 'slight left'],
+        [90, 'right'],
+        [-90, 'left'],
+        [150, 'sharp right'],
+        [-150, 'sharp left'],
+        [175, 'uturn'],
+        [-180, 'uturn']
+      ].forEach(([angle, modifier]) => assert.equal(service.getTurnModifier(angle), modifier, String(angle)));
+    });
+
+    it('names compass directions and ordinals', () => {
+      assert.deepEqual([0, 44, 90, 200, 350].map(bearing => service.getCompassDirection(bearing)),
+        ['north', 'northeast', 'east', 'south', 'north']);
+      assert.deepEqual([1, 2, 3, 4, 11, 12, 13, 21, 22, 111].map(number => service.ordinal(number)),
+        ['1st', '2nd', '3rd', '4th', '11th', '12th', '13th', '21st', '22nd', '111th']);
+    });
+
+    it('has no steps for an empty route', () => {
+      assert.deepEqual(service.buildInstructions([]), []);
+    });
+  });
+
+  describe('routes', () => {
+    beforeEach(() => {
+      mock.method(console, 'log', () => {});
+    });
+
+    afterEach(() => {
+      mock.restoreAll();
+    });
+
+    it('departs, turns and arrives', async () => {
+      const result = await route([
+        way(1, [[0, 0], [0, 1]], { highway: 'residential', name: 'Main Street' }),
+        way(2, [[0, 1], [0, 2]], { highway: 'residential', name: 'Main Street' }),
+        way(3, [[0, 2], [2, 2]], { highway: 'residential', name: 'Oak Avenue' }),
+        way(4, [[2, 2], [2, 1]])
+      ], point(0, 0), point(2, 1));
+
+      assert.deepEqual(summary(result.instructions), [
+        ['depart', 'east', 'Main Street'],
+        ['turn', 'left', 'Oak Avenue'],
+        ['turn', 'left', 'Unnamed Road'],
+        ['arrive', null, 'Unnamed Road']
+      ]);
+      assert.deepEqual(result.instructions.map(step => step.instruction), [
+        'Head east on Main Street',
+        'Turn left onto Oak Avenue',
+        'Turn left onto an unnamed road',
+        'Arrive at your destination'
+      ]);
+
+      // Steps cover the path end to end
+      assert.deepEqual(result.instructions.map(step => step.pathRange), [[0, 2], [2, 3], [3, 4], [4, 4]]);
+      assert.equal(result.path.length, 5);
+      const total = result.instructions.reduce((sum, step) => sum + step.distance, 0);
+      assert.ok(Math.abs(total - result.distance) < 0.002);
+    });
+
+    it('counts the exits of a roundabout', async () => {
+      // Counter-clockwise ring entered from the south, with exits east and north
+      const result = await route([
+        way(1, [[0, 1], [1, 2], [2, 1], [1, 0], [0, 1]], { highway: 'primary', junction: 'roundabout', name: 'Ring' }),
+        way(2, [[-1, 1], [0, 1]], { highway: 'residential', name: 'South Road' }),
+        way(3, [[1, 2], [1, 3]], { highway: 'residential', name: 'East Road' }),
+        way(4, [[2, 1], [3, 1]], { highway: 'residential', name: 'North Road' })
+      ], point(-1, 1), point(3, 1));
+
+      assert.deepEqual(summary(result.instructions), [
+        ['depart', 'north', 'South Road'],
+        ['roundabout', null, 'Ring'],
+        ['continue', 'slight right', 'North Road'],
+        ['arrive', null, 'North Road']
+      ]);
+      assert.equal(result.instructions[1].exit, 2);
+      assert.equal(result.instructions[1].instruction, 'Enter the roundabout and take the 2nd exit onto North Road');
+    });
+  });
+});
@@ -0,0 +1,111 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const GraphService = require('../src/services/graphService');
+const DijkstraService = require('../src/services/dijkstraService');
+const { NoPathError } = require('../src/utils/errors');
+const { SPACING, point, way, buildGraph } = require('./helpers/roads');
+
+const BOTH = { forward: true, backward: true };
+const FORWARD = { forward: true, backward: false };
+const BACKWARD = { forward: false, backward: true };
+const NEITHER = { forward: false, backward: false };
+
+const directions = (profile, tags) => new GraphService({ profile }).getAllowedDirections(tags);
+
+// Directed edges of a graph as [fromRow, fromColumn, toRow, toColumn] on the test grid
+const edgesOf = graph => [...graph.edges.values()].map(({ from, to }) => {
+  const cell = id => {
+    const { lat, lng } = graph.nodes.get(id);
+    return [Math.round((lat - point(0, 0).lat) / SPACING), Math.round((lng - point(0, 0).lng) / SPACING)];
+  };
+  return [...cell(from), ...cell(to)];
+}).sort();
+
+describe('one-way streets', () => {
+  describe('getAllowedDirections', () => {
+    [
+      [{ highway: 'residential' }, BOTH],
+      [{ highway: 'residential', oneway: 'yes' }, FORWARD],
+      [{ highway: 'residential', oneway: '1' }, FORWARD],
+      [{ highway: 'residential', oneway: 'true' }, FORWARD],
+      [{ highway: 'residential', oneway: '-1' }, BACKWARD],
+      [{ highway: 'residential', oneway: 'reverse' }, BACKWARD],
+      [{ highway: 'residential', oneway: 'no' }, BOTH],
+      [{ highway: 'residential', oneway: 'reversible' }, NEITHER],
+      [{ highway: 'residential', oneway: 'alternating' }, NEITHER],
+      [{ highway: 'primary', junction: 'roundabout' }, FORWARD],
+      [{ highway: 'primary', junction: 'circular' }, FORWARD],
+      [{ highway: 'primary', junction: 'roundabout', oneway: 'no' }, BOTH],
+      [{ highway: 'motorway' }, FORWARD],
+      [{ highway: 'motorway', oneway: 'no' }, BOTH],
+      [{ highway: 'residential', oneway: 'yes', 'oneway:bicycle': 'no' }, FORWARD]
+    ].forEach(([tags, expected]) => {
+      it(`driving: ${JSON.stringify(tags)}`, () => {
+        assert.deepEqual(directions('driving', tags), expected);
+      });
+    });
+
+    it('lets cyclists use contraflow lanes and cycle-only one-ways', () => {
+      assert.deepEqual(directions('cycling', { highway: 'residential', oneway: 'yes', 'oneway:bicycle': 'no' }), BOTH);
+      assert.deepEqual(directions('cycling', { highway: 'cycleway', 'oneway:bicycle': 'yes' }), FORWARD);
+      assert.deepEqual(directions('cycling', { highway: 'residential', oneway: '-1' }), BACKWARD);
+      assert.deepEqual(directions('cycling', { highway: 'primary', junction: 'roundabout' }), FORWARD);
+    });
+
+    it('lets pedestrians walk either way', () => {
+      assert.deepEqual(directions('walking', { highway: 'residential', oneway: 'yes' }), BOTH);
+      assert.deepEqual(directions('walking', { highway: 'residential', oneway: 'reversible' }), BOTH);
+      assert.deepEqual(directions('walking', { highway: 'residential', junction: 'roundabout' }), BOTH);
+    });
+  });
+
+  describe('graph', () => {
+    beforeEach(() => {
+      mock.method(console, 'log', () => {});
+    });
+
+    afterEach(() => {
+      mock.restoreAll();
+    });
+
+    it('creates edges only in the legal direction', () => {
+      const graph = buildGraph([
+        way(1, [[0, 0], [0, 1], [0, 2]], { highway: 'residential', oneway: '-1' }),
+        way(2, [[0, 2], [1, 2]], { highway: 'residential', oneway: 'yes' })
+      ]);
+
+      assert.deepEqual(edgesOf(graph), [[0, 1, 0, 0], [0, 2, 0, 1], [0, 2, 1, 2]]);
+      assert.equal(graph.stats.oneWaySegments, 3);
+    });
+
+    it('leaves out reversible ways', () => {
+      const graph = buildGraph([
+        way(1, [[0, 0], [0, 1]]),
+        way(2, [[0, 1], [0, 2]], { highway: 'residential', oneway: 'reversible' })
+      ]);
+
+      assert.deepEqual(edgesOf(graph), [[0, 0, 0, 1], [0, 1, 0, 0]]);
+      assert.equal(graph.nodes.size, 2);
+    });
+
+    it('goes around a roundabout in its direction only', async () => {
+      // Counter-clockwise ring through (0,1), (1,2), (2,1), (1,0) with a spur in and out
+      const ring = way(1, [[0, 1], [1, 2], [2, 1], [1, 0], [0, 1]], { highway: 'primary', junction: 'roundabout' });
+      const entry = way(2, [[-1, 1], [0, 1]]);
+      const exit = way(3, [[1, 2], [1, 3]]);
+      const service = new DijkstraService();
+
+      const result = await service.findShortestPath(buildGraph([ring, entry, exit]), point(-1, 1), point(1, 3));
+      assert.deepEqual(result.path.slice(1, 3), [point(0, 1), point(1, 2)]);
+
+      // Driving the other way round needs the whole ring
+      const back = await service.findShortestPath(buildGraph([ring, entry, exit]), point(1, 3), point(-1, 1));
+      assert.deepEqual(back.path.slice(1, -1), [point(1, 2), point(2, 1), point(1, 0), point(0, 1)]);
+
+      await assert.rejects(
+        service.findShortestPath(buildGraph([{ ...ring, tags: { highway: 'primary', oneway: 'reversible' } }, entry, exit]),
+          point(-1, 1), point(1, 3)),
+        NoPathError);
+    });
+  });
+});
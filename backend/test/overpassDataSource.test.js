@@ -0,0 +1,147 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const OverpassDataSource = require('../src/services/overpassDataSource');
+const { AreaTooLargeError, UpstreamRateLimitError } = require('../src/utils/errors');
+
+const BBOX = { south: 52.5, west: 13.4, north: 52.55, east: 13.45 };
+const ELEMENTS = [{ type: 'way', id: 1, tags: { highway: 'residential' }, geometry: [] }];
+
+/**
+ * Fake Overpass server: every path answers with the next scripted response
+ * for it ({status, headers, body, delay}), repeating the last one
+ */
+function createFakeOverpass() {
+  const fake = { scripts: {}, requests: {} };
+
+  fake.server = http.createServer((req, res) => {
+    req.resume();
+    req.on('end', () => {
+      fake.requests[req.url] = (fake.requests[req.url] || 0) + 1;
+      const script = fake.scripts[req.url] || [];
+      const step = script.length > 1 ? script.shift() : script[0] || { status: 404 };
+
+      setTimeout(() => {
+        res.writeHead(step.status || 200, { 'Content-Type': 'application/json', ...step.headers });
+        res.end(step.body !== undefined ? step.body : JSON.stringify({ elements: ELEMENTS }));
+      }, step.delay || 0);
+    });
+  });
+
+  fake.url = path => `http://127.0.0.1:${fake.server.address().port}${path}`;
+  return fake;
+}
+
+describe('OverpassDataSource', () => {
+  const fake = createFakeOverpass();
+
+  before(() => new Promise(resolve => fake.server.listen(0, '127.0.0.1', resolve)));
+  after(() => new Promise(resolve => fake.server.close(resolve)));
+
+  beforeEach(() => {
+    fake.scripts = {};
+    fake.requests = {};
+  });
+
+  it('waits for Retry-After on a 429 and then retries', async () => {
+    fake.scripts['/busy'] = [{ status: 429, headers: { 'Retry-After': '1' } }, { status: 200 }];
+    const source = new OverpassDataSource({ urls: [fake.url('/busy')], baseDelay: 10 });
+
+    const startTime = Date.now();
+    const elements = await source.fetchElements(BBOX);
+
+    assert.deepEqual(elements, ELEMENTS);
+    assert.equal(fake.requests['/busy'], 2);
+    assert.ok(Date.now() - startTime >= 900, 'retried before Retry-After elapsed');
+  });
+
+  it('gives up with the Retry-After delay when it is longer than the maximum wait', async () => {
+    fake.scripts['/limited'] = [{ status: 429, headers: { 'Retry-After': '120' } }];
+    const source = new OverpassDataSource({ urls: [fake.url('/limited')], maxDelay: 1000 });
+
+    await assert.rejects(source.fetchElements(BBOX), error => {
+      assert.ok(error instanceof UpstreamRateLimitError);
+      assert.equal(error.code, 'UPSTREAM_RATE_LIMITED');
+      assert.ok(error.details.retryAfter > 100 && error.details.retryAfter <= 120);
+      return true;
+    });
+    assert.equal(fake.requests['/limited'], 1);
+    assert.equal(source.getHealth()[0].healthy, false);
+  });
+
+  it('fails over to the next mirror after a server error', async () => {
+    fake.scripts['/primary'] = [{ status: 502, body: 'Bad gateway' }];
+    fake.scripts['/mirror'] = [{ status: 200 }];
+    const source = new OverpassDataSource({ urls: [fake.url('/primary'), fake.url('/mirror')], baseDelay: 60000 });
+
+    const elements = await source.fetchElements(BBOX);
+
+    assert.deepEqual(elements, ELEMENTS);
+    assert.equal(fake.requests['/primary'], 1);
+    assert.equal(fake.requests['/mirror'], 1);
+
+    const [primary, mirror] = source.getHealth();
+    assert.equal(primary.healthy, false);
+    assert.equal(primary.failures, 1);
+    assert.match(primary.lastError, /502/);
+    assert.equal(mirror.healthy, true);
+    assert.equal(mirror.successes, 1);
+  });
+
+  it('shares one upstream request between identical concurrent queries', async () => {
+    fake.scripts['/slow'] = [{ status: 200, delay: 100 }];
+    const source = new OverpassDataSource({ urls: [fake.url('/slow')] });
+
+    const [first, second] = await Promise.all([source.fetchElements(BBOX), source.fetchElements(BBOX)]);
+    assert.deepEqual(first, ELEMENTS);
+    assert.equal(second, first);
+    assert.equal(fake.requests['/slow'], 1);
+
+    // Once settled, the next identical query goes upstream again
+    await source.fetchElements(BBOX);
+    assert.equal(fake.requests['/slow'], 2);
+  });
+
+  it('does not coalesce queries for different profiles', async () => {
+    fake.scripts['/profiles'] = [{ status: 200, delay: 50 }];
+    const source = new OverpassDataSource({ urls: [fake.url('/profiles')] });
+
+    await Promise.all([source.fetchElements(BBOX, 'driving'), source.fetchElements(BBOX, 'walking')]);
+    assert.equal(fake.requests['/profiles'], 2);
+  });
+
+  it('rejects oversized responses without retrying', async () => {
+    const huge = JSON.stringify({ elements: Array.from({ length: 200 }, () => ELEMENTS[0]) });
+    fake.scripts['/huge'] = [{ status: 200, body: huge }];
+    fake.scripts['/other'] = [{ status: 200 }];
+    const source = new OverpassDataSource({ urls: [fake.url('/huge'), fake.url('/other')], maxResponseSize: 1000 });
+
+    await assert.rejects(source.fetchElements(BBOX), error => {
+      assert.ok(error instanceof AreaTooLargeError);
+      assert.equal(error.code, 'AREA_TOO_LARGE');
+      return true;
+    });
+    assert.equal(fake.requests['/huge'], 1);
+    assert.equal(fake.requests['/other'], undefined);
+  });
+
+  it('keeps a single OVERPASS_API_URL as the only endpoint', async () => {
+    fake.scripts['/private'] = [{ status: 502, body: 'Bad gateway' }];
+    const urls = OverpassDataSource.getConfiguredUrls({ OVERPASS_API_URL: fake.url('/private') });
+    const source = new OverpassDataSource({ urls, maxRetries: 0 });
+
+    assert.deepEqual(source.getHealth().map(endpoint => endpoint.url), [fake.url('/private')]);
+    await assert.rejects(source.fetchElements(BBOX));
+    assert.equal(fake.requests['/private'], 1);
+  });
+
+  it('prefers OVERPASS_API_URLS over OVERPASS_API_URL', () => {
+    const urls = OverpassDataSource.getConfiguredUrls({
+      OVERPASS_API_URL: 'http://single/api/interpreter',
+      OVERPASS_API_URLS: ' http://a/api/interpreter, http://b/api/interpreter ,'
+    });
+
+    assert.deepEqual(urls, ['http://a/api/interpreter', 'http://b/api/interpreter']);
+    assert.deepEqual(OverpassDataSource.getConfiguredUrls({}), []);
+  });
+});
@@ -0,0 +1,156 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const zlib = require('zlib');
+const { parsePbf } = require('../src/utils/pbfReader');
+
+// Minimal protobuf writer, just enough to assemble OSM PBF test files
+const varint = value => {
+  const bytes = [];
+  while (value >= 128) {
+    bytes.push((value % 128) | 128);
+    value = Math.floor(value / 128);
+  }
+  bytes.push(value);
+  return Buffer.from(bytes);
+};
+const zigzag = value => (value >= 0 ? value * 2 : -value * 2 - 1);
+const key = (field, wireType) => varint(field * 8 + wireType);
+const bytesField = (field, buffer) => Buffer.concat([key(field, 2), varint(buffer.length), buffer]);
+const varintField = (field, value) => Buffer.concat([key(field, 0), varint(value)]);
+const signedField = (field, value) => varintField(field, zigzag(value));
+const packed = (field, values, signed = false) =>
+  bytesField(field, Buffer.concat(values.map(value => varint(signed ? zigzag(value) : value))));
+const deltas = values => values.map((value, index) => value - (index > 0 ? values[index - 1] : 0));
+
+/**
+ * Build a PBF file from one primitive block
+ * @param {Array} strings - String table (index 0 must be '')
+ * @param {Array} groups - Encoded PrimitiveGroups
+ * @param {Object} options - {compress, blockFields (extra encoded fields such as granularity)}
+ */
+const buildPbf = (strings, groups, options = {}) => {
+  const stringTable = bytesField(1, Buffer.concat(strings.map(text => bytesField(1, Buffer.from(text)))));
+  const block = Buffer.concat([stringTable, ...groups.map(group => bytesField(2, group)), ...(options.blockFields || [])]);
+
+  const writeBlob = (type, payload, compress) => {
+    const blob = compress
+      ? Buffer.concat([varintField(2, payload.length), bytesField(3, zlib.deflateSync(payload))])
+      : bytesField(1, payload);
+    const header = Buffer.concat([bytesField(1, Buffer.from(type)), varintField(3, blob.length)]);
+    const length = Buffer.alloc(4);
+    length.writeUInt32BE(header.length);
+    return Buffer.concat([length, header, blob]);
+  };
+
+  return Buffer.concat([
+    writeBlob('OSMHeader', bytesField(4, Buffer.from('OsmSchema-V0.6')), false),
+    writeBlob('OSMData', block, options.compress !== false)
+  ]);
+};
+
+const STRINGS = ['', 'highway', 'residential', 'name', 'Main Street', 'type', 'restriction', 'no_left_turn', 'from', 'via', 'to', 'amenity', 'cafe'];
+const s = text => STRINGS.indexOf(text);
+
+const denseNodes = nodes => bytesField(2, Buffer.concat([
+  packed(1, deltas(nodes.map(node => node.id)), true),
+  packed(8, deltas(nodes.map(node => Math.round(node.lat * 1e7))), true),
+  packed(9, deltas(nodes.map(node => Math.round(node.lon * 1e7))), true),
+  packed(10, nodes.flatMap(node => [...Object.entries(node.tags || {}).flatMap(([k, v]) => [s(k), s(v)]), 0]))
+]));
+
+const way = (id, nodes, tags) => bytesField(3, Buffer.concat([
+  varintField(1, id),
+  packed(2, Object.keys(tags).map(s)),
+  packed(3, Object.values(tags).map(s)),
+  packed(8, deltas(nodes), true)
+]));
+
+const NODES = [
+  { id: 1, lat: 52.52, lon: 13.405 },
+  { id: 2, lat: 52.521, lon: 13.406, tags: { amenity: 'cafe', name: 'Main Street' } },
+  { id: 5000000000, lat: -33.8688, lon: -151.2093 }
+];
+
+describe('pbfReader', () => {
+  it('reads dense nodes with coordinates, tags and large ids', () => {
+    const data = parsePbf(buildPbf(STRINGS, [denseNodes(NODES)]));
+
+    assert.equal(data.nodes.size, 3);
+    assert.ok(Math.abs(data.nodes.get(1).lat - 52.52) < 1e-9);
+    assert.ok(Math.abs(data.nodes.get(1).lon - 13.405) < 1e-9);
+    assert.deepEqual(data.nodes.get(1).tags, {});
+    assert.deepEqual(data.nodes.get(2).tags, { amenity: 'cafe', name: 'Main Street' });
+    assert.ok(Math.abs(data.nodes.get(5000000000).lat + 33.8688) < 1e-9);
+  });
+
+  it('reads plain nodes', () => {
+    const node = bytesField(1, Buffer.concat([
+      signedField(1, 7),
+      packed(2, [s('amenity')]),
+      packed(3, [s('cafe')]),
+      signedField(8, 525200000),
+      signedField(9, 134050000)
+    ]));
+    const data = parsePbf(buildPbf(STRINGS, [node]));
+
+    assert.ok(Math.abs(data.nodes.get(7).lat - 52.52) < 1e-9);
+    assert.deepEqual(data.nodes.get(7).tags, { amenity: 'cafe' });
+  });
+
+  it('reads ways with delta-coded node refs', () => {
+    const data = parsePbf(buildPbf(STRINGS, [way(10, [1, 2, 5000000000, 2], { highway: 'residential', name: 'Main Street' })]));
+
+    assert.deepEqual(data.ways, [{ id: 10, nodes: [1, 2, 5000000000, 2], tags: { highway: 'residential', name: 'Main Street' } }]);
+  });
+
+  it('reads relations with typed members and roles', () => {
+    const members = [{ type: 'way', ref: 10 }, { type: 'node', ref: 2 }, { type: 'way', ref: 11 }];
+    const relation = bytesField(4, Buffer.concat([
+      varintField(1, 99),
+      packed(2, [s('type'), s('restriction')]),
+      packed(3, [s('restriction'), s('no_left_turn')]),
+      packed(8, [s('from'), s('via'), s('to')]),
+      packed(9, deltas(members.map(member => member.ref)), true),
+      packed(10, members.map(member => ['node', 'way', 'relation'].indexOf(member.type)))
+    ]));
+    const data = parsePbf(buildPbf(STRINGS, [relation]));
+
+    assert.deepEqual(data.relations, [{
+      id: 99,
+      members: [
+        { type: 'way', ref: 10, role: 'from' },
+        { type: 'node', ref: 2, role: 'via' },
+        { type: 'way', ref: 11, role: 'to' }
+      ],
+      tags: { type: 'restriction', restriction: 'no_left_turn' }
+    }]);
+  });
+
+  it('reads uncompressed blobs', () => {
+    const data = parsePbf(buildPbf(STRINGS, [denseNodes(NODES)], { compress: false }));
+    assert.equal(data.nodes.size, 3);
+  });
+
+  it('applies the block granularity and offsets', () => {
+    const node = bytesField(1, Buffer.concat([signedField(1, 1), signedField(8, 100), signedField(9, -100)]));
+    const blockFields = [varintField(17, 1000), varintField(19, 50000000000), varintField(20, 10000000000)]; // offsets are plain int64
+    const data = parsePbf(buildPbf(STRINGS, [node], { blockFields }));
+
+    assert.ok(Math.abs(data.nodes.get(1).lat - 50.0001) < 1e-9);
+    assert.ok(Math.abs(data.nodes.get(1).lon - 9.9999) < 1e-9);
+  });
+
+  it('rejects truncated files', () => {
+    const file = buildPbf(STRINGS, [denseNodes(NODES)]);
+    assert.throws(() => parsePbf(Buffer.concat([file, Buffer.from([0, 0])])), /Truncated/);
+  });
+
+  it('rejects unsupported compression', () => {
+    const blob = bytesField(4, Buffer.from('lzma'));
+    const header = Buffer.concat([bytesField(1, Buffer.from('OSMData')), varintField(3, blob.length)]);
+    const length = Buffer.alloc(4);
+    length.writeUInt32BE(header.length);
+
+    assert.throws(() => parsePbf(Buffer.concat([length, header, blob])), /Unsupported PBF compression/);
+  });
+});
@@ -0,0 +1,99 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const PriorityQueue = require('../src/utils/priorityQueue');
+const DijkstraService = require('../src/services/dijkstraService');
+const { point, way, buildGraph, random } = require('./helpers/roads');
+
+// Pop everything, returning the priorities in the order they came out
+const drain = queue => {
+  const priorities = [];
+  while (!queue.isEmpty()) {
+    priorities.push(queue.pop().priority);
+  }
+  return priorities;
+};
+
+describe('PriorityQueue', () => {
+  it('is empty until something is pushed', () => {
+    const queue = new PriorityQueue();
+
+    assert.equal(queue.isEmpty(), true);
+    assert.equal(queue.size, 0);
+    assert.equal(queue.peek(), null);
+    assert.equal(queue.pop(), null);
+  });
+
+  it('pops the lowest priority first', () => {
+    const queue = new PriorityQueue();
+    [5, 1, 4, 2, 3].forEach(priority => queue.push(`p${priority}`, priority));
+
+    assert.deepEqual(queue.peek(), { priority: 1, value: 'p1' });
+    assert.equal(queue.size, 5);
+    assert.deepEqual(queue.pop(), { priority: 1, value: 'p1' });
+    assert.deepEqual(drain(queue), [2, 3, 4, 5]);
+  });
+
+  it('stays ordered through random pushes and pops', () => {
+    const next = random(7);
+    const queue = new PriorityQueue();
+    const expected = [];
+
+    for (let round = 0; round < 2000; round++) {
+      if (next() < 0.6 || expected.length === 0) {
+        // Few distinct priorities, so ties are common
+        const priority = Math.floor(next() * 50);
+        queue.push(round, priority);
+        expected.push(priority);
+        expected.sort((a, b) => a - b);
+      } else {
+        assert.equal(queue.pop().priority, expected.shift());
+      }
+      assert.equal(queue.size, expected.length);
+    }
+
+    assert.deepEqual(drain(queue), expected);
+  });
+
+  it('keeps stale entries for the caller to skip (lazy deletion)', () => {
+    const queue = new PriorityQueue();
+    const settled = new Set();
+
+    queue.push('a', 10);
+    queue.push('b', 5);
+    queue.push('a', 3); // shorter path to a found later; the old entry stays
+
+    assert.equal(queue.size, 3);
+
+    const order = [];
+    while (!queue.isEmpty()) {
+      const { value } = queue.pop();
+      if (settled.has(value)) continue;
+      settled.add(value);
+      order.push(value);
+    }
+
+    assert.deepEqual(order, ['a', 'b']);
+  });
+
+  describe('in the search', () => {
+    beforeEach(() => {
+      mock.method(console, 'log', () => {});
+    });
+
+    afterEach(() => {
+      mock.restoreAll();
+    });
+
+    it('settles a node through a cheaper path found after it was queued', async () => {
+      // The direct road to (0,4) is queued first, but the detour over primary roads is cheaper
+      const graph = buildGraph([
+        way(1, [[0, 0], [0, 4]], { highway: 'unclassified' }),
+        way(2, [[0, 0], [1, 0], [1, 4], [0, 4]], { highway: 'primary' })
+      ]);
+      const result = await new DijkstraService().findShortestPath(graph, point(0, 0), point(0, 4), { algorithm: 'dijkstra' });
+
+      assert.equal(result.path.length, 4);
+      assert.deepEqual(result.path[1], point(1, 0));
+    });
+  });
+});
@@ -0,0 +1,94 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const GraphService = require('../src/services/graphService');
+const DijkstraService = require('../src/services/dijkstraService');
+const routeController = require('../src/controllers/routeController');
+const { NoPathError } = require('../src/utils/errors');
+const { point, way, buildGraph } = require('./helpers/roads');
+
+const accessible = (profile, tags) => new GraphService({ profile }).isWayAccessible(tags);
+
+// Main road around three sides of a block, and a footpath straight across
+const streets = (pathTags = { highway: 'footway', name: 'Footpath' }) => [
+  way(1, [[0, 0], [1, 0], [1, 2], [0, 2]], { highway: 'residential', name: 'Ring Road' }),
+  way(2, [[0, 0], [0, 2]], pathTags)
+];
+
+const roadNames = result => result.segments.map(segment => segment.roadName);
+
+describe('travel profiles', () => {
+  it('rejects unknown profiles', () => {
+    assert.throws(() => new GraphService({ profile: 'flying' }), /Unknown travel profile/);
+    assert.match(routeController.validateTravelOptions({ profile: 'flying', optimize: 'preferred' }).error, /Invalid profile/);
+    assert.ok(routeController.validateTravelOptions({ profile: 'cycling', optimize: 'preferred' }).options);
+  });
+
+  describe('isWayAccessible', () => {
+    [
+      ['driving', { highway: 'residential' }, true],
+      ['driving', { highway: 'footway' }, false],
+      ['driving', { highway: 'cycleway' }, false],
+      ['driving', { highway: 'residential', access: 'private' }, false],
+      ['driving', { highway: 'residential', access: 'no', motor_vehicle: 'yes' }, true],
+      ['driving', { highway: 'residential', motorcar: 'no', vehicle: 'yes' }, false],
+      ['driving', { route: 'ferry' }, true],
+      ['walking', { highway: 'footway' }, true],
+      ['walking', { highway: 'steps' }, true],
+      ['walking', { highway: 'motorway' }, false],
+      ['walking', { highway: 'residential', foot: 'no' }, false],
+      ['walking', { highway: 'pedestrian', access: 'no', foot: 'yes' }, true],
+      ['cycling', { highway: 'cycleway' }, true],
+      ['cycling', { highway: 'trunk' }, false],
+      ['cycling', { highway: 'footway' }, false],
+      ['cycling', { highway: 'path', bicycle: 'no' }, false],
+      ['cycling', { highway: 'residential', vehicle: 'no', bicycle: 'yes' }, true]
+    ].forEach(([profile, tags, expected]) => {
+      it(`${profile}: ${JSON.stringify(tags)} is ${expected ? 'allowed' : 'not allowed'}`, () => {
+        assert.equal(accessible(profile, tags), expected);
+      });
+    });
+  });
+
+  describe('routing', () => {
+    beforeEach(() => {
+      mock.method(console, 'log', () => {});
+    });
+
+    afterEach(() => {
+      mock.restoreAll();
+    });
+
+    const route = (elements, profile) => new DijkstraService().findShortestPath(
+      buildGraph(elements, profile), point(0, 0), point(0, 2));
+
+    it('lets only pedestrians take the footpath', async () => {
+      assert.deepEqual(roadNames(await route(streets(), 'walking')), ['Footpath']);
+      assert.deepEqual(roadNames(await route(streets(), 'driving')), ['Ring Road']);
+      assert.deepEqual(roadNames(await route(streets(), 'cycling')), ['Ring Road']);
+      assert.deepEqual(roadNames(await route(streets({ highway: 'cycleway', name: 'Bike Lane' }), 'cycling')), ['Bike Lane']);
+    });
+
+    it('fails when only roads the profile may not use connect the points', async () => {
+      const elements = [
+        way(1, [[0, 0], [1, 0]]),
+        way(2, [[1, 2], [0, 2]]),
+        way(3, [[1, 0], [1, 2]], { highway: 'footway', name: 'Footpath' })
+      ];
+
+      await assert.rejects(route(elements, 'driving'), NoPathError);
+      assert.ok(roadNames(await route(elements, 'walking')).includes('Footpath'));
+    });
+
+    it('uses the profile speeds for travel time', async () => {
+      const road = [way(1, [[0, 0], [40, 0]], { highway: 'residential' })];
+      const speeds = ['driving', 'cycling', 'walking'].map(profile =>
+        [...buildGraph(road, profile).edges.values()][0].speed);
+      const minutes = async profile => (await new DijkstraService().findShortestPath(
+        buildGraph(road, profile), point(0, 0), point(40, 0))).duration;
+
+      assert.deepEqual(speeds, [30, 16, 5]);
+      assert.ok(await minutes('driving') < await minutes('cycling'));
+      assert.ok(await minutes('cycling') < await minutes('walking'));
+    });
+  });
+});
@@ -0,0 +1,103 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const RateLimiter = require('../src/utils/rateLimiter');
+const { requireApiKey, rateLimit } = require('../src/middleware/accessControl');
+
+describe('RateLimiter', () => {
+  let now;
+
+  beforeEach(() => {
+    now = 1000000;
+    mock.method(Date, 'now', () => now);
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('allows up to max requests per window', () => {
+    const limiter = new RateLimiter({ max: 3, windowMs: 60000 });
+    const results = [1, 2, 3, 4].map(() => limiter.consume('a'));
+
+    assert.deepEqual(results.map(result => result.allowed), [true, true, true, false]);
+    assert.deepEqual(results.map(result => result.remaining), [2, 1, 0, 0]);
+    assert.ok(results.every(result => result.limit === 3 && result.resetAt === now + 60000));
+  });
+
+  it('counts every key separately', () => {
+    const limiter = new RateLimiter({ max: 1, windowMs: 60000 });
+
+    assert.equal(limiter.consume('a').allowed, true);
+    assert.equal(limiter.consume('a').allowed, false);
+    assert.equal(limiter.consume('b').allowed, true);
+  });
+
+  it('starts a new window once the old one has ended', () => {
+    const limiter = new RateLimiter({ max: 1, windowMs: 60000 });
+    limiter.consume('a');
+
+    now += 59999;
+    assert.equal(limiter.consume('a').allowed, false);
+
+    now += 1;
+    const result = limiter.consume('a');
+    assert.equal(result.allowed, true);
+    assert.equal(result.resetAt, now + 60000);
+  });
+
+  it('drops ended windows on cleanup', () => {
+    const limiter = new RateLimiter({ max: 5, windowMs: 1000 });
+    limiter.consume('old');
+
+    now += 500;
+    limiter.consume('recent');
+
+    now += 600;
+    limiter.cleanup();
+    assert.deepEqual([...limiter.windows.keys()], ['recent']);
+  });
+});
+
+describe('access control middleware', () => {
+  // Run a middleware with a fake request; resolves with the error passed to next (or null)
+  const run = (middleware, req) => {
+    const headers = {};
+    return new Promise(resolve => {
+      middleware({ get: name => req.headers && req.headers[name], ...req }, { set: (name, value) => { headers[name] = value; } },
+        error => resolve({ error: error || null, headers }));
+    });
+  };
+
+  it('leaves the API open without configured keys', async () => {
+    const { error } = await run(requireApiKey([]), { headers: {} });
+    assert.equal(error, null);
+  });
+
+  it('rejects missing and unknown keys', async () => {
+    const middleware = requireApiKey(['secret']);
+
+    assert.equal((await run(middleware, { headers: {} })).error.code, 'INVALID_API_KEY');
+    assert.equal((await run(middleware, { headers: { 'X-API-Key': 'guess' } })).error.code, 'INVALID_API_KEY');
+    assert.equal((await run(middleware, { headers: { 'X-API-Key': 'secret' } })).error, null);
+  });
+
+  it('limits clients sharing an API key per IP address', async () => {
+    const middleware = rateLimit(new RateLimiter({ max: 1, windowMs: 60000 }));
+
+    assert.equal((await run(middleware, { ip: '10.0.0.1', apiKey: 'shared' })).error, null);
+    assert.equal((await run(middleware, { ip: '10.0.0.2', apiKey: 'shared' })).error, null);
+
+    const { error, headers } = await run(middleware, { ip: '10.0.0.1', apiKey: 'shared' });
+    assert.equal(error.code, 'RATE_LIMITED');
+    assert.equal(error.status, 429);
+    assert.ok(error.details.retryAfter > 0);
+    assert.equal(headers['RateLimit-Remaining'], '0');
+  });
+
+  it('limits clients without an API key per IP address', async () => {
+    const middleware = rateLimit(new RateLimiter({ max: 1, windowMs: 60000 }));
+
+    assert.equal((await run(middleware, { ip: '10.0.0.3' })).error, null);
+    assert.equal((await run(middleware, { ip: '10.0.0.3' })).error.code, 'RATE_LIMITED');
+  });
+});
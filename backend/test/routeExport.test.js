@@ -0,0 +1,98 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { exportRoute, encodePolyline } = require('../src/utils/routeExport');
+
+// Reference decoder for the encoded polyline algorithm
+const decodePolyline = (encoded, precision = 5) => {
+  const points = [];
+  let index = 0, lat = 0, lng = 0;
+
+  const readValue = () => {
+    let result = 0, shift = 0, byte;
+    do {
+      byte = encoded.charCodeAt(index++) - 63;
+      result |= (byte & 0x1f) << shift;
+      shift += 5;
+    } while (byte >= 0x20);
+    return result & 1 ? ~(result >> 1) : result >> 1;
+  };
+
+  while (index < encoded.length) {
+    lat += readValue();
+    lng += readValue();
+    points.push({ lat: lat / 10 ** precision, lng: lng / 10 ** precision });
+  }
+  return points;
+};
+
+const ROUTE = {
+  path: [{ lat: 52.52, lng: 13.405 }, { lat: 52.521, lng: 13.406 }, { lat: 52.522, lng: 13.41 }],
+  segments: [
+    { roadName: 'Unter den Linden', roadType: 'primary', distance: 0.1, duration: 0.2, pathRange: [0, 1] },
+    { roadName: 'Fish & Chips <Lane>', roadType: 'residential', distance: 0.3, duration: 0.9, pathRange: [1, 2] }
+  ],
+  snappedPoints: [{ lat: 52.52, lng: 13.405 }, { lat: 52.522, lng: 13.41 }],
+  distance: 0.4,
+  duration: 1.1
+};
+
+describe('routeExport', () => {
+  describe('encodePolyline', () => {
+    it('matches the reference example of the algorithm', () => {
+      const path = [{ lat: 38.5, lng: -120.2 }, { lat: 40.7, lng: -120.95 }, { lat: 43.252, lng: -126.453 }];
+      assert.equal(encodePolyline(path), '_p~iF~ps|U_ulLnnqC_mqNvxq`@');
+    });
+
+    it('encodes an empty path as an empty string', () => {
+      assert.equal(encodePolyline([]), '');
+    });
+
+    it('round-trips coordinates at the given precision', () => {
+      const path = [{ lat: -33.868812, lng: 151.209295 }, { lat: -33.86, lng: 151.2 }, { lat: 0, lng: 0 }, { lat: 89.999999, lng: -179.999999 }];
+
+      [5, 6].forEach(precision => {
+        const decoded = decodePolyline(encodePolyline(path, precision), precision);
+        assert.equal(decoded.length, path.length);
+        decoded.forEach((point, index) => {
+          assert.ok(Math.abs(point.lat - path[index].lat) <= 0.5 / 10 ** precision + 1e-12);
+          assert.ok(Math.abs(point.lng - path[index].lng) <= 0.5 / 10 ** precision + 1e-12);
+        });
+      });
+    });
+  });
+
+  describe('exportRoute', () => {
+    it('writes GPX with the stops and an escaped track', () => {
+      const { content, contentType, extension } = exportRoute(ROUTE, 'gpx', { name: 'Tour & back' });
+
+      assert.equal(contentType, 'application/gpx+xml');
+      assert.equal(extension, 'gpx');
+      assert.match(content, /<gpx [^>]*version="1.1"/);
+      assert.match(content, /Tour &amp; back/);
+      assert.equal((content.match(/<wpt /g) || []).length, 2);
+      assert.equal((content.match(/<trkpt /g) || []).length, 3);
+    });
+
+    it('writes KML coordinates as lng,lat', () => {
+      const { content } = exportRoute(ROUTE, 'kml');
+      assert.match(content, /13\.405,52\.52/);
+    });
+
+    it('writes one GeoJSON feature per road segment', () => {
+      const geojson = JSON.parse(exportRoute(ROUTE, 'geojson').content);
+
+      assert.equal(geojson.type, 'FeatureCollection');
+      assert.equal(geojson.features.length, 2);
+      assert.deepEqual(geojson.features[1].geometry.coordinates, [[13.406, 52.521], [13.41, 52.522]]);
+      assert.equal(geojson.features[1].properties.roadName, 'Fish & Chips <Lane>');
+    });
+
+    it('writes the path as an encoded polyline', () => {
+      assert.equal(exportRoute(ROUTE, 'polyline').content, encodePolyline(ROUTE.path));
+    });
+
+    it('rejects unknown formats', () => {
+      assert.throws(() => exportRoute(ROUTE, 'shp'), /Unknown export format/);
+    });
+  });
+});
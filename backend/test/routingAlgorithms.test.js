@@ -0,0 +1,102 @@
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const DijkstraService = require('../src/services/dijkstraService');
+const { ROUTING_ALGORITHMS } = require('../src/utils/constants');
+const { NoPathError } = require('../src/utils/errors');
+const { point, grid, restriction, buildGraph, random } = require('./helpers/roads');
+
+const SIZE = 8;
+const QUERIES = 30;
+const ROAD_TYPES = ['motorway', 'primary', 'secondary', 'tertiary', 'residential', 'unclassified'];
+
+/**
+ * Grid with random road types, speed limits and one-way segments, and a few
+ * missing blocks
+ * @param {Function} next - Random generator
+ * @returns {Array} way elements
+ */
+const randomGrid = next => grid(SIZE, () => {
+  if (next() < 0.1) return null;
+
+  const tags = { highway: ROAD_TYPES[Math.floor(next() * ROAD_TYPES.length)] };
+  if (next() < 0.3) tags.maxspeed = String(10 + Math.floor(next() * 12) * 10);
+  if (tags.highway !== 'motorway' && next() < 0.15) tags.oneway = next() < 0.5 ? 'yes' : '-1';
+  return tags;
+});
+
+/**
+ * Random turn bans at intersections, between two of the ways meeting there
+ * @param {Array} ways - Grid ways
+ * @param {Function} next - Random generator
+ * @returns {Array} restriction relations
+ */
+const randomRestrictions = (ways, next) => {
+  const byNode = new Map();
+  ways.forEach(way => way.nodes.forEach(nodeId => {
+    byNode.set(nodeId, [...(byNode.get(nodeId) || []), way]);
+  }));
+
+  return [...byNode.entries()]
+    .filter(([, meeting]) => meeting.length >= 2 && next() < 0.3)
+    .map(([nodeId, meeting], index) => {
+      const row = Math.floor((nodeId - 1) / 1000);
+      const column = (nodeId - 1) % 1000;
+      return restriction(1000 + index, next() < 0.8 ? 'no_left_turn' : 'only_straight_on',
+        meeting[0].id, [row, column], meeting[1].id);
+    });
+};
+
+// Route between random points and collect each algorithm's cost (null if there is no route)
+const compareAlgorithms = async (graph, next, optimize) => {
+  for (let query = 0; query < QUERIES; query++) {
+    const source = point(next() * (SIZE - 1), next() * (SIZE - 1));
+    const destination = point(next() * (SIZE - 1), next() * (SIZE - 1));
+
+    const costs = await Promise.all(ROUTING_ALGORITHMS.map(algorithm =>
+      new DijkstraService().findShortestPath(graph, source, destination, { algorithm, optimize })
+        .then(result => result.totalWeight, error => {
+          if (error instanceof NoPathError) return null;
+          throw error;
+        })));
+
+    const [expected, ...others] = costs;
+    others.forEach((cost, index) => {
+      const message = `${optimize} query ${query}: ${ROUTING_ALGORITHMS[index + 1]} cost ${cost}, dijkstra ${expected}`;
+      if (expected === null) {
+        assert.equal(cost, null, message);
+      } else {
+        assert.ok(cost !== null && Math.abs(cost - expected) <= expected * 1e-9, message);
+      }
+    });
+  }
+};
+
+describe('routing algorithms', () => {
+  before(() => {
+    mock.method(console, 'log', () => {});
+  });
+
+  after(() => {
+    mock.restoreAll();
+  });
+
+  ['preferred', 'fastest'].forEach(optimize => {
+    it(`find the same ${optimize} cost as Dijkstra on random grids`, async () => {
+      for (const seed of [1, 2, 3]) {
+        const next = random(seed);
+        await compareAlgorithms(buildGraph(randomGrid(next)), next, optimize);
+      }
+    });
+
+    it(`find the same ${optimize} cost as Dijkstra with turn restrictions`, async () => {
+      for (const seed of [4, 5]) {
+        const next = random(seed);
+        const ways = randomGrid(next);
+        const graph = buildGraph([...ways, ...randomRestrictions(ways, next)]);
+
+        assert.ok(graph.turnRestrictions.size > 0);
+        await compareAlgorithms(graph, next, optimize);
+      }
+    });
+  });
+});
@@ -0,0 +1,143 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const DijkstraService = require('../src/services/dijkstraService');
+const { snapToRoad, createSnappedGraph } = require('../src/utils/snapping');
+const { NoPathError } = require('../src/utils/errors');
+const { point, way, grid, buildGraph } = require('./helpers/roads');
+
+// A point a few meters north of the road along row 0
+const beside = column => point(0.05, column);
+const close = (actual, expected, message) => assert.ok(Math.abs(actual - expected) < 1e-9, `${message}: ${actual} != ${expected}`);
+
+describe('snapping', () => {
+  beforeEach(() => {
+    mock.method(console, 'log', () => {});
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  describe('snapToRoad', () => {
+    it('projects onto the segment instead of the nearest node', () => {
+      const graph = buildGraph([way(1, [[0, 0], [0, 1]])]);
+      const snap = snapToRoad(graph, beside(0.25));
+
+      close(snap.t, 0.25, 't');
+      close(snap.lat, point(0, 0.25).lat, 'lat');
+      close(snap.lng, point(0, 0.25).lng, 'lng');
+      assert.ok(snap.distance < 0.01);
+      assert.ok(snap.forward && snap.backward);
+    });
+
+    it('gives up on points too far from any road', () => {
+      const graph = buildGraph([way(1, [[0, 0], [0, 1]])]);
+      assert.equal(snapToRoad(graph, point(5, 0.5)), null);
+      assert.ok(snapToRoad(graph, point(5, 0.5), null, 1));
+    });
+
+    it('has no backward edge on a one-way segment', () => {
+      const graph = buildGraph([way(1, [[0, 0], [0, 1]], { highway: 'residential', oneway: 'yes' })]);
+      const snap = snapToRoad(graph, beside(0.5));
+
+      assert.ok(snap.forward);
+      assert.equal(snap.backward, null);
+    });
+
+    it('finds a long segment near its middle without widening other searches', () => {
+      // A 22 km ferry far from the street grid, with no node anywhere near its middle
+      const streets = grid(12);
+      const ferry = way(999, [[-100, 50], [100, 50]], { route: 'ferry' });
+      const graph = buildGraph([...streets, ferry]);
+
+      assert.equal(snapToRoad(graph, point(0.3, 50.1)).forward.roadType, 'ferry');
+
+      const examined = roadGraph => {
+        let count = 0;
+        const snap = snapToRoad(roadGraph, point(5.1, 5.5), () => ++count > 0);
+        assert.equal(snap.forward.roadType, 'residential');
+        return count;
+      };
+      assert.equal(examined(graph), examined(buildGraph(streets)));
+    });
+  });
+
+  describe('createSnappedGraph', () => {
+    it('splits the snapped segment with partial costs', () => {
+      const graph = buildGraph([way(1, [[0, 0], [0, 1]])]);
+      const sourceSnap = snapToRoad(graph, beside(0.25));
+      const destinationSnap = snapToRoad(graph, beside(0.75));
+      const { graph: snapped, sourceNodeId, destinationNodeId } = createSnappedGraph(graph, sourceSnap, destinationSnap);
+      const full = sourceSnap.forward;
+
+      assert.equal(sourceNodeId, 'snap_source');
+      assert.equal(destinationNodeId, 'snap_destination');
+
+      const shares = {
+        snap_source_forward: 1 - sourceSnap.t,
+        snap_source_backward: sourceSnap.t,
+        snap_destination_forward: destinationSnap.t,
+        snap_destination_backward: 1 - destinationSnap.t,
+        snap_direct: destinationSnap.t - sourceSnap.t
+      };
+      Object.entries(shares).forEach(([edgeId, share]) => {
+        const edge = snapped.edges.get(edgeId);
+        close(edge.distance, full.distance * share, `${edgeId} distance`);
+        close(edge.weight, full.weight * share, `${edgeId} weight`);
+        close(edge.travelTime, full.travelTime * share, `${edgeId} travel time`);
+      });
+
+      // The cached graph is not touched
+      assert.equal(graph.edges.has('snap_direct'), false);
+      assert.ok(graph.nodes.get(full.from).edges.every(edgeId => !edgeId.startsWith('snap_')));
+    });
+
+    it('reuses the node when a point snaps onto one', () => {
+      const graph = buildGraph([way(1, [[0, 0], [0, 1]])]);
+      const snap = snapToRoad(graph, point(0.05, 0));
+      const { sourceNodeId, graph: snapped } = createSnappedGraph(graph, snap, null);
+
+      assert.equal(sourceNodeId, snap.from);
+      assert.equal(snapped.edges.has('snap_source_forward'), false);
+    });
+  });
+
+  describe('routing between snapped points', () => {
+    const length = (from, to) => {
+      const graph = buildGraph([way(1, [[0, 0], [0, 1]])]);
+      return [...graph.edges.values()][0].distance * Math.abs(to - from);
+    };
+
+    it('drives straight along a shared segment in either direction', async () => {
+      const graph = buildGraph([way(1, [[0, 0], [0, 1]])]);
+
+      for (const [from, to] of [[0.2, 0.7], [0.7, 0.2]]) {
+        const result = await new DijkstraService().findShortestPath(graph, beside(from), beside(to));
+        assert.equal(result.path.length, 2);
+        close(result.distance, length(from, to), `${from} -> ${to}`);
+      }
+    });
+
+    it('does not drive backwards along a one-way segment', async () => {
+      const oneway = way(1, [[0, 0], [0, 1]], { highway: 'residential', oneway: 'yes' });
+      const loop = way(2, [[0, 1], [1, 1], [1, 0], [0, 0]]);
+
+      await assert.rejects(
+        new DijkstraService().findShortestPath(buildGraph([oneway]), beside(0.7), beside(0.2)),
+        NoPathError);
+
+      const result = await new DijkstraService().findShortestPath(buildGraph([oneway, loop]), beside(0.7), beside(0.2));
+      assert.ok(result.distance > length(0, 1) * 2);
+      assert.ok(result.path.some(({ lat, lng }) => lat === point(1, 1).lat && lng === point(1, 1).lng));
+    });
+
+    it('uses the share of the segment up to each snapped point', async () => {
+      // Along row 0 from a quarter into the first block to half-way through the second
+      const graph = buildGraph([way(1, [[0, 0], [0, 1], [0, 2]])]);
+      const result = await new DijkstraService().findShortestPath(graph, beside(0.25), beside(1.5));
+
+      close(result.distance, length(0.25, 1.5), 'distance');
+      assert.equal(result.path.length, 3);
+    });
+  });
+});
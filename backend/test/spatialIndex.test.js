@@ -0,0 +1,122 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const SpatialIndex = require('../src/utils/spatialIndex');
+const DijkstraService = require('../src/services/dijkstraService');
+const { calculateDistance } = require('../src/utils/distance');
+const { point, way, buildGraph, random } = require('./helpers/roads');
+
+// Random points around Berlin, spread over many cells
+const randomPoints = (next, count) => Array.from({ length: count }, (_, index) => ({
+  id: `p${index}`,
+  lat: 52.5 + (next() - 0.5) * 0.1,
+  lng: 13.4 + (next() - 0.5) * 0.1
+}));
+
+// The nearest point found by checking all of them
+const bruteForceNearest = (points, lat, lng, filter = () => true) => points
+  .filter(({ id }) => filter(id))
+  .map(({ id, lat: pointLat, lng: pointLng }) => ({ id, distance: calculateDistance(lat, lng, pointLat, pointLng) }))
+  .reduce((best, candidate) => (!best || candidate.distance < best.distance ? candidate : best), null);
+
+const indexOf = points => {
+  const index = new SpatialIndex();
+  points.forEach(({ id, lat, lng }) => index.insert(id, lat, lng));
+  return index;
+};
+
+describe('SpatialIndex', () => {
+  it('finds nothing in an empty index', () => {
+    const index = new SpatialIndex();
+    assert.equal(index.nearest(52.5, 13.4), null);
+    assert.deepEqual(index.queryRadius(52.5, 13.4, 1), []);
+  });
+
+  it('finds the same nearest point as a full scan', () => {
+    const next = random(3);
+    const points = randomPoints(next, 300);
+    const index = indexOf(points);
+    const even = id => Number(id.slice(1)) % 2 === 0;
+
+    for (let query = 0; query < 200; query++) {
+      // Some queries fall well outside the indexed area
+      const lat = 52.5 + (next() - 0.5) * 0.3;
+      const lng = 13.4 + (next() - 0.5) * 0.3;
+
+      assert.deepEqual(index.nearest(lat, lng), bruteForceNearest(points, lat, lng));
+      assert.deepEqual(index.nearest(lat, lng, even), bruteForceNearest(points, lat, lng, even));
+    }
+  });
+
+  it('finds every point within a radius', () => {
+    const next = random(4);
+    const points = randomPoints(next, 300);
+    const index = indexOf(points);
+
+    for (let query = 0; query < 50; query++) {
+      const lat = 52.5 + (next() - 0.5) * 0.1;
+      const lng = 13.4 + (next() - 0.5) * 0.1;
+      const radius = next() * 2;
+
+      const expected = points
+        .filter(({ lat: pointLat, lng: pointLng }) => calculateDistance(lat, lng, pointLat, pointLng) <= radius)
+        .map(({ id }) => id)
+        .sort();
+      assert.deepEqual(index.queryRadius(lat, lng, radius).map(({ id }) => id).sort(), expected);
+    }
+  });
+
+  it('follows moved and removed points', () => {
+    const index = new SpatialIndex();
+    index.insert('a', 52.5, 13.4);
+    index.insert('b', 52.6, 13.5);
+
+    index.update('b', 52.5001, 13.4001);
+    assert.equal(index.size, 2);
+    assert.equal(index.nearest(52.5002, 13.4002).id, 'b');
+    assert.deepEqual(index.queryRadius(52.6, 13.5, 1), []);
+
+    assert.equal(index.remove('b'), true);
+    assert.equal(index.remove('b'), false);
+    assert.equal(index.nearest(52.5002, 13.4002).id, 'a');
+    assert.equal(index.cells.size, 1);
+  });
+
+  describe('merging intersections', () => {
+    beforeEach(() => {
+      mock.method(console, 'log', () => {});
+    });
+
+    afterEach(() => {
+      mock.restoreAll();
+    });
+
+    // Two roads whose ends meet at (0,1) without sharing an OSM node; the second starts `offset` blocks east
+    const roads = offset => [
+      way(1, [[0, 0], [0, 1]]),
+      { ...way(2, [[0, 1 + offset], [0, 2]]), nodes: [9001, 9002] }
+    ];
+
+    it('reuses a node within the intersection tolerance', () => {
+      const graph = buildGraph(roads(0.007)); // ~0.5 m
+      assert.equal(graph.nodes.size, 3);
+    });
+
+    it('merges nearby nodes into one at their average position', async () => {
+      const graph = buildGraph(roads(0.022)); // ~1.5 m
+      const merged = point(0, 1.011);
+
+      assert.equal(graph.nodes.size, 3);
+      assert.ok([...graph.nodes.values()].some(({ lat, lng }) =>
+        Math.abs(lat - merged.lat) < 1e-12 && Math.abs(lng - merged.lng) < 1e-12));
+      assert.equal(graph.spatialIndex.size, 3);
+
+      const result = await new DijkstraService().findShortestPath(graph, point(0, 0), point(0, 2));
+      assert.equal(result.path.length, 3);
+    });
+
+    it('keeps nodes apart beyond the merge tolerance', () => {
+      const graph = buildGraph(roads(0.1)); // ~7 m
+      assert.equal(graph.nodes.size, 4);
+    });
+  });
+});
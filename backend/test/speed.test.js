@@ -0,0 +1,103 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseMaxspeed, calculateWaySpeed } = require('../src/utils/speed');
+const { TRAVEL_PROFILES, MAXSPEED_FACTOR } = require('../src/utils/constants');
+const DijkstraService = require('../src/services/dijkstraService');
+const { point, way, buildGraph } = require('./helpers/roads');
+
+const close = (actual, expected, message) => assert.ok(Math.abs(actual - expected) < 1e-9, `${message}: ${actual} != ${expected}`);
+const speedOf = (tags, profile = 'driving') =>
+  calculateWaySpeed(tags, tags.highway, TRAVEL_PROFILES[profile]).speed;
+
+describe('speed', () => {
+  describe('parseMaxspeed', () => {
+    [
+      ['50', 50],
+      ['50 km/h', 50],
+      ['30 mph', 30 * 1.609344],
+      ['30mph', 30 * 1.609344],
+      ['10 knots', 18.52],
+      ['50;30', 30],
+      ['none;40', 40],
+      ['walk', 6],
+      ['DE:zone30', 30],
+      ['DE:zone:30', 30],
+      ['DE:rural', 100],
+      ['AT:rural', 90],
+      ['DE:urban', 50],
+      ['GB:nsl_single', 96.6]
+    ].forEach(([value, expected]) => {
+      it(`reads "${value}"`, () => {
+        close(parseMaxspeed(value), expected, value);
+      });
+    });
+
+    it('has no limit for unknown, unlimited and missing values', () => {
+      [undefined, null, '', 'none', 'signals', 'variable', 'fast', 'XX:unknown'].forEach(value => {
+        assert.equal(parseMaxspeed(value), null, String(value));
+      });
+    });
+  });
+
+  describe('calculateWaySpeed', () => {
+    it('uses the average speed of the road type without tags', () => {
+      assert.equal(speedOf({ highway: 'primary' }), 60);
+      assert.equal(speedOf({ highway: 'bridleway' }), 40);
+    });
+
+    it('drives a share of the posted limit', () => {
+      const { speed, maxspeed } = calculateWaySpeed({ highway: 'residential', maxspeed: '50' }, 'residential', TRAVEL_PROFILES.driving);
+
+      assert.equal(maxspeed, 50);
+      close(speed, 50 * MAXSPEED_FACTOR, 'speed');
+      close(speedOf({ highway: 'residential', maxspeed: 'DE:zone30' }), 30 * MAXSPEED_FACTOR, 'zone');
+      close(speedOf({ highway: 'residential', 'maxspeed:type': 'DE:urban' }), 50 * MAXSPEED_FACTOR, 'maxspeed:type');
+    });
+
+    it('slows down on rough surfaces and narrow roads, speeds up on wide ones', () => {
+      close(speedOf({ highway: 'residential', surface: 'gravel' }), 30 * 0.6, 'gravel');
+      close(speedOf({ highway: 'residential', smoothness: 'bad' }), 30 * 0.7, 'smoothness');
+      close(speedOf({ highway: 'residential', lanes: '1' }), 30 * 0.85, 'single lane');
+      close(speedOf({ highway: 'residential', lanes: '1', oneway: 'yes' }), 30, 'single lane one-way');
+      close(speedOf({ highway: 'primary', lanes: '4' }), 60 * 1.1, 'four lanes');
+      assert.equal(speedOf({ highway: 'residential', smoothness: 'impassable' }), 0);
+    });
+
+    it('only reads the tags the profile cares about', () => {
+      assert.equal(speedOf({ highway: 'residential', maxspeed: '10', lanes: '1' }, 'cycling'), 16);
+      close(speedOf({ highway: 'residential', surface: 'sand' }, 'cycling'), 16 * 0.3, 'sand');
+      assert.equal(speedOf({ highway: 'residential', surface: 'sand', maxspeed: '10' }, 'walking'), 5);
+    });
+  });
+
+  describe('routing', () => {
+    beforeEach(() => {
+      mock.method(console, 'log', () => {});
+    });
+
+    afterEach(() => {
+      mock.restoreAll();
+    });
+
+    // A short slow road and a longer fast one between the same corners
+    const elements = [
+      way(1, [[0, 0], [0, 2]], { highway: 'residential', name: 'Short Lane', maxspeed: '20' }),
+      way(2, [[0, 0], [1, 0], [1, 2], [0, 2]], { highway: 'residential', name: 'Long Avenue', maxspeed: '70' })
+    ];
+    const roadNames = result => result.segments.map(segment => segment.roadName);
+
+    it('takes the faster road when optimizing for time', async () => {
+      const graph = buildGraph(elements);
+      const service = new DijkstraService();
+
+      assert.deepEqual(roadNames(await service.findShortestPath(graph, point(0, 0), point(0, 2))), ['Short Lane']);
+      assert.deepEqual(roadNames(await service.findShortestPath(graph, point(0, 0), point(0, 2), { optimize: 'fastest' })), ['Long Avenue']);
+      assert.equal(graph.stats.waysWithMaxspeed, 2);
+    });
+
+    it('leaves out impassable roads', () => {
+      const graph = buildGraph([way(1, [[0, 0], [0, 1]], { highway: 'residential', smoothness: 'impassable' })]);
+      assert.equal(graph.edges.size, 0);
+    });
+  });
+});
@@ -0,0 +1,103 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { optimizeStopOrder, getTourCost } = require('../src/utils/stopOrder');
+
+// Cost matrix between points on a line: the distance between positions
+const lineCosts = positions => positions.map(a => positions.map(b => Math.abs(a - b)));
+
+// Small deterministic pseudo-random generator (mulberry32)
+const random = seed => () => {
+  seed = (seed + 0x6D2B79F5) | 0;
+  let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+  t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+  return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+};
+
+const permutations = items => items.length <= 1
+  ? [items]
+  : items.flatMap((item, index) =>
+    permutations([...items.slice(0, index), ...items.slice(index + 1)]).map(rest => [item, ...rest]));
+
+// Cost of the best order found by trying every permutation of the stops
+const bruteForceCost = (costs, stopCount, hasEnd) => {
+  const stops = Array.from({ length: stopCount }, (_, index) => index + 1);
+  const end = hasEnd ? [costs.length - 1] : [];
+  return Math.min(...permutations(stops).map(order => getTourCost(costs, [0, ...order, ...end])));
+};
+
+const tourOf = (order, costs, hasEnd) => [0, ...order.map(index => index + 1), ...(hasEnd ? [costs.length - 1] : [])];
+
+describe('stopOrder', () => {
+  describe('getTourCost', () => {
+    it('adds up the legs', () => {
+      assert.equal(getTourCost(lineCosts([0, 5, 2]), [0, 1, 2]), 8);
+    });
+
+    it('is infinite when a leg has no route', () => {
+      assert.equal(getTourCost([[0, null], [1, 0]], [0, 1]), Infinity);
+    });
+  });
+
+  describe('optimizeStopOrder', () => {
+    it('visits stops along a line in order', () => {
+      const costs = lineCosts([0, 4, 1, 3, 2]);
+      assert.deepEqual(optimizeStopOrder(costs), [1, 3, 2, 0]);
+    });
+
+    it('finishes next to a fixed end', () => {
+      // Start in the middle; the end is on the right, so the left stops come first
+      const costs = lineCosts([5, 8, 2, 1, 9, 10]);
+      assert.deepEqual(optimizeStopOrder(costs, { hasEnd: true }), [2, 1, 0, 3]);
+    });
+
+    it('keeps the first and last stop in place when asked to', () => {
+      const costs = lineCosts([0, 4, 1, 3, 2]);
+
+      assert.equal(optimizeStopOrder(costs, { fixFirst: true })[0], 0);
+      assert.equal(optimizeStopOrder(costs, { fixLast: true }).at(-1), 3);
+
+      const both = optimizeStopOrder(costs, { fixFirst: true, fixLast: true });
+      assert.equal(both[0], 0);
+      assert.equal(both.at(-1), 3);
+      assert.deepEqual([...both].sort(), [0, 1, 2, 3]);
+    });
+
+    it('respects one-way costs', () => {
+      // 0 -> 2 -> 1 is cheap, 0 -> 1 -> 2 is not
+      const costs = [
+        [0, 1, 1],
+        [9, 0, 9],
+        [9, 1, 0]
+      ];
+      assert.deepEqual(optimizeStopOrder(costs), [1, 0]);
+    });
+
+    it('avoids legs without a route', () => {
+      const costs = [
+        [0, 1, 5],
+        [1, 0, null],
+        [5, 2, 0]
+      ];
+      const order = optimizeStopOrder(costs);
+      assert.ok(Number.isFinite(getTourCost(costs, tourOf(order, costs, false))));
+    });
+
+    it('matches the best order on small random instances', () => {
+      const next = random(42);
+
+      for (let run = 0; run < 30; run++) {
+        const hasEnd = run % 2 === 1;
+        const stopCount = 3 + (run % 4);
+        const points = Array.from({ length: stopCount + 1 + (hasEnd ? 1 : 0) }, () => [next() * 10, next() * 10]);
+        const costs = points.map(([x1, y1]) => points.map(([x2, y2]) => Math.hypot(x2 - x1, y2 - y1)));
+
+        const order = optimizeStopOrder(costs, { hasEnd });
+        assert.deepEqual([...order].sort(), Array.from({ length: stopCount }, (_, index) => index));
+
+        const cost = getTourCost(costs, tourOf(order, costs, hasEnd));
+        assert.ok(cost <= bruteForceCost(costs, stopCount, hasEnd) * 1.05 + 1e-9,
+          `run ${run}: ${cost} is more than 5% above the optimum`);
+      }
+    });
+  });
+});
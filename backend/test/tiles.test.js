@@ -0,0 +1,171 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  getRouteTiles,
+  getAreaTiles,
+  getRadiusPadding,
+  getTileKey,
+  getTileBounds,
+  getTilesBounds,
+  groupTiles,
+  splitByTile,
+  stitchTiles
+} = require('../src/utils/tiles');
+
+const way = (id, points) => ({ type: 'way', id, geometry: points.map(([lat, lon]) => ({ lat, lon })) });
+
+describe('tiles', () => {
+  describe('getTileKey / getTileBounds', () => {
+    it('maps a point to the tile containing it', () => {
+      assert.equal(getTileKey(52.52, 13.405), '268:1050');
+      assert.equal(getTileKey(-33.87, -151.21), '-3025:-678');
+    });
+
+    it('returns rounded tile bounds', () => {
+      assert.deepEqual(getTileBounds('268:1050'), { south: 52.5, west: 13.4, north: 52.55, east: 13.45 });
+      assert.deepEqual(getTileBounds('7:7'), { south: 0.35, west: 0.35, north: 0.4, east: 0.4 });
+    });
+
+    it('round-trips a point through its tile', () => {
+      const bounds = getTileBounds(getTileKey(48.1372, 11.5756));
+      assert.ok(bounds.south <= 48.1372 && 48.1372 < bounds.north);
+      assert.ok(bounds.west <= 11.5756 && 11.5756 < bounds.east);
+    });
+  });
+
+  describe('getTilesBounds', () => {
+    it('spans every tile', () => {
+      assert.deepEqual(getTilesBounds(['268:1050', '270:1049']), { south: 52.45, west: 13.4, north: 52.55, east: 13.55 });
+    });
+  });
+
+  describe('getAreaTiles', () => {
+    it('covers the padded bounding box', () => {
+      const points = [{ lat: 52.51, lng: 13.41 }, { lat: 52.54, lng: 13.44 }];
+
+      assert.deepEqual(getAreaTiles(points, 0.005), ['268:1050']);
+      assert.deepEqual(getAreaTiles(points, 0.02), [
+        '267:1049', '267:1050', '267:1051',
+        '268:1049', '268:1050', '268:1051',
+        '269:1049', '269:1050', '269:1051'
+      ]);
+    });
+  });
+
+  describe('getRouteTiles', () => {
+    it('returns the single tile around one point', () => {
+      assert.deepEqual(getRouteTiles([{ lat: 52.525, lng: 13.425 }], 0.01), ['268:1050']);
+    });
+
+    it('follows the line between stops instead of the whole rectangle', () => {
+      const points = [{ lat: 52.0, lng: 13.0 }, { lat: 52.5, lng: 13.5 }];
+      const route = getRouteTiles(points, 0.01);
+      const area = getAreaTiles(points, 0.01);
+
+      assert.ok(route.length < area.length / 2);
+      assert.ok(route.every(tile => area.includes(tile)));
+      assert.ok(route.includes(getTileKey(52.25, 13.25)));
+      assert.ok(!route.includes(getTileKey(52.45, 13.05)));
+    });
+
+    it('adds the tiles within the padding of the line', () => {
+      const points = [{ lat: 52.52, lng: 13.3 }, { lat: 52.52, lng: 13.6 }];
+      const narrow = getRouteTiles(points, 0.01);
+      const wide = getRouteTiles(points, 0.03);
+
+      assert.ok(narrow.every(tile => tile.endsWith(':1050')));
+      assert.ok(wide.some(tile => tile.endsWith(':1049')));
+      assert.ok(wide.some(tile => tile.endsWith(':1051')));
+    });
+  });
+
+  describe('getRadiusPadding', () => {
+    it('uses the same padding in both directions at the equator', () => {
+      const padding = getRadiusPadding(0, 11.1);
+      assert.ok(Math.abs(padding.lat - 0.1) < 1e-9);
+      assert.ok(Math.abs(padding.lng - 0.1) < 1e-9);
+    });
+
+    it('widens the longitude padding away from the equator', () => {
+      const padding = getRadiusPadding(60, 11.1);
+      assert.ok(Math.abs(padding.lat - 0.1) < 1e-9);
+      assert.ok(Math.abs(padding.lng - 0.2) < 1e-9);
+    });
+
+    it('stays finite at the poles', () => {
+      assert.ok(Number.isFinite(getRadiusPadding(90, 10).lng));
+    });
+
+    it('makes route tiles reach the radius in every direction', () => {
+      const origin = { lat: 50.02, lng: 8.02 };
+      const bounds = getTilesBounds(getRouteTiles([origin], getRadiusPadding(origin.lat, 20)));
+      const kmPerLng = 111 * Math.cos(origin.lat * Math.PI / 180);
+
+      assert.ok((bounds.north - origin.lat) * 111 >= 20);
+      assert.ok((origin.lat - bounds.south) * 111 >= 20);
+      assert.ok((bounds.east - origin.lng) * kmPerLng >= 20);
+      assert.ok((origin.lng - bounds.west) * kmPerLng >= 20);
+    });
+  });
+
+  describe('groupTiles', () => {
+    it('merges tiles within one aligned block into a rectangle', () => {
+      assert.deepEqual(groupTiles(['0:0', '1:1'], 4), [['0:0', '0:1', '1:0', '1:1']]);
+    });
+
+    it('splits tiles of different blocks into separate groups', () => {
+      const groups = groupTiles(['3:0', '4:0', '-1:0'], 4);
+      assert.deepEqual(groups, [['3:0'], ['4:0'], ['-1:0']]);
+    });
+
+    it('never makes a group larger than the block', () => {
+      const tiles = getAreaTiles([{ lat: 52.0, lng: 13.0 }, { lat: 52.6, lng: 13.6 }], 0);
+      const groups = groupTiles(tiles, 4);
+
+      assert.ok(groups.every(group => group.length <= 16));
+      assert.deepEqual([...new Set(groups.flat())].sort(), tiles);
+    });
+  });
+
+  describe('splitByTile', () => {
+    it('puts a way into every tile it passes through', () => {
+      const crossing = way(1, [[52.51, 13.41], [52.51, 13.46]]);
+      const inside = way(2, [[52.52, 13.46], [52.53, 13.47]]);
+      const byTile = splitByTile([crossing, inside], ['268:1050', '269:1050', '268:1051']);
+
+      assert.deepEqual(byTile.get('268:1050').map(element => element.id), [1]);
+      assert.deepEqual(byTile.get('269:1050').map(element => element.id), [1, 2]);
+      assert.deepEqual(byTile.get('268:1051'), []);
+    });
+
+    it('keeps ways on a tile border in both tiles', () => {
+      const border = way(1, [[52.55, 13.41], [52.55, 13.44]]);
+      const byTile = splitByTile([border], ['268:1050', '268:1051']);
+
+      assert.equal(byTile.get('268:1050').length, 1);
+      assert.equal(byTile.get('268:1051').length, 1);
+    });
+
+    it('places restrictions with the tiles of their ways', () => {
+      const restriction = {
+        type: 'relation',
+        id: 9,
+        members: [{ type: 'way', ref: 2, role: 'from' }, { type: 'node', ref: 5, role: 'via' }]
+      };
+      const byTile = splitByTile([way(2, [[52.52, 13.46], [52.53, 13.47]]), restriction], ['268:1050', '269:1050']);
+
+      assert.deepEqual(byTile.get('268:1050'), []);
+      assert.deepEqual(byTile.get('269:1050').map(element => element.id), [2, 9]);
+    });
+  });
+
+  describe('stitchTiles', () => {
+    it('keeps each way and relation once', () => {
+      const shared = way(1, [[0, 0], [0, 1]]);
+      const relation = { type: 'relation', id: 1, members: [] };
+      const elements = stitchTiles([[shared, relation], [shared, way(2, [])], [relation]]);
+
+      assert.deepEqual(elements.map(element => `${element.type}/${element.id}`), ['way/1', 'relation/1', 'way/2']);
+    });
+  });
+});
@@ -0,0 +1,104 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const DijkstraService = require('../src/services/dijkstraService');
+const { ROUTING_ALGORITHMS } = require('../src/utils/constants');
+const { calculateDistance } = require('../src/utils/distance');
+const { point, way, restriction, buildGraph } = require('./helpers/roads');
+
+// North Street runs up column 1 from the start, Cross Street leaves it
+// westwards at row 1; Top Street and West Street form the only way around
+// that corner.
+//
+//   (2,0) -- Top ---- (2,1)
+//     |                 |
+//   West              North
+//     |                 |
+//   (1,0) -- Cross -- (1,1)
+//                       |
+//                     North
+//                       |
+//                     (0,1) start
+const NORTH = 1;
+const CROSS = 2;
+const STREETS = [
+  way(NORTH, [[0, 1], [1, 1], [2, 1]], { highway: 'residential', name: 'North Street' }),
+  way(CROSS, [[1, 0], [1, 1]], { highway: 'residential', name: 'Cross Street' }),
+  way(3, [[2, 0], [2, 1]], { highway: 'residential', name: 'Top Street' }),
+  way(4, [[1, 0], [2, 0]], { highway: 'residential', name: 'West Street' })
+];
+const LEFT_TURN = [[0, 1], [1, 1], [1, 0]];
+const AROUND_THE_BLOCK = [[0, 1], [1, 1], [2, 1], [2, 0], [1, 0]];
+
+const route = (elements, destination, options = {}) =>
+  new DijkstraService().findShortestPath(buildGraph(elements, options.profile), point(0, 1), destination, options);
+
+// Check a route against the intersections it should pass, in order
+const assertFollows = (result, cells, message) => {
+  const corners = cells.map(([row, column]) => point(row, column));
+  const length = corners.slice(1).reduce((total, corner, index) =>
+    total + calculateDistance(corners[index].lat, corners[index].lng, corner.lat, corner.lng), 0);
+
+  assert.deepEqual(result.path, corners, message);
+  assert.ok(Math.abs(result.distance - length) < 1e-9, message);
+};
+
+describe('turn restrictions', () => {
+  beforeEach(() => {
+    mock.method(console, 'log', () => {});
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('turns left without a restriction', async () => {
+    assertFollows(await route(STREETS, point(1, 0)), LEFT_TURN);
+  });
+
+  it('detours around a no_left_turn with every algorithm', async () => {
+    const elements = [...STREETS, restriction(10, 'no_left_turn', NORTH, [1, 1], CROSS)];
+    const results = await Promise.all(ROUTING_ALGORITHMS.map(algorithm =>
+      route(elements, point(1, 0), { algorithm })));
+
+    results.forEach(result => assertFollows(result, AROUND_THE_BLOCK, result.algorithm));
+    results.forEach(result => assert.ok(Math.abs(result.totalWeight - results[0].totalWeight) < 1e-9));
+  });
+
+  it('only allows the named turn for an only_* restriction', async () => {
+    const elements = [...STREETS, restriction(10, 'only_left_turn', NORTH, [1, 1], CROSS)];
+
+    // Straight on is forbidden, so the way north goes around the block
+    for (const algorithm of ROUTING_ALGORITHMS) {
+      assertFollows(await route(elements, point(2, 1), { algorithm }), [...LEFT_TURN, [2, 0], [2, 1]], algorithm);
+    }
+    assertFollows(await route(elements, point(1, 0)), LEFT_TURN);
+  });
+
+  it('applies only_straight_on like a ban on every other turn', async () => {
+    const elements = [...STREETS, restriction(10, 'only_straight_on', NORTH, [1, 1], NORTH)];
+    assertFollows(await route(elements, point(1, 0), { algorithm: 'bidirectional-astar' }), AROUND_THE_BLOCK);
+  });
+
+  it('ignores restrictions whose ways are not in the extract', async () => {
+    const elements = [
+      ...STREETS,
+      restriction(10, 'no_left_turn', 99, [1, 1], CROSS),
+      restriction(11, 'no_left_turn', NORTH, [1, 1], 98),
+      restriction(12, 'no_left_turn', NORTH, [7, 7], CROSS)
+    ];
+    const graph = buildGraph(elements);
+
+    assert.equal(graph.stats.turnRestrictions, 2); // the one with a missing via node is dropped
+    for (const algorithm of ROUTING_ALGORITHMS) {
+      assertFollows(await route(elements, point(1, 0), { algorithm }), LEFT_TURN, algorithm);
+    }
+  });
+
+  it('skips restrictions that do not apply to the profile', async () => {
+    const exempt = restriction(10, 'no_left_turn', NORTH, [1, 1], CROSS, { except: 'motorcar' });
+    const forCars = restriction(11, 'no_left_turn', NORTH, [1, 1], CROSS);
+
+    assertFollows(await route([...STREETS, exempt], point(1, 0)), LEFT_TURN);
+    assertFollows(await route([...STREETS, forCars], point(1, 0), { profile: 'walking' }), LEFT_TURN);
+  });
+});
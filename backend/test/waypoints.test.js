@@ -0,0 +1,80 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const DijkstraService = require('../src/services/dijkstraService');
+const routeController = require('../src/controllers/routeController');
+const { MAX_WAYPOINTS } = require('../src/utils/constants');
+const { point, grid, buildGraph } = require('./helpers/roads');
+
+const SOURCE = point(0, 0);
+const STOPS = [point(3, 0.5), point(3, 3)];
+const DESTINATION = point(0, 3);
+
+describe('waypoints', () => {
+  describe('findMultiStopPath', () => {
+    beforeEach(() => {
+      mock.method(console, 'log', () => {});
+    });
+
+    afterEach(() => {
+      mock.restoreAll();
+    });
+
+    it('joins the legs into one route through every stop', async () => {
+      const graph = buildGraph(grid(4));
+      const service = new DijkstraService();
+      const points = [SOURCE, ...STOPS, DESTINATION];
+
+      const legs = [];
+      for (let i = 0; i < points.length - 1; i++) {
+        legs.push(await service.findShortestPath(graph, points[i], points[i + 1]));
+      }
+      const result = await service.findMultiStopPath(graph, points);
+
+      // Each joining point appears once
+      assert.equal(result.path.length, legs.reduce((sum, leg) => sum + leg.path.length, 0) - (legs.length - 1));
+      assert.equal(result.legs.length, 3);
+      result.legs.forEach((leg, index) => {
+        assert.deepEqual(result.path.slice(leg.pathRange[0], leg.pathRange[1] + 1), legs[index].path);
+      });
+      assert.ok(Math.abs(result.distance - legs.reduce((sum, leg) => sum + leg.distance, 0)) < 1e-9);
+      assert.equal(result.totalWeight, legs.reduce((sum, leg) => sum + leg.totalWeight, 0));
+      assert.deepEqual(result.snappedPoints.map(({ lat, lng }) => ({ lat, lng })), points);
+    });
+
+    it('marks intermediate arrivals as stops and keeps step ranges on the combined path', async () => {
+      const result = await new DijkstraService().findMultiStopPath(buildGraph(grid(4)), [SOURCE, ...STOPS, DESTINATION]);
+      const types = result.instructions.map(step => step.type);
+
+      assert.deepEqual(types.filter(type => type === 'waypoint' || type === 'arrive'), ['waypoint', 'waypoint', 'arrive']);
+      assert.deepEqual(result.instructions.filter(step => step.type === 'waypoint').map(step => step.instruction),
+        ['Arrive at stop 1', 'Arrive at stop 2']);
+
+      result.instructions.filter(step => step.type === 'waypoint').forEach((step, index) => {
+        assert.deepEqual(result.path[step.pathRange[0]], STOPS[index]);
+      });
+      assert.deepEqual(result.instructions.at(-1).pathRange, [result.path.length - 1, result.path.length - 1]);
+    });
+  });
+
+  describe('validateRouteRequest', () => {
+    const validate = body => routeController.validateRouteRequest({ source: SOURCE, destination: DESTINATION, ...body });
+
+    it('accepts stops and round trips through them', () => {
+      assert.deepEqual(validate({ waypoints: STOPS }).options.waypoints, STOPS);
+      assert.ok(validate({ destination: SOURCE, waypoints: STOPS }).options);
+      assert.match(validate({ destination: SOURCE }).error, /Invalid coordinates/);
+    });
+
+    it('rejects malformed or too many stops', () => {
+      [
+        { waypoints: point(1, 1) },
+        { waypoints: [{ lat: 1 }] },
+        { waypoints: Array(MAX_WAYPOINTS + 1).fill(point(1, 1)) }
+      ].forEach(body => assert.match(validate(body).error, /Invalid waypoints/));
+    });
+
+    it('does not combine stops with alternatives', () => {
+      assert.match(validate({ waypoints: STOPS, alternatives: 1 }).error, /only available for routes without waypoints/);
+    });
+  });
+});
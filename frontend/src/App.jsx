@@ -1,21 +1,152 @@
 import React, { useState } from 'react';
 import MapComponent from './MapComponent.jsx';
+import InstructionsPanel from './InstructionsPanel.jsx';
+import StopList from './StopList.jsx';
+import PlaceSearch from './PlaceSearch.jsx';
+import { getErrorMessage } from './apiErrors.js';
 import axios from 'axios';
 import './App.css';
 
+const TRAVEL_PROFILES = [
+  { value: 'driving', label: '🚗 Driving' },
+  { value: 'cycling', label: '🚲 Cycling' },
+  { value: 'walking', label: '🚶 Walking' }
+];
+
+const AVOID_OPTIONS = [
+  { value: 'motorways', label: 'Motorways' },
+  { value: 'tolls', label: 'Tolls' },
+  { value: 'unpaved', label: 'Unpaved' },
+  { value: 'ferries', label: 'Ferries' }
+];
+
+const EXPORT_FORMATS = [
+  { value: 'gpx', label: 'GPX' },
+  { value: 'kml', label: 'KML' },
+  { value: 'geojson', label: 'GeoJSON' },
+  { value: 'polyline', label: 'Encoded polyline' }
+];
+
+// Travel times (minutes) shown as reachable-area bands
+const ISOCHRONE_MINUTES = [5, 10, 15];
+
+// Key of a point in the street name lookup
+function getPointKey(point) {
+  return `${point.lat},${point.lng}`;
+}
+
+// Turn the checked boxes into the API's avoid object
+function buildAvoidOptions(selected) {
+  if (selected.length === 0) {
+    return undefined;
+  }
+
+  return {
+    roadTypes: selected.includes('motorways') ? ['motorway', 'motorway_link'] : [],
+    tolls: selected.includes('tolls'),
+    unpaved: selected.includes('unpaved'),
+    ferries: selected.includes('ferries')
+  };
+}
+
 function App() {
   const[sourcePoint, setSourcePoint] = useState(null);
   const[destinationPoint, setDestinationPoint] = useState(null);
+  const [waypoints, setWaypoints] = useState([]);
  
-  const [routePath, setRoutePath] = useState([]);
+  const [profile, setProfile] = useState('driving');
+  const [optimize, setOptimize] = useState('preferred');
+  const [showAlternatives, setShowAlternatives] = useState(false);
+  const [avoid, setAvoid] = useState([]);
+  // routes[0] is the best route, the rest are alternatives
+  const [routes, setRoutes] = useState([]);
+  const [selectedRoute, setSelectedRoute] = useState(0);
   const [isLoading, setIsLoading] = useState(false);
+  const [exportFormat, setExportFormat] = useState('gpx');
+  const [isExporting, setIsExporting] = useState(false);
+  // GeoJSON features from the isochrone API, smallest band first
+  const [isochrones, setIsochrones] = useState([]);
+  const [isLoadingArea, setIsLoadingArea] = useState(false);
+
+  // Last point picked by search, so the map can move there
+  const [focusPoint, setFocusPoint] = useState(null);
+  // Nearest street of each picked point (point key -> name, null if none is close)
+  const [streetNames, setStreetNames] = useState({});
+
+  const activeRoute = routes[selectedRoute] || null;
+
+  const clearRoute = () => {
+    setRoutes([]);
+    setSelectedRoute(0);
+  };
+
+  const lookupStreetName = async (point) => {
+    const key = getPointKey(point);
+    if (key in streetNames) {
+      return;
+    }
+
+    try {
+      const response = await axios.get('https://lostorfound.onrender.com/api/reverse', {
+        params: { lat: point.lat, lng: point.lng }
+      });
+      setStreetNames(names => ({ ...names, [key]: response.data.road.name }));
+    } catch (error) {
+      // No named road nearby (404) or the lookup failed: show the point without a street
+      console.error('Error looking up street name:', error);
+      setStreetNames(names => ({ ...names, [key]: null }));
+    }
+  };
+
+  const describePoint = (point) => {
+    if (!point) {
+      return 'Not selected';
+    }
+
+    const streetName = streetNames[getPointKey(point)];
+    const coordinates = `${point.lat.toFixed(4)}, ${point.lng.toFixed(4)}`;
+    return streetName ? `Near ${streetName} (${coordinates})` : coordinates;
+  };
 
+  // First click sets the source, second the destination, later clicks add stops
   const handleMapClick = (latlng) => {
     if (!sourcePoint) {
       setSourcePoint(latlng);
     } else if (!destinationPoint) {
       setDestinationPoint(latlng);
+    } else {
+      setWaypoints([...waypoints, latlng]);
+      clearRoute();
     }
+    lookupStreetName(latlng);
+  };
+
+  const selectSource = (point) => {
+    setSourcePoint(point);
+    setFocusPoint(point);
+    setIsochrones([]);
+    clearRoute();
+    lookupStreetName(point);
+  };
+
+  const selectDestination = (point) => {
+    setDestinationPoint(point);
+    setFocusPoint(point);
+    clearRoute();
+    lookupStreetName(point);
+  };
+
+  const moveWaypoint = (index, offset) => {
+    const reordered = [...waypoints];
+    const [stop] = reordered.splice(index, 1);
+    reordered.splice(index + offset, 0, stop);
+    setWaypoints(reordered);
+    clearRoute();
+  };
+
+  const removeWaypoint = (index) => {
+    setWaypoints(waypoints.filter((_, i) => i !== index));
+    clearRoute();
   };
 
   const calculateRoute = async () => {
@@ -29,22 +160,125 @@ function App() {
     try {
       const response = await axios.post('https://lostorfound.onrender.com/api/route', {
         source: sourcePoint,
-        destination: destinationPoint
+        destination: destinationPoint,
+        waypoints: waypoints,
+        profile: profile,
+        optimize: optimize,
+        // Alternatives are only offered for direct routes
+        alternatives: showAlternatives && waypoints.length === 0 ? 2 : 0,
+        avoid: buildAvoidOptions(avoid)
       });
       
-      setRoutePath(response.data.path);
+      const best = {
+        path: response.data.path,
+        distance: response.data.distance,
+        duration: response.data.duration,
+        instructions: response.data.instructions || [],
+        legs: response.data.legs || [],
+        snappedPoints: response.data.snappedPoints || []
+      };
+      const alternatives = (response.data.alternatives || []).map(route => ({
+        ...route,
+        legs: [],
+        snappedPoints: best.snappedPoints
+      }));
+      
+      setRoutes([best, ...alternatives]);
+      setSelectedRoute(0);
     } catch (error) {
       console.error('Error calculating route:', error);
-      alert('Failed to calculate route');
+      alert(await getErrorMessage(error, 'Failed to calculate route'));
     } finally {
       setIsLoading(false);
     }
   };
 
+  // Let the server pick the shortest order for the stops, then show that route
+  const optimizeStops = async () => {
+    setIsLoading(true);
+    try {
+      const response = await axios.post('https://lostorfound.onrender.com/api/optimize', {
+        start: sourcePoint,
+        end: destinationPoint,
+        stops: waypoints,
+        profile: profile,
+        optimize: optimize,
+        avoid: buildAvoidOptions(avoid)
+      });
+
+      setWaypoints(response.data.order.map(index => waypoints[index]));
+      setRoutes([{
+        path: response.data.path,
+        distance: response.data.distance,
+        duration: response.data.duration,
+        instructions: response.data.instructions || [],
+        legs: response.data.legs || [],
+        snappedPoints: response.data.snappedPoints || []
+      }]);
+      setSelectedRoute(0);
+    } catch (error) {
+      console.error('Error optimizing stop order:', error);
+      alert(await getErrorMessage(error, 'Failed to optimize stop order'));
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  // Ask the server for the route in a file format and save it
+  const downloadRoute = async () => {
+    setIsExporting(true);
+    try {
+      const response = await axios.post('https://lostorfound.onrender.com/api/route/export', {
+        source: sourcePoint,
+        destination: destinationPoint,
+        waypoints: waypoints,
+        profile: profile,
+        optimize: optimize,
+        avoid: buildAvoidOptions(avoid),
+        format: exportFormat
+      }, { responseType: 'blob' });
+
+      const match = /filename="([^"]+)"/.exec(response.headers['content-disposition'] || '');
+      const url = URL.createObjectURL(response.data);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = match ? match[1] : `route.${exportFormat}`;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (error) {
+      console.error('Error exporting route:', error);
+      alert(await getErrorMessage(error, 'Failed to download route'));
+    } finally {
+      setIsExporting(false);
+    }
+  };
+
+  // Shade the areas reachable from the source within ISOCHRONE_MINUTES
+  const showReachableArea = async () => {
+    setIsLoadingArea(true);
+    try {
+      const response = await axios.post('https://lostorfound.onrender.com/api/isochrone', {
+        origin: sourcePoint,
+        minutes: ISOCHRONE_MINUTES,
+        profile: profile,
+        avoid: buildAvoidOptions(avoid)
+      });
+
+      setIsochrones(response.data.isochrones.features);
+    } catch (error) {
+      console.error('Error calculating reachable area:', error);
+      alert(await getErrorMessage(error, 'Failed to calculate reachable area'));
+    } finally {
+      setIsLoadingArea(false);
+    }
+  };
+
   const resetPoints = () => {
     setSourcePoint(null);
     setDestinationPoint(null);
-    setRoutePath([]);
+    setWaypoints([]);
+    setIsochrones([]);
+    clearRoute();
   };
 
   return (
@@ -53,11 +287,104 @@ function App() {
       <img src="https://collection.cloudinary.com/dklaovsjk/b6488f3b14cba54bb76c2f2f20e85dce" alt="" />
       
       <div className="controls">
+        <div className="place-searches">
+          <PlaceSearch label="From" onSelect={selectSource} disabled={isLoading} />
+          <PlaceSearch label="To" near={sourcePoint} onSelect={selectDestination} disabled={isLoading} />
+        </div>
+
         <div className="points-info">
-          <p>Source: {sourcePoint ? `${sourcePoint.lat.toFixed(4)}, ${sourcePoint.lng.toFixed(4)}` : 'Not selected'}</p>
-          <p>Destination: {destinationPoint ? `${destinationPoint.lat.toFixed(4)}, ${destinationPoint.lng.toFixed(4)}` : 'Not selected'}</p>
+          <p>Source: {describePoint(sourcePoint)}</p>
+          <p>Destination: {describePoint(destinationPoint)}</p>
+          {destinationPoint && waypoints.length === 0 && (
+            <p><small>Click the map again to add stops along the way.</small></p>
+          )}
+          {activeRoute && (
+            <p>Route: {activeRoute.distance.toFixed(2)} km, ~{activeRoute.duration} min</p>
+          )}
+          {routes.length > 1 && (
+            <div className="route-options">
+              {routes.map((route, index) => (
+                <button
+                  key={index}
+                  className={index === selectedRoute ? 'selected' : ''}
+                  onClick={() => setSelectedRoute(index)}
+                >
+                  {index === 0 ? 'Best' : `Alt ${index}`}: {route.distance.toFixed(1)} km, {route.duration} min
+                </button>
+              ))}
+            </div>
+          )}
         </div>
+
+        <StopList
+          waypoints={waypoints}
+          legs={activeRoute ? activeRoute.legs.slice(0, waypoints.length) : []}
+          streetNames={streetNames}
+          onMove={moveWaypoint}
+          onRemove={removeWaypoint}
+          disabled={isLoading}
+        />
         
+        <div className="profile-select">
+          <label htmlFor="profile">Travel mode: </label>
+          <select
+            id="profile"
+            value={profile}
+            onChange={(e) => {
+              setProfile(e.target.value);
+              setIsochrones([]);
+              clearRoute();
+            }}
+            disabled={isLoading}
+          >
+            {TRAVEL_PROFILES.map(option => (
+              <option key={option.value} value={option.value}>{option.label}</option>
+            ))}
+          </select>
+          <label htmlFor="optimize"> Route: </label>
+          <select
+            id="optimize"
+            value={optimize}
+            onChange={(e) => {
+              setOptimize(e.target.value);
+              clearRoute();
+            }}
+            disabled={isLoading}
+          >
+            <option value="preferred">Recommended</option>
+            <option value="fastest">Fastest</option>
+          </select>
+          <label className="alternatives-toggle">
+            <input
+              type="checkbox"
+              checked={showAlternatives}
+              onChange={(e) => setShowAlternatives(e.target.checked)}
+              disabled={isLoading || waypoints.length > 0}
+            />
+            Show alternatives
+          </label>
+        </div>
+
+        <div className="avoid-options">
+          <span>Avoid: </span>
+          {AVOID_OPTIONS.map(option => (
+            <label key={option.value}>
+              <input
+                type="checkbox"
+                checked={avoid.includes(option.value)}
+                onChange={(e) => {
+                  setAvoid(e.target.checked
+                    ? [...avoid, option.value]
+                    : avoid.filter(value => value !== option.value));
+                  clearRoute();
+                }}
+                disabled={isLoading}
+              />
+              {option.label}
+            </label>
+          ))}
+        </div>
+
         <div className="buttons">
           <button 
             onClick={calculateRoute} 
@@ -65,16 +392,59 @@ function App() {
           >
             {isLoading ? 'Calculating...' : 'Find Route'}
           </button>
+          {waypoints.length > 1 && (
+            <button onClick={optimizeStops} disabled={!sourcePoint || isLoading} title="Visit the stops in the shortest order">
+              Optimize stop order
+            </button>
+          )}
+          <button
+            onClick={isochrones.length > 0 ? () => setIsochrones([]) : showReachableArea}
+            disabled={!sourcePoint || isLoadingArea}
+          >
+            {isLoadingArea ? 'Calculating...' : isochrones.length > 0 ? 'Hide reachable area' : 'Show reachable area'}
+          </button>
           <button onClick={resetPoints}>Reset</button>
         </div>
+
+        {activeRoute && (
+          <div className="export-route">
+            <select
+              value={exportFormat}
+              onChange={(e) => setExportFormat(e.target.value)}
+              disabled={isExporting}
+            >
+              {EXPORT_FORMATS.map(option => (
+                <option key={option.value} value={option.value}>{option.label}</option>
+              ))}
+            </select>
+            {/* The export endpoint recalculates the best route, not an alternative */}
+            <button
+              onClick={downloadRoute}
+              disabled={isExporting || isLoading || selectedRoute !== 0}
+              title={selectedRoute !== 0 ? 'Only the best route can be downloaded' : undefined}
+            >
+              {isExporting ? 'Preparing...' : 'Download route'}
+            </button>
+          </div>
+        )}
       </div>
 
-      <MapComponent
-        onMapClick={handleMapClick}
-        sourcePoint={sourcePoint}
-        destinationPoint={destinationPoint}
-        routePath={routePath}
-      />
+      <div className="route-layout">
+        <MapComponent
+          onMapClick={handleMapClick}
+          sourcePoint={sourcePoint}
+          destinationPoint={destinationPoint}
+          waypoints={waypoints}
+          routes={routes.map(route => route.path)}
+          selectedRoute={selectedRoute}
+          onSelectRoute={setSelectedRoute}
+          snappedPoints={activeRoute ? activeRoute.snappedPoints : []}
+          isochrones={isochrones}
+          focusPoint={focusPoint}
+          streetNames={streetNames}
+        />
+        <InstructionsPanel instructions={activeRoute ? activeRoute.instructions : []} />
+      </div>
     </div>
   );
 }
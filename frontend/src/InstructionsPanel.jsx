@@ -0,0 +1,53 @@
+import React from 'react';
+
+const STEP_ICONS = {
+  depart: '🚩',
+  arrive: '🎯',
+  roundabout: '🔄',
+  continue: '⬆️',
+  uturn: '↩️',
+  left: '⬅️',
+  right: '➡️',
+  'slight left': '↖️',
+  'slight right': '↗️',
+  'sharp left': '↙️',
+  'sharp right': '↘️'
+};
+
+function getStepIcon(step) {
+  if (step.type === 'turn') {
+    return STEP_ICONS[step.modifier] || '⬆️';
+  }
+  return STEP_ICONS[step.type] || '⬆️';
+}
+
+function formatDistance(km) {
+  return km < 1 ? `${Math.round(km * 1000)} m` : `${km.toFixed(1)} km`;
+}
+
+function InstructionsPanel({ instructions }) {
+  if (!instructions || instructions.length === 0) {
+    return null;
+  }
+
+  return (
+    <div className="instructions-panel">
+      <h3>Directions</h3>
+      <ol>
+        {instructions.map((step, index) => (
+          <li key={index} className={`instruction-step instruction-${step.type}`}>
+            <span className="instruction-icon">{getStepIcon(step)}</span>
+            <span className="instruction-text">{step.instruction}</span>
+            {step.distance > 0 && (
+              <span className="instruction-meta">
+                {formatDistance(step.distance)} · {step.duration} min
+              </span>
+            )}
+          </li>
+        ))}
+      </ol>
+    </div>
+  );
+}
+
+export default InstructionsPanel;
@@ -1,5 +1,5 @@
-import React from 'react';
-import { MapContainer, TileLayer, Marker, Popup, Polyline, useMapEvents } from 'react-leaflet';
+import React, { useEffect } from 'react';
+import { MapContainer, TileLayer, Marker, Popup, Polyline, Polygon, Tooltip, useMap, useMapEvents } from 'react-leaflet';
 import L from 'leaflet';
 
 // Fix for default markers in react-leaflet
@@ -29,6 +29,28 @@ const destinationIcon = new L.Icon({
   shadowSize: [45, 45]
 });
 
+// Numbered marker for intermediate stops
+function createStopIcon(number) {
+  return L.divIcon({
+    className: 'stop-marker',
+    html: `<span>${number}</span>`,
+    iconSize: [26, 26],
+    iconAnchor: [13, 13],
+    popupAnchor: [0, -13]
+  });
+}
+
+// Route colours by index: best route first, then alternatives
+const ROUTE_COLORS = ['blue', '#e67e22', '#8e44ad', '#16a085'];
+
+// Reachable-area colours by band: shortest travel time first
+const ISOCHRONE_COLORS = ['#2ecc71', '#f1c40f', '#e74c3c', '#9b59b6', '#34495e'];
+
+// GeoJSON MultiPolygon coordinates ([lng, lat]) to Leaflet positions ([lat, lng])
+function toPolygonPositions(coordinates) {
+  return coordinates.map(polygon => polygon.map(ring => ring.map(([lng, lat]) => [lat, lng])));
+}
+
 function MapClickHandler({ onMapClick }) {
   useMapEvents({
     click: (e) => {
@@ -38,12 +60,42 @@ function MapClickHandler({ onMapClick }) {
   return null;
 }
 
-function MapComponent({ onMapClick, sourcePoint, destinationPoint, routePath }) {
+// Pan to a point picked outside the map (e.g. from place search)
+function MapFocus({ point }) {
+  const map = useMap();
+
+  useEffect(() => {
+    if (point) {
+      map.setView([point.lat, point.lng], Math.max(map.getZoom(), 15));
+    }
+  }, [map, point]);
+
+  return null;
+}
+
+function MapComponent({
+  onMapClick,
+  sourcePoint,
+  destinationPoint,
+  waypoints = [],
+  routes = [],
+  selectedRoute = 0,
+  onSelectRoute,
+  snappedPoints = [],
+  isochrones = [],
+  focusPoint = null,
+  streetNames = {}
+}) {
  
+  // Clicked points in request order, matching the snapped points from the API
+  const clickedPoints = [sourcePoint, ...waypoints, destinationPoint];
+
+  const getStreetName = (point) => streetNames[`${point.lat},${point.lng}`];
+
   const center = [27.18333000, 78.01667000]; 
   
   return (
-  <div className="map-container" style={{ height: '100vh', width: '100vw' }}>
+  <div className="map-container" style={{ height: '100vh', flex: 1, minWidth: 0 }}>
   <div className="map-inner" style={{ height: '100%', width: '100%' }}>
     <MapContainer
       center={center}
@@ -59,12 +111,27 @@ function MapComponent({ onMapClick, sourcePoint, destinationPoint, routePath })
         />
         
         <MapClickHandler onMapClick={onMapClick} />
+        <MapFocus point={focusPoint} />
+        
+        {/* Largest band first so the shorter travel times are shaded on top */}
+        {isochrones.map((feature, index) => ({ feature, index })).reverse().map(({ feature, index }) => (
+          <Polygon
+            key={`isochrone-${feature.properties.minutes}`}
+            positions={toPolygonPositions(feature.geometry.coordinates)}
+            color={ISOCHRONE_COLORS[index % ISOCHRONE_COLORS.length]}
+            weight={1}
+            fillOpacity={0.2}
+          >
+            <Tooltip sticky>Within {feature.properties.minutes} min</Tooltip>
+          </Polygon>
+        ))}
         
         {sourcePoint && (
           <Marker position={[sourcePoint.lat, sourcePoint.lng]} icon={sourceIcon}>
             <Popup>
               <div style={{ textAlign: 'center', fontWeight: 'bold' }}>
                 🚩 <strong>Starting Point</strong><br/>
+                {getStreetName(sourcePoint) && <>Near {getStreetName(sourcePoint)}<br/></>}
                 <small>Lat: {sourcePoint.lat.toFixed(4)}<br/>
                 Lng: {sourcePoint.lng.toFixed(4)}</small>
               </div>
@@ -77,6 +144,7 @@ function MapComponent({ onMapClick, sourcePoint, destinationPoint, routePath })
             <Popup>
               <div style={{ textAlign: 'center', fontWeight: 'bold' }}>
                 🎯 <strong>Destination</strong><br/>
+                {getStreetName(destinationPoint) && <>Near {getStreetName(destinationPoint)}<br/></>}
                 <small>Lat: {destinationPoint.lat.toFixed(4)}<br/>
                 Lng: {destinationPoint.lng.toFixed(4)}</small>
               </div>
@@ -84,12 +152,56 @@ function MapComponent({ onMapClick, sourcePoint, destinationPoint, routePath })
           </Marker>
         )}
         
-        {routePath.length > 0 && (
+        {waypoints.map((point, index) => (
+          <Marker key={`${point.lat},${point.lng}`} position={[point.lat, point.lng]} icon={createStopIcon(index + 1)}>
+            <Popup>
+              <div style={{ textAlign: 'center', fontWeight: 'bold' }}>
+                📍 <strong>Stop {index + 1}</strong><br/>
+                {getStreetName(point) && <>Near {getStreetName(point)}<br/></>}
+                <small>Lat: {point.lat.toFixed(4)}<br/>
+                Lng: {point.lng.toFixed(4)}</small>
+              </div>
+            </Popup>
+          </Marker>
+        ))}
+        
+        {/* Unselected routes first so the selected one is drawn on top */}
+        {routes.map((path, index) => index !== selectedRoute && path.length > 0 && (
           <Polyline
-            positions={routePath.map(point => [point.lat, point.lng])}
-            color="blue"
+            key={`route-${index}`}
+            positions={path.map(point => [point.lat, point.lng])}
+            color={ROUTE_COLORS[index % ROUTE_COLORS.length]}
             weight={4}
+            opacity={0.45}
+            dashArray="8 6"
+            eventHandlers={{
+              click: () => onSelectRoute && onSelectRoute(index)
+            }}
+          />
+        ))}
+        
+        {/* Connect each clicked point to where the route picks it up on the road */}
+        {snappedPoints.map((snapped, index) => clickedPoints[index] && snapped.distance > 1 && (
+          <Polyline
+            key={`snap-${index}`}
+            positions={[
+              [clickedPoints[index].lat, clickedPoints[index].lng],
+              [snapped.lat, snapped.lng]
+            ]}
+            color="gray"
+            weight={2}
             opacity={0.7}
+            dashArray="4 4"
+          />
+        ))}
+        
+        {routes[selectedRoute] && routes[selectedRoute].length > 0 && (
+          <Polyline
+            key={`route-${selectedRoute}-selected`}
+            positions={routes[selectedRoute].map(point => [point.lat, point.lng])}
+            color={ROUTE_COLORS[selectedRoute % ROUTE_COLORS.length]}
+            weight={5}
+            opacity={0.8}
           />
         )}
       </MapContainer>
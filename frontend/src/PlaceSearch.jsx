@@ -0,0 +1,94 @@
+import React, { useState } from 'react';
+import axios from 'axios';
+import { getErrorMessage } from './apiErrors.js';
+
+// "lat, lng" as copied from a map, resolved without asking the server
+const COORDINATES_PATTERN = /^\s*(-?\d+(?:\.\d+)?)\s*[,\s]\s*(-?\d+(?:\.\d+)?)\s*$/;
+
+function parseCoordinates(text) {
+  const match = COORDINATES_PATTERN.exec(text);
+  if (!match) {
+    return null;
+  }
+
+  const lat = parseFloat(match[1]);
+  const lng = parseFloat(match[2]);
+  return lat >= -90 && lat <= 90 && lng >= -180 && lng <= 180 ? { lat, lng } : null;
+}
+
+function PlaceSearch({ label, near, onSelect, disabled }) {
+  const [query, setQuery] = useState('');
+  const [results, setResults] = useState([]);
+  const [isSearching, setIsSearching] = useState(false);
+  const [message, setMessage] = useState('');
+
+  const choose = (point) => {
+    onSelect({ lat: point.lat, lng: point.lng });
+    setResults([]);
+    setMessage('');
+  };
+
+  const search = async (e) => {
+    e.preventDefault();
+    if (!query.trim()) {
+      return;
+    }
+
+    const coordinates = parseCoordinates(query);
+    if (coordinates) {
+      choose(coordinates);
+      return;
+    }
+
+    setIsSearching(true);
+    setMessage('');
+    try {
+      const response = await axios.get('https://lostorfound.onrender.com/api/geocode', {
+        params: { q: query, ...(near ? { lat: near.lat, lng: near.lng } : {}) }
+      });
+
+      setResults(response.data.results);
+      if (response.data.results.length === 0) {
+        setMessage('No places found');
+      }
+    } catch (error) {
+      console.error('Error searching places:', error);
+      setMessage(await getErrorMessage(error, 'Place search failed'));
+    } finally {
+      setIsSearching(false);
+    }
+  };
+
+  return (
+    <form className="place-search" onSubmit={search}>
+      <label>
+        {label}:{' '}
+        <input
+          type="text"
+          value={query}
+          onChange={(e) => setQuery(e.target.value)}
+          placeholder='Place, address or "lat, lng"'
+          disabled={disabled}
+        />
+      </label>
+      <button type="submit" disabled={disabled || isSearching || !query.trim()}>
+        {isSearching ? 'Searching...' : 'Search'}
+      </button>
+      {message && <small className="place-search-message">{message}</small>}
+      {results.length > 0 && (
+        <ul className="place-search-results">
+          {results.map((result, index) => (
+            <li key={`${result.lat},${result.lng},${index}`}>
+              <button type="button" onClick={() => choose(result)}>
+                {result.displayName}
+                {result.type && <small> ({result.type})</small>}
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </form>
+  );
+}
+
+export default PlaceSearch;
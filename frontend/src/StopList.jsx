@@ -0,0 +1,33 @@
+import React from 'react';
+
+function formatPoint(point, streetName) {
+  const coordinates = `${point.lat.toFixed(4)}, ${point.lng.toFixed(4)}`;
+  return streetName ? `Near ${streetName} (${coordinates})` : coordinates;
+}
+
+function StopList({ waypoints, legs, streetNames = {}, onMove, onRemove, disabled }) {
+  if (waypoints.length === 0) {
+    return null;
+  }
+
+  return (
+    <div className="stop-list">
+      <p>Stops:</p>
+      <ol>
+        {waypoints.map((point, index) => (
+          <li key={`${point.lat},${point.lng}`}>
+            <span className="stop-coords">{formatPoint(point, streetNames[`${point.lat},${point.lng}`])}</span>
+            {legs[index] && (
+              <small> ({legs[index].distance.toFixed(2)} km, ~{legs[index].duration} min from previous)</small>
+            )}
+            <button onClick={() => onMove(index, -1)} disabled={disabled || index === 0} title="Move up">↑</button>
+            <button onClick={() => onMove(index, 1)} disabled={disabled || index === waypoints.length - 1} title="Move down">↓</button>
+            <button onClick={() => onRemove(index)} disabled={disabled} title="Remove stop">✕</button>
+          </li>
+        ))}
+      </ol>
+    </div>
+  );
+}
+
+export default StopList;
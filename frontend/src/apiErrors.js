@@ -0,0 +1,54 @@
+// What to tell the user for each error code the API answers with.
+// Codes missing here (or mapped to null) show the server's own message, which
+// is already specific for invalid requests.
+const ERROR_MESSAGES = {
+  INVALID_REQUEST: null,
+  NOT_FOUND: null,
+  NO_ROAD_DATA: 'No roads found in this area. Try a different location.',
+  SNAP_FAILED: (details) =>
+    `The ${details.point || 'selected'} point is more than ${Math.round((details.maxDistance || 0.3) * 1000)} m ` +
+    'from a usable road. Try clicking closer to a road.',
+  NO_PATH: 'No route exists between these points. They may be on disconnected road networks.',
+  NO_PATH_AVOIDING: 'No route found that avoids the selected roads. Try unchecking some avoid options.',
+  AREA_TOO_LARGE: (details) =>
+    (details.maxArea
+      ? `This request needs more road data than the ${details.maxArea} km² allowed for ${details.profile}.`
+      : 'This area has too much road data to load at once.') + ' Try points closer together.',
+  DISTANCE_TOO_LARGE: (details) =>
+    `These points are ${details.distance} km apart; ${details.profile} requests are limited to ` +
+    `${details.maxDistance} km. Try points closer together.`,
+  RATE_LIMITED: (details) =>
+    `Too many requests. Please wait ${details.retryAfter ? `${details.retryAfter} seconds` : 'a moment'} and try again.`,
+  BUILD_QUEUE_FULL: 'The server is busy with other routes. Please try again in a few seconds.',
+  INVALID_API_KEY: 'This server only accepts requests with an API key.',
+  UPSTREAM_TIMEOUT: 'The map data service took too long to answer. Please try again later.',
+  UPSTREAM_RATE_LIMITED: (details) =>
+    'The map data service is busy. ' +
+    (details.retryAfter ? `Please try again in ${details.retryAfter} seconds.` : 'Please try again in a moment.'),
+  UPSTREAM_ERROR: 'The map data service is unavailable right now. Please try again later.',
+  PAYLOAD_TOO_LARGE: 'Too much data in one request. Try fewer points.',
+  INTERNAL_ERROR: 'Something went wrong on the server. Please try again later.'
+};
+
+// Message for a failed API request, by the error code in the response body
+export async function getErrorMessage(error, fallback) {
+  if (!error.response) {
+    return error.request ? 'Could not reach the server. Check your connection and try again.' : fallback;
+  }
+
+  // Downloads ask for a blob, so their error bodies arrive as one too
+  let body = error.response.data;
+  if (body instanceof Blob) {
+    try {
+      body = JSON.parse(await body.text());
+    } catch {
+      body = null;
+    }
+  }
+
+  const message = ERROR_MESSAGES[body?.code];
+  if (typeof message === 'function') {
+    return message(body.details || {});
+  }
+  return message || body?.error || fallback;
+}